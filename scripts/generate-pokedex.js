@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Regenerate the bundled offline Pokédex (src/data/pokedex.json) and its
+ * sprites (public/sprites/pokemon/{id}.png).
+ *
+ * Records have the core fields pokemonAPI.fetchPokemon returns (id, name,
+ * sprite, weight, height, base experience and types), with `sprite` as a
+ * path relative to the public folder. The app fills in base stats,
+ * generation, legendary status and evolutions from the species index.
+ *
+ * Usage:
+ *   node scripts/generate-pokedex.js [--count 807]
+ *       Fetch everything from PokeAPI (needs network access)
+ *   node scripts/generate-pokedex.js --csv <dir> [--sprites <dir>] [--count 807]
+ *       Build from a checkout of PokeAPI's CSV data (data/v2/csv) and, if
+ *       given, a folder of {id}.png sprites instead of downloading them
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bump when the record shape changes
+const DATASET_VERSION = 1;
+const DEFAULT_COUNT = 807; // National Dex up to Gen 7
+const CONCURRENCY = 8;
+
+const API_URL = 'https://pokeapi.co/api/v2/pokemon/';
+// Box icons keep the bundled sprites small (~0.5 MB for 807)
+const SPRITE_URL = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/versions/generation-viii/icons/';
+
+const ROOT = path.join(__dirname, '..');
+const DATASET_FILE = path.join(ROOT, 'src', 'data', 'pokedex.json');
+const SPRITE_DIR = path.join(ROOT, 'public', 'sprites', 'pokemon');
+
+function parseArgs(argv) {
+  const options = { count: DEFAULT_COUNT, csv: null, sprites: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--count') options.count = Number(argv[++i]);
+    else if (arg === '--csv') options.csv = argv[++i];
+    else if (arg === '--sprites') options.sprites = argv[++i];
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (!Number.isInteger(options.count) || options.count < 1) {
+    throw new Error('--count must be a positive integer');
+  }
+  return options;
+}
+
+function spritePath(id) {
+  return `sprites/pokemon/${id}.png`;
+}
+
+/**
+ * Run tasks with a small number of requests in flight
+ */
+async function runLimited(items, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: CONCURRENCY }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index]);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`GET ${url} failed (${response.status})`);
+  return response.json();
+}
+
+async function downloadSprite(url, id) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`GET ${url} failed (${response.status})`);
+  fs.writeFileSync(path.join(SPRITE_DIR, `${id}.png`), Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Same normalization as pokemonAPI.fetchPokemonFromNetwork, core fields only
+ */
+async function fromPokeAPI(count) {
+  const ids = Array.from({ length: count }, (_, index) => index + 1);
+
+  return runLimited(ids, async (id) => {
+    const data = await fetchJSON(`${API_URL}${id}`);
+    const icon = data.sprites.versions?.['generation-viii']?.icons?.front_default;
+    await downloadSprite(icon || data.sprites.front_default, id);
+    console.log(`🌐 ${id} ${data.name}`);
+
+    return {
+      id: data.id,
+      name: data.name,
+      sprite: spritePath(data.id),
+      weight: data.weight,
+      height: data.height,
+      baseExperience: data.base_experience,
+      types: data.types.map(type => type.type.name)
+    };
+  });
+}
+
+/**
+ * Minimal CSV reader; PokeAPI's tables used here have no quoted fields
+ */
+function readCSV(dir, file) {
+  const [header, ...lines] = fs.readFileSync(path.join(dir, file), 'utf8').trim().split(/\r?\n/);
+  const columns = header.split(',');
+  return lines.map(line => {
+    const values = line.split(',');
+    return Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+  });
+}
+
+async function fromCSV(dir, spriteDir, count) {
+  const typeNames = new Map(readCSV(dir, 'types.csv').map(row => [row.id, row.identifier]));
+
+  const typesByPokemon = new Map();
+  readCSV(dir, 'pokemon_types.csv')
+    .sort((a, b) => Number(a.slot) - Number(b.slot))
+    .forEach(row => {
+      const types = typesByPokemon.get(row.pokemon_id) || [];
+      types.push(typeNames.get(row.type_id));
+      typesByPokemon.set(row.pokemon_id, types);
+    });
+
+  const rows = readCSV(dir, 'pokemon.csv')
+    .filter(row => row.is_default === '1' && Number(row.id) <= count);
+
+  return runLimited(rows, async (row) => {
+    const id = Number(row.id);
+    if (spriteDir) {
+      fs.copyFileSync(path.join(spriteDir, `${id}.png`), path.join(SPRITE_DIR, `${id}.png`));
+    } else {
+      await downloadSprite(`${SPRITE_URL}${id}.png`, id);
+    }
+
+    return {
+      id,
+      name: row.identifier,
+      sprite: spritePath(id),
+      weight: Number(row.weight),
+      height: Number(row.height),
+      baseExperience: row.base_experience ? Number(row.base_experience) : null,
+      types: typesByPokemon.get(row.id) || []
+    };
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  fs.mkdirSync(SPRITE_DIR, { recursive: true });
+  fs.mkdirSync(path.dirname(DATASET_FILE), { recursive: true });
+
+  const pokemon = options.csv
+    ? await fromCSV(options.csv, options.sprites, options.count)
+    : await fromPokeAPI(options.count);
+  pokemon.sort((a, b) => a.id - b.id);
+
+  const dataset = {
+    version: DATASET_VERSION,
+    generatedAt: new Date().toISOString(),
+    source: options.csv ? 'PokeAPI CSV data' : API_URL,
+    count: pokemon.length,
+    pokemon
+  };
+
+  // One record per line keeps regenerated datasets easy to diff
+  const records = pokemon.map(record => `    ${JSON.stringify(record)}`).join(',\n');
+  const header = Object.entries(dataset)
+    .filter(([key]) => key !== 'pokemon')
+    .map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`)
+    .join(',\n');
+  fs.writeFileSync(DATASET_FILE, `{\n${header},\n  "pokemon": [\n${records}\n  ]\n}\n`);
+
+  console.log(`📦 Wrote ${pokemon.length} Pokémon to ${path.relative(ROOT, DATASET_FILE)}`);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Regenerate the species index used to build random matchups
+ * (src/data/speciesIndex.json): generation, types, legendary/mythical
+ * status, evolution stage and family, and base stats for every National
+ * Dex Pokémon.
+ *
+ * The data comes from @pkmn/dex (a dev dependency), which covers every
+ * generation without thousands of PokeAPI requests.
+ *
+ * Usage: node scripts/generate-species-index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Dex } = require('@pkmn/dex');
+const { version: dexVersion } = require('@pkmn/dex/package.json');
+
+// Bump when the record shape changes
+const INDEX_VERSION = 3;
+
+const INDEX_FILE = path.join(__dirname, '..', 'src', 'data', 'speciesIndex.json');
+
+/**
+ * PokeAPI-style identifier ("Mr. Mime" -> "mr-mime", "Nidoran-F" -> "nidoran-f")
+ */
+function toIdentifier(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Flabébé -> flabebe
+    .toLowerCase()
+    .replace(/♀/g, '-f')
+    .replace(/♂/g, '-m')
+    .replace(/[.'’:]/g, '')
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Walk back to the unevolved Pokémon of a species' family
+ * @returns {Object} { stage, base } — stage is 1 for unevolved Pokémon, 2 for
+ *   their evolutions, and so on; base is the unevolved species
+ */
+function getLineage(species) {
+  let stage = 1;
+  let current = species;
+  while (current.prevo) {
+    current = Dex.species.get(current.prevo);
+    stage += 1;
+  }
+  return { stage, base: current };
+}
+
+function main() {
+  const species = Dex.species.all()
+    .filter(entry => entry.num > 0 && !entry.forme && entry.isNonstandard !== 'CAP')
+    .sort((a, b) => a.num - b.num)
+    .map(entry => {
+      const { stage, base } = getLineage(entry);
+      return {
+        id: entry.num,
+        name: toIdentifier(entry.name),
+        generation: entry.gen,
+        types: entry.types.map(type => type.toLowerCase()),
+        legendary: entry.tags.some(tag => tag.includes('Legendary')),
+        mythical: entry.tags.includes('Mythical'),
+        stage,
+        // National Dex number of the family's unevolved Pokémon
+        familyId: base.num,
+        baseStatTotal: entry.bst,
+        // Same keys as pokemonAPI's `stats`, for Fight! mode when PokeAPI can't be reached
+        baseStats: {
+          hp: entry.baseStats.hp,
+          attack: entry.baseStats.atk,
+          defense: entry.baseStats.def,
+          specialAttack: entry.baseStats.spa,
+          specialDefense: entry.baseStats.spd,
+          speed: entry.baseStats.spe
+        }
+      };
+    });
+
+  const header = [
+    `  "version": ${INDEX_VERSION}`,
+    `  "generatedAt": ${JSON.stringify(new Date().toISOString())}`,
+    `  "source": ${JSON.stringify(`@pkmn/dex ${dexVersion}`)}`,
+    `  "count": ${species.length}`
+  ].join(',\n');
+  // One record per line keeps regenerated indexes easy to diff
+  const records = species.map(record => `    ${JSON.stringify(record)}`).join(',\n');
+  fs.writeFileSync(INDEX_FILE, `{\n${header},\n  "species": [\n${records}\n  ]\n}\n`);
+
+  console.log(`📦 Wrote ${species.length} species to ${path.relative(process.cwd(), INDEX_FILE)}`);
+}
+
+main();
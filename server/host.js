@@ -0,0 +1,110 @@
+/**
+ * Host Control
+ * What a moderator running the host console has set up for everyone
+ * connected: the queue of upcoming matchups, the live battle, a pinned
+ * featured battle and an announcement banner. Commands for a battle's
+ * round (close, extend, void) leave it alone; index.js applies them to the round.
+ * Keep in sync with src/utils/hostControl.js (Create React App cannot import
+ * files from outside src/); src/utils/hostControl.test.js checks that both
+ * copies take the same commands.
+ */
+
+const { HOST_COMMANDS } = require('./protocol');
+const { isBattleId } = require('./voting');
+
+// Keep in sync with HOST_CONFIG in src/utils/constants.js
+const MAX_QUEUE = 20;
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+const MAX_EXTENSION = 5 * 60 * 1000;
+
+const BATTLE_COMMANDS = [HOST_COMMANDS.OPEN, HOST_COMMANDS.CLOSE, HOST_COMMANDS.EXTEND, HOST_COMMANDS.VOID];
+
+/**
+ * Host state before any command
+ * @returns {Object} { queue, live, featured, announcement, version }
+ */
+function createHostState() {
+  return { queue: [], live: null, featured: null, announcement: null, version: 0 };
+}
+
+/**
+ * Check a host command before applying it
+ * @param {Object} command - { command, battleId?, queue?, milliseconds?, text? }
+ * @returns {string|null} Why the command is invalid, or null if it is fine
+ */
+function validateHostCommand(command) {
+  if (!Object.values(HOST_COMMANDS).includes(command.command)) {
+    return `Unknown host command: ${command.command}`;
+  }
+  if (BATTLE_COMMANDS.includes(command.command) && !isBattleId(command.battleId)) {
+    return `${command.command} needs a valid battleId`;
+  }
+
+  switch (command.command) {
+    case HOST_COMMANDS.QUEUE:
+      if (!Array.isArray(command.queue) || !command.queue.every(isBattleId)) {
+        return 'queue needs a list of battle IDs';
+      }
+      if (command.queue.length > MAX_QUEUE) {
+        return `The queue holds at most ${MAX_QUEUE} matchups`;
+      }
+      return null;
+    case HOST_COMMANDS.EXTEND:
+      if (typeof command.milliseconds !== 'number' || command.milliseconds <= 0 ||
+          command.milliseconds > MAX_EXTENSION) {
+        return `extend needs milliseconds between 1 and ${MAX_EXTENSION}`;
+      }
+      return null;
+    case HOST_COMMANDS.FEATURE:
+      return command.battleId === null || isBattleId(command.battleId)
+        ? null
+        : 'feature needs a valid battleId (or null to unpin)';
+    case HOST_COMMANDS.ANNOUNCE:
+      if (command.text === null) return null;
+      if (typeof command.text !== 'string' || !command.text.trim()) {
+        return 'announce needs some text (or null to take the banner down)';
+      }
+      return command.text.length > MAX_ANNOUNCEMENT_LENGTH
+        ? `Announcements are at most ${MAX_ANNOUNCEMENT_LENGTH} characters`
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a host command's key
+ * Without a configured key nobody may send host commands.
+ * @param {Object} command - Host command ({ key?, ... })
+ * @param {string|null} hostKey - The key host commands must carry
+ * @returns {string|null} Why the command is not allowed, or null if it is
+ */
+function checkHostKey(command, hostKey) {
+  if (!hostKey) return 'Host commands are turned off: no host key is set up';
+  return command.key === hostKey ? null : 'Host commands need the host key';
+}
+
+/**
+ * Apply a (valid) host command to the host state
+ * @param {Object} host - Current host state
+ * @param {Object} command - Host command
+ * @returns {Object} New host state, or the same one for commands that only affect a round
+ */
+function applyHostCommand(host, command) {
+  const version = host.version + 1;
+
+  switch (command.command) {
+    case HOST_COMMANDS.QUEUE:
+      return { ...host, queue: [...command.queue], version };
+    case HOST_COMMANDS.OPEN:
+      return { ...host, live: command.battleId, queue: host.queue.filter(id => id !== command.battleId), version };
+    case HOST_COMMANDS.FEATURE:
+      return { ...host, featured: command.battleId, version };
+    case HOST_COMMANDS.ANNOUNCE:
+      return { ...host, announcement: command.text ? { id: version, text: command.text.trim() } : null, version };
+    default:
+      return host;
+  }
+}
+
+module.exports = { createHostState, checkHostKey, validateHostCommand, applyHostCommand };
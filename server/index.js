@@ -0,0 +1,536 @@
+/**
+ * Pokémon Battle Royale Vote Server
+ * Small WebSocket server that keeps the vote tally for every battle
+ * and broadcasts it to everyone watching the same battle.
+ * The same protocol is also served over Server-Sent Events + HTTP POST.
+ *
+ * Usage: npm run vote-server
+ * Then start the app with REACT_APP_VOTE_SERVER_URL=ws://localhost:8080
+ */
+
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const { MESSAGES, HOST_COMMANDS, ERROR_CODES, parseMessage } = require('./protocol');
+const { loadRoundRules, reachesCloseTrigger, getRoundId } = require('./rounds');
+const { METHODS, getBattleFormat, isBattleId, createEmptyVotes, getBallot, addBallot, countVotes } = require('./voting');
+const { createHostState, checkHostKey, validateHostCommand, applyHostCommand } = require('./host');
+
+const PORT = Number(process.env.VOTE_SERVER_PORT) || 8080;
+const ROUND_RULES = loadRoundRules();
+const MAX_VOTER_ID_LENGTH = 64;
+const MAX_BATTLE_ID_LENGTH = 256;
+// Battles kept in memory at once; joins that would open another one are turned away
+const MAX_BATTLES = 1000;
+// How long a battle nobody is watching is kept before it is forgotten
+const BATTLE_IDLE_TTL = 5 * 60 * 1000;
+// Largest POST body or WebSocket message accepted, in bytes
+const MAX_MESSAGE_SIZE = 16 * 1024;
+// Host commands must carry this key; without it the server takes no host commands
+const HOST_KEY = process.env.VOTE_HOST_KEY || null;
+// How long a finished round's result stays up before anyone can start a rematch,
+// so a client can reset a battle at most once per round
+const REMATCH_DELAY = process.env.VOTE_REMATCH_DELAY ? Number(process.env.VOTE_REMATCH_DELAY) : 5000;
+
+// battleId -> { positions, method, votes, ballots, result, locked, openedAt, closesAt, lockedAt, lockTimer, idleTimer,
+//   voters, clients }
+// positions and method come from the battle ID (see voting.js); ballots are the
+// current round's rankings (or team picks) and result its final count once locked
+// voters holds the anonymous voter ids that already voted in the current round
+// idleTimer forgets the battle once nobody has watched it for BATTLE_IDLE_TTL
+// A client is anything with a send(message) method: a WebSocket or an SSE response
+const battles = new Map();
+
+// Every connected client, watching a battle or not (host state goes to all of them)
+const clients = new Set();
+
+// Queue, live battle, featured battle and announcement set from the host console (see host.js)
+let host = createHostState();
+
+/**
+ * Whether the server runs battles with this ID: one naming its Pokémon, of a sane length
+ */
+function isServedBattleId(battleId) {
+  return isBattleId(battleId) && battleId.length <= MAX_BATTLE_ID_LENGTH;
+}
+
+/**
+ * Get (or create) the record for a battle
+ * A new battle starts out idle, so it is forgotten again unless someone joins it.
+ * @param {string} battleId - Battle identifier (see isServedBattleId)
+ * @returns {Object|null} Battle record, or null when the server already runs MAX_BATTLES battles
+ */
+function getBattle(battleId) {
+  if (!battles.has(battleId)) {
+    if (battles.size >= MAX_BATTLES) return null;
+    const battle = { ...getBattleFormat(battleId), clients: new Set(), idleTimer: null };
+    battles.set(battleId, battle);
+    openRound(battleId, battle);
+    scheduleEviction(battleId, battle);
+  }
+  return battles.get(battleId);
+}
+
+/**
+ * Forget a battle once nobody has watched it for BATTLE_IDLE_TTL
+ */
+function scheduleEviction(battleId, battle) {
+  clearTimeout(battle.idleTimer);
+  battle.idleTimer = setTimeout(() => evictBattle(battleId), BATTLE_IDLE_TTL);
+}
+
+function evictBattle(battleId) {
+  const battle = battles.get(battleId);
+  if (!battle || battle.clients.size > 0) return;
+  clearTimeout(battle.lockTimer);
+  clearTimeout(battle.idleTimer);
+  battles.delete(battleId);
+  console.log(`🧹 Battle ${battleId} forgotten after ${BATTLE_IDLE_TTL / 1000}s without watchers`);
+}
+
+/**
+ * Start a fresh voting round; the round timer runs from now
+ */
+function openRound(battleId, battle) {
+  clearTimeout(battle.lockTimer);
+  battle.votes = createEmptyVotes(battle.positions.length);
+  battle.ballots = [];
+  battle.result = null;
+  battle.locked = false;
+  battle.voters = new Set();
+  battle.openedAt = Date.now();
+  battle.closesAt = ROUND_RULES.duration ? Date.now() + ROUND_RULES.duration : null;
+  battle.lockTimer = ROUND_RULES.duration
+    ? setTimeout(() => lockBattle(battleId), ROUND_RULES.duration)
+    : null;
+}
+
+/**
+ * Round rules and time left, as sent to clients
+ * closesIn is relative so clients don't depend on the server's clock
+ */
+function getRoundInfo(battle) {
+  const closesIn = battle.closesAt ? Math.max(0, battle.closesAt - Date.now()) : null;
+  return { rules: ROUND_RULES, closesIn };
+}
+
+/**
+ * Wrap a WebSocket as a protocol client
+ */
+function createSocketClient(socket) {
+  return {
+    send: (message) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    }
+  };
+}
+
+/**
+ * Wrap a Server-Sent Events response as a protocol client
+ */
+function createEventStreamClient(res) {
+  return {
+    send: (message) => res.write(`data: ${JSON.stringify(message)}\n\n`)
+  };
+}
+
+/**
+ * Remove a client from the battle it was watching
+ * The last watcher to leave starts the battle's idle countdown.
+ */
+function leaveBattle(client) {
+  const battle = client.battleId && battles.get(client.battleId);
+  if (!battle) return;
+  battle.clients.delete(client);
+  if (battle.clients.size === 0) scheduleEviction(client.battleId, battle);
+}
+
+/**
+ * Send a message to every client that joined a battle
+ */
+function broadcast(battleId, message) {
+  const battle = battles.get(battleId);
+  if (!battle) return;
+  battle.clients.forEach(client => client.send(message));
+}
+
+/**
+ * Send a message to every connected client
+ */
+function broadcastAll(message) {
+  clients.forEach(client => client.send(message));
+}
+
+/**
+ * Start a new round of a battle and bring its watchers up to date
+ * @param {string} reason - MESSAGES.BATTLE_RESET, or MESSAGES.ROUND_VOIDED when the host threw the round out
+ */
+function restartRound(battleId, battle, reason) {
+  openRound(battleId, battle);
+  broadcast(battleId, { type: reason, battleId });
+  broadcast(battleId, { type: MESSAGES.ROUND_OPENED, battleId, round: getRoundInfo(battle) });
+  broadcast(battleId, { type: MESSAGES.VOTE_TALLY, battleId, votes: battle.votes });
+}
+
+/**
+ * Push a timed round's close back and send watchers the new time left
+ */
+function extendRound(battleId, battle, milliseconds) {
+  clearTimeout(battle.lockTimer);
+  battle.closesAt += milliseconds;
+  battle.lockTimer = setTimeout(() => lockBattle(battleId), battle.closesAt - Date.now());
+  broadcast(battleId, { type: MESSAGES.ROUND_OPENED, battleId, round: getRoundInfo(battle) });
+}
+
+/**
+ * The final tally and result of a locked round, as sent to clients
+ */
+function getLockedMessage(battleId, battle) {
+  return {
+    type: MESSAGES.VOTING_LOCKED,
+    battleId,
+    roundId: getRoundId(battleId, battle.openedAt),
+    votes: battle.votes,
+    result: battle.result
+  };
+}
+
+/**
+ * Lock a battle, count it and announce the final tally and result
+ */
+function lockBattle(battleId) {
+  const battle = battles.get(battleId);
+  if (!battle) return;
+  clearTimeout(battle.lockTimer);
+  battle.locked = true;
+  battle.lockedAt = Date.now();
+  battle.lockTimer = null;
+  battle.result = countVotes(battle.method, battle.votes, battle.ballots);
+  console.log(`🔒 Battle ${battleId} locked:`, battle.votes, 'winners:', battle.result.winners);
+  broadcast(battleId, getLockedMessage(battleId, battle));
+}
+
+/**
+ * Build a rejection for the client
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human readable reason
+ * @returns {Object} { code, message }
+ */
+function rejection(code, message) {
+  return { code, message };
+}
+
+/**
+ * Start sending a battle's updates to a client
+ * @returns {Object|null} Rejection, or null on success
+ */
+function handleJoin(client, message) {
+  const { battleId } = message;
+  if (!isServedBattleId(battleId)) {
+    return rejection(ERROR_CODES.INVALID_MESSAGE, 'join requires a battleId naming 2 to 8 Pokémon');
+  }
+
+  // A client watches one battle at a time
+  leaveBattle(client);
+  client.battleId = null;
+
+  const battle = getBattle(battleId);
+  if (!battle) return rejection(ERROR_CODES.SERVER_FULL, 'The server is running too many battles, try again later');
+  clearTimeout(battle.idleTimer);
+  battle.idleTimer = null;
+  battle.clients.add(client);
+  client.battleId = battleId;
+
+  // Bring the new client up to date
+  client.send({ type: MESSAGES.ROUND_OPENED, battleId, round: getRoundInfo(battle) });
+  client.send({ type: MESSAGES.VOTE_TALLY, battleId, votes: battle.votes });
+  if (battle.locked) {
+    client.send(getLockedMessage(battleId, battle));
+  }
+  return null;
+}
+
+/**
+ * Count a vote and broadcast the new tally
+ * Each voter id counts once per round of a battle. Ranked-choice battles
+ * also need the voter's ranking and team battles the voter's picks, with
+ * their vote as the first choice.
+ * @returns {Object|null} Rejection, or null on success
+ */
+function handleVote(message) {
+  const { battleId, pokemon, userId } = message;
+  if (!battleId) return rejection(ERROR_CODES.INVALID_VOTE, 'vote requires a battleId');
+  if (typeof userId !== 'string' || !userId || userId.length > MAX_VOTER_ID_LENGTH) {
+    return rejection(ERROR_CODES.INVALID_VOTE, 'vote requires a userId');
+  }
+
+  // Only battles someone has joined are running; votes don't open new ones
+  const battle = battles.get(battleId);
+  if (!battle) return rejection(ERROR_CODES.INVALID_VOTE, 'Join the battle before voting in it');
+  if (!battle.positions.includes(pokemon)) {
+    return rejection(ERROR_CODES.INVALID_VOTE, 'vote requires a valid pokemon');
+  }
+  const ballot = getBallot(battle.method, message, battle.positions);
+  if (!ballot && battle.method === METHODS.RANKED) {
+    return rejection(ERROR_CODES.INVALID_VOTE, 'ranked-choice votes require a ranking that starts with pokemon');
+  }
+  if (!ballot) {
+    return rejection(ERROR_CODES.INVALID_VOTE, 'team votes require picks (at most one per slot) that start with pokemon');
+  }
+  if (battle.locked) return rejection(ERROR_CODES.BATTLE_LOCKED, 'Voting is locked for this battle');
+  if (battle.voters.has(userId)) {
+    console.log(`🚫 Duplicate vote in ${battleId} from ${userId}`);
+    return rejection(ERROR_CODES.DUPLICATE_VOTE, 'You have already voted in this battle');
+  }
+
+  battle.voters.add(userId);
+  battle.ballots.push(ballot);
+  battle.votes = addBallot(battle.votes, battle.method, ballot);
+  broadcast(battleId, { type: MESSAGES.VOTE_TALLY, battleId, votes: battle.votes });
+
+  if (reachesCloseTrigger(ROUND_RULES, battle.votes)) {
+    lockBattle(battleId);
+  }
+  return null;
+}
+
+/**
+ * Start a finished battle over (a rematch)
+ * @returns {Object|null} Rejection, or null on success
+ */
+function handleReset(message) {
+  const { battleId } = message;
+  const battle = battles.get(battleId);
+
+  // Only finished battles can be reset, so a late joiner can't wipe a running round,
+  // and only once everyone has had REMATCH_DELAY to see the result
+  if (!battle || !battle.locked) return null;
+  if (Date.now() - battle.lockedAt < REMATCH_DELAY) {
+    return rejection(ERROR_CODES.REMATCH_TOO_SOON, 'The result is still showing; try the rematch again in a moment');
+  }
+
+  console.log(`🔄 Battle ${battleId} reset`);
+  restartRound(battleId, battle, MESSAGES.BATTLE_RESET);
+  return null;
+}
+
+/**
+ * Carry out a host console command and send everyone the new host state
+ * Opening a battle makes it the live one (starting a new round if its last
+ * one is over); closing a round works whatever VOTE_MANUAL_CLOSE says (that
+ * only decides whether the arena offers hosts a CLOSE VOTING button).
+ * @returns {Object|null} Rejection, or null on success
+ */
+function handleHost(message) {
+  const notAllowed = checkHostKey(message, HOST_KEY);
+  if (notAllowed) return rejection(ERROR_CODES.HOST_NOT_ALLOWED, notAllowed);
+  const invalid = validateHostCommand(message);
+  if (invalid) return rejection(ERROR_CODES.INVALID_HOST_COMMAND, invalid);
+
+  const { battleId } = message;
+  const battle = battles.get(battleId);
+  const running = battle && !battle.locked;
+  const notRunning = () => rejection(ERROR_CODES.INVALID_HOST_COMMAND, 'That battle has no running round');
+
+  switch (message.command) {
+    case HOST_COMMANDS.OPEN:
+      if (!battle) {
+        if (!isServedBattleId(battleId)) return rejection(ERROR_CODES.INVALID_HOST_COMMAND, 'open needs a valid battleId');
+        if (!getBattle(battleId)) {
+          return rejection(ERROR_CODES.SERVER_FULL, 'The server is running too many battles, try again later');
+        }
+      } else if (battle.locked) {
+        restartRound(battleId, battle, MESSAGES.BATTLE_RESET);
+      }
+      console.log(`🎬 Host opened ${battleId}`);
+      break;
+    case HOST_COMMANDS.CLOSE:
+      if (!running) return notRunning();
+      console.log(`✋ Battle ${battleId} closed by host`);
+      lockBattle(battleId);
+      break;
+    case HOST_COMMANDS.EXTEND:
+      if (!running) return notRunning();
+      if (!battle.closesAt) {
+        return rejection(ERROR_CODES.INVALID_HOST_COMMAND, 'This round has no time limit to extend');
+      }
+      extendRound(battleId, battle, message.milliseconds);
+      console.log(`⏩ Battle ${battleId} extended by ${message.milliseconds}ms`);
+      break;
+    case HOST_COMMANDS.VOID:
+      if (!running) return notRunning();
+      console.log(`🗑️ Battle ${battleId} round voided by host`);
+      restartRound(battleId, battle, MESSAGES.ROUND_VOIDED);
+      break;
+    default:
+      break;
+  }
+
+  const next = applyHostCommand(host, message);
+  if (next !== host) {
+    host = next;
+    broadcastAll({ type: MESSAGES.HOST_STATE, host });
+  }
+  return null;
+}
+
+/**
+ * Handle one protocol message from a client
+ * @returns {Object|null} Rejection, or null on success
+ */
+function handleMessage(client, message) {
+  switch (message.type) {
+    case MESSAGES.JOIN:
+      return handleJoin(client, message);
+    case MESSAGES.VOTE:
+      return handleVote(message);
+    case MESSAGES.RESET:
+      return handleReset(message);
+    case MESSAGES.HOST:
+      return handleHost(message);
+    default:
+      return rejection(ERROR_CODES.INVALID_MESSAGE, `Unknown message type: ${message.type}`);
+  }
+}
+
+// Browsers serve the app from another origin (the CRA dev server)
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Send a rejection as a protocol error message
+ */
+function sendError(client, battleId, error) {
+  client.send({ type: MESSAGES.ERROR, battleId, code: error.code, message: error.message });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * GET /events?battleId=... — Server-Sent Events stream of protocol messages
+ */
+function handleEventStream(req, res, url) {
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const client = createEventStreamClient(res);
+  const error = handleJoin(client, { battleId: url.searchParams.get('battleId') });
+  if (error) {
+    sendError(client, undefined, error);
+    res.end();
+    return;
+  }
+  clients.add(client);
+  client.send({ type: MESSAGES.HOST_STATE, host });
+
+  req.on('close', () => {
+    clients.delete(client);
+    leaveBattle(client);
+  });
+}
+
+const POST_HANDLERS = {
+  [MESSAGES.VOTE]: handleVote,
+  [MESSAGES.RESET]: handleReset,
+  [MESSAGES.HOST]: handleHost
+};
+
+/**
+ * POST /vote, /reset and /host — same messages as over the WebSocket
+ * (/host also answers with the host state, for consoles without an event stream)
+ */
+function handlePost(req, res, type) {
+  let body = '';
+  let tooLarge = false;
+  req.on('data', (chunk) => {
+    if (tooLarge) return;
+    body += chunk;
+    if (body.length > MAX_MESSAGE_SIZE) {
+      tooLarge = true;
+      body = '';
+      // The rest of the body is read and dropped
+      sendJson(res, 413, { type: MESSAGES.ERROR, code: ERROR_CODES.INVALID_MESSAGE, message: 'Message too large' });
+    }
+  });
+  req.on('end', () => {
+    if (tooLarge) return;
+    const message = parseMessage(body);
+    if (!message) {
+      sendJson(res, 400, { type: MESSAGES.ERROR, code: ERROR_CODES.INVALID_MESSAGE, message: 'Invalid message' });
+      return;
+    }
+
+    const error = POST_HANDLERS[type](message);
+    if (error) {
+      // A duplicate vote is a conflict with the vote already counted, not a malformed request
+      const status = error.code === ERROR_CODES.DUPLICATE_VOTE ? 409 : 400;
+      sendJson(res, status, { type: MESSAGES.ERROR, battleId: message.battleId, code: error.code, message: error.message });
+      return;
+    }
+    sendJson(res, 200, type === MESSAGES.HOST ? { status: 'ok', host } : { status: 'ok' });
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+  } else if (req.method === 'GET' && url.pathname === '/events') {
+    handleEventStream(req, res, url);
+  } else if (req.method === 'POST' && url.pathname === '/vote') {
+    handlePost(req, res, MESSAGES.VOTE);
+  } else if (req.method === 'POST' && url.pathname === '/reset') {
+    handlePost(req, res, MESSAGES.RESET);
+  } else if (req.method === 'POST' && url.pathname === '/host') {
+    handlePost(req, res, MESSAGES.HOST);
+  } else if (req.method === 'GET' && url.pathname === '/') {
+    sendJson(res, 200, { status: 'ok', battles: battles.size });
+  } else {
+    sendJson(res, 404, { type: MESSAGES.ERROR, message: 'Not found' });
+  }
+});
+
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_SIZE });
+
+wss.on('connection', (socket) => {
+  const client = createSocketClient(socket);
+  clients.add(client);
+  client.send({ type: MESSAGES.HOST_STATE, host });
+
+  socket.on('message', (raw) => {
+    const message = parseMessage(raw.toString());
+    const error = message
+      ? handleMessage(client, message)
+      : rejection(ERROR_CODES.INVALID_MESSAGE, 'Invalid message');
+    if (error) {
+      // A host command's battle usually isn't the one the console watches, so its errors aren't tied to a battle
+      sendError(client, message?.type === MESSAGES.HOST ? undefined : message?.battleId, error);
+    }
+  });
+
+  socket.on('close', () => {
+    clients.delete(client);
+    leaveBattle(client);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🚀 Vote server listening on ws://localhost:${PORT} (SSE on http://localhost:${PORT}/events)`);
+  console.log('⏱️ Round rules:', ROUND_RULES);
+  console.log(HOST_KEY
+    ? '🔑 Host commands need the host key'
+    : '🔒 No VOTE_HOST_KEY set: host commands are turned off');
+});
@@ -0,0 +1,65 @@
+/**
+ * Vote Server Protocol
+ * Message types shared by the vote server and its clients.
+ * Keep in sync with VOTE_MESSAGES in src/utils/constants.js
+ * (Create React App cannot import files from outside src/).
+ */
+
+const MESSAGES = {
+  // Client → server
+  JOIN: 'join',
+  VOTE: 'vote',
+  RESET: 'reset',
+  HOST: 'host',
+
+  // Server → client
+  ROUND_OPENED: 'round_opened',
+  VOTE_TALLY: 'vote_tally',
+  VOTING_LOCKED: 'voting_locked',
+  BATTLE_RESET: 'battle_reset',
+  ROUND_VOIDED: 'round_voided',
+  HOST_STATE: 'host_state',
+  ERROR: 'error'
+};
+
+// What a host message asks for (its `command`, see host.js)
+// Keep in sync with HOST_COMMANDS in src/utils/constants.js
+const HOST_COMMANDS = {
+  QUEUE: 'queue',
+  OPEN: 'open',
+  CLOSE: 'close',
+  EXTEND: 'extend',
+  VOID: 'void',
+  FEATURE: 'feature',
+  ANNOUNCE: 'announce'
+};
+
+// Sent as `code` on error messages so clients can tell rejections apart
+// Keep in sync with VOTE_ERROR_CODES in src/utils/constants.js
+const ERROR_CODES = {
+  INVALID_MESSAGE: 'invalid_message',
+  INVALID_VOTE: 'invalid_vote',
+  BATTLE_LOCKED: 'battle_locked',
+  DUPLICATE_VOTE: 'duplicate_vote',
+  REMATCH_TOO_SOON: 'rematch_too_soon',
+  INVALID_HOST_COMMAND: 'invalid_host_command',
+  HOST_NOT_ALLOWED: 'host_not_allowed',
+  SERVER_FULL: 'server_full'
+};
+
+/**
+ * Parse a raw message from a client
+ * @param {string} raw - Raw message text
+ * @returns {Object|null} Parsed message or null if it is not valid JSON with a type
+ */
+function parseMessage(raw) {
+  try {
+    const message = JSON.parse(raw);
+    if (!message || typeof message.type !== 'string') return null;
+    return message;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { MESSAGES, HOST_COMMANDS, ERROR_CODES, parseMessage };
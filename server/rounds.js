@@ -0,0 +1,60 @@
+/**
+ * Round Rules
+ * When the server closes a battle's voting round. A round closes on
+ * whichever trigger fires first; unset triggers are ignored.
+ * Keep in sync with src/utils/roundRules.js (the in-browser transports);
+ * src/utils/roundRules.test.js checks that both copies close rounds alike.
+ */
+
+const { getLead, getTotalVotes } = require('./voting');
+
+const envNumber = (value) => (value ? Number(value) : null);
+
+const DEFAULT_DURATION = 20000;
+
+/**
+ * Round rules from the environment
+ * @returns {Object} { duration, closeAfterVotes, minimumLead, manualClose }
+ */
+function loadRoundRules(env = process.env) {
+  const rules = {
+    // Milliseconds from the moment the battle opens
+    duration: envNumber(env.VOTE_ROUND_DURATION) ?? DEFAULT_DURATION,
+    // Quorum: close once this many votes are in
+    closeAfterVotes: envNumber(env.VOTE_CLOSE_AFTER_VOTES),
+    // Close once the leader is this many votes ahead of the runner-up
+    minimumLead: envNumber(env.VOTE_MIN_LEAD),
+    // Offer hosts a CLOSE VOTING button (closing takes the host `close` command)
+    manualClose: env.VOTE_MANUAL_CLOSE === 'true'
+  };
+
+  // A round nobody can close would never end
+  if (!rules.duration && !rules.closeAfterVotes && !rules.minimumLead && !rules.manualClose) {
+    rules.duration = DEFAULT_DURATION;
+  }
+  return rules;
+}
+
+/**
+ * Whether a tally closes the round
+ * @param {Object} rules - Round rules
+ * @param {Object} votes - Votes per position (first choices in ranked-choice battles)
+ * @returns {boolean} True once the quorum or the minimum lead is reached
+ */
+function reachesCloseTrigger(rules, votes) {
+  if (rules.closeAfterVotes && getTotalVotes(votes) >= rules.closeAfterVotes) return true;
+  if (rules.minimumLead && getLead(votes) >= rules.minimumLead) return true;
+  return false;
+}
+
+/**
+ * Identifier of one round of a battle, sent when it locks
+ * @param {string} battleId - Battle identifier
+ * @param {number} openedAt - When the round opened (milliseconds since the epoch)
+ * @returns {string} e.g. "pikachu_vs_eevee@1755374400000"
+ */
+function getRoundId(battleId, openedAt) {
+  return `${battleId}@${openedAt}`;
+}
+
+module.exports = { loadRoundRules, reachesCloseTrigger, getRoundId };
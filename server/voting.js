@@ -0,0 +1,284 @@
+/**
+ * Voting
+ * Battle formats and how the server decides a battle's winner.
+ * Keep in sync with src/utils/voting.js and getBattleFormat in
+ * src/utils/battleRoutes.js (Create React App cannot import files from outside src/);
+ * src/utils/voting.test.js checks that both copies count the same way.
+ *
+ * Votes are counted per position ('pokemon1' … 'pokemon8'), and every voter
+ * casts a ballot: the positions they picked, favourite first.
+ * - plurality: only first choices count; the most votes wins
+ * - ranked: instant runoff. While no Pokémon has a majority of the ballots
+ *   still in play, the last-placed Pokémon is knocked out and its ballots
+ *   move on to their next choice. Pokémon sharing last place go out together.
+ * Either way, Pokémon sharing the top spot at the end tie.
+ * - team: two lineups of three face off slot by slot (pokemon1 vs pokemon4, ...).
+ *   A ballot picks at most one Pokémon per slot, and every pick is a vote. A team
+ *   scores a point for each slot it wins outright; more points wins, level teams tie.
+ */
+
+const METHODS = {
+  PLURALITY: 'plurality',
+  RANKED: 'ranked',
+  TEAM: 'team'
+};
+
+const MIN_CONTESTANTS = 2;
+const MAX_CONTESTANTS = 8;
+const TEAM_SIZE = 3;
+const BATTLE_ID_SEPARATOR = '_vs_';
+const METHOD_SEPARATOR = '~';
+
+/**
+ * Positions of a battle's contestants: ['pokemon1', 'pokemon2', ...]
+ */
+function getPositions(count) {
+  return Array.from({ length: count }, (_, index) => `pokemon${index + 1}`);
+}
+
+/**
+ * Positions and voting method of a battle ID that lists 2-8 Pokémon
+ * (exactly six for team battles)
+ * @param {string} battleId - Battle ID
+ * @returns {Object|null} { positions, method }, or null for any other ID
+ */
+function readBattleFormat(battleId) {
+  const [id, method = METHODS.PLURALITY, ...rest] = battleId.split(METHOD_SEPARATOR);
+  if (rest.length > 0 || !Object.values(METHODS).includes(method)) return null;
+
+  const contestants = id.split(BATTLE_ID_SEPARATOR);
+  if (contestants.length < MIN_CONTESTANTS || contestants.length > MAX_CONTESTANTS ||
+      contestants.some(name => !name) ||
+      (method === METHODS.TEAM && contestants.length !== TEAM_SIZE * 2)) {
+    return null;
+  }
+  return { positions: getPositions(contestants.length), method };
+}
+
+/**
+ * Positions and voting method of a battle, read from its ID
+ * ("charizard_vs_blastoise_vs_venusaur~ranked"); IDs that don't list
+ * 2-8 Pokémon (exactly six for team battles) are two-way plurality battles
+ * @param {string} battleId - Battle ID
+ * @returns {Object} { positions, method }
+ */
+function getBattleFormat(battleId) {
+  return readBattleFormat(battleId) || { positions: getPositions(2), method: METHODS.PLURALITY };
+}
+
+/**
+ * Whether a battle ID names its Pokémon (like the ones the app builds)
+ */
+function isBattleId(battleId) {
+  return typeof battleId === 'string' && !!readBattleFormat(battleId);
+}
+
+/**
+ * A tally with no votes yet: { pokemon1: 0, pokemon2: 0, ... }
+ */
+function createEmptyVotes(count) {
+  return Object.fromEntries(getPositions(count).map(position => [position, 0]));
+}
+
+function getTotalVotes(votes) {
+  return Object.values(votes).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * How many votes the leader is ahead of the runner-up (0 when the top spot is shared)
+ */
+function getLead(votes) {
+  const [first = 0, second = 0] = Object.values(votes).sort((a, b) => b - a);
+  return first - second;
+}
+
+/**
+ * Positions sharing the most votes (none without votes)
+ */
+function getLeaders(votes) {
+  const most = Math.max(0, ...Object.values(votes));
+  if (most === 0) return [];
+  return Object.keys(votes).filter(position => votes[position] === most);
+}
+
+/**
+ * Whether a ballot ranks the battle's positions properly: at least one,
+ * each at most once, and only positions in the battle
+ */
+function isValidRanking(ranking, positions) {
+  return Array.isArray(ranking) &&
+    ranking.length > 0 &&
+    ranking.length <= positions.length &&
+    ranking.every(position => positions.includes(position)) &&
+    new Set(ranking).size === ranking.length;
+}
+
+/**
+ * The two sides of a team battle: the first half of the positions against the second
+ */
+function getTeams(count) {
+  const positions = getPositions(count);
+  return [
+    { id: 'team1', positions: positions.slice(0, count / 2) },
+    { id: 'team2', positions: positions.slice(count / 2) }
+  ];
+}
+
+/**
+ * Slots of a team battle: [['pokemon1', 'pokemon4'], ['pokemon2', 'pokemon5'], ...]
+ */
+function getSlots(count) {
+  const [team1, team2] = getTeams(count);
+  return team1.positions.map((position, index) => [position, team2.positions[index]]);
+}
+
+/**
+ * Whether a team ballot picks properly: at least one Pokémon, only positions
+ * in the battle, and at most one per slot
+ */
+function isValidPicks(picks, positions) {
+  return isValidRanking(picks, positions) &&
+    getSlots(positions.length).every(slot => slot.filter(position => picks.includes(position)).length <= 1);
+}
+
+/**
+ * The ballot a vote casts (its pokemon must be the first choice),
+ * or null if the vote doesn't fit the battle
+ * @param {string} method - One of METHODS
+ * @param {Object} vote - { pokemon, ranking (ranked choice), picks (team battles) }
+ * @param {Array<string>} positions - The battle's positions
+ * @returns {Array<string>|null} Ballot
+ */
+function getBallot(method, { pokemon, ranking, picks }, positions) {
+  if (method === METHODS.RANKED) {
+    return isValidRanking(ranking, positions) && ranking[0] === pokemon ? ranking : null;
+  }
+  if (method === METHODS.TEAM) {
+    return isValidPicks(picks, positions) && picks[0] === pokemon ? picks : null;
+  }
+  return positions.includes(pokemon) ? [pokemon] : null;
+}
+
+/**
+ * Add a ballot to a tally: team ballots count every pick, the others their first choice
+ * @returns {Object} New tally
+ */
+function addBallot(votes, method, ballot) {
+  const counted = method === METHODS.TEAM ? ballot : ballot.slice(0, 1);
+  const next = { ...votes };
+  counted.forEach(position => { next[position] += 1; });
+  return next;
+}
+
+/**
+ * Plurality count: most first choices wins
+ * @returns {Object} { method, winners, rounds: [{ votes, eliminated }] }
+ */
+function countPlurality(votes) {
+  return {
+    method: METHODS.PLURALITY,
+    winners: getLeaders(votes),
+    rounds: [{ votes: { ...votes }, eliminated: [] }]
+  };
+}
+
+/**
+ * One round of an instant runoff: each ballot counts for its highest choice
+ * still in the running
+ */
+function countRound(ballots, running) {
+  const votes = Object.fromEntries(running.map(position => [position, 0]));
+  ballots.forEach(ballot => {
+    const choice = ballot.find(position => running.includes(position));
+    if (choice) votes[choice] += 1;
+  });
+  return votes;
+}
+
+/**
+ * Instant-runoff count over ranked ballots
+ * @param {Array<Array<string>>} ballots - Each voter's ranking, favourite first
+ * @param {Array<string>} positions - The battle's positions
+ * @returns {Object} { method, winners, rounds }
+ */
+function runInstantRunoff(ballots, positions) {
+  const rounds = [];
+  let running = [...positions];
+
+  while (running.length > 0) {
+    const votes = countRound(ballots, running);
+
+    const counts = Object.values(votes);
+    const inPlay = counts.reduce((sum, count) => sum + count, 0);
+    const most = Math.max(...counts);
+    const fewest = Math.min(...counts);
+
+    // A majority wins; if everyone left is level, they tie (nobody wins without votes)
+    if (most * 2 > inPlay || most === fewest) {
+      rounds.push({ votes, eliminated: [] });
+      return {
+        method: METHODS.RANKED,
+        winners: inPlay === 0 ? [] : running.filter(position => votes[position] === most),
+        rounds
+      };
+    }
+
+    const eliminated = running.filter(position => votes[position] === fewest);
+    rounds.push({ votes, eliminated });
+    running = running.filter(position => !eliminated.includes(position));
+  }
+
+  return { method: METHODS.RANKED, winners: [], rounds };
+}
+
+/**
+ * Team count: each slot goes to the Pokémon with more votes (a level slot
+ * scores for nobody) and the team winning more slots wins
+ * @returns {Object} { method, winners (team ids), rounds, slots: [{ positions, winners }], scores: { team1, team2 } }
+ */
+function countTeams(votes) {
+  const count = Object.keys(votes).length;
+  const teams = getTeams(count);
+  const slots = getSlots(count).map(positions => ({
+    positions,
+    winners: getLeaders(Object.fromEntries(positions.map(position => [position, votes[position]])))
+  }));
+  const scores = Object.fromEntries(teams.map(team => [
+    team.id,
+    slots.filter(slot => slot.winners.length === 1 && team.positions.includes(slot.winners[0])).length
+  ]));
+  const best = Math.max(...Object.values(scores));
+
+  return {
+    method: METHODS.TEAM,
+    winners: getTotalVotes(votes) === 0 ? [] : teams.filter(team => scores[team.id] === best).map(team => team.id),
+    rounds: [{ votes: { ...votes }, eliminated: [] }],
+    slots,
+    scores
+  };
+}
+
+/**
+ * Final count of a battle
+ * @param {string} method - One of METHODS
+ * @param {Object} votes - First choices per position
+ * @param {Array<Array<string>>} ballots - Every ballot (only used by ranked battles)
+ * @returns {Object} { method, winners, rounds }
+ */
+function countVotes(method, votes, ballots = []) {
+  if (method === METHODS.RANKED) return runInstantRunoff(ballots, Object.keys(votes));
+  if (method === METHODS.TEAM) return countTeams(votes);
+  return countPlurality(votes);
+}
+
+module.exports = {
+  METHODS,
+  getBattleFormat,
+  isBattleId,
+  createEmptyVotes,
+  getTotalVotes,
+  getLead,
+  getBallot,
+  addBallot,
+  countVotes
+};
@@ -1,8 +1,97 @@
 import React from 'react';
+import { BrowserRouter, Navigate, Route, Routes, useNavigate } from 'react-router-dom';
 import { BattleProvider } from './context/BattleContext';
-import BattleArena from './components/BattleArena';
+import BattleRoute from './components/BattleRoute';
+import TournamentView from './components/TournamentView';
+import Leaderboard from './components/Leaderboard';
+import PredictionScoreboard from './components/PredictionScoreboard';
+import BattleHistory from './components/BattleHistory';
+import MatchupSettings from './components/MatchupSettings';
+import HostConsole from './components/HostConsole';
+import HostBanner from './components/HostBanner';
+import ScheduleView from './components/ScheduleView';
+import ScreenBackground from './components/ScreenBackground';
+import ModeNav from './components/ModeNav';
+import OfflineToggle from './components/OfflineToggle';
+import { loadSavedTournament } from './hooks/useTournament';
+import { getBattlePath } from './utils/battleRoutes';
 import './App.css';
 
+/**
+ * Pick the starting page: resume an unfinished tournament after a reload
+ */
+function getStartPath() {
+  const tournament = loadSavedTournament();
+  return tournament && !tournament.completedAt ? '/tournament' : '/battle';
+}
+
+/**
+ * App Routes Component
+ * Maps URLs to views; battles are deep-linkable (see BattleRoute)
+ */
+function AppRoutes() {
+  const navigate = useNavigate();
+
+  /**
+   * Replay a past battle in the arena
+   */
+  const handleRematch = (pokemonNames, method) => {
+    navigate(getBattlePath(pokemonNames, method));
+  };
+
+  return (
+    <Routes>
+      <Route path="/" element={<Navigate to={getStartPath()} replace />} />
+      <Route path="/battle" element={<BattleRoute />} />
+      <Route path="/battle/:battleId" element={<BattleRoute />} />
+      <Route path="/battle/:pokemon1/:pokemon2" element={<BattleRoute />} />
+      <Route path="/tournament" element={<TournamentView />} />
+      <Route
+        path="/leaderboard"
+        element={
+          <ScreenBackground>
+            <Leaderboard />
+            <PredictionScoreboard />
+          </ScreenBackground>
+        }
+      />
+      <Route
+        path="/history"
+        element={
+          <ScreenBackground>
+            <BattleHistory onRematch={handleRematch} />
+          </ScreenBackground>
+        }
+      />
+      <Route
+        path="/matchups"
+        element={
+          <ScreenBackground>
+            <MatchupSettings />
+          </ScreenBackground>
+        }
+      />
+      <Route
+        path="/schedule"
+        element={
+          <ScreenBackground>
+            <ScheduleView />
+          </ScreenBackground>
+        }
+      />
+      <Route
+        path="/host"
+        element={
+          <ScreenBackground>
+            <HostConsole />
+          </ScreenBackground>
+        }
+      />
+      <Route path="*" element={<Navigate to="/" replace />} />
+    </Routes>
+  );
+}
+
 /**
  * Main App Component
  * Root component that sets up the application structure
@@ -11,11 +100,16 @@ import './App.css';
 function App() {
   return (
     <div className="App">
-      <BattleProvider>
-        <BattleArena />
-      </BattleProvider>
+      <BrowserRouter basename={process.env.PUBLIC_URL}>
+        <BattleProvider>
+          <ModeNav />
+          <OfflineToggle />
+          <HostBanner />
+          <AppRoutes />
+        </BattleProvider>
+      </BrowserRouter>
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * Already Voted Warning Component
+ * Shown when the user opens a battle they already voted in from another tab
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Dismiss the warning
+ */
+function AlreadyVotedWarning({ onClose }) {
+  return (
+    <div className="fixed inset-0 flex items-center justify-center z-50 pointer-events-auto">
+      {/* Blurred background overlay */}
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm"></div>
+      
+      {/* Warning banner */}
+      <div className="relative bg-black/80 backdrop-blur-md rounded-xl px-8 py-6 border-2 border-red-500/50 shadow-2xl max-w-md mx-4">
+        <div className="text-center">
+          <div className="text-red-400 font-bold text-3xl retro-text mb-2 animate-pulse">
+            ⚠️ WARNING ⚠️
+          </div>
+          <div className="text-red-300 font-bold text-xl retro-text mb-4">
+            You have already voted!
+          </div>
+          <p className="text-white/80 text-sm retro-text mb-6">
+            We detected that you voted for this battle in another tab. Each user can only vote once per battle.
+          </p>
+          <button
+            onClick={onClose}
+            className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-6 rounded-lg transition-colors duration-200 retro-text"
+          >
+            OK, GOT IT
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AlreadyVotedWarning;
@@ -0,0 +1,42 @@
+import React from 'react';
+
+/**
+ * Ballot Panel Component
+ * How to vote in ranked-choice and team battles, with the buttons to cast
+ * or clear the ranking or picks made on the cards
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.ranked - Ranked-choice battle (otherwise a team battle)
+ * @param {Array<string>} props.ballot - Positions picked so far, in order
+ * @param {Function} props.onSubmit - Cast the ballot
+ * @param {Function} props.onClear - Start the ballot over
+ */
+function BallotPanel({ ranked, ballot, onSubmit, onClear }) {
+  return (
+    <div className="max-w-md mx-auto mb-6 bg-black/70 backdrop-blur-md rounded-xl px-6 py-3 border-2 border-white/30 shadow-2xl text-center text-white retro-text">
+      <p className="text-sm">
+        {ranked
+          ? "RANKED CHOICE: tap the Pokémon in order of preference, then cast your ballot. You don't have to rank them all."
+          : 'TEAM BATTLE: pick who wins each slot, then cast your picks. Or back a whole team in one go.'}
+      </p>
+      <div className="flex justify-center gap-3 mt-2">
+        <button
+          onClick={onSubmit}
+          disabled={ballot.length === 0}
+          className="bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-1 px-4 border-4 border-yellow-600 retro-button disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+        >
+          {ranked ? 'CAST BALLOT' : 'CAST PICKS'}{ballot.length > 0 && ` (${ballot.length})`}
+        </button>
+        <button
+          onClick={onClear}
+          disabled={ballot.length === 0}
+          className="text-white/70 hover:text-white underline text-xs disabled:opacity-50"
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BallotPanel;
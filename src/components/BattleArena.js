@@ -1,294 +1,433 @@
-import React, { useEffect, useState } from 'react';
-import { Users, RotateCcw, X } from 'lucide-react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { X } from 'lucide-react';
 import { useBattle } from '../hooks/useBattle';
+import { useFight } from '../hooks/useFight';
+import { useBattleRecorder } from '../hooks/useBattleRecorder';
+import { usePrediction } from '../hooks/usePrediction';
 import { pokemonAPI } from '../services/pokemonAPI';
-import { ACTIONS } from '../utils/constants';
+import { voteLedger } from '../services/voteLedger';
+import { voterIdentity } from '../services/voterIdentity';
+import { useSchedule } from '../hooks/useSchedule';
+import {
+  ACTIONS, BATTLE_CONFIG, BATTLE_PHASES, HOST_COMMANDS, HOST_CONFIG, VOTE_ERROR_CODES, VOTING_METHODS
+} from '../utils/constants';
+import { isRoundRunning, isVotingLocked, isVotingOpen } from '../context/battlePhases';
+import { getBattleId, parseBattleId } from '../utils/battleRoutes';
+import { getPositions, getSlots, getWinner } from '../utils/voting';
+import { toTimeline } from '../utils/momentum';
+import { getScheduleStatus } from '../utils/schedule';
+import { describeScore } from '../utils/predictions';
 import PokemonCard from './PokemonCard';
+import TeamCard from './TeamCard';
+import TeamResultBanner from './TeamResultBanner';
+import WinnerBanner from './WinnerBanner';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
-import ConnectionStatus from './ConnectionStatus';
+import BattleStatusBar from './BattleStatusBar';
+import BattleControls from './BattleControls';
+import CreateBattleDialog from './CreateBattleDialog';
+import FightPanel from './FightPanel';
+import StatComparison from './StatComparison';
+import VoteStandings from './VoteStandings';
+import MomentumChart from './MomentumChart';
+import ScheduleBar from './ScheduleBar';
+import PredictionPanel from './PredictionPanel';
+import BallotPanel from './BallotPanel';
+import VoteErrorNotice from './VoteErrorNotice';
+import AlreadyVotedWarning from './AlreadyVotedWarning';
+
+const DEFAULT_MATCHUP = ['bulbasaur', 'pikachu'];
+
+// Longest a timer can wait (about 24 days); later battles are picked up by a schedule reload
+const MAX_TIMEOUT = 2 ** 31 - 1;
 
 /**
  * Main Battle Arena Component
  * Orchestrates the entire battle interface and logic
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.matchup - Matchup to load ({ contestants: 2-8 names or IDs, optional method, and
+ *   freshRound to start a finished round of the battle over instead of showing its result);
+ *   Bulbasaur vs Pikachu when omitted
+ * @param {boolean} props.allowNewBattle - Show the "new random battle", "create battle" and "copy link" buttons
+ *   and the battle schedule, and follow the host and the timed battles to their battles
+ * @param {Function} props.onMatchupChange - Called with (pokemonNames, votingMethod) to start a new battle
+ *   instead of loading it directly (e.g. to navigate to its URL)
+ * @param {Function} props.onBattleComplete - Called once voting locks with the battle result
+ * @param {React.ReactNode} props.children - Extra content shown below the cards (e.g. a bracket)
  */
-function BattleArena() {
-  const { state, dispatch, ws } = useBattle();
-  const { pokemon1, pokemon2, loading, error, votes, userVoted, connectionStatus, totalVotes } = state;
-  
-  // State for winner banner
-  const [showWinnerBanner, setShowWinnerBanner] = useState(false);
-  const [bannerExiting, setBannerExiting] = useState(false);
-  const [bannerDismissed, setBannerDismissed] = useState(false);
-  
-  // State for countdown banner
-  const [showCountdown, setShowCountdown] = useState(false);
-  const [countdown, setCountdown] = useState(5);
+function BattleArena({ matchup = null, allowNewBattle = true, onMatchupChange, onBattleComplete, children }) {
+  const { state, dispatch, transport } = useBattle();
+  const {
+    phase, battleId: currentBattleId, contestants, lineups, votingMethod, error, votes, result, userVoted, snapshots,
+    voteError, round, secondsLeft, connectionStatus, reconnectAttempt, queuedVotes, totalVotes, host, voidedAt,
+    hostError, resultUnavailable
+  } = state;
+  const votingLocked = isVotingLocked(phase);
+  const positions = getPositions(contestants.length);
+  const ranked = votingMethod === VOTING_METHODS.RANKED;
+  const teamBattle = votingMethod === VOTING_METHODS.TEAM && !!lineups;
 
-  // 🆕 NEW: State for "Already Voted" warning
-  const [showAlreadyVotedWarning, setShowAlreadyVotedWarning] = useState(false);
+  // Two-way battles get the stat comparison and Fight! mode
+  const twoWay = contestants.length === 2 && !teamBattle;
+  const [pokemon1, pokemon2] = twoWay ? contestants : [null, null];
 
-  // 🆕 NEW: Generate battle session ID for this specific battle
-  const [currentBattleId, setCurrentBattleId] = useState(null);
+  // Fight! mode (simulated battle, played back turn by turn)
+  const fight = useFight(pokemon1, pokemon2, currentBattleId);
 
-  // 🆕 NEW: Track if this tab has voted (prevents false positives)
-  const [thisTabVoted, setThisTabVoted] = useState(false);
+  // Battle of the Day and timed battles
+  const { daily, battles: timedBattles } = useSchedule();
 
-  // Load initial Pokémon when component mounts
-  useEffect(() => {
-    loadPokemon();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  // Last timed battle that started while this arena was open
+  const [startedScheduleId, setStartedScheduleId] = useState(null);
 
-  // 🆕 NEW: Check for existing votes when battle loads (for new tabs)
-  useEffect(() => {
-    if (!currentBattleId) return;
-    
-    // Check if user already voted for THIS specific battle in another tab
-    const checkExistingVote = () => {
-      try {
-        const existingVote = localStorage.getItem('pokemon_battle_vote');
-        if (existingVote) {
-          const voteData = JSON.parse(existingVote);
-          // Check if vote is for the SAME battle (bulbasaur vs pikachu)
-          if (voteData.battleId.includes('bulbasaur_vs_pikachu') && 
-              currentBattleId.includes('bulbasaur_vs_pikachu') && 
-              !thisTabVoted) {
-            console.log('🚨 Found existing vote for this battle - showing warning');
-            setShowAlreadyVotedWarning(true);
-            dispatch({ type: ACTIONS.SET_USER_VOTED, payload: voteData.choice });
-          }
-        }
-      } catch (error) {
-        console.error('Error checking existing vote:', error);
-      }
-    };
+  // Prediction mode: the user calls the winner before voting (see utils/predictions.js)
+  const predictions = usePrediction();
+  const awaitingPrediction = predictions.awaiting;
 
-    checkExistingVote();
-    
-    // Also listen for storage changes from OTHER tabs
-    const handleStorageChange = (e) => {
-      if (e.key === 'pokemon_battle_vote' && e.newValue && !thisTabVoted) {
-        const voteData = JSON.parse(e.newValue);
-        if (voteData.battleId.includes('bulbasaur_vs_pikachu') && 
-            currentBattleId.includes('bulbasaur_vs_pikachu') && 
-            !userVoted) {
-          console.log('🚨 User voted in another tab - showing warning');
-          setShowAlreadyVotedWarning(true);
-          dispatch({ type: ACTIONS.SET_USER_VOTED, payload: voteData.choice });
-        }
-      }
-    };
+  // Nobody's votes show until the user has voted (after their call, in prediction mode)
+  const tallyVisible = !!userVoted || votingLocked;
 
-    window.addEventListener('storage', handleStorageChange);
-    return () => window.removeEventListener('storage', handleStorageChange);
-  }, [currentBattleId, userVoted, thisTabVoted]);
+  // Ranked-choice ranking or team picks: positions in the order the user picked them
+  const [ballot, setBallot] = useState([]);
 
-  // Start auto-voting when Pokemon are loaded and WebSocket is ready
-  useEffect(() => {
-    if (pokemon1 && pokemon2 && ws && ws.startAutoVoting && !userVoted) {
-      console.log('🚀 Starting auto-vote simulation for new battle');
-      ws.startAutoVoting();
-    }
-  }, [pokemon1, pokemon2, ws, userVoted]);
+  // Ratings, history and the featured archive once voting locks
+  useBattleRecorder({ ballot, daily, timedBattles, onBattleComplete });
+
+  // Winner banner exit animation (the banner itself shows during the results phase)
+  const [bannerExiting, setBannerExiting] = useState(false);
+
+  // 🆕 NEW: State for "Already Voted" warning
+  const [showAlreadyVotedWarning, setShowAlreadyVotedWarning] = useState(false);
+
+  // "Create battle" dialog
+  const [showCreateDialog, setShowCreateDialog] = useState(false);
+
+  // Last requested matchup, so "Try Again" retries the battle that failed
+  const lastRequestRef = useRef([]);
+
+  // Matchup this arena last loaded (undefined before the first load)
+  const loadedMatchupRef = useRef(undefined);
+
+  // Last live battle this arena followed; a deep link to another battle isn't
+  // overridden by the one that was already live when it opened
+  const followedLiveRef = useRef(matchup ? host.live : null);
 
   /**
-   * 🆕 NEW: Store vote in localStorage for cross-tab detection
+   * Restore the user's vote in a battle from the vote ledger
+   * and warn if it was cast in another tab
+   * @param {string} battleId - Battle ID
    */
-  const storeVoteData = (pokemonChoice) => {
-    try {
-      const voteData = {
-        choice: pokemonChoice,
-        battleId: currentBattleId,
-        timestamp: Date.now(),
-        pokemon1: pokemon1?.name || 'unknown',
-        pokemon2: pokemon2?.name || 'unknown',
-        tabId: Date.now() + Math.random() // Unique tab identifier
-      };
-      localStorage.setItem('pokemon_battle_vote', JSON.stringify(voteData));
-      console.log('💾 Stored vote data for cross-tab detection');
-    } catch (error) {
-      console.error('Error storing vote data:', error);
+  const checkVoteLedger = useCallback((battleId) => {
+    const entry = voteLedger.get(battleId);
+    if (!entry) return;
+
+    if (!entry.fromThisTab) {
+      console.log('🚨 Already voted in this battle in another tab - showing warning');
+      setShowAlreadyVotedWarning(true);
     }
-  };
+    dispatch({ type: ACTIONS.SET_USER_VOTED, payload: entry.choice });
+  }, [dispatch]);
 
   /**
    * Load Pokémon data from the API
-   * @param {string|number} p1 - First Pokémon identifier
-   * @param {string|number} p2 - Second Pokémon identifier
+   * The battle ID comes from the names the API resolved, so a battle asked
+   * for by Pokédex number is the same battle as the one asked for by name.
+   * @param {Array<string|number>} pokemon - Pokémon names or IDs, in position order
+   * @param {string} method - Voting method (one of VOTING_METHODS)
+   * @param {boolean} freshRound - Start a finished round over; otherwise a finished round shows its result
    */
-  const loadPokemon = async (p1 = 'bulbasaur', p2 = 'pikachu') => {
-    dispatch({ type: ACTIONS.SET_LOADING, payload: true });
-    dispatch({ type: ACTIONS.SET_ERROR, payload: null });
+  const loadPokemon = useCallback(async (
+    pokemon = DEFAULT_MATCHUP,
+    method = VOTING_METHODS.PLURALITY,
+    freshRound = false
+  ) => {
+    lastRequestRef.current = [pokemon, method, freshRound];
+    dispatch({ type: ACTIONS.START_BATTLE, payload: { battleId: getBattleId(pokemon, method), method } });
     
     try {
-      const pokemonData = await pokemonAPI.fetchBothPokemon(p1, p2);
-      dispatch({ type: ACTIONS.SET_POKEMON, payload: pokemonData });
-      
-      // 🆕 NEW: Generate battle ID that's consistent for Bulbasaur vs Pikachu
-      const battleId = `${p1}_vs_${p2}`;  // Remove timestamp for consistency
-      setCurrentBattleId(battleId);
+      const pokemonData = await pokemonAPI.fetchManyPokemon(pokemon);
+      const battleId = getBattleId(pokemonData.map(data => data.name), method);
+      dispatch({ type: ACTIONS.SET_POKEMON, payload: { contestants: pokemonData, battleId } });
       
-      // Reset battle state
-      dispatch({ type: ACTIONS.UNLOCK_VOTING });
-      dispatch({ type: ACTIONS.SET_VOTES, payload: { pokemon1: 0, pokemon2: 0 } });
-      dispatch({ type: ACTIONS.SET_USER_VOTED, payload: null });
-      
-      // 🆕 NEW: Only clear vote data if it's for a DIFFERENT battle
-      const existingVote = localStorage.getItem('pokemon_battle_vote');
-      if (existingVote) {
-        const voteData = JSON.parse(existingVote);
-        // Only clear if it's a different battle
-        if (!voteData.battleId.includes(`${p1}_vs_${p2}`)) {
-          localStorage.removeItem('pokemon_battle_vote');
-        }
-      }
-      setThisTabVoted(false); // Reset for new battle
-      
-      // Close existing WebSocket for clean restart
-      if (ws && ws.close) {
-        ws.close();
+      // Only a matchup that must be voted on afresh (a tournament match) starts a
+      // finished round over; anyone else joining sees its result and can ask for a rematch
+      if (freshRound && transport) {
+        transport.resetBattle(battleId);
       }
       
       // Hide all banners for new battle
-      setShowWinnerBanner(false);
       setBannerExiting(false);
-      setBannerDismissed(false);
-      setShowCountdown(false);
       setShowAlreadyVotedWarning(false); // 🆕 NEW: Hide vote warning
-      setCountdown(5);
+
+      // Already voted in this battle (in any tab)?
+      checkVoteLedger(battleId);
     } catch (err) {
       dispatch({ type: ACTIONS.SET_ERROR, payload: err.message });
     }
-  };
+  }, [dispatch, transport, checkVoteLedger]);
 
-  /**
-   * Generate a simple user ID for vote tracking
-   * In production, this would come from authentication
-   * @returns {string} Simple user identifier
-   */
-  const generateUserId = () => {
-    return 'user_' + Math.random().toString(36).substr(2, 9);
-  };
+  // Load the Pokémon when the component mounts or the matchup changes
+  const matchupKey = matchup ? getBattleId(matchup.contestants, matchup.method) : null;
+  useEffect(() => {
+    if (loadedMatchupRef.current === matchupKey) return;
+    loadedMatchupRef.current = matchupKey;
+
+    if (matchup) {
+      loadPokemon(matchup.contestants, matchup.method, matchup.freshRound);
+    } else {
+      loadPokemon();
+    }
+  }, [matchup, matchupKey, loadPokemon]);
+
+  // Follow the host: go to the battle they opened (arenas that pick their own battles only)
+  useEffect(() => {
+    if (!host.live || host.live === followedLiveRef.current) return;
+    followedLiveRef.current = host.live;
+    if (!allowNewBattle || !onMatchupChange || host.live === currentBattleId) return;
+
+    const live = parseBattleId(host.live);
+    if (live) {
+      console.log('🎬 Following the host to', host.live);
+      onMatchupChange(live.contestants, live.method);
+    }
+  }, [host.live, allowNewBattle, onMatchupChange, currentBattleId]);
+
+  // Follow the schedule: go to each timed battle as it starts (arenas that pick their own battles only)
+  // (startedScheduleId moves the timer on to the battle after the one that just started)
+  useEffect(() => {
+    if (!allowNewBattle || !onMatchupChange) return;
+    const { next } = getScheduleStatus(timedBattles, Date.now());
+    if (!next || next.start - Date.now() > MAX_TIMEOUT) return;
+
+    const timeoutId = setTimeout(() => {
+      setStartedScheduleId(next.id);
+      if (next.battleId === currentBattleId) return;
+      console.log('⏰ Scheduled battle starting:', next.battleId);
+      onMatchupChange(next.contestants, next.method);
+    }, next.start - Date.now());
+    return () => clearTimeout(timeoutId);
+  }, [allowNewBattle, onMatchupChange, timedBattles, startedScheduleId, currentBattleId]);
+
+  // The host voided the round: the user's vote is gone, so they may vote again
+  useEffect(() => {
+    if (!voidedAt) return;
+    voteLedger.release(currentBattleId);
+    setBallot([]);
+    setShowAlreadyVotedWarning(false);
+  }, [voidedAt, currentBattleId]);
+
+  // A fresh round, or a vote that didn't count, starts with a blank ballot
+  useEffect(() => {
+    if (phase === BATTLE_PHASES.OPEN && !userVoted) setBallot([]);
+  }, [phase, userVoted]);
+
+  // Pick up votes cast for this battle in other tabs while it is open
+  // (votes cast before it opened are checked in loadPokemon)
+  useEffect(() => {
+    if (!currentBattleId) return;
+
+    return voteLedger.subscribe(battleId => {
+      if (battleId === currentBattleId) checkVoteLedger(battleId);
+    });
+  }, [currentBattleId, checkVoteLedger]);
+
+  // A vote was rejected: undo it unless an earlier vote from this voter already counts
+  useEffect(() => {
+    if (!voteError || voteError.battleId !== currentBattleId) return;
+    if (voteError.code === VOTE_ERROR_CODES.DUPLICATE_VOTE) return;
+
+    voteLedger.release(currentBattleId);
+    dispatch({ type: ACTIONS.SET_USER_VOTED, payload: null });
+  }, [voteError, currentBattleId, dispatch]);
+
+  // Join the battle's vote stream when Pokemon are loaded and the transport is ready
+  // (also after voting in another tab, so this tab still sees the round close)
+  useEffect(() => {
+    if (contestants.length > 0 && currentBattleId && transport) {
+      console.log('🚀 Joining vote stream for battle:', currentBattleId);
+      transport.joinBattle(currentBattleId);
+    }
+  }, [contestants, currentBattleId, transport]);
 
   /**
    * Handle user vote submission
-   * @param {string} pokemonChoice - Which Pokémon was voted for ('pokemon1' or 'pokemon2')
+   * @param {string} pokemonChoice - Position of the Pokémon voted for ('pokemon1', 'pokemon2', ...)
+   * @param {Array<string>|null} choices - Full ranking, favourite first (ranked-choice battles),
+   *   or every pick (team battles)
    */
-  const handleVote = (pokemonChoice) => {
-    if (userVoted || !ws) return;
+  const handleVote = (pokemonChoice, choices = null) => {
+    if (userVoted || !transport || !isVotingOpen(phase)) return;
 
-    // 🆕 NEW: Mark that THIS tab voted (prevents false warnings)
-    setThisTabVoted(true);
-    
-    // 🆕 NEW: Store vote data for cross-tab detection
-    storeVoteData(pokemonChoice);
+    // Let other tabs know this battle has been voted in
+    voteLedger.record(currentBattleId, pokemonChoice);
 
     // Mark user as voted immediately for instant feedback
     dispatch({ type: ACTIONS.SET_USER_VOTED, payload: pokemonChoice });
 
-    // Start 5-second countdown banner after 0.6 seconds
-    setTimeout(() => {
-      setShowCountdown(true);
-      setCountdown(5);
-      
-      // Countdown from 5 to 1
-      let currentCount = 5;
-      const countdownInterval = setInterval(() => {
-        currentCount--;
-        setCountdown(currentCount);
-        
-        if (currentCount <= 0) {
-          clearInterval(countdownInterval);
-          setShowCountdown(false);
-          
-          // When countdown finishes, stop votes first
-          if (ws && ws.lockVoting) {
-            ws.lockVoting();
-          }
-          
-          // Wait 0.3 seconds AFTER countdown finishes, then show winner
-          setTimeout(() => {
-            console.log('🏆 Attempting to show winner banner');
-            console.log('userVoted:', userVoted, 'totalVotes:', totalVotes, 'bannerDismissed:', bannerDismissed);
-            
-            // Force show winner banner regardless of conditions for debugging
-            setShowWinnerBanner(true);
-            
-          }, 300); // 0.3 seconds after countdown finishes
-        }
-      }, 1000); // Update every second
-      
-    }, 600); // Start countdown 0.6 seconds after vote
-
-    // Send vote through WebSocket (just adds the vote, no automatic timeout)
-    const voteData = {
-      type: 'vote',
+    // Send vote through the vote transport
+    const vote = {
+      battleId: currentBattleId,
       pokemon: pokemonChoice,
+      ...(choices && (teamBattle ? { picks: choices } : { ranking: choices })),
       timestamp: new Date().toISOString(),
-      userId: generateUserId()
+      userId: voterIdentity.getId()
+    };
+
+    // Show the failure; the voteError effect reverts the vote
+    const revertVote = (error) => {
+      console.error('Failed to send vote:', error);
+      dispatch({
+        type: ACTIONS.SET_VOTE_ERROR,
+        payload: { battleId: vote.battleId, code: error.code || null, message: error.message }
+      });
     };
 
     try {
-      ws.send(JSON.stringify(voteData));
+      // Some transports answer asynchronously (e.g. HTTP POST)
+      Promise.resolve(transport.sendVote(vote)).catch(revertVote);
     } catch (error) {
-      console.error('Failed to send vote:', error);
-      // Revert the vote if WebSocket fails
-      dispatch({ type: ACTIONS.SET_USER_VOTED, payload: null });
-      setShowCountdown(false);
+      revertVote(error);
     }
   };
 
   /**
-   * Handle starting a new battle with random Pokémon
+   * Ranked-choice ballot: add a Pokémon as the next choice, or take it back out
+   * @param {string} position - Pokémon's position
    */
-  const handleNewBattle = () => {
-    const randomIds = pokemonAPI.getRandomPokemonIds();
-    loadPokemon(randomIds[0], randomIds[1]);
+  const handleRank = (position) => {
+    if (userVoted || !isVotingOpen(phase)) return;
+    setBallot(current => (current.includes(position)
+      ? current.filter(choice => choice !== position)
+      : [...current, position]));
   };
 
   /**
-   * Handle retry for error states
+   * Team battle: pick a Pokémon to win its slot (replacing a pick of its
+   * opponent), or take the pick back
+   * @param {string} position - Pokémon's position
    */
-  const handleRetry = () => {
-    loadPokemon();
+  const handlePick = (position) => {
+    if (userVoted || !isVotingOpen(phase)) return;
+    const slot = getSlots(contestants.length).find(members => members.includes(position));
+    setBallot(current => (current.includes(position)
+      ? current.filter(choice => choice !== position)
+      : [...current.filter(choice => !slot.includes(choice)), position]));
   };
 
   /**
-   * Determine the winner and their information
-   * @returns {Object} Winner information
+   * Team battle: vote for every Pokémon on one team
+   * @param {Object} lineup - The team ({ id, name, positions })
    */
-  const getWinnerInfo = () => {
-    if (totalVotes === 0) return null;
-    
-    const pokemon1Votes = votes.pokemon1;
-    const pokemon2Votes = votes.pokemon2;
-    
-    if (pokemon1Votes === pokemon2Votes) {
-      return { winner: 'tie', name: 'Tie' };
-    }
-    
-    const winner = pokemon1Votes > pokemon2Votes ? 'pokemon1' : 'pokemon2';
-    const winnerPokemon = winner === 'pokemon1' ? pokemon1 : pokemon2;
-    return {
-      winner,
-      name: winnerPokemon?.name || 'Unknown',
-      pokemon: winnerPokemon
+  const handleBackTeam = (lineup) => {
+    if (userVoted || !isVotingOpen(phase)) return;
+    setBallot(lineup.positions);
+    handleVote(lineup.positions[0], lineup.positions);
+  };
+
+  /**
+   * Cast the ranked-choice ranking or team picks
+   */
+  const handleSubmitBallot = () => {
+    if (ballot.length > 0) handleVote(ballot[0], ballot);
+  };
+
+  /**
+   * Start the finished round over for everyone watching this battle
+   */
+  const handleRematch = () => {
+    if (transport) transport.resetBattle(currentBattleId);
+  };
+
+  // The host key typed into the host console; only hosts get the CLOSE VOTING button
+  const hostKey = sessionStorage.getItem(HOST_CONFIG.KEY_STORAGE_KEY);
+
+  /**
+   * Host action: close the round now (only offered when the rules allow it)
+   * Sent as a host command, so it needs the host key like the console's commands
+   */
+  const handleCloseRound = () => {
+    if (!transport) return;
+    dispatch({ type: ACTIONS.SET_HOST_ERROR, payload: null });
+
+    const showError = (error) => {
+      console.error('Closing the round failed:', error);
+      dispatch({ type: ACTIONS.SET_HOST_ERROR, payload: { code: error.code || null, message: error.message } });
     };
+
+    try {
+      // Some transports answer asynchronously (e.g. HTTP POST)
+      Promise.resolve(transport.sendHostCommand({
+        command: HOST_COMMANDS.CLOSE, battleId: currentBattleId, key: hostKey
+      })).catch(showError);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  /**
+   * Handle starting a new battle with random Pokémon
+   * (as many as the current battle has, with the same voting method)
+   */
+  const handleNewBattle = async () => {
+    const method = votingMethod;
+    try {
+      const randomIds = await pokemonAPI.getRandomPokemonIds(Math.max(contestants.length, BATTLE_CONFIG.MIN_CONTESTANTS));
+      if (onMatchupChange) {
+        // Fetch first so the URL can use the Pokémon's names instead of IDs
+        dispatch({ type: ACTIONS.START_BATTLE, payload: { method } });
+        const names = (await pokemonAPI.fetchManyPokemon(randomIds)).map(pokemon => pokemon.name);
+        if (getBattleId(names, method) === currentBattleId) {
+          // Same matchup drawn again: the URL won't change, so reload it here
+          loadPokemon(names, method);
+        } else {
+          onMatchupChange(names, method);
+        }
+      } else {
+        loadPokemon(randomIds, method);
+      }
+    } catch (error) {
+      dispatch({ type: ACTIONS.SET_ERROR, payload: error.message });
+    }
   };
 
   /**
-   * Close the winner banner and prevent it from reappearing
+   * Start a battle picked in the "Create battle" dialog
+   */
+  const handleCreateBattle = (pokemonNames, method) => {
+    setShowCreateDialog(false);
+    if (onMatchupChange) {
+      onMatchupChange(pokemonNames, method);
+    } else {
+      loadPokemon(pokemonNames, method);
+    }
+  };
+
+  /**
+   * Handle retry for error states
+   */
+  const handleRetry = () => {
+    loadPokemon(...lastRequestRef.current);
+  };
+
+  /**
+   * Close the winner banner
    */
   const closeBanner = () => {
     setBannerExiting(true);
-    setBannerDismissed(true);
     setTimeout(() => {
-      setShowWinnerBanner(false);
+      dispatch({ type: ACTIONS.DISMISS_RESULTS });
       setBannerExiting(false);
     }, 500);
   };
 
+  /**
+   * Dismiss the rejected vote message
+   */
+  const closeVoteError = () => {
+    dispatch({ type: ACTIONS.SET_VOTE_ERROR, payload: null });
+  };
+
   /**
    * 🆕 NEW: Close the "Already Voted" warning
    */
@@ -296,18 +435,22 @@ function BattleArena() {
     setShowAlreadyVotedWarning(false);
   };
 
-  // Show loading spinner while fetching Pokémon
-  if (loading) {
-    return <LoadingSpinner message="Loading epic Pokémon battle..." />;
-  }
-
   // Show error message if something went wrong
   if (error) {
     return <ErrorMessage error={error} onRetry={handleRetry} />;
   }
 
-  // Get winner information for results display
-  const winnerInfo = getWinnerInfo();
+  // Show loading spinner while fetching Pokémon
+  if (phase === BATTLE_PHASES.LOADING) {
+    return <LoadingSpinner message="Loading epic Pokémon battle..." />;
+  }
+
+  const showCountdown = phase === BATTLE_PHASES.CLOSING && secondsLeft > 0;
+
+  // How the user's call scored, under the winner
+  const predictionNote = predictions.score && (
+    <p className="text-black font-bold retro-text mt-1">🔮 {describeScore(predictions.score)}</p>
+  );
 
   return (
     <div 
@@ -319,45 +462,25 @@ function BattleArena() {
       {/* Background overlay for better text readability */}
       <div className="absolute inset-0 bg-white/20 backdrop-blur-sm"></div>
       
-      {/* Winner Banner */}
-      {showWinnerBanner && winnerInfo?.winner && (
-        <div className="winner-banner-container">
-          <div className={`winner-banner-content p-4 ${bannerExiting ? 'winner-banner-exit' : 'winner-banner'}`}>
-            <div className="text-center">
-              {winnerInfo.winner === 'tie' ? (
-                // Special text for ties
-                <>
-                  <h2 className="text-2xl md:text-3xl font-bold text-black retro-text">
-                    🤝 IT'S A TIE! 🤝
-                  </h2>
-                  <p className="text-lg text-black/80 retro-text mt-1">
-                    Both Pokémon are equally amazing with {votes.pokemon1} votes each!
-                  </p>
-                </>
-              ) : (
-                // Original winner text
-                <>
-                  <h2 className="text-2xl md:text-3xl font-bold text-black retro-text">
-                    🏆 {winnerInfo.name?.charAt(0).toUpperCase() + winnerInfo.name?.slice(1)} WINS! 🏆
-                  </h2>
-                  <p className="text-lg text-black/80 retro-text mt-1">
-                    With {winnerInfo.winner === 'pokemon1' ? votes.pokemon1 : votes.pokemon2} votes!
-                  </p>
-                </>
-              )}
-            </div>
-            
-            {/* Close Button */}
-            <button
-              onClick={closeBanner}
-              className="banner-close-btn"
-              aria-label="Close winner banner"
-            >
-              <X className="w-6 h-6 text-black" />
-            </button>
-          </div>
-        </div>
+      {/* Winner banner (or why there is no winner to show) */}
+      {phase === BATTLE_PHASES.RESULTS && resultUnavailable && (
+        <WinnerBanner result={null} contestants={contestants} exiting={bannerExiting} onClose={closeBanner} />
       )}
+      {phase === BATTLE_PHASES.RESULTS && getWinner(result) && (teamBattle ? (
+        <TeamResultBanner
+          result={result}
+          lineups={lineups}
+          contestants={contestants}
+          exiting={bannerExiting}
+          onClose={closeBanner}
+        >
+          {predictionNote}
+        </TeamResultBanner>
+      ) : (
+        <WinnerBanner result={result} contestants={contestants} exiting={bannerExiting} onClose={closeBanner}>
+          {predictionNote}
+        </WinnerBanner>
+      ))}
       
       {/* Content */}
       <div className="relative z-10">
@@ -393,101 +516,204 @@ function BattleArena() {
           </p>
         
           {/* Connection Status & Stats - SINGLE STACKED BAR */}
-          <div className="flex justify-center mb-4">
-            <div className="bg-black/40 backdrop-blur-sm rounded-lg px-6 py-3 max-w-sm">
-              <div className="text-center space-y-1">
-                <div className="flex items-center justify-center">
-                  <ConnectionStatus status={connectionStatus} className="text-white" />
-                </div>
-                <div className="flex items-center justify-center gap-2 text-white font-semibold">
-                  <Users className="w-5 h-5" />
-                  <span className="font-medium">{totalVotes.toLocaleString()} total votes</span>
-                </div>
-              </div>
-            </div>
-          </div>
+          <BattleStatusBar
+            connectionStatus={connectionStatus}
+            reconnectAttempt={reconnectAttempt}
+            queuedVotes={queuedVotes}
+            totalVotes={totalVotes}
+            round={round}
+            secondsLeft={secondsLeft}
+            votingLocked={votingLocked}
+            predictionMode={predictions.predictionMode}
+            onTogglePredictionMode={predictions.toggleMode}
+          />
+
+          {/* New Battle Buttons - hidden when the parent picks the battles (e.g. tournaments) */}
+          {allowNewBattle && (
+            <BattleControls
+              contestants={contestants}
+              votingMethod={votingMethod}
+              canRematch={votingLocked}
+              canCloseRound={!!round?.rules.manualClose && !!hostKey && isRoundRunning(phase)}
+              onNewBattle={handleNewBattle}
+              onCreateBattle={() => setShowCreateDialog(true)}
+              onRematch={handleRematch}
+              onCloseRound={handleCloseRound}
+            />
+          )}
 
-          {/* New Battle Button */}
-          <button
-            onClick={handleNewBattle}
-            disabled={loading}
-            className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-6 rounded-full transition-colors duration-200 flex items-center gap-2 mx-auto disabled:opacity-50 disabled:cursor-not-allowed shadow-lg retro-text"
-          >
-            <RotateCcw className="w-4 h-4" />
-            NEW RANDOM BATTLE
-          </button>
+          {allowNewBattle && <ScheduleBar daily={daily} battles={timedBattles} battleId={currentBattleId} />}
         </header>
 
         <div className="container mx-auto px-4 pb-8">
+          {/* Rejected vote */}
+          {voteError && voteError.battleId === currentBattleId && (
+            <VoteErrorNotice voteError={voteError} onClose={closeVoteError} />
+          )}
+
+          {/* Rejected CLOSE VOTING (e.g. a wrong host key) */}
+          {hostError && allowNewBattle && (
+            <div
+              role="alert"
+              className="relative max-w-md mx-auto mb-6 bg-black/80 backdrop-blur-md rounded-xl px-6 py-3 pr-10 border-2 border-red-500/50 shadow-2xl text-center"
+            >
+              <div className="text-red-300 font-bold retro-text">COMMAND REJECTED</div>
+              <p className="text-white/80 text-sm retro-text mt-1">{hostError.message}</p>
+              <button
+                onClick={() => dispatch({ type: ACTIONS.SET_HOST_ERROR, payload: null })}
+                className="absolute top-2 right-2 text-white/70 hover:text-white"
+                aria-label="Dismiss host error"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          )}
+
+          {/* The host threw out the round's votes */}
+          {voidedAt && !userVoted && isVotingOpen(phase) && (
+            <div
+              role="status"
+              className="max-w-md mx-auto mb-6 bg-black/80 backdrop-blur-md rounded-xl px-6 py-3 border-2 border-yellow-400/60 shadow-2xl text-center"
+            >
+              <div className="text-yellow-300 font-bold retro-text">ROUND VOIDED</div>
+              <p className="text-white/80 text-sm retro-text mt-1">
+                The host threw out this round&apos;s votes and started it over. Vote again!
+              </p>
+            </div>
+          )}
+
+          {/* Prediction mode: call the winner first */}
+          {predictions.predictionMode && (awaitingPrediction || predictions.prediction?.pick || predictions.score) && (
+            <PredictionPanel
+              sides={predictions.sides}
+              prediction={predictions.prediction}
+              favorites={predictions.favorites}
+              score={predictions.score}
+              board={predictions.board}
+              onPredict={predictions.predict}
+            />
+          )}
+
+          {/* Ranked-choice ballot or team picks */}
+          {(ranked || teamBattle) && !userVoted && isVotingOpen(phase) && (
+            <BallotPanel ranked={ranked} ballot={ballot} onSubmit={handleSubmitBallot} onClear={() => setBallot([])} />
+          )}
+
+          {/* Team battle: the two lineups side by side, slot 1 facing slot 1 */}
+          {teamBattle && (
+            <div className="flex flex-col md:flex-row justify-center items-stretch gap-6 max-w-5xl mx-auto">
+              {lineups.map((lineup, index) => (
+                <React.Fragment key={lineup.id}>
+                  {index === 1 && (
+                    <div className="self-center text-white font-bold text-3xl retro-text drop-shadow-lg">VS</div>
+                  )}
+                  <TeamCard
+                    lineup={lineup}
+                    contestants={contestants}
+                    votes={votes}
+                    picks={ballot.length > 0 ? ballot : [userVoted].filter(Boolean)}
+                    onPick={handlePick}
+                    onBackTeam={handleBackTeam}
+                    canVote={!userVoted && isVotingOpen(phase)}
+                    showVotes={tallyVisible}
+                    result={votingLocked ? result : null}
+                  />
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+
           {/* Battle Arena - SMALLER CARDS */}
-          <div className="flex justify-center items-start gap-8 max-w-4xl mx-auto">
-            {pokemon1 && (
-              <PokemonCard
-                pokemon={pokemon1}
-                position="pokemon1"
-                onVote={handleVote}
-                userVoted={userVoted}
-                votes={votes.pokemon1}
-                totalVotes={totalVotes}
-                votingLocked={state.votingLocked}
-              />
-            )}
-            
-            {pokemon2 && (
-              <PokemonCard
-                pokemon={pokemon2}
-                position="pokemon2"
-                onVote={handleVote}
-                userVoted={userVoted}
-                votes={votes.pokemon2}
-                totalVotes={totalVotes}
-                votingLocked={state.votingLocked}
-              />
-            )}
-          </div>
+          {/* Two Pokémon face off with the stat comparison between them; royales fill a grid */}
+          {!teamBattle && (
+            <div
+              className={twoWay
+                ? 'flex justify-center items-start gap-6 max-w-5xl mx-auto'
+                : 'grid grid-cols-[repeat(auto-fit,300px)] justify-center items-start gap-6 max-w-7xl mx-auto'}
+            >
+              {contestants.map((pokemon, index) => {
+                const position = positions[index];
+                return (
+                  <React.Fragment key={position}>
+                    {/* Stat comparison between the cards */}
+                    {twoWay && index === 1 && <StatComparison pokemon1={pokemon1} pokemon2={pokemon2} />}
+                    <PokemonCard
+                      pokemon={pokemon}
+                      position={position}
+                      onVote={ranked ? handleRank : handleVote}
+                      userVoted={userVoted}
+                      votes={votes[position] || 0}
+                      totalVotes={totalVotes}
+                      votingLocked={votingLocked || awaitingPrediction}
+                      isWinner={votingLocked && getWinner(result) === position}
+                      rank={ranked ? ballot.indexOf(position) + 1 : 0}
+                      votingMethod={votingMethod}
+                      fighter={fight.hp && fight.hp[position]}
+                    />
+                  </React.Fragment>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Standings and (ranked choice) round-by-round count */}
+          {!teamBattle && (!twoWay || ranked) && (
+            <VoteStandings
+              contestants={contestants}
+              votes={votes}
+              totalVotes={totalVotes}
+              result={votingLocked ? result : null}
+              showVotes={tallyVisible}
+            />
+          )}
+
+          {/* How the round went (the numbers only show once the user has voted) */}
+          {tallyVisible && (
+            <MomentumChart
+              timeline={toTimeline(snapshots)}
+              sides={predictions.sides}
+              winner={votingLocked ? getWinner(result) : null}
+              final={votingLocked}
+            />
+          )}
+
+          {twoWay && (
+            <FightPanel
+              fight={fight}
+              pokemon1={pokemon1}
+              pokemon2={pokemon2}
+              userVoted={userVoted}
+              votes={votes}
+              totalVotes={totalVotes}
+              votingLocked={votingLocked}
+            />
+          )}
+
+          {children}
         </div>
       </div>
       
+      {showCreateDialog && (
+        <CreateBattleDialog
+          onCreate={handleCreateBattle}
+          onClose={() => setShowCreateDialog(false)}
+        />
+      )}
+
       {/* Countdown Banner */}
       {showCountdown && (
         <div className="fixed inset-0 flex items-center justify-center z-40 pointer-events-none">
           <div className="bg-black/70 backdrop-blur-md rounded-xl px-8 py-4 border-2 border-white/30 shadow-2xl">
             <div className="flex items-center gap-3 text-white font-bold text-2xl retro-text">
               <span>Votes close in</span>
-              <span className="text-red-400 text-3xl animate-pulse">{countdown}</span>
+              <span className="text-red-400 text-3xl animate-pulse">{secondsLeft}</span>
             </div>
           </div>
         </div>
       )}
 
       {/* 🆕 NEW: Already Voted Warning Banner */}
-      {showAlreadyVotedWarning && (
-        <div className="fixed inset-0 flex items-center justify-center z-50 pointer-events-auto">
-          {/* Blurred background overlay */}
-          <div className="absolute inset-0 bg-black/50 backdrop-blur-sm"></div>
-          
-          {/* Warning banner */}
-          <div className="relative bg-black/80 backdrop-blur-md rounded-xl px-8 py-6 border-2 border-red-500/50 shadow-2xl max-w-md mx-4">
-            <div className="text-center">
-              <div className="text-red-400 font-bold text-3xl retro-text mb-2 animate-pulse">
-                ⚠️ WARNING ⚠️
-              </div>
-              <div className="text-red-300 font-bold text-xl retro-text mb-4">
-                You have already voted!
-              </div>
-              <p className="text-white/80 text-sm retro-text mb-6">
-                We detected that you voted for this battle in another tab. Each user can only vote once per battle.
-              </p>
-              <button
-                onClick={closeVoteWarning}
-                className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-6 rounded-lg transition-colors duration-200 retro-text"
-              >
-                OK, GOT IT
-              </button>
-            </div>
-          </div>
-        </div>
-      )}
+      {showAlreadyVotedWarning && <AlreadyVotedWarning onClose={closeVoteWarning} />}
     </div>
   );
 }
@@ -0,0 +1,85 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from '../App';
+
+const mockJoinBattle = jest.fn();
+const mockSendHostCommand = jest.fn();
+
+// A vote backend that already counted this voter's vote, with rounds a host may close by hand
+// (ranked-choice rounds are over at once, without the count)
+jest.mock('../services/transports', () => ({
+  createVoteTransport: (config, events) => {
+    const { VOTE_ERROR_CODES } = require('../utils/constants');
+    const { createRound, resolveRoundRules } = require('../utils/roundRules');
+    events.onStatusChange('connected');
+    return {
+      joinBattle: (battleId) => {
+        mockJoinBattle(battleId);
+        events.onRound(createRound(resolveRoundRules({ manualClose: true }), null));
+        events.onTally({ pokemon1: 0, pokemon2: 0 });
+        if (battleId.endsWith('~ranked')) events.onLocked({ pokemon1: 0, pokemon2: 0 }, null, `${battleId}@1`);
+      },
+      sendVote: (vote) => events.onError('You have already voted in this battle', {
+        code: VOTE_ERROR_CODES.DUPLICATE_VOTE,
+        battleId: vote.battleId
+      }),
+      resetBattle: () => {},
+      sendHostCommand: mockSendHostCommand,
+      close: () => {}
+    };
+  }
+}));
+
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+  window.history.pushState({}, '', '/');
+  // PokeAPI can't be reached: the battle loads from the offline Pokédex
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+it('tells the user when the backend turns down a second vote', async () => {
+  render(<App />);
+
+  const [vote] = await screen.findAllByRole('button', { name: /VOTE/ });
+  fireEvent.click(vote);
+
+  expect(await screen.findByText('ALREADY VOTED')).toBeTruthy();
+  expect(screen.getByText(/Your first vote is the one that counts/)).toBeTruthy();
+});
+
+it('names a battle asked for by Pokédex number after its Pokémon', async () => {
+  window.history.pushState({}, '', '/battle/25/133');
+  render(<App />);
+
+  await waitFor(() => expect(mockJoinBattle).toHaveBeenLastCalledWith('pikachu_vs_eevee'));
+});
+
+it('offers CLOSE VOTING only to hosts, as a host command with their key', async () => {
+  const { unmount } = render(<App />);
+  await screen.findAllByRole('button', { name: /VOTE/ });
+  expect(screen.queryByRole('button', { name: 'CLOSE VOTING' })).toBeNull();
+  unmount();
+
+  // The key typed into the host console
+  sessionStorage.setItem('pokemon_host_key', 'secret');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'CLOSE VOTING' }));
+
+  expect(mockSendHostCommand).toHaveBeenCalledWith(expect.objectContaining({ command: 'close', key: 'secret' }));
+});
+
+it('keeps the battle up when a ranked-choice round locks without its count', async () => {
+  window.history.pushState({}, '', '/battle/pikachu_vs_eevee~ranked');
+  render(<App />);
+
+  expect(await screen.findByText('RESULT UNAVAILABLE')).toBeTruthy();
+  expect(screen.getByRole('button', { name: /REMATCH/ })).toBeTruthy();
+});
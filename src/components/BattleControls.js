@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { RotateCcw, Search, Link, Hand, Swords } from 'lucide-react';
+import { getBattleUrl } from '../utils/battleRoutes';
+
+/**
+ * Battle Controls Component
+ * The arena's buttons: new random battle, create battle, rematch, close
+ * voting (when the round's rules allow it) and copy link
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.contestants - The battle's Pokémon, in position order
+ * @param {string} props.votingMethod - How the winner is decided (one of VOTING_METHODS)
+ * @param {boolean} props.canRematch - The round is over and can be started over
+ * @param {boolean} props.canCloseRound - The running round can be closed by hand
+ * @param {Function} props.onNewBattle - Start a battle with random Pokémon
+ * @param {Function} props.onCreateBattle - Open the "Create battle" dialog
+ * @param {Function} props.onRematch - Start the finished round over
+ * @param {Function} props.onCloseRound - Close the running round now
+ */
+function BattleControls({
+  contestants, votingMethod, canRematch, canCloseRound, onNewBattle, onCreateBattle, onRematch, onCloseRound
+}) {
+  // "Copy link" feedback
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  /**
+   * Copy a link that opens this matchup
+   */
+  const handleCopyLink = async () => {
+    const url = getBattleUrl(contestants.map(pokemon => pokemon.name), votingMethod);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      // Clipboard access can be blocked (e.g. plain http); let the user copy it by hand
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap justify-center gap-3">
+      <button
+        onClick={onNewBattle}
+        className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-6 rounded-full transition-colors duration-200 flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg retro-text"
+      >
+        <RotateCcw className="w-4 h-4" />
+        NEW RANDOM BATTLE
+      </button>
+      <button
+        onClick={onCreateBattle}
+        className="bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-2 px-6 rounded-full transition-colors duration-200 flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg retro-text"
+      >
+        <Search className="w-4 h-4" />
+        CREATE BATTLE
+      </button>
+      {canRematch && (
+        <button
+          onClick={onRematch}
+          className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-6 rounded-full transition-colors duration-200 flex items-center gap-2 shadow-lg retro-text"
+        >
+          <Swords className="w-4 h-4" />
+          REMATCH
+        </button>
+      )}
+      {canCloseRound && (
+        <button
+          onClick={onCloseRound}
+          className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-6 rounded-full transition-colors duration-200 flex items-center gap-2 shadow-lg retro-text"
+        >
+          <Hand className="w-4 h-4" />
+          CLOSE VOTING
+        </button>
+      )}
+      <button
+        onClick={handleCopyLink}
+        disabled={contestants.length === 0}
+        className="bg-black/50 hover:bg-black/70 text-white font-bold py-2 px-6 rounded-full transition-colors duration-200 flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg retro-text"
+      >
+        <Link className="w-4 h-4" />
+        {linkCopied ? 'LINK COPIED!' : 'COPY LINK'}
+      </button>
+    </div>
+  );
+}
+
+export default BattleControls;
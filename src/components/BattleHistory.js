@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, Swords, Trash2, TrendingUp } from 'lucide-react';
+import { historyStore } from '../services/historyStore';
+import { HISTORY_CONFIG, VOTING_METHODS } from '../utils/constants';
+import { getPositions } from '../utils/voting';
+import { getSides } from '../utils/momentum';
+import MomentumChart from './MomentumChart';
+
+const OUTCOME_OPTIONS = [
+  { value: 'all', label: 'All outcomes' },
+  { value: 'decided', label: 'Decided' },
+  { value: 'tie', label: 'Ties' },
+  { value: 'picked-winner', label: 'My pick won' },
+  { value: 'picked-loser', label: 'My pick lost' }
+];
+
+/**
+ * Battle History Component
+ * Browsable log of finished battles with filters, their vote timelines and a rematch action
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onRematch - Called with (pokemonNames, votingMethod)
+ */
+function BattleHistory({ onRematch }) {
+  const [filters, setFilters] = useState({ pokemon: '', from: '', to: '', outcome: 'all' });
+  const [limit, setLimit] = useState(HISTORY_CONFIG.PAGE_SIZE);
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [totalCount, setTotalCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openTimeline, setOpenTimeline] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [result, count] = await Promise.all([
+        historyStore.getBattles({ ...filters, limit }),
+        historyStore.countBattles()
+      ]);
+      setEntries(result.entries);
+      setHasMore(result.hasMore);
+      setTotalCount(count);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, limit]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateFilter = (name, value) => {
+    setFilters(current => ({ ...current, [name]: value }));
+    setLimit(HISTORY_CONFIG.PAGE_SIZE);
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete the whole battle history?')) return;
+    await historyStore.clearHistory();
+    loadEntries();
+  };
+
+  /**
+   * Describe who won a battle
+   */
+  const describeWinner = (entry) => {
+    if (entry.winner === 'tie') return 'Tie';
+    if (entry.lineups) {
+      const team = entry.lineups.find(lineup => lineup.id === entry.winner);
+      const [first, second] = entry.lineups.map(lineup => entry.scores[lineup.id]);
+      return `${team.name} wins ${Math.max(first, second)}–${Math.min(first, second)}`;
+    }
+    const winner = entry.contestants[getPositions(entry.contestants.length).indexOf(entry.winner)];
+    return `${winner.name} wins`;
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto bg-black/60 backdrop-blur-sm rounded-xl p-6 text-white retro-text shadow-2xl">
+      <h2 className="text-2xl font-bold mb-1 flex items-center justify-center gap-2">
+        <History className="w-6 h-6 text-yellow-400" />
+        BATTLE HISTORY
+      </h2>
+      <p className="text-xs text-white/70 mb-6">{totalCount.toLocaleString()} battles recorded</p>
+
+      {/* Filters */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-6 text-sm text-left">
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-white/70">Pokémon</span>
+          <input
+            type="search"
+            value={filters.pokemon}
+            onChange={(e) => updateFilter('pokemon', e.target.value)}
+            placeholder="pikachu"
+            className="rounded px-2 py-1 text-black"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-white/70">From</span>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="rounded px-2 py-1 text-black"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-white/70">To</span>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="rounded px-2 py-1 text-black"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-white/70">Outcome</span>
+          <select
+            value={filters.outcome}
+            onChange={(e) => updateFilter('outcome', e.target.value)}
+            className="rounded px-2 py-1 text-black"
+          >
+            {OUTCOME_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="text-red-300 text-sm mb-4" role="alert">{error}</p>}
+
+      {!loading && entries.length === 0 && !error && (
+        <p className="text-white/80 py-8">No battles match these filters.</p>
+      )}
+
+      <ul className="space-y-2">
+        {entries.map(entry => (
+          <li key={entry.id} className="bg-white/10 rounded p-3 flex flex-wrap items-center gap-3 text-sm">
+            <div className="flex flex-wrap items-center gap-2 flex-1 min-w-0">
+              {entry.method === VOTING_METHODS.RANKED && (
+                <span className="px-1 bg-purple-500 text-white text-xs font-bold" title="Ranked-choice battle">RANKED</span>
+              )}
+              {entry.method === VOTING_METHODS.TEAM && (
+                <span className="px-1 bg-blue-500 text-white text-xs font-bold" title="Team battle">TEAMS</span>
+              )}
+              {entry.lineups ? entry.lineups.map((lineup, teamIndex) => (
+                <React.Fragment key={lineup.id}>
+                  {teamIndex > 0 && <span className="text-white/60 text-xs">VS</span>}
+                  <span className={`flex items-center gap-1 ${entry.winner === lineup.id ? 'text-yellow-300' : ''}`}>
+                    {lineup.positions.map(position => {
+                      const pokemon = entry.contestants[getPositions(entry.contestants.length).indexOf(position)];
+                      return (
+                        <img key={position} src={pokemon.sprite} alt={pokemon.name} title={pokemon.name} className="w-8 h-8 object-contain pixel-image" />
+                      );
+                    })}
+                    <span className="uppercase truncate">{lineup.name}</span>
+                    <span className="text-white/70">({entry.scores[lineup.id]})</span>
+                    {entry.userVoted === lineup.id && (
+                      <span className="text-green-400 text-xs" title="Your team">★</span>
+                    )}
+                  </span>
+                </React.Fragment>
+              )) : getPositions(entry.contestants.length).map((position, index) => (
+                <React.Fragment key={position}>
+                  {index > 0 && <span className="text-white/60 text-xs">VS</span>}
+                  <span
+                    className={`flex items-center gap-1 ${entry.winner === position ? 'text-yellow-300' : ''}`}
+                  >
+                    <img src={entry.contestants[index].sprite} alt="" className="w-8 h-8 object-contain pixel-image" />
+                    <span className="uppercase truncate">{entry.contestants[index].name}</span>
+                    <span className="text-white/70">({entry.votes[position]})</span>
+                    {entry.userVoted === position && (
+                      <span className="text-green-400 text-xs" title="Your pick">★</span>
+                    )}
+                  </span>
+                </React.Fragment>
+              ))}
+            </div>
+
+            <div className="text-xs text-white/70 text-right">
+              <div className="font-bold text-white">{describeWinner(entry)}</div>
+              <time dateTime={entry.endedAt}>{new Date(entry.endedAt).toLocaleString()}</time>
+            </div>
+
+            {entry.timeline && (
+              <button
+                onClick={() => setOpenTimeline(current => (current === entry.id ? null : entry.id))}
+                aria-expanded={openTimeline === entry.id}
+                className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 border-2 border-blue-700 retro-button text-xs flex items-center gap-1"
+              >
+                <TrendingUp className="w-3 h-3" />
+                TIMELINE
+              </button>
+            )}
+
+            <button
+              onClick={() => onRematch(entry.contestants.map(pokemon => pokemon.name), entry.method)}
+              className="bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-1 px-3 border-2 border-yellow-600 retro-button text-xs flex items-center gap-1"
+            >
+              <Swords className="w-3 h-3" />
+              REMATCH
+            </button>
+
+            {openTimeline === entry.id && (
+              <div className="w-full">
+                <MomentumChart
+                  timeline={entry.timeline}
+                  sides={getSides(entry.contestants, entry.lineups)}
+                  winner={entry.winner}
+                  final
+                  id={`momentum-${entry.id}`}
+                />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {hasMore && (
+        <button
+          onClick={() => setLimit(current => current + HISTORY_CONFIG.PAGE_SIZE)}
+          disabled={loading}
+          className="mt-4 bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-6 rounded-full disabled:opacity-50"
+        >
+          {loading ? 'LOADING...' : 'LOAD MORE'}
+        </button>
+      )}
+
+      {totalCount > 0 && (
+        <button
+          onClick={handleClear}
+          className="mt-6 text-xs text-white/60 hover:text-white underline flex items-center gap-1 mx-auto"
+        >
+          <Trash2 className="w-3 h-3" />
+          Clear history
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default BattleHistory;
@@ -0,0 +1,35 @@
+import React, { useCallback } from 'react';
+import { Navigate, useNavigate, useParams } from 'react-router-dom';
+import { getBattlePath, parseBattleId } from '../utils/battleRoutes';
+import { VOTING_METHODS } from '../utils/constants';
+import BattleArena from './BattleArena';
+
+/**
+ * Battle Route Component
+ * Turns /battle, /battle/:pokemon1/:pokemon2 and /battle/:battleId into a
+ * BattleArena matchup (royales and ranked-choice battles only have the
+ * battle ID form). New battles are pushed onto the browser history so
+ * back/forward step between them. The Pokémon may be given by name or
+ * Pokédex number: /battle/25/6 is the same battle as /battle/pikachu/charizard.
+ */
+function BattleRoute() {
+  const { pokemon1, pokemon2, battleId } = useParams();
+  const navigate = useNavigate();
+
+  const handleMatchupChange = useCallback((pokemonNames, method) => {
+    navigate(getBattlePath(pokemonNames, method));
+  }, [navigate]);
+
+  let matchup = null;
+  if (battleId) {
+    const parsed = parseBattleId(battleId.toLowerCase());
+    if (!parsed) return <Navigate to="/battle" replace />;
+    matchup = parsed;
+  } else if (pokemon1 && pokemon2) {
+    matchup = { contestants: [pokemon1, pokemon2], method: VOTING_METHODS.PLURALITY };
+  }
+
+  return <BattleArena matchup={matchup} onMatchupChange={handleMatchupChange} />;
+}
+
+export default BattleRoute;
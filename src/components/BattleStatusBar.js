@@ -0,0 +1,67 @@
+import React from 'react';
+import { Users, Timer, Sparkles } from 'lucide-react';
+import { describeRoundRules } from '../utils/roundRules';
+import ConnectionStatus from './ConnectionStatus';
+
+/**
+ * Battle Status Bar Component
+ * The arena's stacked status bar: connection, vote count, the running
+ * round's rules and time left, and the prediction mode switch
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.connectionStatus - Vote transport status
+ * @param {number} props.reconnectAttempt - Reconnection attempt, while reconnecting
+ * @param {number} props.queuedVotes - Votes waiting to be sent
+ * @param {number} props.totalVotes - Votes in the round
+ * @param {Object|null} props.round - Running round ({ rules, closesAt })
+ * @param {number|null} props.secondsLeft - Seconds until the round's time limit
+ * @param {boolean} props.votingLocked - The round is over
+ * @param {boolean} props.predictionMode - Prediction mode is on
+ * @param {Function} props.onTogglePredictionMode - Turn prediction mode on or off
+ */
+function BattleStatusBar({
+  connectionStatus, reconnectAttempt, queuedVotes, totalVotes, round, secondsLeft, votingLocked,
+  predictionMode, onTogglePredictionMode
+}) {
+  return (
+    <div className="flex justify-center mb-4">
+      <div className="bg-black/40 backdrop-blur-sm rounded-lg px-6 py-3 max-w-sm">
+        <div className="text-center space-y-1">
+          <div className="flex items-center justify-center">
+            <ConnectionStatus
+              status={connectionStatus}
+              attempt={reconnectAttempt}
+              queuedVotes={queuedVotes}
+              className="text-white"
+            />
+          </div>
+          <div className="flex items-center justify-center gap-2 text-white font-semibold">
+            <Users className="w-5 h-5" />
+            <span className="font-medium">{totalVotes.toLocaleString()} total votes</span>
+          </div>
+          {round && (
+            <div className="flex items-center justify-center gap-2 text-white/80 text-xs">
+              <Timer className="w-4 h-4" />
+              <span>
+                {votingLocked
+                  ? 'Round closed'
+                  : `Round: ${describeRoundRules(round.rules)}`}
+                {secondsLeft !== null && ` · ${secondsLeft}s left`}
+              </span>
+            </div>
+          )}
+          <button
+            onClick={onTogglePredictionMode}
+            aria-pressed={predictionMode}
+            className="flex items-center justify-center gap-2 mx-auto text-xs text-white/80 hover:text-white"
+          >
+            <Sparkles className="w-4 h-4" />
+            PREDICTION MODE: {predictionMode ? 'ON' : 'OFF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BattleStatusBar;
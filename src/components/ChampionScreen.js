@@ -0,0 +1,41 @@
+import React from 'react';
+import { Crown, RotateCcw } from 'lucide-react';
+
+/**
+ * Champion Screen Component
+ * Celebrates the tournament winner once the final is decided
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.champion - Winning entrant ({ seed, name, sprite })
+ * @param {Function} props.onNewTournament - Start over
+ * @param {React.ReactNode} props.children - Final bracket
+ */
+function ChampionScreen({ champion, onNewTournament, children }) {
+  return (
+    <div className="text-center">
+      <div className="max-w-md mx-auto winner-banner-content rounded-xl p-6 mb-8 bounce-in">
+        <Crown className="w-12 h-12 text-black mx-auto mb-2" />
+        <h2 className="text-3xl font-bold text-black retro-text">CHAMPION!</h2>
+        <img
+          src={champion.sprite}
+          alt={champion.name}
+          className="w-40 h-40 object-contain mx-auto my-4 pokemon-breathing"
+        />
+        <p className="text-2xl font-bold text-black retro-text uppercase">{champion.name}</p>
+        <p className="text-sm text-black/70 retro-text">Seed #{champion.seed}</p>
+
+        <button
+          onClick={onNewTournament}
+          className="mt-6 bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-6 rounded-full transition-colors duration-200 flex items-center gap-2 mx-auto shadow-lg retro-text"
+        >
+          <RotateCcw className="w-4 h-4" />
+          NEW TOURNAMENT
+        </button>
+      </div>
+
+      {children}
+    </div>
+  );
+}
+
+export default ChampionScreen;
@@ -1,16 +1,18 @@
 import React from 'react';
-import { Wifi, WifiOff } from 'lucide-react';
+import { Wifi, WifiOff, RefreshCw } from 'lucide-react';
 
 /**
  * Connection Status Component
- * Shows the current WebSocket connection status
+ * Shows the current vote transport connection status
  * 
  * @param {Object} props - Component props
- * @param {string} props.status - Connection status ('connected', 'connecting', 'disconnected')
+ * @param {string} props.status - Connection status ('connected', 'connecting', 'reconnecting', 'disconnected')
+ * @param {number} props.attempt - Reconnection attempt number while reconnecting
+ * @param {number} props.queuedVotes - Votes waiting to be sent once reconnected
  * @param {boolean} props.showIcon - Whether to show the connection icon
  * @param {string} props.className - Additional CSS classes
  */
-function ConnectionStatus({ status, showIcon = true, className = "" }) {
+function ConnectionStatus({ status, attempt = 0, queuedVotes = 0, showIcon = true, className = "" }) {
   const getStatusConfig = () => {
     switch (status) {
       case 'connected':
@@ -27,6 +29,13 @@ function ConnectionStatus({ status, showIcon = true, className = "" }) {
           textColor: 'text-white', // Changed to white
           icon: Wifi
         };
+      case 'reconnecting':
+        return {
+          color: 'bg-yellow-500',
+          text: `Reconnecting (attempt ${attempt})...`,
+          textColor: 'text-white',
+          icon: RefreshCw
+        };
       case 'disconnected':
       default:
         return {
@@ -56,6 +65,12 @@ function ConnectionStatus({ status, showIcon = true, className = "" }) {
           • Real-time
         </span>
       )}
+
+      {queuedVotes > 0 && (
+        <span className="text-xs text-yellow-300">
+          • {queuedVotes} vote{queuedVotes === 1 ? '' : 's'} queued
+        </span>
+      )}
     </div>
   );
 }
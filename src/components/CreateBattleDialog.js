@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Swords, X } from 'lucide-react';
+import { pokemonAPI } from '../services/pokemonAPI';
+import { BATTLE_CONFIG, TEAM_CONFIG, VOTING_METHODS } from '../utils/constants';
+import { findSpecies, searchSpecies } from '../utils/pokemonSearch';
+import { TYPES } from '../utils/typeChart';
+import { getThemeMatchup } from '../utils/teams';
+import PokemonSearch from './PokemonSearch';
+
+const EMPTY_SLOT = { query: '', selected: null };
+
+const ORDINALS = ['First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth'];
+
+const METHOD_OPTIONS = [
+  { value: VOTING_METHODS.PLURALITY, label: 'Most votes wins' },
+  { value: VOTING_METHODS.RANKED, label: 'Ranked choice (instant runoff)' },
+  { value: VOTING_METHODS.TEAM, label: `Teams (${TEAM_CONFIG.SIZE}v${TEAM_CONFIG.SIZE}, slot by slot)` }
+];
+
+const TEAM_SLOTS = TEAM_CONFIG.SIZE * 2;
+
+/**
+ * Resize a list of slots, padding with empty ones
+ */
+const resize = (list, length, empty) =>
+  Array.from({ length }, (_, index) => (index < list.length ? list[index] : empty));
+
+/**
+ * Create Battle Dialog Component
+ * Pick the contestants with fuzzy search (two, or up to eight for a royale)
+ * and how the winner is decided; team battles draft two lineups, or start
+ * from a theme. Problems are shown inline and the battle only starts once
+ * every Pokémon has loaded.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onCreate - Called with (pokemonNames, votingMethod)
+ * @param {Function} props.onClose - Close the dialog
+ * @param {string} props.title - Dialog heading
+ * @param {string} props.submitLabel - Text of the submit button
+ */
+function CreateBattleDialog({ onCreate, onClose, title = 'CREATE BATTLE', submitLabel = 'START BATTLE' }) {
+  const [species, setSpecies] = useState([]);
+  const [type, setType] = useState('');
+  const [method, setMethod] = useState(VOTING_METHODS.PLURALITY);
+  const [theme, setTheme] = useState('');
+  const [slots, setSlots] = useState([EMPTY_SLOT, EMPTY_SLOT]);
+  const [errors, setErrors] = useState([null, null]);
+  const [loadError, setLoadError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    // Offline mode can only battle (and so only offers) bundled Pokémon
+    pokemonAPI.getAvailableSpecies()
+      .then(setSpecies)
+      .catch(error => setLoadError(`Couldn't load the Pokédex: ${error.message}`));
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const updateSlot = (index, slot) => {
+    setTheme('');
+    setSlots(current => current.map((existing, i) => (i === index ? slot : existing)));
+    setErrors(current => current.map((error, i) => (i === index ? null : error)));
+    setLoadError(null);
+  };
+
+  const addSlot = () => {
+    setSlots(current => [...current, EMPTY_SLOT]);
+    setErrors(current => [...current, null]);
+  };
+
+  const removeSlot = (index) => {
+    setSlots(current => current.filter((_, i) => i !== index));
+    setErrors(current => current.filter((_, i) => i !== index));
+  };
+
+  // Team battles always field two full lineups
+  const changeMethod = (next) => {
+    setMethod(next);
+    if (next === VOTING_METHODS.TEAM) {
+      setSlots(current => resize(current, TEAM_SLOTS, EMPTY_SLOT));
+      setErrors(current => resize(current, TEAM_SLOTS, null));
+    }
+  };
+
+  // Fill both lineups from a theme
+  const changeTheme = (name) => {
+    setTheme(name);
+    const picked = TEAM_CONFIG.THEMES.find(option => option.name === name);
+    if (!picked) return;
+    setSlots(getThemeMatchup(picked).map(pokemon => ({ query: pokemon, selected: findSpecies(species, pokemon) })));
+    setErrors(resize([], TEAM_SLOTS, null));
+    setLoadError(null);
+  };
+
+  const teamBattle = method === VOTING_METHODS.TEAM;
+
+  /**
+   * Input label for a slot ("Second Pokémon", or "Team 1 · slot 2")
+   */
+  const getSlotLabel = (index) => (teamBattle
+    ? `Team ${Math.floor(index / TEAM_CONFIG.SIZE) + 1} · slot ${(index % TEAM_CONFIG.SIZE) + 1}`
+    : `${ORDINALS[index]} Pokémon`);
+
+  /**
+   * Resolve a slot to a species, or explain why it can't be
+   * @returns {Object} { entry, error }
+   */
+  const resolveSlot = ({ query, selected }) => {
+    if (selected) return { entry: selected, error: null };
+    if (!query.trim()) return { entry: null, error: 'Pick a Pokémon.' };
+
+    const entry = findSpecies(species, query);
+    if (entry) return { entry, error: null };
+
+    const [suggestion] = searchSpecies(species, query, { limit: 1 });
+    const where = pokemonAPI.isOfflineMode() ? ' in the offline Pokédex' : '';
+    return {
+      entry: null,
+      error: suggestion
+        ? `No Pokémon called "${query.trim()}"${where}. Did you mean ${suggestion.name}?`
+        : `No Pokémon called "${query.trim()}"${where}.`
+    };
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const resolved = slots.map(resolveSlot);
+    const nextErrors = resolved.map(({ error, entry }, index) => {
+      if (error) return error;
+      const duplicate = resolved.slice(0, index).some(earlier => earlier.entry && earlier.entry.id === entry.id);
+      return duplicate ? 'This Pokémon is already in the battle.' : null;
+    });
+    setErrors(nextErrors);
+    if (nextErrors.some(Boolean)) return;
+
+    setLoading(true);
+    try {
+      const pokemon = await pokemonAPI.fetchManyPokemon(resolved.map(({ entry }) => entry.id));
+      // All cached now, so the arena's normal load path is instant
+      onCreate(pokemon.map(({ name }) => name), method);
+    } catch (error) {
+      setLoadError(error.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center z-50 p-4">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose}></div>
+
+      <form
+        onSubmit={handleSubmit}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="create-battle-title"
+        className="relative w-full max-w-xl max-h-full overflow-y-auto bg-black/80 backdrop-blur-md rounded-xl p-6 border-2 border-white/30 shadow-2xl text-white retro-text"
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute top-3 right-3 text-white/70 hover:text-white"
+          aria-label="Close"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        <h2 id="create-battle-title" className="text-2xl font-bold mb-4 flex items-center justify-center gap-2">
+          <Swords className="w-6 h-6 text-yellow-400" />
+          {title}
+        </h2>
+
+        <label className="flex items-center justify-end gap-2 text-xs text-white/70 mb-4">
+          Suggest only
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="rounded px-2 py-1 text-black"
+          >
+            <option value="">any type</option>
+            {TYPES.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </label>
+
+        <fieldset className="mb-4 text-sm text-left">
+          <legend className="text-xs text-white/70 mb-1">Winner</legend>
+          {METHOD_OPTIONS.map(option => (
+            <label key={option.value} className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="voting-method"
+                value={option.value}
+                checked={method === option.value}
+                onChange={() => changeMethod(option.value)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </fieldset>
+
+        {teamBattle && (
+          <label className="flex flex-col gap-1 text-left text-xs text-white/70 mb-4">
+            Theme
+            <select
+              value={theme}
+              onChange={(e) => changeTheme(e.target.value)}
+              className="rounded px-2 py-1 text-black text-sm"
+            >
+              <option value="">Draft your own teams</option>
+              {TEAM_CONFIG.THEMES.map(option => (
+                <option key={option.name} value={option.name}>{option.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <div className={teamBattle ? 'grid grid-cols-2 grid-flow-col grid-rows-3 gap-x-4 gap-y-4 mb-4' : 'space-y-4 mb-4'}>
+          {slots.map((slot, index) => (
+            <div key={index} className="flex items-start gap-2">
+              <div className="flex-1">
+                <PokemonSearch
+                  id={`create-battle-pokemon${index + 1}`}
+                  label={getSlotLabel(index)}
+                  species={species}
+                  type={type}
+                  query={slot.query}
+                  selected={slot.selected}
+                  onChange={(next) => updateSlot(index, next)}
+                  error={errors[index]}
+                />
+              </div>
+              {!teamBattle && slots.length > BATTLE_CONFIG.MIN_CONTESTANTS && (
+                <button
+                  type="button"
+                  onClick={() => removeSlot(index)}
+                  className="mt-6 text-white/70 hover:text-white"
+                  aria-label={`Remove ${ORDINALS[index].toLowerCase()} Pokémon`}
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {!teamBattle && slots.length < BATTLE_CONFIG.MAX_CONTESTANTS && (
+          <button
+            type="button"
+            onClick={addSlot}
+            className="mb-4 text-sm text-yellow-300 hover:text-yellow-200 flex items-center gap-1"
+          >
+            <Plus className="w-4 h-4" />
+            ADD POKÉMON (up to {BATTLE_CONFIG.MAX_CONTESTANTS})
+          </button>
+        )}
+
+        {loadError && <p className="text-red-300 text-sm mb-4" role="alert">{loadError}</p>}
+
+        <button
+          type="submit"
+          disabled={loading || species.length === 0}
+          className="w-full bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-2 px-4 border-4 border-yellow-600 retro-button disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'CATCHING POKÉMON...' : submitLabel}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default CreateBattleDialog;
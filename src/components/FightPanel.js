@@ -0,0 +1,154 @@
+import React, { useEffect, useRef } from 'react';
+import { Swords, RotateCcw, Shuffle, FastForward } from 'lucide-react';
+import { battleHelpers } from '../hooks/useBattle';
+import { describeAttack } from '../utils/battleSim';
+import { createSeed } from '../utils/seededRandom';
+import { formatName } from '../utils/pokedexEntry';
+
+/**
+ * Fight Panel Component
+ * Fight! mode: a simulated battle between the two Pokémon. Voters predict
+ * the winner with their vote first, then watch the fight turn by turn and
+ * see whether they (and the crowd) called it.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.fight - State and actions from useFight
+ * @param {Object} props.pokemon1 - First Pokémon
+ * @param {Object} props.pokemon2 - Second Pokémon
+ * @param {string|null} props.userVoted - The user's prediction ('pokemon1' or 'pokemon2')
+ * @param {Object} props.votes - Current votes ({ pokemon1, pokemon2 })
+ * @param {number} props.totalVotes - Total votes
+ * @param {boolean} props.votingLocked - Whether voting is over (anyone may watch the fight then)
+ */
+function FightPanel({ fight, pokemon1, pokemon2, userVoted, votes, totalVotes, votingLocked }) {
+  const logRef = useRef(null);
+  const names = { pokemon1: formatName(pokemon1.name), pokemon2: formatName(pokemon2.name) };
+  const canFight = Boolean(userVoted) || votingLocked;
+  const { fight: result, log, finished, winner, loading, error, startFight, skipToEnd } = fight;
+
+  // Keep the latest attack in view
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  }, [log.length]);
+
+  /**
+   * Who the crowd picked, with their share of the votes
+   */
+  const getCrowdPick = () => {
+    if (totalVotes === 0 || votes.pokemon1 === votes.pokemon2) return null;
+    const pick = votes.pokemon1 > votes.pokemon2 ? 'pokemon1' : 'pokemon2';
+    return { pick, percentage: battleHelpers.calculatePercentage(votes[pick], totalVotes) };
+  };
+
+  const crowdPick = getCrowdPick();
+
+  return (
+    <div className="max-w-2xl mx-auto mt-8 bg-black/80 backdrop-blur-md rounded-xl border-2 border-yellow-400/60 shadow-2xl p-4">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h3 className="flex items-center gap-2 text-yellow-300 font-bold text-xl retro-text">
+          <Swords className="w-5 h-5" />
+          FIGHT!
+        </h3>
+        {result && (
+          <span className="text-white/60 text-xs retro-text">Seed: {result.seed}</span>
+        )}
+      </div>
+
+      {!result && (
+        <div className="text-center">
+          <p className="text-white/80 text-sm retro-text mb-3">
+            {canFight
+              ? 'Your vote is your prediction. Watch the two Pokémon fight it out!'
+              : 'Who would win a real battle? Vote for your pick to predict the winner, then watch them fight.'}
+          </p>
+          <button
+            onClick={() => startFight()}
+            disabled={!canFight || loading}
+            className="bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-2 px-8 border-4 border-yellow-600 retro-button retro-text transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'PREPARING...' : 'FIGHT!'}
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <p role="alert" className="text-red-300 text-sm retro-text mt-3 text-center">
+          The fight couldn't start: {error}
+        </p>
+      )}
+
+      {result && (
+        <>
+          <ol
+            ref={logRef}
+            role="log"
+            aria-label="Fight log"
+            className="bg-gray-900 border-2 border-gray-600 rounded p-3 h-48 overflow-y-auto space-y-1 text-sm retro-text"
+          >
+            {log.map((entry, index) => (
+              <li key={index} className={entry.attacker === 'pokemon1' ? 'text-blue-200' : 'text-red-200'}>
+                <span className="text-white/40 mr-2">T{entry.turn}</span>
+                {describeAttack(entry, names)}
+              </li>
+            ))}
+            {!finished && <li className="text-white/40 animate-pulse">...</li>}
+          </ol>
+
+          {finished ? (
+            <div className="mt-3 text-center space-y-1 retro-text">
+              <div className="text-yellow-300 font-bold text-lg">
+                {winner === 'tie'
+                  ? `🤝 Neither Pokémon could finish it after ${result.turns} turns!`
+                  : `🏆 ${names[winner]} wins the fight in ${result.turns} turns!`}
+              </div>
+              {userVoted && (
+                <p className={userVoted === winner ? 'text-green-300' : 'text-red-300'}>
+                  You predicted {names[userVoted]}: {userVoted === winner ? 'you called it!' : 'not this time.'}
+                </p>
+              )}
+              <p className="text-white/80 text-sm">
+                {crowdPick
+                  ? `The crowd picked ${names[crowdPick.pick]} (${crowdPick.percentage}%): ${
+                    crowdPick.pick === winner ? 'the crowd called it!' : 'an upset!'}`
+                  : totalVotes === 0 ? 'Nobody voted in this battle.' : 'The crowd was split down the middle.'}
+              </p>
+            </div>
+          ) : (
+            <div className="mt-3 text-center">
+              <button
+                onClick={skipToEnd}
+                className="text-white/70 hover:text-white text-sm font-bold retro-text inline-flex items-center gap-1"
+              >
+                <FastForward className="w-4 h-4" />
+                SKIP
+              </button>
+            </div>
+          )}
+
+          {finished && (
+            <div className="flex justify-center gap-3 mt-3">
+              <button
+                onClick={() => startFight(result.seed)}
+                disabled={loading}
+                className="bg-black/50 hover:bg-black/70 text-white font-bold py-2 px-4 rounded-full transition-colors duration-200 flex items-center gap-2 disabled:opacity-50 retro-text text-sm"
+              >
+                <RotateCcw className="w-4 h-4" />
+                REPLAY
+              </button>
+              <button
+                onClick={() => startFight(createSeed())}
+                disabled={loading}
+                className="bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-2 px-4 rounded-full transition-colors duration-200 flex items-center gap-2 disabled:opacity-50 retro-text text-sm"
+              >
+                <Shuffle className="w-4 h-4" />
+                REMATCH
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FightPanel;
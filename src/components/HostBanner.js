@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Megaphone, Pin, X } from 'lucide-react';
+import { useBattle } from '../hooks/useBattle';
+import { getBattlePath, parseBattleId } from '../utils/battleRoutes';
+import { describeBattle } from '../utils/hostControl';
+
+/**
+ * Host Banner Component
+ * What the host console pushes to everyone, on every view: the
+ * announcement (until it is dismissed) and a link to the featured battle
+ */
+function HostBanner() {
+  const { state } = useBattle();
+  const { host, battleId } = state;
+  const location = useLocation();
+
+  // Id of the last announcement this user closed
+  const [dismissedId, setDismissedId] = useState(null);
+
+  const featured = host.featured && parseBattleId(host.featured);
+  const watchingFeatured = location.pathname.startsWith('/battle') && battleId === host.featured;
+  const announcement = host.announcement && host.announcement.id !== dismissedId ? host.announcement : null;
+
+  if (!announcement && !featured) return null;
+
+  return (
+    <div className="fixed bottom-4 inset-x-0 z-40 flex flex-col items-center gap-2 pointer-events-none px-4">
+      {announcement && (
+        <div
+          role="status"
+          className="pointer-events-auto relative max-w-xl bg-yellow-400 text-black border-4 border-yellow-600 rounded-lg shadow-2xl px-4 py-2 pr-10 retro-text font-bold flex items-center gap-2"
+        >
+          <Megaphone className="w-5 h-5 shrink-0" />
+          <span>{announcement.text}</span>
+          <button
+            onClick={() => setDismissedId(announcement.id)}
+            className="absolute top-2 right-2 text-black/70 hover:text-black"
+            aria-label="Dismiss announcement"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      )}
+
+      {featured && (
+        <div className="pointer-events-auto bg-black/70 backdrop-blur-md rounded-full border-2 border-purple-400 shadow-2xl px-4 py-1 text-white text-xs retro-text flex items-center gap-2">
+          <Pin className="w-4 h-4 text-purple-300" />
+          <span>FEATURED: {describeBattle(host.featured)}</span>
+          {watchingFeatured ? (
+            <span className="text-purple-300 font-bold">YOU&apos;RE WATCHING IT</span>
+          ) : (
+            <Link
+              to={getBattlePath(featured.contestants, featured.method)}
+              className="bg-purple-500 hover:bg-purple-600 text-white font-bold px-2 rounded-full"
+            >
+              WATCH
+            </Link>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HostBanner;
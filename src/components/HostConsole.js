@@ -0,0 +1,336 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ArrowDown, ArrowUp, Ban, Eye, Hand, Megaphone, Pin, PinOff, Play, Plus, Radio, Timer, X
+} from 'lucide-react';
+import { useBattle } from '../hooks/useBattle';
+import {
+  ACTIONS, HOST_COMMANDS, HOST_CONFIG, TRANSPORT_TYPES, VOTE_TRANSPORT_CONFIG
+} from '../utils/constants';
+import { getBattleId, getBattlePath, parseBattleId } from '../utils/battleRoutes';
+import { describeBattle } from '../utils/hostControl';
+import CreateBattleDialog from './CreateBattleDialog';
+
+const PANEL_CLASS = 'bg-black/70 backdrop-blur-md rounded-xl border-2 border-white/30 shadow-2xl p-4 text-left';
+const SMALL_BUTTON_CLASS = 'font-bold py-1 px-3 border-2 retro-button text-xs flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Path of the battle page for a battle ID
+ */
+const pathOf = (battleId) => {
+  const { contestants, method } = parseBattleId(battleId);
+  return getBattlePath(contestants, method);
+};
+
+/**
+ * Host Console Component
+ * Lets a moderator run the show for everyone connected to the same vote
+ * backend: queue matchups and open them one by one, close, extend or void
+ * the live round, pin a featured battle and push an announcement banner.
+ * Every arena obeys these commands (see utils/hostControl.js).
+ */
+function HostConsole() {
+  const { state, dispatch, transport } = useBattle();
+  const { host, hostError, connectionStatus } = state;
+
+  const [key, setKey] = useState(() => sessionStorage.getItem(HOST_CONFIG.KEY_STORAGE_KEY) || '');
+  const [announcement, setAnnouncement] = useState('');
+  const [showCreateDialog, setShowCreateDialog] = useState(false);
+
+  const simulator = VOTE_TRANSPORT_CONFIG.TYPE === TRANSPORT_TYPES.SIMULATOR;
+
+  /**
+   * Send a host command; rejections show up in hostError
+   * @param {Object} command - { command, battleId?, queue?, milliseconds?, text? }
+   */
+  const send = (command) => {
+    if (!transport) return;
+    dispatch({ type: ACTIONS.SET_HOST_ERROR, payload: null });
+
+    const showError = (error) => {
+      console.error('Host command failed:', error);
+      dispatch({ type: ACTIONS.SET_HOST_ERROR, payload: { code: error.code || null, message: error.message } });
+    };
+
+    try {
+      // Some transports answer asynchronously (e.g. HTTP POST)
+      Promise.resolve(transport.sendHostCommand({ ...command, ...(key && { key }) })).catch(showError);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const setQueue = (queue) => send({ command: HOST_COMMANDS.QUEUE, queue });
+
+  const handleKeyChange = (value) => {
+    setKey(value);
+    sessionStorage.setItem(HOST_CONFIG.KEY_STORAGE_KEY, value);
+  };
+
+  /**
+   * Add a matchup from the "Create battle" dialog to the end of the queue
+   */
+  const handleQueueBattle = (pokemonNames, method) => {
+    setShowCreateDialog(false);
+    const battleId = getBattleId(pokemonNames, method);
+    if (!host.queue.includes(battleId)) setQueue([...host.queue, battleId]);
+  };
+
+  /**
+   * Move a queued matchup up (-1) or down (+1)
+   */
+  const moveQueued = (index, offset) => {
+    const queue = [...host.queue];
+    [queue[index], queue[index + offset]] = [queue[index + offset], queue[index]];
+    setQueue(queue);
+  };
+
+  const handleAnnounce = (e) => {
+    e.preventDefault();
+    send({ command: HOST_COMMANDS.ANNOUNCE, text: announcement });
+    setAnnouncement('');
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-4 text-white retro-text">
+      <h2 className="text-2xl font-bold flex items-center justify-center gap-2">
+        <Radio className="w-6 h-6 text-red-400" />
+        HOST CONSOLE
+      </h2>
+
+      {simulator && (
+        <p className="text-xs text-center bg-black/60 rounded px-3 py-2">
+          The vote simulator only runs this tab&apos;s battle. To host for other people, use the vote
+          server or the broadcast-channel transport.
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-end justify-between gap-3 text-sm">
+        <span className="text-xs bg-black/60 rounded px-2 py-1">Connection: {connectionStatus}</span>
+        <label className="flex flex-col gap-1 text-left">
+          <span className="text-xs bg-black/60 rounded px-2">Host key</span>
+          <input
+            type="password"
+            value={key}
+            onChange={(e) => handleKeyChange(e.target.value)}
+            className="rounded px-2 py-1 text-black"
+            autoComplete="off"
+          />
+        </label>
+      </div>
+
+      {hostError && (
+        <div role="alert" className="relative bg-black/80 rounded-xl px-4 py-3 pr-10 border-2 border-red-500/50 text-sm">
+          <span className="text-red-300 font-bold">COMMAND REJECTED: </span>
+          {hostError.message}
+          <button
+            onClick={() => dispatch({ type: ACTIONS.SET_HOST_ERROR, payload: null })}
+            className="absolute top-2 right-2 text-white/70 hover:text-white"
+            aria-label="Dismiss host error"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      )}
+
+      {/* The live battle */}
+      <section aria-label="Live battle" className={PANEL_CLASS}>
+        <h3 className="font-bold mb-2">LIVE BATTLE</h3>
+        {host.live ? (
+          <>
+            <p className="mb-3">
+              <span className="text-red-400 animate-pulse">●</span> {describeBattle(host.live)}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => send({ command: HOST_COMMANDS.CLOSE, battleId: host.live })}
+                className={`${SMALL_BUTTON_CLASS} bg-red-500 hover:bg-red-600 border-red-700`}
+              >
+                <Hand className="w-3 h-3" />
+                CLOSE VOTING
+              </button>
+              {HOST_CONFIG.EXTEND_OPTIONS.map(milliseconds => (
+                <button
+                  key={milliseconds}
+                  onClick={() => send({ command: HOST_COMMANDS.EXTEND, battleId: host.live, milliseconds })}
+                  className={`${SMALL_BUTTON_CLASS} bg-blue-500 hover:bg-blue-600 border-blue-700`}
+                >
+                  <Timer className="w-3 h-3" />
+                  +{milliseconds / 1000}s
+                </button>
+              ))}
+              <button
+                onClick={() => {
+                  if (window.confirm('Throw out every vote in this round and start it over?')) {
+                    send({ command: HOST_COMMANDS.VOID, battleId: host.live });
+                  }
+                }}
+                className={`${SMALL_BUTTON_CLASS} bg-gray-700 hover:bg-gray-800 border-gray-900`}
+              >
+                <Ban className="w-3 h-3" />
+                VOID ROUND
+              </button>
+              <button
+                onClick={() => send({ command: HOST_COMMANDS.OPEN, battleId: host.live })}
+                title="Start a new round if this one is over"
+                className={`${SMALL_BUTTON_CLASS} bg-green-500 hover:bg-green-600 border-green-700`}
+              >
+                <Play className="w-3 h-3" />
+                REOPEN
+              </button>
+              <Link
+                to={pathOf(host.live)}
+                className={`${SMALL_BUTTON_CLASS} bg-black/50 hover:bg-black/70 border-white/40`}
+              >
+                <Eye className="w-3 h-3" />
+                WATCH
+              </Link>
+            </div>
+          </>
+        ) : (
+          <p className="text-white/70 text-sm">Nothing is live yet. Open a matchup from the queue.</p>
+        )}
+      </section>
+
+      {/* Upcoming matchups */}
+      <section aria-label="Queue" className={PANEL_CLASS}>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-bold">QUEUE ({host.queue.length}/{HOST_CONFIG.MAX_QUEUE})</h3>
+          <button
+            onClick={() => setShowCreateDialog(true)}
+            disabled={host.queue.length >= HOST_CONFIG.MAX_QUEUE}
+            className={`${SMALL_BUTTON_CLASS} bg-yellow-400 hover:bg-yellow-500 text-black border-yellow-600`}
+          >
+            <Plus className="w-3 h-3" />
+            ADD MATCHUP
+          </button>
+        </div>
+
+        {host.queue.length === 0 ? (
+          <p className="text-white/70 text-sm">No matchups queued.</p>
+        ) : (
+          <ol className="space-y-2">
+            {host.queue.map((battleId, index) => (
+              <li key={battleId} className="bg-white/10 rounded p-2 flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-white/60 w-6">{index + 1}.</span>
+                <span className="flex-1 min-w-0 truncate">{describeBattle(battleId)}</span>
+                <button
+                  onClick={() => send({ command: HOST_COMMANDS.OPEN, battleId })}
+                  className={`${SMALL_BUTTON_CLASS} bg-green-500 hover:bg-green-600 border-green-700`}
+                  aria-label={`Open ${describeBattle(battleId)}`}
+                >
+                  <Play className="w-3 h-3" />
+                  OPEN
+                </button>
+                <button
+                  onClick={() => send({ command: HOST_COMMANDS.FEATURE, battleId })}
+                  disabled={host.featured === battleId}
+                  className={`${SMALL_BUTTON_CLASS} bg-purple-500 hover:bg-purple-600 border-purple-700`}
+                  aria-label={`Pin ${describeBattle(battleId)}`}
+                >
+                  <Pin className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={() => moveQueued(index, -1)}
+                  disabled={index === 0}
+                  className="text-white/70 hover:text-white disabled:opacity-30"
+                  aria-label={`Move ${describeBattle(battleId)} up`}
+                >
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => moveQueued(index, 1)}
+                  disabled={index === host.queue.length - 1}
+                  className="text-white/70 hover:text-white disabled:opacity-30"
+                  aria-label={`Move ${describeBattle(battleId)} down`}
+                >
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setQueue(host.queue.filter(id => id !== battleId))}
+                  className="text-white/70 hover:text-white"
+                  aria-label={`Remove ${describeBattle(battleId)}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+
+      {/* Featured battle */}
+      <section aria-label="Featured battle" className={PANEL_CLASS}>
+        <h3 className="font-bold mb-2">FEATURED BATTLE</h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="flex-1">{host.featured ? `📌 ${describeBattle(host.featured)}` : 'Nothing pinned.'}</span>
+          {host.live && host.live !== host.featured && (
+            <button
+              onClick={() => send({ command: HOST_COMMANDS.FEATURE, battleId: host.live })}
+              className={`${SMALL_BUTTON_CLASS} bg-purple-500 hover:bg-purple-600 border-purple-700`}
+            >
+              <Pin className="w-3 h-3" />
+              PIN THE LIVE BATTLE
+            </button>
+          )}
+          {host.featured && (
+            <button
+              onClick={() => send({ command: HOST_COMMANDS.FEATURE, battleId: null })}
+              className={`${SMALL_BUTTON_CLASS} bg-gray-700 hover:bg-gray-800 border-gray-900`}
+            >
+              <PinOff className="w-3 h-3" />
+              UNPIN
+            </button>
+          )}
+        </div>
+      </section>
+
+      {/* Announcement banner */}
+      <section aria-label="Announcement" className={PANEL_CLASS}>
+        <h3 className="font-bold mb-2">ANNOUNCEMENT</h3>
+        {host.announcement && (
+          <div className="flex items-center gap-2 text-sm mb-2">
+            <span className="flex-1">📣 {host.announcement.text}</span>
+            <button
+              onClick={() => send({ command: HOST_COMMANDS.ANNOUNCE, text: null })}
+              className={`${SMALL_BUTTON_CLASS} bg-gray-700 hover:bg-gray-800 border-gray-900`}
+            >
+              <X className="w-3 h-3" />
+              TAKE DOWN
+            </button>
+          </div>
+        )}
+        <form onSubmit={handleAnnounce} className="flex gap-2">
+          <input
+            type="text"
+            value={announcement}
+            onChange={(e) => setAnnouncement(e.target.value)}
+            maxLength={HOST_CONFIG.MAX_ANNOUNCEMENT_LENGTH}
+            placeholder="Next up: the legendary birds!"
+            aria-label="Announcement text"
+            className="flex-1 rounded px-2 py-1 text-black text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!announcement.trim()}
+            className={`${SMALL_BUTTON_CLASS} bg-yellow-400 hover:bg-yellow-500 text-black border-yellow-600`}
+          >
+            <Megaphone className="w-3 h-3" />
+            SEND
+          </button>
+        </form>
+      </section>
+
+      {showCreateDialog && (
+        <CreateBattleDialog
+          title="QUEUE A MATCHUP"
+          submitLabel="ADD TO QUEUE"
+          onCreate={handleQueueBattle}
+          onClose={() => setShowCreateDialog(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default HostConsole;
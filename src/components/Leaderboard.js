@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { BarChart3, TrendingUp, TrendingDown, Minus, ChevronDown, ChevronUp } from 'lucide-react';
+import { ratingsService } from '../services/ratings';
+import { RATING_CONFIG } from '../utils/constants';
+
+/**
+ * Leaderboard Component
+ * Ranks every Pokémon that has finished a battle by Elo rating,
+ * with win/loss/tie counts, recent trend and head-to-head records
+ */
+function Leaderboard() {
+  const [expanded, setExpanded] = useState(null);
+  // Ratings live in localStorage and are read once when the board opens
+  const [players, setPlayers] = useState(() => ratingsService.getLeaderboard());
+
+  const handleReset = () => {
+    if (!window.confirm('Reset every rating and head-to-head record?')) return;
+    ratingsService.resetRatings();
+    setExpanded(null);
+    setPlayers(ratingsService.getLeaderboard());
+  };
+
+  /**
+   * Render the rating trend over the last few battles
+   */
+  const renderTrend = (trend) => {
+    if (trend > 0) {
+      return (
+        <span className="flex items-center justify-end gap-1 text-green-400">
+          <TrendingUp className="w-4 h-4" />+{trend}
+        </span>
+      );
+    }
+    if (trend < 0) {
+      return (
+        <span className="flex items-center justify-end gap-1 text-red-400">
+          <TrendingDown className="w-4 h-4" />{trend}
+        </span>
+      );
+    }
+    return (
+      <span className="flex items-center justify-end text-gray-400">
+        <Minus className="w-4 h-4" />
+      </span>
+    );
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto bg-black/60 backdrop-blur-sm rounded-xl p-6 text-white retro-text shadow-2xl">
+      <h2 className="text-2xl font-bold mb-1 flex items-center justify-center gap-2">
+        <BarChart3 className="w-6 h-6 text-yellow-400" />
+        LEADERBOARD
+      </h2>
+      <p className="text-xs text-white/70 mb-6">
+        Elo ratings from every finished battle (everyone starts at {RATING_CONFIG.INITIAL_RATING})
+      </p>
+
+      {players.length === 0 ? (
+        <p className="text-white/80 py-8">No finished battles yet. Vote in a few battles to fill the board!</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-white/70 border-b border-white/30">
+              <th className="py-2 w-10">#</th>
+              <th className="py-2">Pokémon</th>
+              <th className="py-2 text-right">Rating</th>
+              <th className="py-2 text-right">W-L-T</th>
+              <th className="py-2 text-right">Trend</th>
+              <th className="py-2 w-8"><span className="sr-only">Details</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {players.map((player, index) => {
+              const isExpanded = expanded === player.name;
+              return (
+                <React.Fragment key={player.name}>
+                  <tr
+                    className="border-b border-white/10 hover:bg-white/10 cursor-pointer"
+                    onClick={() => setExpanded(isExpanded ? null : player.name)}
+                  >
+                    <td className="py-2 text-yellow-300">{index + 1}</td>
+                    <td className="py-2">
+                      <span className="flex items-center gap-2">
+                        {player.sprite && (
+                          <img src={player.sprite} alt="" className="w-8 h-8 object-contain pixel-image" />
+                        )}
+                        <span className="uppercase">{player.name}</span>
+                      </span>
+                    </td>
+                    <td className="py-2 text-right font-bold">{player.rating}</td>
+                    <td className="py-2 text-right">{player.wins}-{player.losses}-{player.ties}</td>
+                    <td className="py-2 text-right">{renderTrend(player.trend)}</td>
+                    <td className="py-2 text-right">
+                      <button
+                        aria-expanded={isExpanded}
+                        aria-label={`Head-to-head records for ${player.name}`}
+                        className="text-white/70 hover:text-white"
+                      >
+                        {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                      </button>
+                    </td>
+                  </tr>
+
+                  {/* Head-to-head records */}
+                  {isExpanded && (
+                    <tr className="bg-white/5">
+                      <td></td>
+                      <td colSpan={5} className="py-2">
+                        <ul className="space-y-1 text-xs">
+                          {ratingsService.getHeadToHead(player.name).map(record => (
+                            <li key={record.opponent} className="flex justify-between pr-2">
+                              <span className="uppercase">vs {record.opponent}</span>
+                              <span>{record.wins}-{record.losses}-{record.ties}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {players.length > 0 && (
+        <button
+          onClick={handleReset}
+          className="mt-6 text-xs text-white/60 hover:text-white underline"
+        >
+          Reset leaderboard
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default Leaderboard;
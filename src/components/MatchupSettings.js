@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { matchupSettings } from '../services/matchupSettings';
+import { pokemonAPI } from '../services/pokemonAPI';
+import { GENERATIONS, MATCHUP_CONFIG } from '../utils/constants';
+import { filterSpecies } from '../utils/matchups';
+import { TYPES } from '../utils/typeChart';
+
+const LEGENDARY_OPTIONS = [
+  { value: 'any', label: 'Any Pokémon' },
+  { value: 'exclude', label: 'No legendaries or mythicals' },
+  { value: 'only', label: 'Legendary or mythical only' },
+  { value: 'legendary', label: 'Legendary only' },
+  { value: 'mythical', label: 'Mythical only' }
+];
+
+const PAIRING_OPTIONS = [
+  { value: 'any', label: 'Anything goes' },
+  { value: 'same-type', label: 'Same type' },
+  { value: 'rivalry', label: 'Type rivalry' }
+];
+
+const STAGE_LABELS = { 1: 'Basic', 2: 'Stage 1', 3: 'Stage 2' };
+
+/**
+ * Toggle a value in a list
+ */
+function toggle(list, value) {
+  return list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+}
+
+/**
+ * Matchup Settings Component
+ * Filters that decide which Pokémon random battles and random tournaments use.
+ * Changes are saved immediately.
+ */
+function MatchupSettings() {
+  const [settings, setSettings] = useState(() => matchupSettings.load());
+  const [candidates, setCandidates] = useState(null);
+  // Offline mode only battles the Pokémon in the offline Pokédex
+  const offline = pokemonAPI.isOfflineMode();
+
+  useEffect(() => {
+    let cancelled = false;
+    pokemonAPI.getAvailableSpecies()
+      .then(species => { if (!cancelled) setCandidates(filterSpecies(species, settings).length); })
+      .catch(error => console.error('Error loading species index:', error));
+    return () => { cancelled = true; };
+  }, [settings]);
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    matchupSettings.save(next);
+    setSettings(next);
+  };
+
+  const handleReset = () => {
+    setSettings(matchupSettings.reset());
+  };
+
+  const chipClass = (active) => `px-3 py-1 rounded border-2 text-xs font-bold ${
+    active ? 'bg-yellow-400 text-black border-yellow-600' : 'bg-gray-700 border-gray-500 hover:bg-gray-600'
+  }`;
+
+  return (
+    <div className="max-w-3xl mx-auto bg-black/60 backdrop-blur-sm rounded-xl p-6 text-white retro-text shadow-2xl">
+      <h2 className="text-2xl font-bold mb-1 flex items-center justify-center gap-2">
+        <SlidersHorizontal className="w-6 h-6 text-yellow-400" />
+        MATCHUP SETTINGS
+      </h2>
+      <p className="text-xs text-white/70 mb-6">
+        Applies to every random battle and random tournament.
+        {candidates !== null && ` ${candidates.toLocaleString()} Pokémon match.`}
+        {offline && ' Offline mode only has the Pokémon in the offline Pokédex (up to Gen 7).'}
+      </p>
+
+      {/* Generations */}
+      <fieldset className="mb-5">
+        <legend className="text-sm mb-2">Generations <span className="text-white/60">(none selected = all)</span></legend>
+        <div className="flex flex-wrap justify-center gap-2">
+          {GENERATIONS.map(({ id, region }) => (
+            <button
+              key={id}
+              onClick={() => update({ generations: toggle(settings.generations, id) })}
+              aria-pressed={settings.generations.includes(id)}
+              className={chipClass(settings.generations.includes(id))}
+            >
+              {region.toUpperCase()} <span className="opacity-70">G{id}</span>
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      {/* Types */}
+      <fieldset className="mb-5">
+        <legend className="text-sm mb-2">Types <span className="text-white/60">(none selected = all)</span></legend>
+        <div className="flex flex-wrap justify-center gap-2">
+          {TYPES.map(type => (
+            <button
+              key={type}
+              onClick={() => update({ types: toggle(settings.types, type) })}
+              aria-pressed={settings.types.includes(type)}
+              className={chipClass(settings.types.includes(type))}
+            >
+              {type.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      {/* Evolution stage */}
+      <fieldset className="mb-5">
+        <legend className="text-sm mb-2">Evolution stage</legend>
+        <div className="flex flex-wrap justify-center gap-2">
+          {MATCHUP_CONFIG.STAGES.map(stage => (
+            <button
+              key={stage}
+              onClick={() => update({ stages: toggle(settings.stages, stage) })}
+              aria-pressed={settings.stages.includes(stage)}
+              className={chipClass(settings.stages.includes(stage))}
+            >
+              {STAGE_LABELS[stage].toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="grid md:grid-cols-2 gap-4 mb-6 text-sm text-left">
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-white/70">Legendary & mythical</span>
+          <select
+            value={settings.legendary}
+            onChange={(e) => update({ legendary: e.target.value })}
+            className="rounded px-2 py-1 text-black"
+          >
+            {LEGENDARY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-white/70">Pairing</span>
+          <select
+            value={settings.pairing}
+            onChange={(e) => update({ pairing: e.target.value })}
+            className="rounded px-2 py-1 text-black"
+          >
+            {PAIRING_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {candidates !== null && candidates < 2 && (
+        <p className="text-red-300 text-sm mb-4" role="alert">
+          These filters leave fewer than two Pokémon — random battles can't start.
+        </p>
+      )}
+
+      <button
+        onClick={handleReset}
+        className="text-xs text-white/60 hover:text-white underline"
+      >
+        Reset to Kanto only
+      </button>
+    </div>
+  );
+}
+
+export default MatchupSettings;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { NavLink } from 'react-router-dom';
+import { Swords, Trophy, BarChart3, History, SlidersHorizontal, CalendarClock } from 'lucide-react';
+
+const DEFAULT_MODES = [
+  { path: '/battle', label: 'BATTLE', icon: Swords },
+  { path: '/tournament', label: 'TOURNAMENT', icon: Trophy },
+  { path: '/leaderboard', label: 'LEADERBOARD', icon: BarChart3 },
+  { path: '/history', label: 'HISTORY', icon: History },
+  { path: '/matchups', label: 'MATCHUPS', icon: SlidersHorizontal },
+  { path: '/schedule', label: 'SCHEDULE', icon: CalendarClock }
+];
+
+/**
+ * Mode Navigation Component
+ * Small switcher between the app's views (battle, tournament, leaderboard, history, matchup settings, schedule)
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.modes - Available modes ({ path, label, icon })
+ */
+function ModeNav({ modes = DEFAULT_MODES }) {
+  return (
+    <nav className="fixed top-4 left-4 z-40 flex gap-2" aria-label="Game mode">
+      {modes.map(({ path, label, icon: Icon }) => (
+        <NavLink
+          key={path}
+          to={path}
+          className={({ isActive }) => `flex items-center gap-1 px-3 py-1 rounded-full text-xs font-bold retro-text shadow-lg transition-colors duration-200 ${
+            isActive ? 'bg-yellow-400 text-black' : 'bg-black/50 text-white hover:bg-black/70'
+          }`}
+        >
+          <Icon className="w-4 h-4" />
+          {label}
+        </NavLink>
+      ))}
+    </nav>
+  );
+}
+
+export default ModeNav;
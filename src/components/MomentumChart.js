@@ -0,0 +1,175 @@
+import React from 'react';
+import { analyzeMomentum, formatElapsed } from '../utils/momentum';
+
+// Line colours per side (the first two match the stat comparison's)
+const SIDE_COLORS = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#A855F7', '#EC4899', '#14B8A6', '#F97316'];
+
+// Chart geometry
+const WIDTH = 320;
+const HEIGHT = 140;
+const PADDING = { top: 8, right: 8, bottom: 16, left: 28 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+/**
+ * Momentum Chart Component
+ * Timeline of a round's tally: one line of running votes per side, with the
+ * lead changes, the biggest swing and (once the round is over) the moment
+ * the winner took the lead for good marked on it. Draws live while voting.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.timeline - Tallies timed from the round's start ([{ at, votes }])
+ * @param {Array<Object>} props.sides - The lines ([{ id, name, positions }], see utils/momentum.js)
+ * @param {string|null} props.winner - Winning side id ('tie' or null without one)
+ * @param {boolean} props.final - Whether the round is over
+ * @param {string} props.id - Prefix for the chart's element ids (several charts can share a page)
+ */
+function MomentumChart({ timeline, sides, winner = null, final = false, id = 'momentum' }) {
+  if (timeline.length < 2) return null;
+
+  const { series, leadChanges, biggestSwing, decidedAt } = analyzeMomentum(timeline, sides, final ? winner : null);
+  const duration = Math.max(series[series.length - 1].at, 1);
+  const most = Math.max(1, ...series.flatMap(point => point.values));
+
+  const x = (at) => PADDING.left + (at / duration) * PLOT_WIDTH;
+  const y = (value) => PADDING.top + PLOT_HEIGHT - (value / most) * PLOT_HEIGHT;
+  const nameOf = (sideId) => sides.find(side => side.id === sideId)?.name || sideId;
+  const colorOf = (sideId) => SIDE_COLORS[sides.findIndex(side => side.id === sideId) % SIDE_COLORS.length];
+
+  const swingText = biggestSwing &&
+    `Biggest swing: ${biggestSwing.amount} net votes to ${nameOf(biggestSwing.side)} at ${formatElapsed(biggestSwing.at)}.`;
+  const decidedText = decidedAt !== null &&
+    `Decided at ${formatElapsed(decidedAt)}: ${nameOf(winner)} led from there on.`;
+  const summary = [
+    leadChanges.length === 0
+      ? 'The lead never changed hands.'
+      : `The lead changed hands ${leadChanges.length} ${leadChanges.length === 1 ? 'time' : 'times'}.`,
+    swingText,
+    decidedText
+  ].filter(Boolean);
+
+  return (
+    <section
+      aria-label="Vote momentum"
+      className="max-w-2xl mx-auto mt-6 bg-black/70 backdrop-blur-md rounded-xl border-2 border-white/30 shadow-2xl p-4 text-white retro-text"
+    >
+      <h3 className="text-center font-bold mb-2">
+        VOTE MOMENTUM{!final && <span className="text-red-400 text-xs animate-pulse"> · LIVE</span>}
+      </h3>
+
+      {/* Legend */}
+      <div className="flex flex-wrap justify-center gap-3 text-xs mb-2">
+        {sides.map(side => (
+          <span key={side.id} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 border border-white/60" style={{ backgroundColor: colorOf(side.id) }} />
+            {side.name}
+          </span>
+        ))}
+      </div>
+
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-labelledby={`${id}-title ${id}-desc`}
+      >
+        <title id={`${id}-title`}>Votes over time</title>
+        <desc id={`${id}-desc`}>{summary.join(' ')}</desc>
+
+        {/* Axes */}
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} stroke="rgba(255,255,255,0.4)" />
+        <line x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} stroke="rgba(255,255,255,0.4)" />
+        <text x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end" fontSize="8" fill="white">{most}</text>
+        <text x={PADDING.left - 4} y={HEIGHT - PADDING.bottom} textAnchor="end" fontSize="8" fill="white">0</text>
+        <text x={PADDING.left} y={HEIGHT - 4} fontSize="8" fill="white">0:00</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" fontSize="8" fill="white">{formatElapsed(duration)}</text>
+
+        {/* Biggest swing */}
+        {biggestSwing && (
+          <line
+            x1={x(biggestSwing.at)}
+            y1={PADDING.top}
+            x2={x(biggestSwing.at)}
+            y2={HEIGHT - PADDING.bottom}
+            stroke="#FDE047"
+            strokeWidth="6"
+            strokeOpacity="0.25"
+          />
+        )}
+
+        {/* Lead changes */}
+        {leadChanges.map(change => (
+          <line
+            key={`lead-${change.at}`}
+            x1={x(change.at)}
+            y1={PADDING.top}
+            x2={x(change.at)}
+            y2={HEIGHT - PADDING.bottom}
+            stroke="white"
+            strokeOpacity="0.5"
+            strokeDasharray="2 2"
+          />
+        ))}
+
+        {/* Running votes per side */}
+        {sides.map((side, index) => (
+          <polyline
+            key={side.id}
+            points={series.map(point => `${x(point.at)},${y(point.values[index])}`).join(' ')}
+            fill="none"
+            stroke={colorOf(side.id)}
+            strokeWidth="2"
+            strokeLinejoin="round"
+          />
+        ))}
+
+        {/* Who took the lead */}
+        {leadChanges.map(change => {
+          const point = series.find(entry => entry.at === change.at);
+          const index = sides.findIndex(side => side.id === change.to);
+          return (
+            <circle
+              key={`leader-${change.at}`}
+              cx={x(change.at)}
+              cy={y(point.values[index])}
+              r="3"
+              fill={colorOf(change.to)}
+              stroke="white"
+            />
+          );
+        })}
+
+        {/* The deciding vote */}
+        {decidedAt !== null && (
+          <g>
+            <line
+              x1={x(decidedAt)}
+              y1={PADDING.top}
+              x2={x(decidedAt)}
+              y2={HEIGHT - PADDING.bottom}
+              stroke="#FDE047"
+              strokeWidth="1.5"
+            />
+            <text x={x(decidedAt) + 2} y={PADDING.top + 8} fontSize="8" fill="#FDE047" fontWeight="bold">DECIDED</text>
+          </g>
+        )}
+      </svg>
+
+      {/* Story of the round */}
+      <ul className="mt-2 text-xs space-y-1">
+        {leadChanges.length === 0 && <li>The lead never changed hands.</li>}
+        {leadChanges.map(change => (
+          <li key={change.at}>
+            <span className="text-white/60">{formatElapsed(change.at)}</span>{' '}
+            <span style={{ color: colorOf(change.to) }} className="font-bold">{nameOf(change.to)}</span>
+            {' took the lead from '}{nameOf(change.from)}
+          </li>
+        ))}
+        {swingText && <li>{swingText}</li>}
+        {decidedText && <li className="text-yellow-300 font-bold">{decidedText}</li>}
+      </ul>
+    </section>
+  );
+}
+
+export default MomentumChart;
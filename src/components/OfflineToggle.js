@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { Database } from 'lucide-react';
+import { pokemonAPI } from '../services/pokemonAPI';
+import { OFFLINE_CONFIG } from '../utils/constants';
+
+/**
+ * Offline Toggle Component
+ * Switches Pokémon lookups to the bundled offline Pokédex.
+ * Hidden when the build forces offline mode.
+ */
+function OfflineToggle() {
+  const [offline, setOffline] = useState(() => pokemonAPI.isOfflineMode());
+
+  if (OFFLINE_CONFIG.ALWAYS) return null;
+
+  const handleToggle = () => {
+    pokemonAPI.setOfflineMode(!offline);
+    setOffline(!offline);
+  };
+
+  return (
+    <button
+      onClick={handleToggle}
+      aria-pressed={offline}
+      title="Use the bundled Pokédex instead of PokeAPI (applies to the next battle)"
+      className={`fixed bottom-4 left-4 z-40 flex items-center gap-1 px-3 py-1 rounded-full text-xs font-bold retro-text shadow-lg transition-colors duration-200 ${
+        offline ? 'bg-yellow-400 text-black' : 'bg-black/50 text-white hover:bg-black/70'
+      }`}
+    >
+      <Database className="w-4 h-4" />
+      OFFLINE DATA {offline ? 'ON' : 'OFF'}
+    </button>
+  );
+}
+
+export default OfflineToggle;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { ChevronRight } from 'lucide-react';
+import { POKEDEX_CONFIG } from '../utils/constants';
+import { formatName, groupByStage } from '../utils/pokedexEntry';
+import { pokemonAPI } from '../services/pokemonAPI';
+
+/**
+ * Pokédex Drawer Component
+ * Expandable details on a Pokémon card: species, Pokédex entry, base stats,
+ * abilities and evolution chain. Sections the data doesn't have (e.g. offline
+ * records have no abilities or Pokédex text) are left out.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pokemon - Pokémon data from pokemonAPI
+ * @param {string} props.id - Element ID (for the toggle's aria-controls)
+ */
+function PokedexDrawer({ pokemon, id }) {
+  const { stats, abilities, evolutionChain } = pokemon;
+  const hasStats = stats && stats.hp;
+  const total = hasStats
+    ? POKEDEX_CONFIG.STATS.reduce((sum, { key }) => sum + stats[key], 0)
+    : 0;
+
+  return (
+    <div id={id} className="pokedex-drawer mt-2 bg-gray-100 border-2 border-gray-500 rounded p-2 text-black text-left text-xs retro-text space-y-2">
+      {/* Species */}
+      <div className="flex flex-wrap items-center gap-1">
+        <span className="font-bold">#{String(pokemon.id).padStart(3, '0')}</span>
+        {pokemon.genus && <span>· {pokemon.genus}</span>}
+        {pokemon.generation && <span>· Gen {pokemon.generation}</span>}
+        {pokemon.legendary && (
+          <span className="px-1 bg-yellow-400 border border-yellow-700 font-bold">LEGENDARY</span>
+        )}
+        {pokemon.mythical && (
+          <span className="px-1 bg-pink-300 border border-pink-700 font-bold">MYTHICAL</span>
+        )}
+      </div>
+
+      {pokemon.flavorText && (
+        <p className="italic text-gray-700">{pokemon.flavorText}</p>
+      )}
+
+      {/* Base stats */}
+      {hasStats && (
+        <div className="space-y-0.5">
+          {POKEDEX_CONFIG.STATS.map(({ key, label }) => (
+            <div key={key} className="flex items-center gap-1">
+              <span className="w-12 font-bold">{label}</span>
+              <span className="w-7 text-right">{stats[key]}</span>
+              <div className="flex-1 bg-gray-300 border border-gray-500 h-2">
+                <div
+                  className="h-full bg-red-500"
+                  style={{ width: `${Math.min(100, (stats[key] / POKEDEX_CONFIG.MAX_BASE_STAT) * 100)}%` }}
+                />
+              </div>
+            </div>
+          ))}
+          <div className="flex gap-1 font-bold">
+            <span className="w-12">TOTAL</span>
+            <span className="w-7 text-right">{total}</span>
+          </div>
+        </div>
+      )}
+
+      {/* Abilities */}
+      {abilities && abilities.length > 0 && (
+        <div>
+          <span className="font-bold">Abilities: </span>
+          {abilities.map((ability, index) => (
+            <span key={ability.name}>
+              {index > 0 && ', '}
+              {formatName(ability.name)}
+              {ability.hidden && <span className="text-gray-500"> (hidden)</span>}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Evolution chain */}
+      {evolutionChain && evolutionChain.length > 1 && (
+        <div>
+          <div className="font-bold mb-1">Evolutions:</div>
+          <div className="flex items-center flex-wrap gap-1">
+            {groupByStage(evolutionChain).map((stage, index) => (
+              <React.Fragment key={index}>
+                {index > 0 && <ChevronRight className="w-3 h-3 text-gray-500" />}
+                <div className="flex flex-col gap-0.5">
+                  {stage.map(member => (
+                    <div
+                      key={member.id}
+                      className={`flex items-center gap-0.5 px-1 ${member.id === pokemon.id ? 'bg-yellow-300 border border-yellow-600' : ''}`}
+                    >
+                      <img
+                        src={pokemonAPI.getSpriteUrl(member.id)}
+                        alt=""
+                        className="w-6 h-6 pixel-image"
+                        loading="lazy"
+                      />
+                      <span className="capitalize">{member.name}</span>
+                    </div>
+                  ))}
+                </div>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PokedexDrawer;
@@ -1,6 +1,8 @@
-import React from 'react';
-import { Trophy } from 'lucide-react';
+import React, { useState } from 'react';
+import { Trophy, ChevronDown, ChevronUp } from 'lucide-react';
 import { battleHelpers } from '../hooks/useBattle';
+import { VOTING_METHODS } from '../utils/constants';
+import PokedexDrawer from './PokedexDrawer';
 
 /**
  * Pokemon Card Component
@@ -9,29 +11,46 @@ import { battleHelpers } from '../hooks/useBattle';
  * 
  * @param {Object} props - Component props
  * @param {Object} props.pokemon - Pokémon data object
- * @param {string} props.position - Position identifier ('pokemon1' or 'pokemon2')
- * @param {Function} props.onVote - Callback function for voting
- * @param {string|null} props.userVoted - Which Pokémon the user voted for
+ * @param {string} props.position - Position identifier ('pokemon1', 'pokemon2', ...)
+ * @param {Function} props.onVote - Callback function for voting (ranking, in ranked-choice battles)
+ * @param {string|null} props.userVoted - Which Pokémon the user voted for (first choice)
  * @param {number} props.votes - Number of votes for this Pokémon
- * @param {number} props.totalVotes - Total votes across both Pokémon
+ * @param {number} props.totalVotes - Total votes across all Pokémon
  * @param {boolean} props.votingLocked - Whether voting is currently locked
+ * @param {boolean} props.isWinner - Whether this Pokémon won outright (ties have no winner)
+ * @param {number} props.rank - Place on the user's ranked-choice ballot (0 when unranked)
+ * @param {string} props.votingMethod - One of VOTING_METHODS
+ * @param {Object|null} props.fighter - HP during a Fight! ({ hp, maxHp }), null when there's no fight
  */
-function PokemonCard({ pokemon, position, onVote, userVoted, votes, totalVotes, votingLocked }) {
+function PokemonCard({
+  pokemon,
+  position,
+  onVote,
+  userVoted,
+  votes,
+  totalVotes,
+  votingLocked,
+  isWinner = false,
+  rank = 0,
+  votingMethod = VOTING_METHODS.PLURALITY,
+  fighter = null
+}) {
+  // Pokédex detail drawer
+  const [showDetails, setShowDetails] = useState(false);
+
   // ONLY CHANGE: Add null check
   if (!pokemon) return null;
 
   // Calculate display values
   const percentage = battleHelpers.calculatePercentage(votes, totalVotes);
   
-  // FIXED: Simple winner logic - only show when voting is locked and this Pokemon has more votes
-  const otherVotes = totalVotes - votes;
-  const isWinner = userVoted && 
-                   totalVotes > 0 && 
-                   votes > 0 && 
-                   votes > otherVotes && // Must have MORE votes (not equal)
-                   votingLocked; // Only show when voting is locked (no extra delays)
+  // Only show the winner to voters, once voting is locked (the count decides it, see utils/voting.js)
+  const showWinner = userVoted && isWinner && votingLocked;
   
-  const canVote = !userVoted;
+  const canVote = !userVoted && !votingLocked;
+  const ranked = votingMethod === VOTING_METHODS.RANKED;
+  const voteLabel = rank ? `YOUR #${rank} CHOICE` : userVoted === position ? 'YOU VOTED FOR' : null;
+  const fainted = fighter && fighter.hp === 0;
   const formattedStats = battleHelpers.formatStats(pokemon);
 
   // Determine animation direction for progress bar
@@ -77,6 +96,15 @@ function PokemonCard({ pokemon, position, onVote, userVoted, votes, totalVotes,
     return typeColors[type] || '#68A090';
   };
 
+  /**
+   * Classic HP bar colours: green, then yellow below half, red below a fifth
+   */
+  const getHpColor = (share) => {
+    if (share > 0.5) return 'bg-green-500';
+    if (share > 0.2) return 'bg-yellow-400';
+    return 'bg-red-500';
+  };
+
   // Use pixelated sprite instead of official artwork
   const pokemonImage = pokemon.sprites?.front_default || 
                       `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${pokemon.id}.png`;
@@ -107,10 +135,10 @@ function PokemonCard({ pokemon, position, onVote, userVoted, votes, totalVotes,
           </div>
 
           {/* User's vote indicator */}
-          {userVoted === position && (
+          {voteLabel && (
             <div className="text-center mt-1">
               <span className="text-sm font-bold text-green-600 retro-text">
-                YOU VOTED FOR
+                {voteLabel}
               </span>
             </div>
           )}
@@ -125,11 +153,18 @@ function PokemonCard({ pokemon, position, onVote, userVoted, votes, totalVotes,
 
       {/* POKEMON CARD - NO VOTES INSIDE */}
       <div className={`relative bg-gradient-to-b from-red-600 to-red-800 border-4 border-red-900 rounded-lg shadow-2xl overflow-hidden transition-all duration-300 pokemon-card-retro ${
-        isWinner ? 'ring-4 ring-yellow-400 winner-glow' : ''
+        showWinner ? 'ring-4 ring-yellow-400 winner-glow' : ''
       } ${canVote ? 'hover:shadow-xl cursor-pointer' : ''}`}>
         
+        {/* Place on the user's ranked-choice ballot */}
+        {rank > 0 && (
+          <div className="absolute top-2 left-2 z-10 bg-yellow-400 text-black px-2 py-1 border-2 border-yellow-600 text-xs font-bold retro-text">
+            #{rank}
+          </div>
+        )}
+
         {/* Winner Badge - ONLY SHOW WHEN VOTING IS LOCKED */}
-        {isWinner && (
+        {showWinner && (
           <div className="absolute top-2 right-2 z-10 bg-yellow-400 text-black px-2 py-1 border-2 border-yellow-600 text-xs font-bold flex items-center gap-1 retro-text">
             <Trophy className="w-3 h-3" />
             WINNER
@@ -141,6 +176,22 @@ function PokemonCard({ pokemon, position, onVote, userVoted, votes, totalVotes,
           <h3 className="text-lg font-bold text-black retro-text uppercase tracking-wider">
             {pokemon.name}
           </h3>
+
+          {/* HP bar - only during a Fight! */}
+          {fighter && (
+            <div className="flex items-center gap-2 mt-1">
+              <span className="text-xs font-bold text-black retro-text">HP</span>
+              <div className="flex-1 bg-gray-500 border border-black h-3 overflow-hidden">
+                <div
+                  className={`h-full transition-all duration-700 ease-out ${getHpColor(fighter.hp / fighter.maxHp)}`}
+                  style={{ width: `${(fighter.hp / fighter.maxHp) * 100}%` }}
+                />
+              </div>
+              <span className="text-xs font-bold text-black retro-text w-16 text-right">
+                {fighter.hp}/{fighter.maxHp}
+              </span>
+            </div>
+          )}
         </div>
 
         {/* Pokemon Image Container - Dark Screen - SMALLER */}
@@ -149,7 +200,7 @@ function PokemonCard({ pokemon, position, onVote, userVoted, votes, totalVotes,
             <img 
               src={pokemonImage}
               alt={pokemon?.name || 'Pokemon'}
-              className="object-contain pixel-image bounce-in pokemon-breathing"
+              className={`object-contain pixel-image bounce-in ${fainted ? 'opacity-30 grayscale' : 'pokemon-breathing'}`}
               style={{ width: '120px', height: '120px' }}
               onError={handleImageError}
               loading="lazy"
@@ -217,16 +268,29 @@ function PokemonCard({ pokemon, position, onVote, userVoted, votes, totalVotes,
 
           </div>
 
+          {/* Pokédex details */}
+          <button
+            onClick={() => setShowDetails(open => !open)}
+            aria-expanded={showDetails}
+            aria-controls={`${position}-pokedex`}
+            className="w-full mt-2 bg-gray-300 hover:bg-gray-200 text-black font-bold py-1 px-2 border-2 border-gray-500 retro-text text-xs flex items-center justify-center gap-1"
+          >
+            POKÉDEX
+            {showDetails ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </button>
+          {showDetails && <PokedexDrawer pokemon={pokemon} id={`${position}-pokedex`} />}
+
           {/* Voting Section - ONLY VOTE BUTTON, NO RESULTS */}
           <div className="mt-2">
             {!userVoted && (
               <button
                 onClick={() => onVote(position)}
-                disabled={userVoted}
+                disabled={!canVote}
+                aria-pressed={ranked ? rank > 0 : undefined}
                 className="w-full bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-2 px-4 border-4 border-yellow-600 retro-button retro-text transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
               >
                 <div className="flex items-center justify-center">
-                  VOTE
+                  {!ranked ? 'VOTE' : rank ? `#${rank} · UNDO` : 'RANK'}
                 </div>
               </button>
             )}
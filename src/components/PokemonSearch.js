@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { pokemonAPI } from '../services/pokemonAPI';
+import { searchSpecies } from '../utils/pokemonSearch';
+
+/**
+ * Pokémon Search Component
+ * Autocomplete input with fuzzy search by name or National Dex number
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - Input id (also used for the suggestion list)
+ * @param {string} props.label - Input label
+ * @param {Array<Object>} props.species - Species index records to search
+ * @param {string} props.type - Only suggest Pokémon of this type ('' for any)
+ * @param {string} props.query - Current input text
+ * @param {Object} props.selected - Chosen species, or null
+ * @param {Function} props.onChange - Called with ({ query, selected }) on typing or picking
+ * @param {string} props.error - Inline validation error
+ */
+function PokemonSearch({ id, label, species, type = '', query, selected, onChange, error }) {
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const results = open ? searchSpecies(species, query, { type }) : [];
+
+  const pick = (entry) => {
+    onChange({ query: entry.name, selected: entry });
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted(current => Math.min(current + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(current => Math.max(current - 1, 0));
+    } else if (e.key === 'Enter' && open && results[highlighted]) {
+      e.preventDefault();
+      pick(results[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative flex flex-col gap-1 text-left">
+      <label htmlFor={id} className="text-xs text-white/70">{label}</label>
+
+      <div className="flex items-center gap-2">
+        <div className="w-12 h-12 bg-white/10 rounded flex items-center justify-center shrink-0">
+          {selected && (
+            <img
+              src={pokemonAPI.getSpriteUrl(selected.id)}
+              alt=""
+              className="w-12 h-12 object-contain pixel-image"
+            />
+          )}
+        </div>
+        <input
+          id={id}
+          type="text"
+          role="combobox"
+          aria-expanded={open && results.length > 0}
+          aria-controls={`${id}-results`}
+          aria-invalid={!!error}
+          aria-describedby={error ? `${id}-error` : undefined}
+          autoComplete="off"
+          value={query}
+          onChange={(e) => {
+            onChange({ query: e.target.value, selected: null });
+            setOpen(true);
+            setHighlighted(0);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          placeholder="Name or number, e.g. pikachu or 25"
+          className={`flex-1 rounded px-2 py-2 text-black ${error ? 'ring-2 ring-red-400' : ''}`}
+        />
+      </div>
+
+      {error && <p id={`${id}-error`} className="text-red-300 text-xs" role="alert">{error}</p>}
+
+      {open && results.length > 0 && (
+        <ul
+          id={`${id}-results`}
+          role="listbox"
+          className="absolute top-full left-14 right-0 z-10 mt-1 bg-gray-900 border border-white/20 rounded shadow-xl max-h-72 overflow-y-auto"
+        >
+          {results.map((entry, index) => (
+            <li
+              key={entry.id}
+              role="option"
+              aria-selected={index === highlighted}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(entry);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`flex items-center gap-2 px-2 py-1 cursor-pointer text-sm ${
+                index === highlighted ? 'bg-yellow-400 text-black' : 'text-white'
+              }`}
+            >
+              <img
+                src={pokemonAPI.getSpriteUrl(entry.id)}
+                alt=""
+                loading="lazy"
+                className="w-8 h-8 object-contain pixel-image"
+              />
+              <span className="opacity-70 w-12">#{String(entry.id).padStart(3, '0')}</span>
+              <span className="uppercase flex-1">{entry.name}</span>
+              <span className="text-xs opacity-70">{entry.types.join(' / ')}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PokemonSearch;
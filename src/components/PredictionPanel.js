@@ -0,0 +1,74 @@
+import React from 'react';
+import { Sparkles } from 'lucide-react';
+import { describeScore } from '../utils/predictions';
+
+/**
+ * Prediction Panel Component
+ * Prediction mode's step before the vote: the user calls who wins the round
+ * (or skips it) without seeing any votes, which opens voting for them, then
+ * votes for their favourite as usual. Once voting locks it shows how the call scored.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.sides - Who can win ([{ id, name }], see getSides in utils/momentum.js)
+ * @param {Object|null} props.prediction - The user's call for this round ({ pick, favorites })
+ * @param {Array<string>} props.favorites - Favourite sides by rating, before the call is made
+ * @param {Object|null} props.score - How the call scored (see scorePrediction), once voting has locked
+ * @param {Object} props.board - The user's scoreboard (points and streak)
+ * @param {Function} props.onPredict - Called with a side id, or null to skip predicting this round
+ */
+function PredictionPanel({ sides, prediction, favorites, score, board, onPredict }) {
+  const nameOf = (sideId) => sides.find(side => side.id === sideId)?.name || sideId;
+
+  return (
+    <section
+      aria-label="Prediction"
+      className="max-w-md mx-auto mb-6 bg-black/70 backdrop-blur-md rounded-xl px-6 py-3 border-2 border-purple-400/60 shadow-2xl text-center text-white retro-text"
+    >
+      <h3 className="font-bold flex items-center justify-center gap-2">
+        <Sparkles className="w-4 h-4 text-purple-300" />
+        {prediction ? 'YOUR PREDICTION' : 'WHO WILL WIN?'}
+      </h3>
+
+      {!prediction && (
+        <>
+          <p className="text-sm mt-1">
+            Call the winner to open your vote. The round is already running! Upsets and streaks score extra.
+          </p>
+          <div className="flex flex-wrap justify-center gap-2 mt-2">
+            {sides.map(side => (
+              <button
+                key={side.id}
+                onClick={() => onPredict(side.id)}
+                className="bg-purple-500 hover:bg-purple-600 text-white font-bold py-1 px-3 border-2 border-purple-700 retro-button text-sm"
+              >
+                {side.name}
+                {favorites.includes(side.id) && <span className="text-yellow-300 text-xs"> ★ FAVOURITE</span>}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => onPredict(null)}
+            className="text-white/70 hover:text-white underline text-xs mt-2"
+          >
+            Skip, just vote
+          </button>
+        </>
+      )}
+
+      {prediction?.pick && (
+        <p className="text-sm mt-1">
+          You picked <span className="text-purple-300 font-bold">{nameOf(prediction.pick)}</span>
+          {prediction.favorites.length > 0 && !prediction.favorites.includes(prediction.pick) && ' (an upset call!)'}
+        </p>
+      )}
+
+      {score && <p className="text-sm mt-1 text-yellow-300 font-bold">{describeScore(score)}</p>}
+
+      <p className="text-xs text-white/60 mt-2">
+        {board.points.toLocaleString()} points · streak {board.streak} · best {board.longestStreak}
+      </p>
+    </section>
+  );
+}
+
+export default PredictionPanel;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { Sparkles } from 'lucide-react';
+import { predictionService } from '../services/predictions';
+import { PREDICTION_CONFIG } from '../utils/constants';
+import { getAccuracy } from '../utils/predictions';
+
+/**
+ * Prediction Scoreboard Component
+ * The user's own prediction mode record: points, accuracy, streaks and their latest calls
+ */
+function PredictionScoreboard() {
+  // Read once when the board opens, like the leaderboard
+  const [board, setBoard] = useState(() => predictionService.getScoreboard());
+  const accuracy = getAccuracy(board);
+  const { POINTS } = PREDICTION_CONFIG;
+
+  const handleReset = () => {
+    if (!window.confirm('Reset your prediction points and streaks?')) return;
+    predictionService.resetScoreboard();
+    setBoard(predictionService.getScoreboard());
+  };
+
+  const stats = [
+    { label: 'Points', value: board.points.toLocaleString() },
+    { label: 'Accuracy', value: accuracy === null ? '—' : `${Math.round(accuracy * 100)}%` },
+    { label: 'Called', value: `${board.correct}/${board.scored}` },
+    { label: 'Streak', value: board.streak },
+    { label: 'Longest streak', value: board.longestStreak },
+    { label: 'Upsets called', value: board.upsets }
+  ];
+
+  return (
+    <div className="max-w-3xl mx-auto mt-6 bg-black/60 backdrop-blur-sm rounded-xl p-6 text-white retro-text shadow-2xl">
+      <h2 className="text-2xl font-bold mb-1 flex items-center justify-center gap-2">
+        <Sparkles className="w-6 h-6 text-purple-300" />
+        MY PREDICTIONS
+      </h2>
+      <p className="text-xs text-white/70 mb-6">
+        Turn on prediction mode in the arena to call winners: {POINTS.CORRECT} points a hit, +{POINTS.UPSET} for
+        an upset, +{POINTS.STREAK} for every hit in a row (up to +{POINTS.MAX_STREAK_BONUS}). Ties don&apos;t count.
+      </p>
+
+      <dl className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-6">
+        {stats.map(stat => (
+          <div key={stat.label} className="bg-white/10 rounded p-3">
+            <dt className="text-xs text-white/70">{stat.label}</dt>
+            <dd className="text-xl font-bold text-yellow-300">{stat.value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {board.recent.length === 0 ? (
+        <p className="text-white/80 py-4">No predictions scored yet.</p>
+      ) : (
+        <ul className="space-y-1 text-sm text-left">
+          {board.recent.map(entry => (
+            <li key={entry.at} className="flex flex-wrap justify-between gap-2 border-b border-white/10 py-1">
+              <span>
+                Picked <span className="uppercase">{entry.pick}</span>
+                <span className="text-white/60">
+                  {' · '}{entry.winner === 'tie' ? 'tie' : <>winner <span className="uppercase">{entry.winner}</span></>}
+                </span>
+              </span>
+              <span className={entry.outcome === 'correct' ? 'text-green-400' : entry.outcome === 'wrong' ? 'text-red-400' : 'text-white/60'}>
+                {entry.outcome === 'push' ? 'PUSH' : `+${entry.points}`}
+                {entry.upsetBonus > 0 && ' · UPSET'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {board.recent.length > 0 && (
+        <button
+          onClick={handleReset}
+          className="mt-6 text-xs text-white/60 hover:text-white underline"
+        >
+          Reset predictions
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PredictionScoreboard;
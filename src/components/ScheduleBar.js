@@ -0,0 +1,80 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { CalendarClock, Radio, Sun } from 'lucide-react';
+import { useNow } from '../hooks/useSchedule';
+import { getBattlePath } from '../utils/battleRoutes';
+import { describeBattle } from '../utils/hostControl';
+import { formatCountdown, getNextDayStart, getScheduleStatus } from '../utils/schedule';
+
+/**
+ * Link to a scheduled battle, or a note when it is the one being watched
+ */
+function WatchLink({ battle, watching, label }) {
+  if (watching) {
+    return <span className="text-yellow-300 font-bold">YOU&apos;RE ON IT</span>;
+  }
+  return (
+    <Link
+      to={getBattlePath(battle.contestants, battle.method)}
+      className="bg-yellow-400 hover:bg-yellow-500 text-black font-bold px-2 rounded-full"
+    >
+      {label}
+    </Link>
+  );
+}
+
+/**
+ * Schedule Bar Component
+ * Today's Battle of the Day and a countdown to the next battle: the next
+ * timed battle, or tomorrow's Battle of the Day when none is scheduled
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.daily - Today's Battle of the Day
+ * @param {Array<Object>} props.battles - Timed battles
+ * @param {string|null} props.battleId - Battle being watched
+ */
+function ScheduleBar({ daily, battles, battleId }) {
+  const now = useNow();
+  const { live, next } = getScheduleStatus(battles, now);
+
+  if (!daily && !live && !next) return null;
+
+  const nameOf = (battle) => battle.title || describeBattle(battle.battleId);
+
+  return (
+    <div
+      aria-label="Battle schedule"
+      className="max-w-xl mx-auto mt-4 bg-black/50 backdrop-blur-sm rounded-lg px-4 py-2 text-white text-xs retro-text space-y-1"
+    >
+      {daily && (
+        <div className="flex flex-wrap items-center justify-center gap-2">
+          <Sun className="w-4 h-4 text-yellow-300" />
+          <span>BATTLE OF THE DAY: {describeBattle(daily.battleId)}</span>
+          <WatchLink battle={daily} watching={battleId === daily.battleId} label="PLAY" />
+        </div>
+      )}
+
+      {live && (
+        <div className="flex flex-wrap items-center justify-center gap-2">
+          <Radio className="w-4 h-4 text-red-400 animate-pulse" />
+          <span>ON NOW: {nameOf(live)} · ends in {formatCountdown(live.end - now)}</span>
+          <WatchLink battle={live} watching={battleId === live.battleId} label="WATCH" />
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <CalendarClock className="w-4 h-4" />
+        <span role="timer">
+          {next
+            ? `NEXT BATTLE IN ${formatCountdown(next.start - now)}: ${nameOf(next)}`
+            : `NEXT BATTLE OF THE DAY IN ${formatCountdown(getNextDayStart(now) - now)}`}
+        </span>
+        <Link to="/schedule" className="underline text-white/80 hover:text-white">
+          SCHEDULE
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+export default ScheduleBar;
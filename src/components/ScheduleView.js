@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CalendarClock, Radio, Sun, Trophy } from 'lucide-react';
+import { useNow, useSchedule } from '../hooks/useSchedule';
+import { battleSchedule } from '../services/battleSchedule';
+import { getBattlePath } from '../utils/battleRoutes';
+import { describeBattle } from '../utils/hostControl';
+import { formatCountdown, getNextDayStart, getScheduleStatus } from '../utils/schedule';
+import { formatName } from '../utils/pokedexEntry';
+
+/**
+ * When a timed battle is on, in the user's time zone
+ */
+const formatWindow = (battle) =>
+  `${new Date(battle.start).toLocaleString()} – ${new Date(battle.end).toLocaleTimeString()}`;
+
+/**
+ * Schedule View Component
+ * Today's Battle of the Day, the timed battles (on now and coming up, with a
+ * countdown to the next one) and the results of past featured battles
+ */
+function ScheduleView() {
+  const { daily, battles } = useSchedule();
+  const now = useNow();
+  const { live, next, upcoming } = getScheduleStatus(battles, now);
+
+  // Read once: results only change while a featured battle is being watched
+  const [archive] = useState(() => battleSchedule.getArchive());
+
+  const nameOf = (battle) => battle.title || describeBattle(battle.battleId);
+
+  return (
+    <div className="max-w-3xl mx-auto bg-black/60 backdrop-blur-sm rounded-xl p-6 text-white retro-text shadow-2xl">
+      <h2 className="text-2xl font-bold mb-1 flex items-center justify-center gap-2">
+        <CalendarClock className="w-6 h-6 text-yellow-400" />
+        BATTLE SCHEDULE
+      </h2>
+      <p className="text-xs text-white/70 mb-6">
+        Everyone gets the same Battle of the Day, and timed battles start for everyone at once
+      </p>
+
+      {/* Battle of the Day */}
+      <section aria-label="Battle of the Day" className="bg-white/10 rounded p-4 mb-4">
+        <h3 className="font-bold flex items-center justify-center gap-2 mb-2">
+          <Sun className="w-5 h-5 text-yellow-300" />
+          BATTLE OF THE DAY
+        </h3>
+        {daily ? (
+          <>
+            <p className="text-lg mb-2">{describeBattle(daily.battleId)}</p>
+            <Link
+              to={getBattlePath(daily.contestants, daily.method)}
+              className="inline-block bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-1 px-4 rounded-full"
+            >
+              PLAY
+            </Link>
+            <p className="text-xs text-white/70 mt-2">
+              Next one in {formatCountdown(getNextDayStart(now) - now)} (midnight UTC)
+            </p>
+          </>
+        ) : (
+          <p className="text-sm text-white/70">Drawing today&apos;s matchup…</p>
+        )}
+      </section>
+
+      {/* Timed battles */}
+      <section aria-label="Timed battles" className="bg-white/10 rounded p-4 mb-4 text-sm">
+        {live && (
+          <div className="flex flex-wrap items-center justify-center gap-2 mb-3">
+            <Radio className="w-4 h-4 text-red-400 animate-pulse" />
+            <span className="font-bold">ON NOW: {nameOf(live)}</span>
+            <span className="text-white/70">ends in {formatCountdown(live.end - now)}</span>
+            <Link
+              to={getBattlePath(live.contestants, live.method)}
+              className="bg-red-500 hover:bg-red-600 text-white font-bold px-3 rounded-full"
+            >
+              WATCH
+            </Link>
+          </div>
+        )}
+
+        {next ? (
+          <p role="timer" className="font-bold mb-3">NEXT BATTLE IN {formatCountdown(next.start - now)}</p>
+        ) : (
+          !live && <p className="text-white/70">No timed battles coming up.</p>
+        )}
+
+        {upcoming.length > 0 && (
+          <ol className="space-y-1 text-left">
+            {upcoming.map(battle => (
+              <li key={battle.id} className="flex flex-wrap justify-between gap-2 border-b border-white/10 py-1">
+                <span className="uppercase">{nameOf(battle)}</span>
+                <span className="text-white/70 text-xs">{formatWindow(battle)}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+
+      {/* Past featured battles */}
+      <section aria-label="Past featured battles" className="text-sm">
+        <h3 className="font-bold flex items-center justify-center gap-2 mb-2">
+          <Trophy className="w-5 h-5 text-yellow-400" />
+          PAST FEATURED BATTLES
+        </h3>
+        {archive.length === 0 ? (
+          <p className="text-white/70">
+            Results show up here once you watch a featured battle to the end of a round with votes.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {archive.map(entry => (
+              <li key={entry.key} className="bg-white/10 rounded p-3 flex flex-wrap items-center gap-3 text-left">
+                <span className={`px-1 text-xs font-bold ${entry.kind === 'daily' ? 'bg-yellow-400 text-black' : 'bg-red-500 text-white'}`}>
+                  {entry.kind === 'daily' ? 'DAILY' : 'TIMED'}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <div className="uppercase truncate">{entry.title || describeBattle(entry.battleId)}</div>
+                  <time dateTime={new Date(entry.at).toISOString()} className="text-xs text-white/70">
+                    {entry.kind === 'daily'
+                      ? new Date(entry.at).toLocaleDateString(undefined, { timeZone: 'UTC' })
+                      : new Date(entry.at).toLocaleString()}
+                  </time>
+                </div>
+                <div className="text-xs text-right">
+                  <div className="font-bold text-yellow-300">
+                    {entry.winner === 'tie' ? 'Tie' : `${formatName(entry.winner)} wins`}
+                  </div>
+                  <div className="text-white/70">
+                    {entry.totalVotes.toLocaleString()} votes{entry.userVoted && ' · you voted'}
+                  </div>
+                </div>
+                <Link
+                  to={getBattlePath(entry.contestants, entry.method)}
+                  className="bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-1 px-3 rounded-full text-xs"
+                >
+                  REMATCH
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default ScheduleView;
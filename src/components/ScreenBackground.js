@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * Screen Background Component
+ * Full-screen pixel background used by every view outside the arena
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Screen content
+ */
+function ScreenBackground({ children }) {
+  return (
+    <div
+      className="min-h-screen bg-cover bg-center bg-no-repeat relative py-16 px-4"
+      style={{ backgroundImage: 'url("/pokemon_pixel_background.png")' }}
+    >
+      {/* Background overlay for better text readability */}
+      <div className="absolute inset-0 bg-white/20 backdrop-blur-sm"></div>
+      <div className="relative z-10">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default ScreenBackground;
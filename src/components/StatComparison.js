@@ -0,0 +1,158 @@
+import React from 'react';
+import { compareStats, getRadarPoint, getRadarPolygon, getRadarScale } from '../utils/statComparison';
+import { formatName } from '../utils/pokedexEntry';
+
+// Colours of the two sides (the fight log uses the same ones)
+const SIDE_COLORS = { pokemon1: '#3B82F6', pokemon2: '#EF4444' };
+
+// Radar chart geometry; the side labels need more room than the top and bottom ones,
+// so the empty space above and below the chart is trimmed from the view box
+const SIZE = 240;
+const CENTER = SIZE / 2;
+const RADIUS = 68;
+const LABEL_DISTANCE = RADIUS + 12;
+const TRIM = 30;
+const RINGS = [0.25, 0.5, 0.75, 1];
+
+/**
+ * Stat Comparison Component
+ * Panel between the two cards: an overlaid radar chart of both Pokémon's
+ * base stats, a bar per stat showing who wins it, and the base stat totals.
+ * Renders nothing when either Pokémon's base stats are unknown.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pokemon1 - First Pokémon
+ * @param {Object} props.pokemon2 - Second Pokémon
+ */
+function StatComparison({ pokemon1, pokemon2 }) {
+  if (!pokemon1?.stats?.hp || !pokemon2?.stats?.hp) return null;
+
+  const names = { pokemon1: formatName(pokemon1.name), pokemon2: formatName(pokemon2.name) };
+  const { rows, totals, difference, leader } = compareStats(pokemon1.stats, pokemon2.stats);
+  const scale = getRadarScale(rows);
+  const axes = rows.length;
+
+  const describeRow = (row) => `${row.label}: ${names.pokemon1} ${row.values[0]}, ${names.pokemon2} ${row.values[1]}`;
+  const summary = leader === 'tie'
+    ? `Both have a base stat total of ${totals[0]}.`
+    : `${names[leader]} has ${difference} more base stat points in total.`;
+
+  return (
+    <section
+      aria-label="Base stat comparison"
+      className="w-60 shrink-0 bg-black/70 backdrop-blur-md rounded-xl border-2 border-white/30 shadow-2xl p-3 text-white retro-text"
+    >
+      <h3 className="text-center font-bold text-sm mb-1">BASE STATS</h3>
+
+      {/* Legend */}
+      <div className="flex justify-center gap-3 text-xs mb-1">
+        {['pokemon1', 'pokemon2'].map(side => (
+          <span key={side} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 border border-white/60" style={{ backgroundColor: SIDE_COLORS[side] }} />
+            {names[side]}
+          </span>
+        ))}
+      </div>
+
+      {/* Radar chart */}
+      <svg
+        viewBox={`0 ${TRIM} ${SIZE} ${SIZE - 2 * TRIM}`}
+        className="w-full h-auto"
+        role="img"
+        aria-labelledby="stat-radar-title stat-radar-desc"
+      >
+        <title id="stat-radar-title">{`Base stats radar: ${names.pokemon1} vs ${names.pokemon2}`}</title>
+        <desc id="stat-radar-desc">{`${rows.map(describeRow).join('. ')}. ${summary}`}</desc>
+
+        {/* Grid rings and axes */}
+        {RINGS.map(ring => (
+          <polygon
+            key={ring}
+            points={getRadarPolygon(rows.map(() => scale * ring), scale, RADIUS, CENTER)}
+            fill="none"
+            stroke="rgba(255,255,255,0.25)"
+            strokeWidth="1"
+          />
+        ))}
+        {rows.map((row, axis) => {
+          const [x, y] = getRadarPoint(axis, axes, RADIUS, CENTER);
+          return <line key={row.key} x1={CENTER} y1={CENTER} x2={x} y2={y} stroke="rgba(255,255,255,0.25)" strokeWidth="1" />;
+        })}
+
+        {/* Both Pokémon, overlaid */}
+        {['pokemon1', 'pokemon2'].map((side, index) => (
+          <polygon
+            key={side}
+            points={getRadarPolygon(rows.map(row => row.values[index]), scale, RADIUS, CENTER)}
+            fill={SIDE_COLORS[side]}
+            fillOpacity="0.3"
+            stroke={SIDE_COLORS[side]}
+            strokeWidth="2"
+          />
+        ))}
+
+        {/* Stat labels */}
+        {rows.map((row, axis) => {
+          const [x, y] = getRadarPoint(axis, axes, LABEL_DISTANCE, CENTER);
+          const anchor = Math.abs(x - CENTER) < 1 ? 'middle' : x > CENTER ? 'start' : 'end';
+          return (
+            <text
+              key={row.key}
+              x={x}
+              y={y}
+              textAnchor={anchor}
+              dominantBaseline="middle"
+              fontSize="10"
+              fontWeight="bold"
+              fill="white"
+            >
+              {row.label}
+            </text>
+          );
+        })}
+      </svg>
+
+      {/* Per-stat bars: each side grows outwards from the label, the winner in full colour */}
+      <ul className="space-y-1 mt-1 text-xs">
+        {rows.map(row => (
+          <li key={row.key} className="flex items-center gap-1">
+            <span className="sr-only">{describeRow(row)}</span>
+            <span className={`w-7 text-right ${row.leader === 'pokemon1' ? 'font-bold' : 'text-white/60'}`} aria-hidden="true">
+              {row.values[0]}
+            </span>
+            <div className="flex-1 flex justify-end h-2 bg-white/10" aria-hidden="true">
+              <div
+                className={`h-full ${row.leader === 'pokemon2' ? 'opacity-40' : ''}`}
+                style={{ width: `${(row.values[0] / scale) * 100}%`, backgroundColor: SIDE_COLORS.pokemon1 }}
+              />
+            </div>
+            <span className="w-12 text-center font-bold" aria-hidden="true">{row.label}</span>
+            <div className="flex-1 h-2 bg-white/10" aria-hidden="true">
+              <div
+                className={`h-full ${row.leader === 'pokemon1' ? 'opacity-40' : ''}`}
+                style={{ width: `${(row.values[1] / scale) * 100}%`, backgroundColor: SIDE_COLORS.pokemon2 }}
+              />
+            </div>
+            <span className={`w-7 ${row.leader === 'pokemon2' ? 'font-bold' : 'text-white/60'}`} aria-hidden="true">
+              {row.values[1]}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {/* Totals */}
+      <div className="mt-2 pt-2 border-t border-white/20 text-center text-xs">
+        <div>
+          TOTAL <span style={{ color: SIDE_COLORS.pokemon1 }} className="font-bold">{totals[0]}</span>
+          {' vs '}
+          <span style={{ color: SIDE_COLORS.pokemon2 }} className="font-bold">{totals[1]}</span>
+        </div>
+        <div className="text-yellow-300 font-bold mt-1">
+          {leader === 'tie' ? 'Dead even' : `${names[leader]} +${difference}`}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default StatComparison;
@@ -0,0 +1,126 @@
+import React from 'react';
+import { Trophy, Check } from 'lucide-react';
+import { battleHelpers } from '../hooks/useBattle';
+import { getPositions, getSlots } from '../utils/voting';
+
+/**
+ * Team Card Component
+ * One side of a team battle in the Pokédex card style: the team's name and
+ * score, then its Pokémon slot by slot, each with its head-to-head vote bar
+ * and a PICK button, and a button to back the whole team at once.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.lineup - The team ({ id, name, positions })
+ * @param {Array<Object>} props.contestants - Every Pokémon in the battle, in position order
+ * @param {Object} props.votes - Votes per position
+ * @param {Array<string>} props.picks - Positions on the user's ballot
+ * @param {Function} props.onPick - Called with a position to pick it (or take it back)
+ * @param {Function} props.onBackTeam - Called with the lineup to vote for all of it
+ * @param {boolean} props.canVote - Whether the user can still vote
+ * @param {boolean} props.showVotes - Whether the numbers may be shown yet
+ * @param {Object|null} props.result - Final count ({ winners, slots, scores }), null while voting
+ */
+function TeamCard({ lineup, contestants, votes, picks, onPick, onBackTeam, canVote, showVotes, result }) {
+  const positions = getPositions(contestants.length);
+  const slots = getSlots(contestants.length);
+  const isWinner = result && result.winners.length === 1 && result.winners[0] === lineup.id;
+
+  return (
+    <section
+      aria-label={lineup.name}
+      className={`flex-1 max-w-md bg-gradient-to-b from-red-600 to-red-800 border-4 border-red-900 rounded-lg shadow-2xl overflow-hidden pokemon-card-retro ${
+        isWinner && showVotes ? 'ring-4 ring-yellow-400 winner-glow' : ''
+      }`}
+    >
+      {/* Team name and score */}
+      <div className="bg-gray-300 border-b-2 border-gray-500 p-2 flex items-center justify-between gap-2">
+        <h3 className="text-lg font-bold text-black retro-text uppercase tracking-wider truncate">
+          {lineup.name}
+        </h3>
+        {result && showVotes && (
+          <span className="flex items-center gap-1 bg-yellow-400 text-black px-2 py-1 border-2 border-yellow-600 text-xs font-bold retro-text">
+            {isWinner && <Trophy className="w-3 h-3" />}
+            {result.scores[lineup.id]} {result.scores[lineup.id] === 1 ? 'SLOT' : 'SLOTS'}
+          </span>
+        )}
+      </div>
+
+      <ul className="p-2 space-y-2">
+        {lineup.positions.map((position, index) => {
+          const pokemon = contestants[positions.indexOf(position)];
+          const slot = slots[index];
+          const slotVotes = slot.reduce((sum, member) => sum + (votes[member] || 0), 0);
+          const percentage = battleHelpers.calculatePercentage(votes[position] || 0, slotVotes);
+          const slotResult = result?.slots[index];
+          const wonSlot = slotResult && slotResult.winners.length === 1 && slotResult.winners[0] === position;
+          const picked = picks.includes(position);
+
+          return (
+            <li key={position} className="bg-red-400 border-2 border-red-600 rounded p-2 retro-text">
+              <div className="flex items-center gap-2">
+                <div className="bg-black border-2 border-gray-400 rounded shrink-0">
+                  <img
+                    src={pokemon.sprite}
+                    alt={pokemon.name}
+                    className="w-14 h-14 object-contain pixel-image"
+                    loading="lazy"
+                  />
+                </div>
+                <div className="flex-1 min-w-0 text-left">
+                  <div className="text-xs text-black/70 font-bold">SLOT {index + 1}</div>
+                  <div className="font-bold text-black uppercase truncate">{pokemon.name}</div>
+                  <div className="text-xs text-white uppercase">{(pokemon.types || []).join(' / ')}</div>
+                </div>
+                {wonSlot && showVotes && (
+                  <span className="bg-yellow-400 text-black px-1 border-2 border-yellow-600 text-xs font-bold flex items-center gap-1">
+                    <Trophy className="w-3 h-3" />
+                    WON
+                  </span>
+                )}
+                {canVote ? (
+                  <button
+                    onClick={() => onPick(position)}
+                    aria-pressed={picked}
+                    aria-label={`${picked ? 'Unpick' : 'Pick'} ${pokemon.name} in slot ${index + 1}`}
+                    className="bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-1 px-3 border-4 border-yellow-600 retro-button text-xs flex items-center gap-1"
+                  >
+                    {picked && <Check className="w-3 h-3" />}
+                    {picked ? 'PICKED' : 'PICK'}
+                  </button>
+                ) : picked && (
+                  <span className="text-xs font-bold text-green-900">YOUR PICK</span>
+                )}
+              </div>
+
+              {/* Head-to-head share of this slot's votes */}
+              {showVotes && (
+                <div className="flex items-center gap-2 mt-1 text-xs text-black font-bold">
+                  <div className="flex-1 bg-gray-300 border border-gray-500 h-2 overflow-hidden" aria-hidden="true">
+                    <div
+                      className={`h-full transition-all duration-500 ease-out ${percentage > 50 ? 'bg-green-500' : 'bg-blue-500'}`}
+                      style={{ width: `${percentage}%` }}
+                    />
+                  </div>
+                  <span className="w-20 text-right">{votes[position] || 0} ({percentage}%)</span>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {canVote && (
+        <div className="px-2 pb-2">
+          <button
+            onClick={() => onBackTeam(lineup)}
+            className="w-full bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-2 px-4 border-4 border-yellow-600 retro-button retro-text text-sm"
+          >
+            BACK THE WHOLE TEAM
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default TeamCard;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { getPositions } from '../utils/voting';
+import { formatName } from '../utils/pokedexEntry';
+
+/**
+ * Team Result Banner Component
+ * The winner banner of a team battle: the final score and who took each slot
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.result - Team count ({ winners, slots, scores }, see utils/voting.js)
+ * @param {Array<Object>} props.lineups - The battle's two teams ({ id, name, positions })
+ * @param {Array<Object>} props.contestants - The battle's Pokémon, in position order
+ * @param {boolean} props.exiting - Play the exit animation
+ * @param {Function} props.onClose - Close the banner
+ * @param {React.ReactNode} props.children - Extra lines under the score (e.g. how the user's prediction scored)
+ */
+function TeamResultBanner({ result, lineups, contestants, exiting, onClose, children }) {
+  const positions = getPositions(contestants.length);
+  const nameOf = (position) => formatName(contestants[positions.indexOf(position)].name);
+  const [first, second] = lineups.map(lineup => result.scores[lineup.id]);
+  const score = `${Math.max(first, second)}–${Math.min(first, second)}`;
+  const winner = result.winners.length === 1 ? lineups.find(lineup => lineup.id === result.winners[0]) : null;
+
+  /**
+   * One line per slot: who won it, or that it was level
+   */
+  const describeSlot = (slot) => {
+    const [a, b] = slot.positions.map(nameOf);
+    if (slot.winners.length === 1) {
+      const loser = slot.positions.find(position => position !== slot.winners[0]);
+      return `${nameOf(slot.winners[0])} beat ${nameOf(loser)}`;
+    }
+    return slot.winners.length === 0 ? `${a} vs ${b}: no votes` : `${a} and ${b} tied`;
+  };
+
+  return (
+    <div className="winner-banner-container">
+      <div className={`winner-banner-content p-4 ${exiting ? 'winner-banner-exit' : 'winner-banner'}`}>
+        <div className="text-center">
+          <h2 className="text-2xl md:text-3xl font-bold text-black retro-text">
+            {winner ? `🏆 ${winner.name.toUpperCase()} WIN ${score}! 🏆` : `🤝 TEAMS TIED ${score}! 🤝`}
+          </h2>
+          <ul className="text-black/80 retro-text mt-1 text-sm md:text-base">
+            {result.slots.map((slot, index) => (
+              <li key={slot.positions.join('-')}>
+                Slot {index + 1}: {describeSlot(slot)}
+              </li>
+            ))}
+          </ul>
+          {children}
+        </div>
+
+        <button
+          onClick={onClose}
+          className="banner-close-btn"
+          aria-label="Close winner banner"
+        >
+          <X className="w-6 h-6 text-black" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TeamResultBanner;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { getEntrant, getRoundName } from '../utils/tournament';
+
+/**
+ * Tournament Bracket Component
+ * Shows every round: finished results, the current match and upcoming pairings
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.tournament - Tournament state
+ * @param {string|null} props.currentMatchId - Match being played right now
+ */
+function TournamentBracket({ tournament, currentMatchId }) {
+  /**
+   * Render one side of a match
+   */
+  const renderSlot = (match, seed, side) => {
+    const entrant = seed !== null ? getEntrant(tournament, seed) : null;
+    const isWinner = match.winner !== null && match.winner === seed;
+    const isLoser = match.winner !== null && match.winner !== seed;
+
+    return (
+      <div
+        className={`flex items-center justify-between gap-2 px-2 py-1 text-xs ${
+          isWinner ? 'bg-yellow-300 text-black font-bold' : ''
+        } ${isLoser ? 'opacity-50 line-through' : ''}`}
+      >
+        <span className="flex items-center gap-1 truncate">
+          {entrant ? (
+            <>
+              <span className="text-gray-500">#{entrant.seed}</span>
+              <span className="uppercase truncate">{entrant.name}</span>
+            </>
+          ) : (
+            <span className="text-gray-400">TBD</span>
+          )}
+        </span>
+        {match.votes && <span>{match.votes[side]}</span>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="flex gap-4 min-w-max mx-auto justify-center">
+        {tournament.rounds.map((round, roundIndex) => (
+          <div key={roundIndex} className="flex flex-col justify-around gap-2 w-44">
+            <h4 className="text-sm font-bold text-white retro-text text-center">
+              {getRoundName(tournament, roundIndex)}
+            </h4>
+            {round.map(match => (
+              <div
+                key={match.id}
+                className={`bg-white border-2 rounded retro-text text-black divide-y divide-gray-300 ${
+                  match.id === currentMatchId ? 'border-yellow-400 ring-2 ring-yellow-400' : 'border-gray-500'
+                }`}
+                aria-current={match.id === currentMatchId ? 'true' : undefined}
+              >
+                {renderSlot(match, match.seed1, 'pokemon1')}
+                {renderSlot(match, match.seed2, 'pokemon2')}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default TournamentBracket;
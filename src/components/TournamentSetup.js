@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { Shuffle, ListOrdered, Trophy } from 'lucide-react';
+import { pokemonAPI } from '../services/pokemonAPI';
+import { TOURNAMENT_CONFIG } from '../utils/constants';
+import { shuffle } from '../utils/tournament';
+
+/**
+ * Tournament Setup Component
+ * Lets the user pick a bracket size and either random or hand-picked entrants
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onStart - Called with the entrants in seed order
+ */
+function TournamentSetup({ onStart }) {
+  const [size, setSize] = useState(TOURNAMENT_CONFIG.SIZES[0]);
+  const [pickMode, setPickMode] = useState('random');
+  const [names, setNames] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Split the hand-picked list into names (comma or newline separated)
+   */
+  const parseNames = () => names
+    .split(/[\n,]/)
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const handleStart = async () => {
+    setError(null);
+
+    let picks;
+    if (pickMode === 'random') {
+      try {
+        picks = await pokemonAPI.getRandomPokemonIds(size);
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+    } else {
+      picks = parseNames();
+      if (picks.length !== size) {
+        setError(`Enter exactly ${size} Pokémon (you entered ${picks.length}).`);
+        return;
+      }
+      if (new Set(picks).size !== picks.length) {
+        setError('Each Pokémon can only enter once.');
+        return;
+      }
+    }
+
+    setLoading(true);
+    try {
+      const pokemon = await pokemonAPI.fetchManyPokemon(picks);
+      // Random brackets get random seeds; hand-picked ones keep the user's order
+      onStart(pickMode === 'random' ? shuffle(pokemon) : pokemon);
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-lg mx-auto bg-black/60 backdrop-blur-sm rounded-xl p-6 text-white retro-text shadow-2xl">
+      <h2 className="text-2xl font-bold mb-4 flex items-center justify-center gap-2">
+        <Trophy className="w-6 h-6 text-yellow-400" />
+        NEW TOURNAMENT
+      </h2>
+
+      {/* Bracket size */}
+      <div className="mb-4">
+        <div className="text-sm mb-2">Bracket size</div>
+        <div className="flex justify-center gap-2">
+          {TOURNAMENT_CONFIG.SIZES.map(option => (
+            <button
+              key={option}
+              onClick={() => setSize(option)}
+              className={`px-4 py-2 rounded border-2 font-bold ${
+                size === option ? 'bg-yellow-400 text-black border-yellow-600' : 'bg-gray-700 border-gray-500'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Entrant selection */}
+      <div className="mb-4">
+        <div className="text-sm mb-2">Entrants</div>
+        <div className="flex justify-center gap-2">
+          <button
+            onClick={() => setPickMode('random')}
+            className={`px-4 py-2 rounded border-2 font-bold flex items-center gap-2 ${
+              pickMode === 'random' ? 'bg-yellow-400 text-black border-yellow-600' : 'bg-gray-700 border-gray-500'
+            }`}
+          >
+            <Shuffle className="w-4 h-4" />
+            RANDOM
+          </button>
+          <button
+            onClick={() => setPickMode('manual')}
+            className={`px-4 py-2 rounded border-2 font-bold flex items-center gap-2 ${
+              pickMode === 'manual' ? 'bg-yellow-400 text-black border-yellow-600' : 'bg-gray-700 border-gray-500'
+            }`}
+          >
+            <ListOrdered className="w-4 h-4" />
+            HAND-PICKED
+          </button>
+        </div>
+      </div>
+
+      {pickMode === 'random' && (
+        <p className="text-xs text-white/70 mb-4">Random entrants follow your matchup filters.</p>
+      )}
+
+      {pickMode === 'manual' && (
+        <div className="mb-4">
+          <label htmlFor="tournament-names" className="block text-sm mb-2">
+            {size} Pokémon names or numbers, in seed order (comma or one per line)
+          </label>
+          <textarea
+            id="tournament-names"
+            value={names}
+            onChange={(e) => setNames(e.target.value)}
+            rows={6}
+            className="w-full rounded p-2 text-black text-sm"
+            placeholder="pikachu, charizard, blastoise, venusaur, ..."
+          />
+        </div>
+      )}
+
+      {error && (
+        <p className="text-red-300 text-sm mb-4" role="alert">{error}</p>
+      )}
+
+      <button
+        onClick={handleStart}
+        disabled={loading}
+        className="w-full bg-yellow-400 hover:bg-yellow-500 text-black font-bold py-2 px-4 border-4 border-yellow-600 retro-button disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? 'CATCHING ENTRANTS...' : 'START TOURNAMENT'}
+      </button>
+    </div>
+  );
+}
+
+export default TournamentSetup;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Trophy, X } from 'lucide-react';
+import { useTournament } from '../hooks/useTournament';
+import { TOURNAMENT_CONFIG } from '../utils/constants';
+import { findMatch, getChampion, getCurrentMatch, getEntrant, getRoundName } from '../utils/tournament';
+import BattleArena from './BattleArena';
+import TournamentSetup from './TournamentSetup';
+import TournamentBracket from './TournamentBracket';
+import ChampionScreen from './ChampionScreen';
+import ScreenBackground from './ScreenBackground';
+
+/**
+ * Tournament View Component
+ * Runs a single-elimination bracket: every match goes through the normal
+ * BattleArena vote/lock flow and the winner advances automatically.
+ */
+function TournamentView() {
+  const { tournament, startTournament, recordResult, endTournament } = useTournament();
+
+  // Keep a just-finished match on screen for a moment before moving on
+  const [finishedMatchId, setFinishedMatchId] = useState(null);
+
+  useEffect(() => {
+    if (!finishedMatchId) return;
+    const timer = setTimeout(() => setFinishedMatchId(null), TOURNAMENT_CONFIG.NEXT_MATCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [finishedMatchId]);
+
+  const currentMatch = tournament ? getCurrentMatch(tournament) : null;
+  const shownMatch = tournament && finishedMatchId ? findMatch(tournament, finishedMatchId) : currentMatch;
+
+  /**
+   * Record the result of the match shown in the arena
+   */
+  const handleBattleComplete = useCallback((result) => {
+    if (!shownMatch || shownMatch.winner) return;
+    recordResult(shownMatch.id, result.votes);
+    setFinishedMatchId(shownMatch.id);
+  }, [shownMatch, recordResult]);
+
+  const handleEndTournament = () => {
+    if (tournament && !tournament.completedAt &&
+        !window.confirm('Abandon the current tournament?')) {
+      return;
+    }
+    setFinishedMatchId(null);
+    endTournament();
+  };
+
+  // No tournament yet: set one up
+  if (!tournament) {
+    return (
+      <ScreenBackground>
+        <TournamentSetup onStart={startTournament} />
+      </ScreenBackground>
+    );
+  }
+
+  // Final decided: champion screen
+  const champion = getChampion(tournament);
+  if (champion && !finishedMatchId) {
+    return (
+      <ScreenBackground>
+        <ChampionScreen champion={champion} onNewTournament={endTournament}>
+          <div className="bg-black/40 rounded-xl p-4">
+            <TournamentBracket tournament={tournament} currentMatchId={null} />
+          </div>
+        </ChampionScreen>
+      </ScreenBackground>
+    );
+  }
+
+  const entrant1 = getEntrant(tournament, shownMatch.seed1);
+  const entrant2 = getEntrant(tournament, shownMatch.seed2);
+
+  return (
+    <BattleArena
+      matchup={{ contestants: [entrant1.name, entrant2.name], freshRound: true }}
+      allowNewBattle={false}
+      onBattleComplete={handleBattleComplete}
+    >
+      <div className="max-w-6xl mx-auto mt-8 bg-black/40 backdrop-blur-sm rounded-xl p-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-white retro-text flex items-center gap-2">
+            <Trophy className="w-5 h-5 text-yellow-400" />
+            {getRoundName(tournament, shownMatch.round)} — Match {shownMatch.index + 1}
+          </h3>
+          <button
+            onClick={handleEndTournament}
+            className="text-white/80 hover:text-white text-xs retro-text flex items-center gap-1"
+          >
+            <X className="w-4 h-4" />
+            ABANDON
+          </button>
+        </div>
+        <TournamentBracket tournament={tournament} currentMatchId={shownMatch.id} />
+      </div>
+    </BattleArena>
+  );
+}
+
+export default TournamentView;
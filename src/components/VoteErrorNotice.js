@@ -0,0 +1,40 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { VOTE_ERROR_CODES } from '../utils/constants';
+
+/**
+ * Vote Error Notice Component
+ * Why the user's vote wasn't counted (or that an earlier vote already counts)
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.voteError - The rejection ({ battleId, code, message })
+ * @param {Function} props.onClose - Dismiss the notice
+ */
+function VoteErrorNotice({ voteError, onClose }) {
+  const duplicate = voteError.code === VOTE_ERROR_CODES.DUPLICATE_VOTE;
+
+  return (
+    <div
+      role="alert"
+      className="relative max-w-md mx-auto mb-6 bg-black/80 backdrop-blur-md rounded-xl px-6 py-3 pr-10 border-2 border-red-500/50 shadow-2xl text-center"
+    >
+      <div className="text-red-300 font-bold retro-text">
+        {duplicate ? 'ALREADY VOTED' : 'VOTE NOT COUNTED'}
+      </div>
+      <p className="text-white/80 text-sm retro-text mt-1">
+        {duplicate
+          ? 'You have already voted in this battle. Your first vote is the one that counts.'
+          : voteError.message}
+      </p>
+      <button
+        onClick={onClose}
+        className="absolute top-2 right-2 text-white/70 hover:text-white"
+        aria-label="Dismiss vote error"
+      >
+        <X className="w-5 h-5" />
+      </button>
+    </div>
+  );
+}
+
+export default VoteErrorNotice;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { Trophy } from 'lucide-react';
+import { battleHelpers } from '../hooks/useBattle';
+import { VOTING_METHODS } from '../utils/constants';
+import { getLeaders, getPositions } from '../utils/voting';
+import { formatName } from '../utils/pokedexEntry';
+
+/**
+ * Vote Standings Component
+ * Royale scoreboard under the cards: a vote bar per contestant, leaders
+ * first. Once a ranked-choice battle is counted it also lists each round
+ * of the instant runoff and who was knocked out. The numbers stay hidden
+ * until the user has voted, like on the cards.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.contestants - The battle's Pokémon, in position order
+ * @param {Object} props.votes - Votes per position (first choices in ranked-choice battles)
+ * @param {number} props.totalVotes - Total votes
+ * @param {Object|null} props.result - Final count ({ method, winners, rounds }), null while voting
+ * @param {boolean} props.showVotes - Whether the numbers may be shown yet
+ */
+function VoteStandings({ contestants, votes, totalVotes, result, showVotes }) {
+  if (contestants.length === 0) return null;
+
+  const positions = getPositions(contestants.length);
+  const nameOf = (position) => formatName(contestants[positions.indexOf(position)].name);
+  const leaders = result ? result.winners : getLeaders(votes);
+
+  // Most votes first; position order until the numbers are shown
+  const rows = positions
+    .map((position, index) => ({ position, pokemon: contestants[index], votes: votes[position] || 0 }))
+    .sort((a, b) => (showVotes ? b.votes - a.votes : 0));
+
+  const rankedCount = result && result.method === VOTING_METHODS.RANKED ? result.rounds : null;
+
+  return (
+    <section
+      aria-label="Vote standings"
+      className="max-w-2xl mx-auto mt-6 bg-black/70 backdrop-blur-md rounded-xl border-2 border-white/30 shadow-2xl p-4 text-white retro-text"
+    >
+      <h3 className="text-center font-bold mb-3">
+        {result ? 'FINAL STANDINGS' : 'STANDINGS'}
+        {rankedCount && <span className="text-white/60 text-xs"> · first choices</span>}
+      </h3>
+
+      {!showVotes && (
+        <p className="text-center text-white/70 text-sm mb-3">Vote to see how the crowd is voting.</p>
+      )}
+
+      <ul className="space-y-1 text-sm">
+        {rows.map(row => {
+          const percentage = battleHelpers.calculatePercentage(row.votes, totalVotes);
+          const leading = showVotes && leaders.includes(row.position);
+          return (
+            <li key={row.position} className="flex items-center gap-2">
+              <img src={row.pokemon.sprite} alt="" className="w-8 h-8 object-contain pixel-image" />
+              <span className={`w-28 truncate uppercase ${leading ? 'text-yellow-300 font-bold' : ''}`}>
+                {row.pokemon.name}
+              </span>
+              {showVotes ? (
+                <>
+                  <div className="flex-1 h-3 bg-white/10 border border-white/30" aria-hidden="true">
+                    <div
+                      className={`h-full transition-all duration-500 ease-out ${leading ? 'bg-green-500' : 'bg-blue-500'}`}
+                      style={{ width: `${percentage}%` }}
+                    />
+                  </div>
+                  <span className="w-24 text-right">
+                    {row.votes} <span className="text-white/60">({percentage}%)</span>
+                  </span>
+                </>
+              ) : (
+                <div className="flex-1 h-3 bg-white/10 border border-white/30" aria-hidden="true" />
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {/* Instant runoff, round by round */}
+      {rankedCount && (
+        <div className="mt-4 pt-3 border-t border-white/20 text-xs space-y-1">
+          <h4 className="font-bold text-center text-sm mb-1">RANKED-CHOICE COUNT</h4>
+          {rankedCount.map((round, index) => (
+            <div key={index}>
+              <span className="font-bold">Round {index + 1}: </span>
+              {Object.entries(round.votes)
+                .sort(([, a], [, b]) => b - a)
+                .map(([position, count]) => `${nameOf(position)} ${count}`)
+                .join(' · ')}
+              {round.eliminated.length > 0 && (
+                <span className="text-red-300">
+                  {' '}— {round.eliminated.map(nameOf).join(', ')} knocked out
+                </span>
+              )}
+            </div>
+          ))}
+          {result.winners.length > 0 && (
+            <div className="flex items-center justify-center gap-1 text-yellow-300 font-bold pt-1">
+              <Trophy className="w-3 h-3" />
+              {result.winners.length === 1
+                ? `${nameOf(result.winners[0])} wins`
+                : `${result.winners.map(nameOf).join(', ')} tie`}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default VoteStandings;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { getPositions, getWinner } from '../utils/voting';
+import { VOTING_METHODS } from '../utils/constants';
+import { formatName } from '../utils/pokedexEntry';
+
+/**
+ * Winner Banner Component
+ * The winner banner of a battle between Pokémon: who won (or shares the top
+ * spot) and with how many votes, or that the result is unavailable when the
+ * round locked without its count. Team battles have TeamResultBanner.
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.result - Final count ({ method, winners, rounds }, see utils/voting.js); must have
+ *   a winner, or be null for a round that locked without its count
+ * @param {Array<Object>} props.contestants - The battle's Pokémon, in position order
+ * @param {boolean} props.exiting - Play the exit animation
+ * @param {Function} props.onClose - Close the banner
+ * @param {React.ReactNode} props.children - Extra lines under the result (e.g. how the user's prediction scored)
+ */
+function WinnerBanner({ result, contestants, exiting, onClose, children }) {
+  if (!result) {
+    return (
+      <div className="winner-banner-container">
+        <div className={`winner-banner-content p-4 ${exiting ? 'winner-banner-exit' : 'winner-banner'}`}>
+          <div className="text-center">
+            <h2 className="text-2xl md:text-3xl font-bold text-black retro-text">RESULT UNAVAILABLE</h2>
+            <p className="text-lg text-black/80 retro-text mt-1">
+              Voting closed, but the ranked-choice count never arrived. Start a rematch to vote again!
+            </p>
+          </div>
+          <button onClick={onClose} className="banner-close-btn" aria-label="Close winner banner">
+            <X className="w-6 h-6 text-black" />
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const positions = getPositions(contestants.length);
+  const winner = getWinner(result);
+  const names = result.winners.map(position => formatName(contestants[positions.indexOf(position)]?.name || 'Unknown'));
+  // Votes in the last round of counting (the only round in plurality battles)
+  const finalRound = result.rounds[result.rounds.length - 1];
+  const votes = finalRound.votes[result.winners[0]];
+  const rounds = result.rounds.length;
+
+  return (
+    <div className="winner-banner-container">
+      <div className={`winner-banner-content p-4 ${exiting ? 'winner-banner-exit' : 'winner-banner'}`}>
+        <div className="text-center">
+          {winner === 'tie' ? (
+            // Special text for ties
+            <>
+              <h2 className="text-2xl md:text-3xl font-bold text-black retro-text">
+                🤝 {names.length === 2 ? "IT'S A TIE!" : `IT'S A ${names.length}-WAY TIE!`} 🤝
+              </h2>
+              <p className="text-lg text-black/80 retro-text mt-1">
+                {names.length === contestants.length && contestants.length === 2
+                  ? `Both Pokémon are equally amazing with ${votes} votes each!`
+                  : `${names.join(', ')} share the top spot with ${votes} votes each!`}
+              </p>
+            </>
+          ) : (
+            <>
+              <h2 className="text-2xl md:text-3xl font-bold text-black retro-text">
+                🏆 {names[0]} WINS! 🏆
+              </h2>
+              <p className="text-lg text-black/80 retro-text mt-1">
+                {result.method === VOTING_METHODS.RANKED && rounds > 1
+                  ? `With ${votes} votes after ${rounds} rounds of counting!`
+                  : `With ${votes} votes!`}
+              </p>
+            </>
+          )}
+          {children}
+        </div>
+
+        {/* Close Button */}
+        <button
+          onClick={onClose}
+          className="banner-close-btn"
+          aria-label="Close winner banner"
+        >
+          <X className="w-6 h-6 text-black" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default WinnerBanner;
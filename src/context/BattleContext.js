@@ -1,30 +1,70 @@
 import React, { createContext, useReducer, useState, useEffect } from 'react';
-import { ACTIONS, initialState } from '../utils/constants';
+import {
+  ACTIONS, BATTLE_PHASES, initialState, ROUND_CONFIG, VOTE_ERROR_CODES, VOTE_TRANSPORT_CONFIG, VOTING_METHODS
+} from '../utils/constants';
+import { createVoteTransport } from '../services/transports';
+import { countVotes, createEmptyVotes, getTotalVotes } from '../utils/voting';
+import { getLineups } from '../utils/teams';
+import { addSnapshot } from '../utils/momentum';
+import { getRoundId } from '../utils/roundRules';
+import { predictionService } from '../services/predictions';
+import { getOpeningPhase, getSecondsLeft, isRoundRunning, isVotingLocked, transition } from './battlePhases';
+
+// Error codes that mean the user's vote was not counted
+const VOTE_REJECTION_CODES = [
+  VOTE_ERROR_CODES.INVALID_VOTE,
+  VOTE_ERROR_CODES.BATTLE_LOCKED,
+  VOTE_ERROR_CODES.DUPLICATE_VOTE
+];
+
+// Error codes for rejected host console commands
+const HOST_REJECTION_CODES = [
+  VOTE_ERROR_CODES.INVALID_HOST_COMMAND,
+  VOTE_ERROR_CODES.HOST_NOT_ALLOWED
+];
 
 // Create the Battle Context
 export const BattleContext = createContext();
 
 // Reducer for state management
-function battleReducer(state, action) {
+// The battle's phase only changes through transition() (see battlePhases.js)
+export function battleReducer(state, action) {
   switch (action.type) {
-    case ACTIONS.SET_POKEMON:
-      return {
-        ...state,
-        pokemon1: action.payload.pokemon1,
-        pokemon2: action.payload.pokemon2,
-        loading: false,
+    case ACTIONS.START_BATTLE:
+      console.log('🔄 REDUCER: Starting battle', action.payload.battleId || '');
+      return transition(state, BATTLE_PHASES.LOADING, {
+        ...initialState,
+        battleId: action.payload.battleId || null,
+        votingMethod: action.payload.method || VOTING_METHODS.PLURALITY,
+        connectionStatus: state.connectionStatus,
+        reconnectAttempt: state.reconnectAttempt,
+        queuedVotes: state.queuedVotes,
+        // The host's setup outlives any one battle
+        host: state.host,
+        hostError: state.hostError,
+        predictionMode: state.predictionMode
+      });
+
+    case ACTIONS.SET_POKEMON: {
+      const votes = createEmptyVotes(action.payload.contestants.length);
+      return transition(state, getOpeningPhase(state), {
+        // The battle ID from the Pokémon's names, however they were asked for
+        battleId: action.payload.battleId || state.battleId,
+        contestants: action.payload.contestants,
+        lineups: state.votingMethod === VOTING_METHODS.TEAM ? getLineups(action.payload.contestants) : null,
+        votes,
+        snapshots: addSnapshot([], votes, Date.now()),
+        startedAt: new Date().toISOString(),
         error: null
-      };
-    
-    case ACTIONS.SET_LOADING:
-      return { ...state, loading: action.payload };
+      });
+    }
     
     case ACTIONS.SET_ERROR:
-      return { ...state, error: action.payload, loading: false };
+      return { ...state, error: action.payload };
     
     case ACTIONS.SET_VOTES:
-      // Only update votes if not locked
-      if (state.votingLocked) {
+      // The tally is final once voting locks
+      if (isVotingLocked(state.phase)) {
         console.log('🚫 REDUCER: Vote update BLOCKED - voting is locked');
         return state;
       }
@@ -32,199 +72,200 @@ function battleReducer(state, action) {
       return {
         ...state,
         votes: action.payload,
-        totalVotes: action.payload.pokemon1 + action.payload.pokemon2
+        totalVotes: getTotalVotes(action.payload),
+        // Keep the round's history for the momentum timeline
+        snapshots: addSnapshot(state.snapshots, action.payload, Date.now())
       };
     
     case ACTIONS.SET_USER_VOTED:
+      // A vote cast in another tab before the call: there's nothing left to predict
+      if (state.phase === BATTLE_PHASES.PREDICT && action.payload) {
+        return transition(state, BATTLE_PHASES.OPEN, { userVoted: action.payload });
+      }
       return { ...state, userVoted: action.payload };
     
     case ACTIONS.SET_CONNECTION_STATUS:
-      return { ...state, connectionStatus: action.payload };
+      return {
+        ...state,
+        connectionStatus: action.payload,
+        reconnectAttempt: action.attempt || 0
+      };
     
-    case ACTIONS.LOCK_VOTING:
-      console.log('🔒 REDUCER: Setting votingLocked to true');
-      return { ...state, votingLocked: true };
+    case ACTIONS.SET_QUEUED_VOTES:
+      return { ...state, queuedVotes: action.payload };
 
-    case ACTIONS.UNLOCK_VOTING:
-      console.log('🔓 REDUCER: Setting votingLocked to false');
-      return { ...state, votingLocked: false };
-    
-    case ACTIONS.SET_BANNER_DISMISSED:
-      return { ...state, bannerDismissed: action.payload };
+    case ACTIONS.SET_VOTE_ERROR:
+      return { ...state, voteError: action.payload };
+
+    case ACTIONS.SET_ROUND: {
+      const secondsLeft = getSecondsLeft(action.payload);
+      // The host gave the round more time: back out of the countdown
+      if (state.phase === BATTLE_PHASES.CLOSING && (secondsLeft === null || secondsLeft > ROUND_CONFIG.COUNTDOWN_FROM)) {
+        return transition(state, BATTLE_PHASES.OPEN, { round: action.payload, secondsLeft });
+      }
+      return { ...state, round: action.payload, secondsLeft };
+    }
+
+    case ACTIONS.TICK: {
+      const secondsLeft = getSecondsLeft(state.round, action.now);
+      // The countdown banner covers the last few seconds
+      if (state.phase === BATTLE_PHASES.OPEN && secondsLeft <= ROUND_CONFIG.COUNTDOWN_FROM) {
+        return transition(state, BATTLE_PHASES.CLOSING, { secondsLeft });
+      }
+      return secondsLeft === state.secondsLeft ? state : { ...state, secondsLeft };
+    }
     
-    case ACTIONS.RESET_BATTLE:
-      console.log('🔄 REDUCER: Resetting battle');
-      return {
-        ...initialState,
-        loading: true,
-        connectionStatus: state.connectionStatus,
-        votingLocked: false,
-        bannerDismissed: false,
-        totalVotes: 0
-      };
+    case ACTIONS.LOCK_VOTING: {
+      // Without a count from the transport, the final tally is all there is to go on.
+      // That settles plurality and team battles (scored slot by slot), but a ranked-choice
+      // count needs every ballot: first choices alone can name the wrong winner
+      const result = action.payload?.result ||
+        (state.votingMethod === VOTING_METHODS.RANKED ? null : countVotes(state.votingMethod, state.votes));
+      // Backends that don't name the round: this tab's own opening time stands in
+      const roundId = action.payload?.roundId || getRoundId(state.battleId, Date.parse(state.startedAt));
+      if (!result) {
+        console.warn('⚠️ REDUCER: Ranked-choice round locked without its result');
+        return transition(state, BATTLE_PHASES.CLOSED, { result: null, resultUnavailable: true, roundId, secondsLeft: null });
+      }
+      return transition(state, BATTLE_PHASES.CLOSED, { result, roundId, secondsLeft: null });
+    }
+
+    case ACTIONS.SHOW_RESULTS:
+      return transition(state, BATTLE_PHASES.RESULTS);
+
+    case ACTIONS.DISMISS_RESULTS:
+      return transition(state, BATTLE_PHASES.NEXT);
+
+    case ACTIONS.REOPEN_VOTING:
+      // Only a finished round can start over (our own reset of a new battle lands here too)
+      if (!isVotingLocked(state.phase)) return state;
+      return transition(state, getOpeningPhase(state), {
+        votes: createEmptyVotes(state.contestants.length),
+        snapshots: addSnapshot([], createEmptyVotes(state.contestants.length), Date.now()),
+        startedAt: new Date().toISOString(),
+        result: null,
+        resultUnavailable: false,
+        roundId: null,
+        totalVotes: 0,
+        userVoted: null,
+        voteError: null,
+        prediction: null
+      });
     
+    case ACTIONS.VOID_ROUND:
+      // The host threw out the running round; the same battle starts over
+      // (a prediction stands: it was made before the user saw any votes)
+      if (!isRoundRunning(state.phase)) return state;
+      return transition(state, state.phase === BATTLE_PHASES.PREDICT ? BATTLE_PHASES.PREDICT : BATTLE_PHASES.OPEN, {
+        votes: createEmptyVotes(state.contestants.length),
+        snapshots: addSnapshot([], createEmptyVotes(state.contestants.length), Date.now()),
+        totalVotes: 0,
+        userVoted: null,
+        voteError: null,
+        voidedAt: Date.now()
+      });
+
+    case ACTIONS.SET_HOST:
+      return { ...state, host: action.payload };
+
+    case ACTIONS.SET_HOST_ERROR:
+      return { ...state, hostError: action.payload };
+
+    case ACTIONS.SET_PREDICTION_MODE:
+      // Turning it on takes effect from the next round: this one's votes may have been seen.
+      // Turning it off lets the user vote in a round that is waiting for their call
+      if (!action.payload && state.phase === BATTLE_PHASES.PREDICT) {
+        return transition(state, BATTLE_PHASES.OPEN, { predictionMode: false });
+      }
+      return { ...state, predictionMode: action.payload };
+
+    case ACTIONS.SET_PREDICTION:
+      // The call opens voting for the user; it can only be made before they see any votes
+      if (state.phase !== BATTLE_PHASES.PREDICT) return state;
+      return transition(state, BATTLE_PHASES.OPEN, { prediction: action.payload });
+
     default:
       return state;
   }
 }
 
 /**
- * 🔧 Complete Mock WebSocket implementation 
- * - Simulates other users voting from battle start
- * - 2-second countdown after user votes
- * - Clean shutdown and restart
+ * Run the phase machine's timers: countdown ticks while a timed round is
+ * running, and the short pause between the lock and the results
  */
-function createMockWebSocket(dispatch) {
-  let autoVoteInterval = null;
-  let userVoteTimeout = null;
-  let isLocked = false;
-  let currentVotes = { pokemon1: 0, pokemon2: 0 };
-  
-  console.log('🔌 Creating new WebSocket instance');
-  
-  return {
-    // Start auto-voting simulation (called when battle starts)
-    startAutoVoting: () => {
-      console.log('🚀 Starting auto-vote simulation');
-      
-      // Clear any existing interval
-      if (autoVoteInterval) {
-        clearInterval(autoVoteInterval);
-      }
-      
-      isLocked = false;
-      
-      // 🔧 FIXED: Start from 0 and gradually increase
-      currentVotes = {
-        pokemon1: 0,
-        pokemon2: 0
-      };
-      
-      console.log('📊 Starting battle from 0 votes:', currentVotes);
-      dispatch({ type: ACTIONS.SET_VOTES, payload: currentVotes });
-      
-      // Gradually increase votes every 0.5-1.5 seconds  
-      autoVoteInterval = setInterval(() => {
-        if (isLocked) {
-          console.log('🚫 Auto-vote stopped - voting locked');
-          clearInterval(autoVoteInterval);
-          autoVoteInterval = null;
-          return;
-        }
-        
-        // Gradually add votes from simulated users
-        currentVotes = {
-          pokemon1: currentVotes.pokemon1 + Math.floor(Math.random() * 10) + 1, // Add 1-10 votes
-          pokemon2: currentVotes.pokemon2 + Math.floor(Math.random() * 10) + 1  // Add 1-10 votes
-        };
-        
-        console.log('📈 Gradually increasing votes (simulating other users):', currentVotes);
-        dispatch({ type: ACTIONS.SET_VOTES, payload: currentVotes });
-        
-      }, Math.random() * 1000 + 500); // 🔧 FIXED: Random interval 0.5-1.5 seconds (was 0.3-1.3)
-    },
-    
-    // Handle user vote (starts 2-second countdown)
-    send: (data) => {
-      console.log('🚀 User voted - WebSocket send called');
-      
-      // Clear any existing user vote timeout
-      if (userVoteTimeout) {
-        clearTimeout(userVoteTimeout);
-        userVoteTimeout = null;
-      }
-      
-      setTimeout(() => {
-        const message = JSON.parse(data);
-        
-        if (message.type === 'vote' && !isLocked) {
-          console.log('✅ Processing user vote - starting 2 second countdown');
-          
-          // Add user's vote to current votes
-          if (message.pokemon === 'pokemon1') {
-            currentVotes.pokemon1 += 1;
-          } else {
-            currentVotes.pokemon2 += 1;
-          }
-          
-          console.log('📊 Added user vote:', currentVotes);
-          dispatch({ type: ACTIONS.SET_VOTES, payload: currentVotes });
-          
-          // Lock voting after EXACTLY 3 seconds
-          userVoteTimeout = setTimeout(() => {
-            console.log('🔒 LOCKING VOTES (after 3 seconds from user vote)');
-            
-            isLocked = true;
-            
-            // Stop auto-voting
-            if (autoVoteInterval) {
-              clearInterval(autoVoteInterval);
-              autoVoteInterval = null;
-            }
-            
-            dispatch({ type: ACTIONS.LOCK_VOTING });
-            
-            console.log('✅ Voting locked - battle over');
-            userVoteTimeout = null;
-            
-          }, 5000); // 🔧 FIXED: EXACTLY 5 SECONDS 
-          
-        } else if (isLocked) {
-          console.log('🚫 Vote ignored - already locked');
-        }
-      }, 500);
-    },
-    
-    close: () => {
-      console.log('🔌 WebSocket close called');
-      
-      // Clean up all timers
-      if (autoVoteInterval) {
-        clearInterval(autoVoteInterval);
-        autoVoteInterval = null;
-      }
-      
-      if (userVoteTimeout) {
-        clearTimeout(userVoteTimeout);
-        userVoteTimeout = null;
-      }
-      
-      // Reset state
-      isLocked = false;
-      currentVotes = { pokemon1: 0, pokemon2: 0 };
-      
-      console.log('🧹 WebSocket cleaned up');
-    },
-    
-    readyState: 1
-  };
+function usePhaseTimers(state, dispatch) {
+  const { phase, round } = state;
+
+  useEffect(() => {
+    if (phase === BATTLE_PHASES.CLOSED) {
+      const timer = setTimeout(() => dispatch({ type: ACTIONS.SHOW_RESULTS }), ROUND_CONFIG.RESULT_DELAY);
+      return () => clearTimeout(timer);
+    }
+
+    if (!isRoundRunning(phase) || !round?.closesAt) return;
+    const tick = () => dispatch({ type: ACTIONS.TICK, now: Date.now() });
+    tick();
+    const timer = setInterval(tick, 250);
+    return () => clearInterval(timer);
+  }, [phase, round, dispatch]);
 }
 
 /**
  * Battle Context Provider Component
  */
 export function BattleProvider({ children }) {
-  const [state, dispatch] = useReducer(battleReducer, initialState);
-  const [ws, setWs] = useState(null);
+  const [state, dispatch] = useReducer(battleReducer, initialState, (initial) => ({
+    ...initial,
+    predictionMode: predictionService.isEnabled()
+  }));
+  const [transport, setTransport] = useState(null);
+
+  usePhaseTimers(state, dispatch);
 
   useEffect(() => {
-    console.log('🚀 Creating WebSocket connection');
-    const mockWs = createMockWebSocket(dispatch);
-    setWs(mockWs);
-    dispatch({ type: ACTIONS.SET_CONNECTION_STATUS, payload: 'connected' });
+    // Translate transport events into reducer actions
+    const events = {
+      onRound: (round) => dispatch({ type: ACTIONS.SET_ROUND, payload: round }),
+      onTally: (votes) => dispatch({ type: ACTIONS.SET_VOTES, payload: votes }),
+      onLocked: (votes, result, roundId) => {
+        // Apply the final tally before the reducer starts rejecting updates
+        dispatch({ type: ACTIONS.SET_VOTES, payload: votes });
+        dispatch({ type: ACTIONS.LOCK_VOTING, payload: { result, roundId } });
+      },
+      onReset: () => dispatch({ type: ACTIONS.REOPEN_VOTING }),
+      onVoid: () => dispatch({ type: ACTIONS.VOID_ROUND }),
+      onHost: (host) => dispatch({ type: ACTIONS.SET_HOST, payload: host }),
+      onStatusChange: (status, details = {}) => dispatch({
+        type: ACTIONS.SET_CONNECTION_STATUS,
+        payload: status,
+        attempt: details.attempt
+      }),
+      onQueueChange: (count) => dispatch({ type: ACTIONS.SET_QUEUED_VOTES, payload: count }),
+      onError: (message, { code, battleId } = {}) => {
+        console.error('Vote transport error:', message);
+        // Rejected votes are shown in the arena and rejected host commands
+        // in the host console; other errors are only logged
+        if (VOTE_REJECTION_CODES.includes(code)) {
+          dispatch({ type: ACTIONS.SET_VOTE_ERROR, payload: { battleId, code, message } });
+        } else if (HOST_REJECTION_CODES.includes(code)) {
+          dispatch({ type: ACTIONS.SET_HOST_ERROR, payload: { code, message } });
+        }
+      }
+    };
+
+    const voteTransport = createVoteTransport(VOTE_TRANSPORT_CONFIG, events);
+    setTransport(voteTransport);
 
     return () => {
-      console.log('🧹 Cleaning up WebSocket');
-      if (mockWs && mockWs.close) {
-        mockWs.close();
-      }
+      console.log('🧹 Cleaning up vote transport');
+      voteTransport.close();
     };
   }, []);
 
   const value = {
     state,
     dispatch,
-    ws
+    transport
   };
 
   return (
@@ -232,4 +273,4 @@ export function BattleProvider({ children }) {
       {children}
     </BattleContext.Provider>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,182 @@
+import { ACTIONS, BATTLE_PHASES, initialState, VOTING_METHODS } from '../utils/constants';
+import { battleReducer } from './BattleContext';
+
+const CONTESTANTS = [{ name: 'mew' }, { name: 'mewtwo' }, { name: 'eevee' }];
+
+// Run actions through the reducer
+const reduce = (state, ...actions) => actions.reduce(battleReducer, state);
+
+// An open battle between the contestants
+const openBattle = (method = VOTING_METHODS.PLURALITY, predictionMode = false) => reduce(
+  { ...initialState, predictionMode },
+  { type: ACTIONS.START_BATTLE, payload: { battleId: 'mew_vs_mewtwo_vs_eevee', method } },
+  { type: ACTIONS.SET_POKEMON, payload: { contestants: CONTESTANTS } }
+);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('battleReducer', () => {
+  it('runs a round from open to the next battle', () => {
+    let state = openBattle();
+    expect(state.phase).toBe(BATTLE_PHASES.OPEN);
+
+    state = reduce(
+      state,
+      { type: ACTIONS.SET_ROUND, payload: { rules: {}, closesAt: 10000 } },
+      { type: ACTIONS.TICK, now: 6000 }
+    );
+    expect(state).toMatchObject({ phase: BATTLE_PHASES.CLOSING, secondsLeft: 4 });
+
+    state = reduce(
+      state,
+      { type: ACTIONS.SET_VOTES, payload: { pokemon1: 1, pokemon2: 4, pokemon3: 2 } },
+      { type: ACTIONS.LOCK_VOTING, payload: { result: undefined } }
+    );
+    expect(state.phase).toBe(BATTLE_PHASES.CLOSED);
+    expect(state.result.winners).toEqual(['pokemon2']);
+
+    state = reduce(state, { type: ACTIONS.SHOW_RESULTS }, { type: ACTIONS.DISMISS_RESULTS });
+    expect(state.phase).toBe(BATTLE_PHASES.NEXT);
+  });
+
+  it('keeps the tally final once voting locks', () => {
+    const state = reduce(
+      openBattle(),
+      { type: ACTIONS.SET_VOTES, payload: { pokemon1: 3, pokemon2: 0, pokemon3: 0 } },
+      { type: ACTIONS.LOCK_VOTING },
+      { type: ACTIONS.SET_VOTES, payload: { pokemon1: 3, pokemon2: 9, pokemon3: 0 } }
+    );
+    expect(state.votes).toEqual({ pokemon1: 3, pokemon2: 0, pokemon3: 0 });
+  });
+
+  it('counts a locked round with a multi-way tie as a tie', () => {
+    const state = reduce(
+      openBattle(),
+      { type: ACTIONS.SET_VOTES, payload: { pokemon1: 2, pokemon2: 2, pokemon3: 2 } },
+      { type: ACTIONS.LOCK_VOTING }
+    );
+    expect(state.result.winners).toEqual(['pokemon1', 'pokemon2', 'pokemon3']);
+  });
+
+  it('takes the transport\'s ranked-choice count', () => {
+    const result = { method: VOTING_METHODS.RANKED, winners: ['pokemon3'], rounds: [] };
+    const state = reduce(openBattle(VOTING_METHODS.RANKED), { type: ACTIONS.LOCK_VOTING, payload: { result } });
+    expect(state.result).toBe(result);
+  });
+
+  it('never guesses a ranked-choice result from first choices', () => {
+    const open = reduce(
+      openBattle(VOTING_METHODS.RANKED),
+      { type: ACTIONS.SET_VOTES, payload: { pokemon1: 4, pokemon2: 3, pokemon3: 2 } }
+    );
+    const state = reduce(open, { type: ACTIONS.LOCK_VOTING, payload: { result: null } });
+
+    // The battle stays up: the round is over, its result unavailable, and a rematch can start
+    expect(state).toMatchObject({ phase: BATTLE_PHASES.CLOSED, result: null, resultUnavailable: true, error: null });
+    expect(reduce(state, { type: ACTIONS.REOPEN_VOTING })).toMatchObject({
+      phase: BATTLE_PHASES.OPEN,
+      resultUnavailable: false
+    });
+  });
+
+  it('keeps the round id the transport locked the round with', () => {
+    const roundId = 'mew_vs_mewtwo_vs_eevee@1000';
+    const state = reduce(openBattle(), { type: ACTIONS.LOCK_VOTING, payload: { result: undefined, roundId } });
+    expect(state.roundId).toBe(roundId);
+  });
+
+  it('names a round the transport didn\'t after when it opened, so a rematch gets a new id', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(Date.parse('2025-08-16T20:00:00.000Z'));
+    const first = reduce(openBattle(), { type: ACTIONS.LOCK_VOTING });
+    expect(first.roundId).toBe(`mew_vs_mewtwo_vs_eevee@${Date.parse('2025-08-16T20:00:00.000Z')}`);
+
+    jest.setSystemTime(Date.parse('2025-08-16T20:01:00.000Z'));
+    const rematch = reduce(first, { type: ACTIONS.REOPEN_VOTING }, { type: ACTIONS.LOCK_VOTING });
+    expect(rematch.roundId).toBe(`mew_vs_mewtwo_vs_eevee@${Date.parse('2025-08-16T20:01:00.000Z')}`);
+    jest.useRealTimers();
+  });
+
+  it('reopens a finished round with a blank tally', () => {
+    const state = reduce(
+      openBattle(),
+      { type: ACTIONS.SET_VOTES, payload: { pokemon1: 3, pokemon2: 1, pokemon3: 0 } },
+      { type: ACTIONS.SET_USER_VOTED, payload: 'pokemon1' },
+      { type: ACTIONS.LOCK_VOTING },
+      { type: ACTIONS.REOPEN_VOTING }
+    );
+    expect(state).toMatchObject({ phase: BATTLE_PHASES.OPEN, totalVotes: 0, userVoted: null, result: null });
+  });
+
+  it('only reopens finished rounds', () => {
+    const open = openBattle();
+    expect(battleReducer(open, { type: ACTIONS.REOPEN_VOTING })).toBe(open);
+  });
+});
+
+describe('battleReducer in prediction mode', () => {
+  const call = { pick: 'pokemon2', favorites: [] };
+
+  it('waits for the call before opening voting', () => {
+    const waiting = openBattle(VOTING_METHODS.PLURALITY, true);
+    expect(waiting.phase).toBe(BATTLE_PHASES.PREDICT);
+
+    const state = battleReducer(waiting, { type: ACTIONS.SET_PREDICTION, payload: call });
+    expect(state).toMatchObject({ phase: BATTLE_PHASES.OPEN, prediction: call });
+  });
+
+  it('takes no call once voting is open for the user', () => {
+    const open = openBattle();
+    expect(battleReducer(open, { type: ACTIONS.SET_PREDICTION, payload: call })).toBe(open);
+
+    const closing = reduce(
+      open,
+      { type: ACTIONS.SET_ROUND, payload: { rules: {}, closesAt: 10000 } },
+      { type: ACTIONS.TICK, now: 8000 }
+    );
+    expect(closing.phase).toBe(BATTLE_PHASES.CLOSING);
+    expect(battleReducer(closing, { type: ACTIONS.SET_PREDICTION, payload: call })).toBe(closing);
+  });
+
+  it('keeps the countdown for after the call', () => {
+    const state = reduce(
+      openBattle(VOTING_METHODS.PLURALITY, true),
+      { type: ACTIONS.SET_ROUND, payload: { rules: {}, closesAt: 10000 } },
+      { type: ACTIONS.TICK, now: 8000 }
+    );
+    expect(state).toMatchObject({ phase: BATTLE_PHASES.PREDICT, secondsLeft: 2 });
+  });
+
+  it('opens voting when the user already voted in another tab', () => {
+    const state = battleReducer(openBattle(VOTING_METHODS.PLURALITY, true), { type: ACTIONS.SET_USER_VOTED, payload: 'pokemon1' });
+    expect(state).toMatchObject({ phase: BATTLE_PHASES.OPEN, userVoted: 'pokemon1', prediction: null });
+  });
+
+  it('opens voting when prediction mode is turned off', () => {
+    const state = battleReducer(openBattle(VOTING_METHODS.PLURALITY, true), { type: ACTIONS.SET_PREDICTION_MODE, payload: false });
+    expect(state).toMatchObject({ phase: BATTLE_PHASES.OPEN, predictionMode: false });
+  });
+
+  it('starts the next round with a new call, including after a rematch', () => {
+    const open = openBattle();
+    const turnedOn = battleReducer(open, { type: ACTIONS.SET_PREDICTION_MODE, payload: true });
+    // This round's votes may have been seen already
+    expect(turnedOn.phase).toBe(BATTLE_PHASES.OPEN);
+
+    const rematch = reduce(turnedOn, { type: ACTIONS.LOCK_VOTING }, { type: ACTIONS.REOPEN_VOTING });
+    expect(rematch).toMatchObject({ phase: BATTLE_PHASES.PREDICT, prediction: null });
+  });
+
+  it('locks a round that closes before the call', () => {
+    const state = battleReducer(openBattle(VOTING_METHODS.PLURALITY, true), { type: ACTIONS.LOCK_VOTING });
+    expect(state).toMatchObject({ phase: BATTLE_PHASES.CLOSED, prediction: null });
+  });
+});
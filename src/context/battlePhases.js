@@ -0,0 +1,99 @@
+import { BATTLE_PHASES } from '../utils/constants';
+
+const { LOADING, PREDICT, OPEN, CLOSING, CLOSED, RESULTS, NEXT } = BATTLE_PHASES;
+
+/**
+ * Battle phase machine
+ *
+ *   loading → (predict) → open → closing → closed → results → next
+ *
+ * - predict: prediction mode only; the round is running but the user calls
+ *   the winner before they can see or cast votes
+ * - open: votes are accepted; the round timer runs
+ * - closing: the last seconds before the time limit (countdown banner)
+ * - closed: the transport locked the tally; predict and open skip straight
+ *   here when a quorum, minimum lead or host closes the round
+ * - results: the winner banner is showing (or, for a round locked without
+ *   its count, that the result is unavailable)
+ * - next: the banner was dismissed; waiting for the next battle
+ *
+ * A locked battle can be reopened for another round, and loading (a new
+ * battle) can start from any phase. The host can also start a running round
+ * over (predict → predict, open → open) or give it more time (closing → open).
+ */
+const TRANSITIONS = {
+  [LOADING]: [PREDICT, OPEN],
+  [PREDICT]: [PREDICT, OPEN, CLOSED],
+  [OPEN]: [OPEN, CLOSING, CLOSED],
+  [CLOSING]: [OPEN, CLOSED],
+  [CLOSED]: [RESULTS, PREDICT, OPEN],
+  [RESULTS]: [NEXT, PREDICT, OPEN],
+  [NEXT]: [PREDICT, OPEN]
+};
+
+/**
+ * Whether a battle may move from one phase to another
+ * @param {string} from - Current phase
+ * @param {string} to - Next phase
+ * @returns {boolean} True if the move is allowed
+ */
+export function canTransition(from, to) {
+  return to === LOADING || TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Move the battle to another phase
+ * @param {Object} state - Reducer state
+ * @param {string} to - Next phase
+ * @param {Object} changes - Other state to update along with the phase
+ * @returns {Object} New state, or the same state if the move isn't allowed
+ */
+export function transition(state, to, changes = {}) {
+  if (!canTransition(state.phase, to)) {
+    console.warn(`🚫 Ignoring battle phase change ${state.phase} → ${to}`);
+    return state;
+  }
+  console.log(`🎬 Battle phase: ${state.phase} → ${to}`);
+  return { ...state, ...changes, phase: to };
+}
+
+/**
+ * Where a new round starts: the predict phase in prediction mode
+ * @param {Object} state - Reducer state
+ * @returns {string} PREDICT or OPEN
+ */
+export function getOpeningPhase(state) {
+  return state.predictionMode ? PREDICT : OPEN;
+}
+
+/**
+ * Whether a round is running in a phase (whether or not the user can vote yet)
+ */
+export function isRoundRunning(phase) {
+  return phase === PREDICT || isVotingOpen(phase);
+}
+
+/**
+ * Whether votes are accepted in a phase
+ */
+export function isVotingOpen(phase) {
+  return phase === OPEN || phase === CLOSING;
+}
+
+/**
+ * Whether the tally is final in a phase
+ */
+export function isVotingLocked(phase) {
+  return phase === CLOSED || phase === RESULTS || phase === NEXT;
+}
+
+/**
+ * Whole seconds left until a round's time limit
+ * @param {Object|null} round - Round info ({ closesAt })
+ * @param {number} now - Current time
+ * @returns {number|null} Seconds left, or null without a time limit
+ */
+export function getSecondsLeft(round, now = Date.now()) {
+  if (!round || !round.closesAt) return null;
+  return Math.max(0, Math.ceil((round.closesAt - now) / 1000));
+}
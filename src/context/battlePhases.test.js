@@ -0,0 +1,93 @@
+import { BATTLE_PHASES } from '../utils/constants';
+import {
+  canTransition, getOpeningPhase, getSecondsLeft, isRoundRunning, isVotingLocked, isVotingOpen, transition
+} from './battlePhases';
+
+const { LOADING, PREDICT, OPEN, CLOSING, CLOSED, RESULTS, NEXT } = BATTLE_PHASES;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('canTransition', () => {
+  it.each([
+    [LOADING, PREDICT],
+    [LOADING, OPEN],
+    [PREDICT, OPEN],
+    [PREDICT, PREDICT],
+    [PREDICT, CLOSED],
+    [OPEN, CLOSING],
+    [OPEN, CLOSED],
+    [OPEN, OPEN],
+    [CLOSING, OPEN],
+    [CLOSING, CLOSED],
+    [CLOSED, RESULTS],
+    [CLOSED, OPEN],
+    [RESULTS, NEXT],
+    [RESULTS, PREDICT],
+    [NEXT, OPEN],
+    [NEXT, PREDICT]
+  ])('allows %s → %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each(Object.values(BATTLE_PHASES))('starts a new battle from %s', (from) => {
+    expect(canTransition(from, LOADING)).toBe(true);
+  });
+
+  it.each([
+    [LOADING, CLOSED],
+    [LOADING, RESULTS],
+    [PREDICT, CLOSING],
+    [PREDICT, RESULTS],
+    [OPEN, PREDICT],
+    [OPEN, RESULTS],
+    [CLOSING, CLOSING],
+    [CLOSING, PREDICT],
+    [CLOSED, CLOSED],
+    [CLOSED, NEXT],
+    [RESULTS, CLOSED],
+    [NEXT, RESULTS],
+    [NEXT, CLOSED]
+  ])('refuses %s → %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+});
+
+describe('transition', () => {
+  it('moves to the next phase with the other changes', () => {
+    expect(transition({ phase: OPEN, secondsLeft: 9 }, CLOSING, { secondsLeft: 5 }))
+      .toEqual({ phase: CLOSING, secondsLeft: 5 });
+  });
+
+  it('leaves the state alone when the move is not allowed', () => {
+    const state = { phase: CLOSED, result: { winners: [] } };
+    expect(transition(state, CLOSING, { result: null })).toBe(state);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('phase checks', () => {
+  it('only takes votes while a round is open or closing', () => {
+    expect(Object.values(BATTLE_PHASES).filter(isVotingOpen)).toEqual([OPEN, CLOSING]);
+    expect(Object.values(BATTLE_PHASES).filter(isRoundRunning)).toEqual([PREDICT, OPEN, CLOSING]);
+    expect(Object.values(BATTLE_PHASES).filter(isVotingLocked)).toEqual([CLOSED, RESULTS, NEXT]);
+  });
+
+  it('opens rounds for predictions in prediction mode', () => {
+    expect(getOpeningPhase({ predictionMode: true })).toBe(PREDICT);
+    expect(getOpeningPhase({ predictionMode: false })).toBe(OPEN);
+  });
+
+  it('counts whole seconds to the time limit', () => {
+    expect(getSecondsLeft({ closesAt: 10500 }, 5000)).toBe(6);
+    expect(getSecondsLeft({ closesAt: 1000 }, 5000)).toBe(0);
+    expect(getSecondsLeft({ closesAt: null }, 5000)).toBeNull();
+    expect(getSecondsLeft(null)).toBeNull();
+  });
+});
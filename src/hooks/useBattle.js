@@ -5,7 +5,7 @@ import { BattleContext } from '../context/BattleContext';
  * Custom hook to use the Battle Context
  * Provides easy access to battle state and actions
  * 
- * @returns {Object} Battle context value containing state, dispatch, and ws
+ * @returns {Object} Battle context value containing state, dispatch, and the vote transport
  * @throws {Error} If used outside of BattleProvider
  */
 export function useBattle() {
@@ -0,0 +1,92 @@
+import { useEffect, useRef } from 'react';
+import { useBattle } from './useBattle';
+import { ratingsService } from '../services/ratings';
+import { historyStore } from '../services/historyStore';
+import { voteLedger } from '../services/voteLedger';
+import { battleSchedule } from '../services/battleSchedule';
+import { BATTLE_PHASES, VOTING_METHODS } from '../utils/constants';
+import { getWinner } from '../utils/voting';
+import { getBackedTeam } from '../utils/teams';
+import { toTimeline } from '../utils/momentum';
+import { findFeature } from '../utils/schedule';
+
+/**
+ * Custom hook that records each round once voting locks
+ * Rates the Pokémon, logs the battle in the history and archives the results
+ * of featured battles, then frees the user's vote for the next round and
+ * hands the result to onBattleComplete.
+ *
+ * @param {Object} options - Hook options
+ * @param {Array<string>} options.ballot - The user's ranking or team picks, in the order they were made
+ * @param {Object|null} options.daily - Today's Battle of the Day (see useSchedule)
+ * @param {Array<Object>} options.timedBattles - Timed battles from the schedule (see useSchedule)
+ * @param {Function} options.onBattleComplete - Called with the battle result
+ */
+export function useBattleRecorder({ ballot, daily, timedBattles, onBattleComplete }) {
+  const { state } = useBattle();
+  const {
+    phase, battleId, roundId, startedAt, contestants, lineups, votingMethod, votes, result, userVoted, snapshots,
+    totalVotes
+  } = state;
+
+  // The last recorded round: the effect may run again while the round stays locked
+  const recordedRef = useRef(null);
+
+  useEffect(() => {
+    if (phase !== BATTLE_PHASES.CLOSED || recordedRef.current === roundId) return;
+    recordedRef.current = roundId;
+
+    // Without its count (see LOCK_VOTING) the round has no result to record,
+    // but the next round of this matchup can still be voted in
+    if (!result) {
+      voteLedger.release(battleId);
+      return;
+    }
+
+    const teamBattle = votingMethod === VOTING_METHODS.TEAM && !!lineups;
+    const battleResult = {
+      battleId,
+      roundId,
+      contestants,
+      method: votingMethod,
+      votes,
+      winners: result.winners,
+      winner: getWinner(result) || 'tie',
+      userVoted,
+      // How the tally developed, for the momentum chart in the history
+      timeline: toTimeline(snapshots),
+      // Team battles are scored (and rated) slot by slot, and the user backs a side
+      ...(teamBattle && {
+        lineups,
+        slots: result.slots,
+        scores: result.scores,
+        userVoted: userVoted && getBackedTeam(ballot.length > 0 ? ballot : [userVoted], lineups)
+      })
+    };
+
+    // A round without a single vote has no result: it says nothing about the
+    // Pokémon, and isn't kept in the history or the featured archive
+    if (totalVotes > 0) {
+      ratingsService.recordBattle(battleResult);
+
+      historyStore.addBattle({ ...battleResult, startedAt })
+        .catch(err => console.error('Error saving battle history:', err));
+
+      // Featured battles keep their results in the schedule's archive
+      const feature = findFeature(battleId, Date.parse(startedAt), Date.now(), daily, timedBattles);
+      if (feature) {
+        battleSchedule.recordResult(feature, battleResult);
+      }
+    }
+
+    // The round is over: the next round of this matchup can be voted in again
+    voteLedger.release(battleId);
+
+    if (onBattleComplete) {
+      onBattleComplete(battleResult);
+    }
+  }, [
+    phase, result, battleId, roundId, startedAt, contestants, lineups, votingMethod, votes, userVoted, snapshots, totalVotes,
+    ballot, daily, timedBattles, onBattleComplete
+  ]);
+}
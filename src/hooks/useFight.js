@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { FIGHT_CONFIG } from '../utils/constants';
+import { simulateFight } from '../utils/battleSim';
+import { createSeed } from '../utils/seededRandom';
+import { fighterService } from '../services/fighters';
+
+/**
+ * Custom hook for Fight! mode
+ * Simulates a fight between the battle's two Pokémon and plays its log back
+ * one attack at a time. A new battle clears the fight.
+ *
+ * @param {Object|null} pokemon1 - First Pokémon
+ * @param {Object|null} pokemon2 - Second Pokémon
+ * @param {string|null} battleId - Battle ID
+ * @returns {Object} Fight state and actions
+ */
+export function useFight(pokemon1, pokemon2, battleId) {
+  // Simulation result (see simulateFight)
+  const [fight, setFight] = useState(null);
+  // Log entries played back so far
+  const [shown, setShown] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Bumped for every fight, so a slow moveset lookup can't overwrite a newer fight
+  const fightRef = useRef(0);
+
+  useEffect(() => {
+    fightRef.current += 1;
+    setFight(null);
+    setShown(0);
+    setLoading(false);
+    setError(null);
+  }, [battleId]);
+
+  // Reveal the next attack
+  useEffect(() => {
+    if (!fight || shown >= fight.log.length) return;
+    const timeoutId = setTimeout(() => setShown(count => count + 1), FIGHT_CONFIG.TURN_DELAY);
+    return () => clearTimeout(timeoutId);
+  }, [fight, shown]);
+
+  /**
+   * Simulate a fight and start playing it back
+   * @param {string} seed - Fight seed (default FIGHT_CONFIG.SEED, or a new random one)
+   */
+  const startFight = useCallback(async (seed = FIGHT_CONFIG.SEED || createSeed()) => {
+    if (!pokemon1 || !pokemon2) return;
+    fightRef.current += 1;
+    const current = fightRef.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [fighter1, fighter2] = await Promise.all([
+        fighterService.getFighter(pokemon1),
+        fighterService.getFighter(pokemon2)
+      ]);
+      if (current !== fightRef.current) return;
+
+      console.log(`⚔️ Fight seed: ${seed}`);
+      setFight(simulateFight({ seed, battleId, fighters: { pokemon1: fighter1, pokemon2: fighter2 } }));
+      setShown(0);
+    } catch (err) {
+      if (current !== fightRef.current) return;
+      console.error('Error starting fight:', err);
+      setError(err.message);
+    } finally {
+      if (current === fightRef.current) setLoading(false);
+    }
+  }, [pokemon1, pokemon2, battleId]);
+
+  // Show the rest of the log at once
+  const skipToEnd = useCallback(() => {
+    if (fight) setShown(fight.log.length);
+  }, [fight]);
+
+  const log = fight ? fight.log.slice(0, shown) : [];
+  const finished = Boolean(fight) && shown >= fight.log.length;
+
+  // HP after the last attack shown ({ pokemon1: { hp, maxHp }, pokemon2: ... }), or null before a fight
+  const lastAttack = log[log.length - 1];
+  const hp = fight && {
+    pokemon1: { hp: lastAttack ? lastAttack.hp.pokemon1 : fight.maxHp.pokemon1, maxHp: fight.maxHp.pokemon1 },
+    pokemon2: { hp: lastAttack ? lastAttack.hp.pokemon2 : fight.maxHp.pokemon2, maxHp: fight.maxHp.pokemon2 }
+  };
+
+  return {
+    fight,
+    log,
+    hp,
+    finished,
+    winner: finished ? fight.winner : null,
+    loading,
+    error,
+    startFight,
+    skipToEnd
+  };
+}
@@ -0,0 +1,91 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useBattle } from './useBattle';
+import { predictionService } from '../services/predictions';
+import { ratingsService } from '../services/ratings';
+import { ACTIONS, BATTLE_PHASES } from '../utils/constants';
+import { isRoundRunning } from '../context/battlePhases';
+import { getWinner } from '../utils/voting';
+import { getSides } from '../utils/momentum';
+import { getFavorites } from '../utils/predictions';
+
+/**
+ * Custom hook for prediction mode
+ * Switches the mode, keeps the user's scoreboard, and scores the user's call
+ * for the round once voting locks (see utils/predictions.js). In prediction
+ * mode rounds start in the predict phase (see context/battlePhases.js), and
+ * the call opens voting for the user.
+ *
+ * @returns {Object} Prediction state and actions
+ */
+export function usePrediction() {
+  const { state, dispatch } = useBattle();
+  const { phase, battleId, roundId, contestants, lineups, result, prediction, predictionMode } = state;
+
+  const [board, setBoard] = useState(() => predictionService.getScoreboard());
+  // How this round's call scored, once voting locks
+  const [score, setScore] = useState(null);
+
+  // Result of the last scored round (see useBattleRecorder)
+  const scoredRef = useRef(null);
+
+  const sides = useMemo(() => getSides(contestants, lineups), [contestants, lineups]);
+  const awaiting = phase === BATTLE_PHASES.PREDICT;
+
+  // A fresh round starts without a score
+  useEffect(() => {
+    if (isRoundRunning(phase)) setScore(null);
+  }, [phase]);
+
+  // Score the user's call against the locked result (skipped calls aren't scored)
+  useEffect(() => {
+    if (phase !== BATTLE_PHASES.CLOSED || scoredRef.current === result) return;
+    scoredRef.current = result;
+    if (!prediction?.pick) return;
+
+    const nameOf = (sideId) => sides.find(side => side.id === sideId)?.name || sideId;
+    const winner = getWinner(result) || 'tie';
+    setScore(predictionService.record(prediction, winner, {
+      battleId,
+      pick: nameOf(prediction.pick),
+      winner: winner === 'tie' ? 'tie' : nameOf(winner)
+    }, roundId));
+    setBoard(predictionService.getScoreboard());
+  }, [phase, result, prediction, sides, battleId, roundId]);
+
+  /**
+   * Favourite sides by rating, as they stand now
+   * @returns {Array<string>} Side ids (see getFavorites)
+   */
+  const getCurrentFavorites = () =>
+    getFavorites(sides, contestants.map(pokemon => ratingsService.getRating(pokemon.name)));
+
+  /**
+   * Lock in a prediction for this round (null skips it)
+   * @param {string|null} pick - Side id
+   */
+  const predict = (pick) => {
+    const favorites = pick ? getCurrentFavorites() : [];
+    dispatch({ type: ACTIONS.SET_PREDICTION, payload: { pick, favorites } });
+  };
+
+  /**
+   * Turn prediction mode on or off
+   */
+  const toggleMode = () => {
+    predictionService.setEnabled(!predictionMode);
+    dispatch({ type: ACTIONS.SET_PREDICTION_MODE, payload: !predictionMode });
+  };
+
+  return {
+    predictionMode,
+    prediction,
+    sides,
+    board,
+    score,
+    // Waiting for the user's call before they can vote
+    awaiting,
+    favorites: awaiting ? getCurrentFavorites() : [],
+    predict,
+    toggleMode
+  };
+}
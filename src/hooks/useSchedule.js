@@ -0,0 +1,71 @@
+import { useState, useEffect, useMemo } from 'react';
+import { SCHEDULE_CONFIG } from '../utils/constants';
+import { getBattleOfTheDay, getDayKey, getNextDayStart } from '../utils/schedule';
+import { matchupSettings } from '../services/matchupSettings';
+import { offlinePokedex } from '../services/offlinePokedex';
+import { battleSchedule } from '../services/battleSchedule';
+
+/**
+ * Custom hook for the battle schedule
+ * Works out today's Battle of the Day (drawing a new one at midnight UTC)
+ * and keeps the timed battles from the schedule file up to date.
+ *
+ * @returns {Object} { daily, battles } — daily is null until the species index has loaded
+ */
+export function useSchedule() {
+  const [species, setSpecies] = useState(null);
+  const [battles, setBattles] = useState([]);
+  const [day, setDay] = useState(() => getDayKey(Date.now()));
+
+  useEffect(() => {
+    let cancelled = false;
+    // Drawn from the bundled Pokémon, which offline mode can serve too
+    matchupSettings.getSpecies()
+      .then(list => offlinePokedex.keepBundled(list))
+      .then(list => { if (!cancelled) setSpecies(list); })
+      .catch(error => console.error('Error loading species for the Battle of the Day:', error));
+    return () => { cancelled = true; };
+  }, []);
+
+  // Reload the schedule file now and then, so edits reach open tabs
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => battleSchedule.load().then(list => { if (!cancelled) setBattles(list); });
+
+    load();
+    const intervalId = setInterval(load, SCHEDULE_CONFIG.REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, []);
+
+  // A new day, a new Battle of the Day
+  useEffect(() => {
+    const now = Date.now();
+    const timeoutId = setTimeout(() => setDay(getDayKey(Date.now())), getNextDayStart(now) - now);
+    return () => clearTimeout(timeoutId);
+  }, [day]);
+
+  const daily = useMemo(
+    () => (species && species.length > 1 ? getBattleOfTheDay(species, Date.parse(day)) : null),
+    [species, day]
+  );
+
+  return { daily, battles };
+}
+
+/**
+ * Current time, updated every second (for countdowns)
+ * @returns {number} Timestamp
+ */
+export function useNow() {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  return now;
+}
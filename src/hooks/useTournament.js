@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react';
+import { TOURNAMENT_CONFIG } from '../utils/constants';
+import { createTournament, recordMatchResult } from '../utils/tournament';
+
+/**
+ * Read the saved tournament from localStorage
+ * @returns {Object|null} Saved tournament or null
+ */
+export function loadSavedTournament() {
+  try {
+    const saved = localStorage.getItem(TOURNAMENT_CONFIG.STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Error loading saved tournament:', error);
+    return null;
+  }
+}
+
+/**
+ * Custom hook for tournament mode
+ * Keeps the bracket in state and mirrors it to localStorage so an
+ * in-progress tournament survives a page reload.
+ *
+ * @returns {Object} Tournament state and actions
+ */
+export function useTournament() {
+  const [tournament, setTournament] = useState(loadSavedTournament);
+
+  useEffect(() => {
+    try {
+      if (tournament) {
+        localStorage.setItem(TOURNAMENT_CONFIG.STORAGE_KEY, JSON.stringify(tournament));
+      } else {
+        localStorage.removeItem(TOURNAMENT_CONFIG.STORAGE_KEY);
+      }
+    } catch (error) {
+      console.error('Error saving tournament:', error);
+    }
+  }, [tournament]);
+
+  /**
+   * Start a new tournament
+   * @param {Array<Object>} pokemon - Entrants in seed order
+   */
+  const startTournament = useCallback((pokemon) => {
+    setTournament(createTournament(pokemon));
+  }, []);
+
+  /**
+   * Record a finished match
+   * @param {string} matchId - Match identifier
+   * @param {Object} votes - Final votes
+   */
+  const recordResult = useCallback((matchId, votes) => {
+    setTournament(current => current && recordMatchResult(current, matchId, votes));
+  }, []);
+
+  // Drop the current tournament (finished or not)
+  const endTournament = useCallback(() => {
+    setTournament(null);
+  }, []);
+
+  return { tournament, startTournament, recordResult, endTournament };
+}
@@ -0,0 +1,92 @@
+import { SCHEDULE_CONFIG } from '../utils/constants';
+import { normalizeSchedule } from '../utils/schedule';
+import { getPositions, getTotalVotes } from '../utils/voting';
+
+/**
+ * Read the archive of past featured battles
+ * Shape: { [featureKey]: ArchiveEntry } (see recordResult)
+ */
+function readArchive() {
+  try {
+    return JSON.parse(localStorage.getItem(SCHEDULE_CONFIG.ARCHIVE_STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Error reading featured battle archive:', error);
+    return {};
+  }
+}
+
+function writeArchive(archive) {
+  try {
+    localStorage.setItem(SCHEDULE_CONFIG.ARCHIVE_STORAGE_KEY, JSON.stringify(archive));
+  } catch (error) {
+    console.error('Error saving featured battle archive:', error);
+  }
+}
+
+/**
+ * Readable winner of a battle result: a Pokémon's or a team's name, or 'tie'
+ */
+function getWinnerName(battleResult) {
+  if (battleResult.winner === 'tie') return 'tie';
+  if (battleResult.lineups) {
+    return battleResult.lineups.find(lineup => lineup.id === battleResult.winner)?.name || 'tie';
+  }
+  const index = getPositions(battleResult.contestants.length).indexOf(battleResult.winner);
+  return battleResult.contestants[index]?.name || 'tie';
+}
+
+// Timed battles from the schedule file, and the results of past featured battles
+export const battleSchedule = {
+  /**
+   * Timed battles listed in the schedule file
+   * @returns {Promise<Array<Object>>} Timed battles by start time (none if the file is missing or broken)
+   */
+  async load() {
+    try {
+      const response = await fetch(SCHEDULE_CONFIG.URL, { cache: 'no-store' });
+      if (!response.ok) return [];
+      return normalizeSchedule(await response.json());
+    } catch (error) {
+      console.warn('⚠️ No battle schedule loaded:', error.message);
+      return [];
+    }
+  },
+
+  /**
+   * Past featured battles with their results
+   * @returns {Array<Object>} Archive entries, newest first
+   */
+  getArchive() {
+    return Object.values(readArchive()).sort((a, b) => b.at - a.at);
+  },
+
+  /**
+   * Keep the result of a featured battle's round (a later round of the same
+   * feature replaces it)
+   * @param {Object} feature - Feature the round counted for (see findFeature)
+   * @param {Object} battleResult - Battle result, as recorded in the history
+   */
+  recordResult(feature, battleResult) {
+    const archive = readArchive();
+    archive[feature.key] = {
+      key: feature.key,
+      kind: feature.kind,
+      title: feature.title,
+      battleId: feature.battleId,
+      contestants: feature.contestants,
+      method: feature.method,
+      at: feature.at,
+      winner: getWinnerName(battleResult),
+      totalVotes: getTotalVotes(battleResult.votes),
+      userVoted: !!battleResult.userVoted,
+      recordedAt: Date.now()
+    };
+
+    // Oldest features go first once the archive is full
+    const kept = Object.values(archive)
+      .sort((a, b) => b.at - a.at)
+      .slice(0, SCHEDULE_CONFIG.MAX_ARCHIVE);
+    writeArchive(Object.fromEntries(kept.map(entry => [entry.key, entry])));
+    console.log('📅 Featured battle result saved:', feature.key);
+  }
+};
@@ -0,0 +1,96 @@
+import { API_CONFIG } from '../utils/constants';
+import { chooseMoveset } from '../utils/battleSim';
+import { findSpecies } from '../utils/pokemonSearch';
+import { matchupSettings } from './matchupSettings';
+import { offlinePokedex } from './offlinePokedex';
+
+// Move details by name (requests are shared and kept for the session)
+const moveRequests = new Map();
+
+/**
+ * GET a PokeAPI resource, giving up after API_CONFIG.REQUEST_TIMEOUT
+ */
+async function fetchWithTimeout(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.REQUEST_TIMEOUT);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`GET ${url} failed (${response.status})`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Fighters for Fight! mode: base stats and a small moveset for a Pokémon
+export const fighterService = {
+  /**
+   * Everything simulateFight needs to know about a Pokémon
+   * @param {Object} pokemon - Pokémon data from pokemonAPI
+   * @returns {Promise<Object>} { name, types, baseStats, moves }
+   * @throws {Error} When the Pokémon's base stats are unknown
+   */
+  async getFighter(pokemon) {
+    const [baseStats, moves] = await Promise.all([this.getBaseStats(pokemon), this.getMoveset(pokemon)]);
+    return { name: pokemon.name, types: pokemon.types, baseStats, moves };
+  },
+
+  /**
+   * Base stats from PokeAPI, or from the species index for offline and older cached records
+   * @param {Object} pokemon - Pokémon data
+   * @returns {Promise<Object>} { hp, attack, defense, specialAttack, specialDefense, speed }
+   */
+  async getBaseStats(pokemon) {
+    if (pokemon.stats && pokemon.stats.hp) return pokemon.stats;
+
+    const species = await matchupSettings.getSpecies();
+    const entry = findSpecies(species, pokemon.name) || findSpecies(species, pokemon.id);
+    if (!entry) {
+      throw new Error(`No base stats for ${pokemon.name}`);
+    }
+    return entry.baseStats;
+  },
+
+  /**
+   * A small moveset from the Pokémon's latest level-up moves on PokeAPI,
+   * falling back to moves of its types when they can't be looked up
+   * @param {Object} pokemon - Pokémon data
+   * @returns {Promise<Array<Object>>} Moves ({ name, type, power, accuracy, damageClass })
+   */
+  async getMoveset(pokemon) {
+    const names = offlinePokedex.isOfflineMode() ? [] : pokemon.moveNames || [];
+    const results = await Promise.allSettled(names.map(name => this.fetchMove(name)));
+    const moves = results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value);
+
+    if (names.length > 0 && moves.length === 0) {
+      console.warn(`📦 Couldn't look up moves for ${pokemon.name}, using type moves`);
+    }
+    return chooseMoveset(moves, pokemon.types);
+  },
+
+  /**
+   * Fetch a move's details from PokeAPI
+   * @param {string} name - Move name (e.g. "thunderbolt")
+   * @returns {Promise<Object>} { name, type, power, accuracy, damageClass }
+   */
+  fetchMove(name) {
+    if (!moveRequests.has(name)) {
+      const request = fetchWithTimeout(`${API_CONFIG.MOVE_BASE_URL}${name}`)
+        .then(data => ({
+          name: data.name,
+          type: data.type.name,
+          power: data.power,
+          accuracy: data.accuracy,
+          damageClass: data.damage_class.name
+        }));
+      // Allow a retry if the request failed
+      request.catch(() => moveRequests.delete(name));
+      moveRequests.set(name, request);
+    }
+    return moveRequests.get(name);
+  }
+};
@@ -0,0 +1,215 @@
+import { HISTORY_CONFIG, VOTING_METHODS } from '../utils/constants';
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the history database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(HISTORY_CONFIG.DB_NAME, HISTORY_CONFIG.DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(HISTORY_CONFIG.STORE_NAME)) {
+        const store = db.createObjectStore(HISTORY_CONFIG.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('endedAt', 'endedAt');
+        store.createIndex('battleId', 'battleId');
+        // Every contestant's name, so "battles with Pikachu" is one index lookup
+        store.createIndex('pokemon', 'pokemonNames', { multiEntry: true });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry after a failed open
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getStore(mode) {
+  const db = await openDatabase();
+  return db.transaction(HISTORY_CONFIG.STORE_NAME, mode).objectStore(HISTORY_CONFIG.STORE_NAME);
+}
+
+/**
+ * Keep only the fields the history view needs
+ */
+function summarizePokemon(pokemon) {
+  return { id: pokemon.id, name: pokemon.name, sprite: pokemon.sprite };
+}
+
+/**
+ * Entries saved before royales stored their two Pokémon as pokemon1 and pokemon2
+ */
+function normalizeEntry(entry) {
+  if (entry.contestants) return entry;
+  return { ...entry, contestants: [entry.pokemon1, entry.pokemon2], method: VOTING_METHODS.PLURALITY };
+}
+
+/**
+ * Does an entry match the outcome filter?
+ * @param {Object} entry - History entry
+ * @param {string} outcome - 'all' | 'decided' | 'tie' | 'picked-winner' | 'picked-loser'
+ */
+function matchesOutcome(entry, outcome) {
+  switch (outcome) {
+    case 'decided':
+      return entry.winner !== 'tie';
+    case 'tie':
+      return entry.winner === 'tie';
+    case 'picked-winner':
+      return !!entry.userVoted && entry.userVoted === entry.winner;
+    case 'picked-loser':
+      return !!entry.userVoted && entry.winner !== 'tie' && entry.userVoted !== entry.winner;
+    default:
+      return true;
+  }
+}
+
+// Battle history, stored in IndexedDB so it can grow to thousands of entries
+export const historyStore = {
+  /**
+   * Store a finished battle
+   * @param {Object} result - Battle result from BattleArena
+   * @param {string} result.roundId - The round that locked (see getRoundId); each round is logged once
+   * @param {string} result.startedAt - ISO time the battle opened
+   * @returns {Promise<Object|null>} Stored entry, or null if it was a duplicate
+   *   (team battles also keep their lineups and scores; winner and userVoted are team ids)
+   */
+  async addBattle({
+    battleId, roundId, contestants, method, votes, winner, userVoted, lineups, scores, timeline, startedAt
+  }) {
+    const endedAt = new Date().toISOString();
+    const entry = {
+      battleId,
+      roundId,
+      contestants: contestants.map(summarizePokemon),
+      pokemonNames: contestants.map(pokemon => pokemon.name),
+      method,
+      votes,
+      winner,
+      userVoted: userVoted || null,
+      lineups: lineups || null,
+      scores: scores || null,
+      // Tallies through the round ([{ at, votes }]), for the momentum chart
+      timeline: timeline || null,
+      startedAt: startedAt || endedAt,
+      endedAt
+    };
+
+    // Several tabs can lock the same round at once; keep a single entry. The
+    // check and the insert share one readwrite transaction, and IndexedDB runs
+    // those one at a time, so two tabs can't both miss each other's entry.
+    const db = await openDatabase();
+    const stored = await new Promise((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_CONFIG.STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(HISTORY_CONFIG.STORE_NAME);
+      let result = null;
+
+      store.index('battleId').getAll(battleId).onsuccess = (event) => {
+        if (roundId && event.target.result.some(existing => existing.roundId === roundId)) return;
+        store.add(entry).onsuccess = (addEvent) => {
+          result = { ...entry, id: addEvent.target.result };
+        };
+      };
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    if (stored) console.log('📜 Battle saved to history:', battleId);
+    return stored;
+  },
+
+  /**
+   * Query the history, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.pokemon - Only battles with this Pokémon (name)
+   * @param {string} filters.from - Only battles that ended on or after this date (YYYY-MM-DD)
+   * @param {string} filters.to - Only battles that ended on or before this date (YYYY-MM-DD)
+   * @param {string} filters.outcome - Outcome filter (see matchesOutcome)
+   * @param {number} filters.limit - Maximum number of entries
+   * @returns {Promise<Object>} { entries, hasMore }; each entry lists its Pokémon
+   *   as contestants, in position order
+   */
+  async getBattles({ pokemon = '', from = '', to = '', outcome = 'all', limit = HISTORY_CONFIG.PAGE_SIZE } = {}) {
+    const store = await getStore('readonly');
+    const lower = from ? new Date(`${from}T00:00:00`).toISOString() : undefined;
+    const upper = to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined;
+
+    const inDateRange = (entry) =>
+      (!lower || entry.endedAt >= lower) && (!upper || entry.endedAt <= upper);
+
+    const name = pokemon.trim().toLowerCase();
+    if (name) {
+      // The Pokémon index narrows things down enough to filter in memory
+      const entries = (await promisify(store.index('pokemon').getAll(name)))
+        .filter(entry => inDateRange(entry) && matchesOutcome(entry, outcome))
+        .sort((a, b) => b.endedAt.localeCompare(a.endedAt));
+      return { entries: entries.slice(0, limit).map(normalizeEntry), hasMore: entries.length > limit };
+    }
+
+    // Walk the date index backwards and stop once the page is full
+    let range = null;
+    if (lower && upper) range = IDBKeyRange.bound(lower, upper);
+    else if (lower) range = IDBKeyRange.lowerBound(lower);
+    else if (upper) range = IDBKeyRange.upperBound(upper);
+
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const request = store.index('endedAt').openCursor(range, 'prev');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ entries, hasMore: false });
+          return;
+        }
+        if (matchesOutcome(cursor.value, outcome)) {
+          if (entries.length === limit) {
+            resolve({ entries, hasMore: true });
+            return;
+          }
+          entries.push(normalizeEntry(cursor.value));
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Number of stored battles
+   * @returns {Promise<number>} Entry count
+   */
+  async countBattles() {
+    return promisify((await getStore('readonly')).count());
+  },
+
+  // Delete the whole history
+  async clearHistory() {
+    await promisify((await getStore('readwrite')).clear());
+  }
+};
@@ -0,0 +1,48 @@
+import { MATCHUP_CONFIG } from '../utils/constants';
+
+let speciesPromise = null;
+
+// Filters for random matchups, persisted in localStorage
+export const matchupSettings = {
+  /**
+   * Saved settings, filled in with defaults for anything missing
+   * @returns {Object} Matchup settings
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(MATCHUP_CONFIG.STORAGE_KEY) || 'null');
+      return { ...MATCHUP_CONFIG.DEFAULT_SETTINGS, ...saved };
+    } catch (error) {
+      console.error('Error loading matchup settings:', error);
+      return { ...MATCHUP_CONFIG.DEFAULT_SETTINGS };
+    }
+  },
+
+  /**
+   * @param {Object} settings - Matchup settings to remember
+   */
+  save(settings) {
+    try {
+      localStorage.setItem(MATCHUP_CONFIG.STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error('Error saving matchup settings:', error);
+    }
+  },
+
+  reset() {
+    localStorage.removeItem(MATCHUP_CONFIG.STORAGE_KEY);
+    return { ...MATCHUP_CONFIG.DEFAULT_SETTINGS };
+  },
+
+  /**
+   * Species index (generation, types, legendary status, stage, family, base stats), loaded on first use
+   * @returns {Promise<Array<Object>>} Every National Dex species
+   */
+  getSpecies() {
+    if (!speciesPromise) {
+      speciesPromise = import('../data/speciesIndex.json').then(module => module.default.species);
+      speciesPromise.catch(() => { speciesPromise = null; });
+    }
+    return speciesPromise;
+  }
+};
@@ -0,0 +1,105 @@
+import { OFFLINE_CONFIG } from '../utils/constants';
+import { normalizeKey } from './pokemonCache';
+import { matchupSettings } from './matchupSettings';
+import { getIndexDetails } from '../utils/pokedexEntry';
+
+let datasetPromise = null;
+let index = null; // normalized name or id -> record
+
+/**
+ * Load the bundled dataset (a separate chunk, only downloaded when something needs it)
+ * @returns {Promise<Object>} { version, generatedAt, source, count, pokemon }
+ */
+function loadDataset() {
+  if (!datasetPromise) {
+    datasetPromise = import('../data/pokedex.json').then(module => {
+      const dataset = module.default;
+      index = new Map();
+      dataset.pokemon.forEach(record => {
+        index.set(normalizeKey(record.id), record);
+        index.set(normalizeKey(record.name), record);
+      });
+      return dataset;
+    });
+    // Allow a retry if the chunk failed to load
+    datasetPromise.catch(() => { datasetPromise = null; });
+  }
+  return datasetPromise;
+}
+
+// Offline Pokédex: local copy of the records pokemonAPI normally fetches
+export const offlinePokedex = {
+  /**
+   * Look up a Pokémon in the bundled dataset
+   * Base stats, generation, legendary status and evolutions are filled in
+   * from the species index; abilities and Pokédex text aren't bundled.
+   * @param {string|number} nameOrId - Pokémon name or ID
+   * @returns {Promise<Object|null>} Pokémon data with a local sprite, or null if not bundled
+   */
+  async find(nameOrId) {
+    await loadDataset();
+    const record = index.get(normalizeKey(nameOrId));
+    if (!record) return null;
+
+    const species = await matchupSettings.getSpecies().catch(() => []);
+    const entry = species.find(candidate => candidate.id === record.id);
+    return {
+      ...record,
+      ...(entry && getIndexDetails(species, entry)),
+      sprite: `${process.env.PUBLIC_URL}/${record.sprite}`
+    };
+  },
+
+  /**
+   * IDs of every bundled Pokémon
+   * @returns {Promise<Set<number>>} Pokémon IDs
+   */
+  async getIds() {
+    const dataset = await loadDataset();
+    return new Set(dataset.pokemon.map(record => record.id));
+  },
+
+  /**
+   * Keep the species index entries that are bundled
+   * @param {Array<Object>} species - Species index entries
+   * @returns {Promise<Array<Object>>} The entries the offline Pokédex can serve
+   */
+  async keepBundled(species) {
+    const ids = await this.getIds();
+    return species.filter(entry => ids.has(entry.id));
+  },
+
+  /**
+   * Dataset version information
+   * @returns {Promise<Object>} { version, generatedAt, count }
+   */
+  async getInfo() {
+    const { version, generatedAt, count } = await loadDataset();
+    return { version, generatedAt, count };
+  },
+
+  /**
+   * Is offline mode on? Always true when the build forces it
+   */
+  isOfflineMode() {
+    if (OFFLINE_CONFIG.ALWAYS) return true;
+    try {
+      return localStorage.getItem(OFFLINE_CONFIG.STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Turn offline mode on or off (remembered across reloads)
+   * @param {boolean} enabled - Use only the bundled dataset
+   */
+  setOfflineMode(enabled) {
+    try {
+      if (enabled) localStorage.setItem(OFFLINE_CONFIG.STORAGE_KEY, 'true');
+      else localStorage.removeItem(OFFLINE_CONFIG.STORAGE_KEY);
+    } catch (error) {
+      console.error('Error saving offline mode:', error);
+    }
+  }
+};
@@ -0,0 +1,77 @@
+import { offlinePokedex } from './offlinePokedex';
+import { pokemonAPI } from './pokemonAPI';
+import { matchupSettings } from './matchupSettings';
+import { MATCHUP_CONFIG } from '../utils/constants';
+
+// The offline Pokédex must answer without a network: any fetch fails the test
+beforeEach(() => {
+  localStorage.clear();
+  pokemonAPI.clearCache();
+  global.fetch = jest.fn(() => Promise.reject(new Error('The offline Pokédex must not use the network')));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  offlinePokedex.setOfflineMode(false);
+  jest.restoreAllMocks();
+});
+
+describe('offlinePokedex', () => {
+  it('finds bundled Pokémon by name or number, with details from the species index', async () => {
+    const byName = await offlinePokedex.find('Pikachu');
+    const byId = await offlinePokedex.find(25);
+
+    expect(byName).toEqual(byId);
+    expect(byName).toMatchObject({ id: 25, name: 'pikachu', generation: 1 });
+    expect(byName.sprite).toMatch(/sprites\/pokemon\/25\.png$/);
+  });
+
+  it('has nothing past the bundled Pokémon', async () => {
+    const ids = await offlinePokedex.getIds();
+    expect(await offlinePokedex.find(Math.max(...ids) + 1)).toBeNull();
+  });
+
+  it('keeps only the bundled entries of the species index', async () => {
+    const ids = await offlinePokedex.getIds();
+    const species = await matchupSettings.getSpecies();
+    const bundled = await offlinePokedex.keepBundled(species);
+
+    expect(bundled.length).toBe(ids.size);
+    expect(bundled.length).toBeLessThan(species.length);
+    expect(bundled.every(entry => ids.has(entry.id))).toBe(true);
+  });
+});
+
+describe('pokemonAPI in offline mode', () => {
+  beforeEach(() => {
+    offlinePokedex.setOfflineMode(true);
+  });
+
+  it('serves Pokémon from the bundled dataset', async () => {
+    await expect(pokemonAPI.fetchManyPokemon(['bulbasaur', 6])).resolves.toMatchObject([
+      { id: 1, name: 'bulbasaur' },
+      { id: 6, name: 'charizard' }
+    ]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('only offers bundled Pokémon', async () => {
+    const ids = await offlinePokedex.getIds();
+    const available = await pokemonAPI.getAvailableSpecies();
+    expect(available.every(entry => ids.has(entry.id))).toBe(true);
+  });
+
+  it('only picks bundled Pokémon for random battles, whatever the generation filter', async () => {
+    const ids = await offlinePokedex.getIds();
+    matchupSettings.save({ ...MATCHUP_CONFIG.DEFAULT_SETTINGS, generations: [] });
+
+    for (let i = 0; i < 20; i++) {
+      const picks = await pokemonAPI.getRandomPokemonIds(8);
+      expect(picks.every(id => ids.has(id))).toBe(true);
+    }
+
+    // Paldea isn't bundled
+    matchupSettings.save({ ...MATCHUP_CONFIG.DEFAULT_SETTINGS, generations: [9] });
+    await expect(pokemonAPI.getRandomPokemonIds(2)).rejects.toThrow();
+  });
+});
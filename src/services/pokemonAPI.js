@@ -1,81 +1,276 @@
-import { API_CONFIG } from '../utils/constants';
+import { API_CONFIG, FIGHT_CONFIG } from '../utils/constants';
+import { pokemonCache } from './pokemonCache';
+import { offlinePokedex } from './offlinePokedex';
+import { matchupSettings } from './matchupSettings';
+import { pickMatchupIds } from '../utils/matchups';
+import { flattenEvolutionChain, getEnglishText, getIdFromUrl, parseGeneration } from '../utils/pokedexEntry';
+
+// Requests currently on the wire, keyed by canonical cache key
+const inFlightRequests = new Map();
+
+// PokeAPI stat names → keys of the normalized `stats` object
+const STAT_KEYS = {
+  hp: 'hp',
+  attack: 'attack',
+  defense: 'defense',
+  'special-attack': 'specialAttack',
+  'special-defense': 'specialDefense',
+  speed: 'speed'
+};
+
+/**
+ * Base stats from a PokeAPI stats list
+ * @returns {Object} { hp, attack, defense, specialAttack, specialDefense, speed }
+ */
+function getBaseStats(stats = []) {
+  const baseStats = {};
+  stats.forEach(({ base_stat: value, stat }) => {
+    if (STAT_KEYS[stat.name]) baseStats[STAT_KEYS[stat.name]] = value;
+  });
+  return baseStats;
+}
+
+/**
+ * Names of the moves a Pokémon learns last by level-up (usually its strongest)
+ * @returns {Array<string>} Up to FIGHT_CONFIG.MOVE_CANDIDATES move names
+ */
+function getLatestLevelUpMoves(moves = []) {
+  return moves
+    .map(({ move, version_group_details: details }) => ({
+      name: move.name,
+      level: Math.max(-1, ...details
+        .filter(detail => detail.move_learn_method.name === 'level-up')
+        .map(detail => detail.level_learned_at))
+    }))
+    .filter(({ level }) => level >= 0)
+    .sort((a, b) => b.level - a.level)
+    .slice(0, FIGHT_CONFIG.MOVE_CANDIDATES)
+    .map(({ name }) => name);
+}
 
 // API service for fetching Pokémon data
 export const pokemonAPI = {
   /**
    * Fetch a single Pokémon by name or ID
+   * Served from the cache when possible: fresh entries return immediately,
+   * stale ones return immediately and are refreshed in the background, and
+   * concurrent requests for the same Pokémon share one network call.
+   * When PokeAPI can't be reached or fails (a network error, a timeout or
+   * a 5xx answer), and in offline mode, the bundled offline Pokédex answers
+   * instead. Other answers, like a 404 for a Pokémon that doesn't exist, are
+   * errors.
+   *
    * @param {string|number} nameOrId - Pokémon name or ID
    * @returns {Promise<Object>} Formatted Pokémon data
    */
   async fetchPokemon(nameOrId) {
+    if (offlinePokedex.isOfflineMode()) {
+      return this.fetchOfflinePokemon(nameOrId);
+    }
+
+    const cached = pokemonCache.lookup(nameOrId);
+
+    if (cached.status === 'fresh') {
+      console.log(`⚡ Cache hit: ${nameOrId}`);
+      return cached.data;
+    }
+
+    if (cached.status === 'stale') {
+      console.log(`⏳ Stale cache hit, refreshing in background: ${nameOrId}`);
+      this.requestPokemon(nameOrId, { revalidation: true })
+        .catch(error => console.warn(`Background refresh failed for ${nameOrId}:`, error.message));
+      return cached.data;
+    }
+
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.REQUEST_TIMEOUT);
+      return await this.requestPokemon(nameOrId);
+    } catch (error) {
+      if (error.status && error.status < 500) throw error;
+      const offline = await offlinePokedex.find(nameOrId).catch(() => null);
+      if (!offline) throw error;
+      console.warn(`📦 PokeAPI unavailable, using offline Pokédex for ${nameOrId}:`, error.message);
+      return offline;
+    }
+  },
+
+  /**
+   * Look up a Pokémon in the bundled offline Pokédex only
+   * @param {string|number} nameOrId - Pokémon name or ID
+   * @returns {Promise<Object>} Formatted Pokémon data with a local sprite
+   */
+  async fetchOfflinePokemon(nameOrId) {
+    const pokemon = await offlinePokedex.find(nameOrId);
+    if (!pokemon) {
+      throw new Error(`${nameOrId} is not in the offline Pokédex`);
+    }
+    return pokemon;
+  },
 
-      const response = await fetch(
-        `${API_CONFIG.POKEMON_BASE_URL}${nameOrId.toString().toLowerCase()}`,
-        { signal: controller.signal }
-      );
+  /**
+   * Small sprite for previews (search results, pickers) without fetching the Pokémon
+   * @param {number} id - National Dex number
+   * @returns {string} Sprite URL (a bundled sprite in offline mode)
+   */
+  getSpriteUrl(id) {
+    return this.isOfflineMode()
+      ? `${process.env.PUBLIC_URL}/sprites/pokemon/${id}.png`
+      : `${API_CONFIG.SPRITE_BASE_URL}${id}.png`;
+  },
 
-      clearTimeout(timeoutId);
+  /**
+   * Offline mode: use the bundled dataset and never call PokeAPI
+   */
+  isOfflineMode() {
+    return offlinePokedex.isOfflineMode();
+  },
+
+  /**
+   * @param {boolean} enabled - Turn offline mode on or off
+   */
+  setOfflineMode(enabled) {
+    offlinePokedex.setOfflineMode(enabled);
+  },
+
+  /**
+   * Fetch a Pokémon from the network, sharing in-flight requests
+   * @param {string|number} nameOrId - Pokémon name or ID
+   * @param {Object} options - Request options
+   * @param {boolean} options.revalidation - Refreshing a stale cache entry
+   * @returns {Promise<Object>} Formatted Pokémon data
+   */
+  requestPokemon(nameOrId, { revalidation = false } = {}) {
+    const key = pokemonCache.resolveKey(nameOrId);
+
+    if (inFlightRequests.has(key)) {
+      console.log(`🔗 Sharing in-flight request: ${nameOrId}`);
+      pokemonCache.recordShared();
+      return inFlightRequests.get(key);
+    }
+
+    console.log(`🌐 Fetching from PokeAPI: ${nameOrId}`);
+    pokemonCache.recordNetworkRequest({ revalidation });
+    const request = this.fetchPokemonFromNetwork(nameOrId)
+      .then(pokemon => {
+        pokemonCache.store(nameOrId, pokemon);
+        return pokemon;
+      })
+      .finally(() => inFlightRequests.delete(key));
+
+    inFlightRequests.set(key, request);
+    return request;
+  },
+
+  /**
+   * Fetch and normalize a single Pokémon from PokeAPI (no caching)
+   * Combines the pokemon, pokemon-species and evolution-chain resources.
+   * @param {string|number} nameOrId - Pokémon name or ID
+   * @returns {Promise<Object>} Formatted Pokémon data
+   * @throws {Error} With the HTTP `status` when PokeAPI answered with an error
+   */
+  async fetchPokemonFromNetwork(nameOrId) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.REQUEST_TIMEOUT);
 
+    const getJSON = async (url) => {
+      const response = await fetch(url, { signal: controller.signal });
       if (!response.ok) {
-        throw new Error(`Failed to fetch ${nameOrId} (${response.status})`);
+        const error = new Error(`Failed to fetch ${nameOrId} (${response.status})`);
+        error.status = response.status;
+        throw error;
       }
+      return response.json();
+    };
+
+    try {
+      const data = await getJSON(`${API_CONFIG.POKEMON_BASE_URL}${nameOrId.toString().toLowerCase()}`);
+      const species = await getJSON(data.species.url);
+      // A handful of species have no evolution chain resource
+      const chain = species.evolution_chain ? await getJSON(species.evolution_chain.url) : null;
 
-      const data = await response.json();
-      
       return {
         id: data.id,
         name: data.name,
         sprite: data.sprites.other['official-artwork']?.front_default || 
                 data.sprites.front_default ||
-                `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${data.id}.png`,
+                `${API_CONFIG.SPRITE_BASE_URL}${data.id}.png`,
         weight: data.weight,
         height: data.height,
         baseExperience: data.base_experience,
-        types: data.types.map(type => type.type.name)
+        types: data.types.map(type => type.type.name),
+        stats: getBaseStats(data.stats),
+        abilities: [...data.abilities]
+          .sort((a, b) => a.slot - b.slot)
+          .map(({ ability, is_hidden: hidden }) => ({ name: ability.name, hidden })),
+        // Candidates for the Fight! moveset (see fighterService)
+        moveNames: getLatestLevelUpMoves(data.moves),
+        genus: getEnglishText(species.genera, 'genus'),
+        flavorText: getEnglishText(species.flavor_text_entries, 'flavor_text'),
+        generation: parseGeneration(species.generation.name),
+        legendary: species.is_legendary,
+        mythical: species.is_mythical,
+        evolutionChain: chain
+          ? flattenEvolutionChain(chain.chain)
+          : [{ id: getIdFromUrl(data.species.url), name: species.name, stage: 1 }]
       };
     } catch (error) {
       if (error.name === 'AbortError') {
         throw new Error(`Request timeout for ${nameOrId}`);
       }
-      throw new Error(`Error fetching ${nameOrId}: ${error.message}`);
+      const wrapped = new Error(`Error fetching ${nameOrId}: ${error.message}`);
+      wrapped.status = error.status;
+      throw wrapped;
+    } finally {
+      clearTimeout(timeoutId);
     }
   },
 
   /**
-   * Fetch two Pokémon simultaneously
-   * @param {string|number} pokemon1Name - First Pokémon
-   * @param {string|number} pokemon2Name - Second Pokémon
-   * @returns {Promise<Object>} Object containing both Pokémon
+   * Cache statistics (hits, stale hits, misses, shared requests, ...)
+   * @returns {Object} Cache statistics
+   */
+  getCacheStats() {
+    return pokemonCache.getStats();
+  },
+
+  /**
+   * Clear the Pokémon cache (memory and localStorage)
+   */
+  clearCache() {
+    pokemonCache.clear();
+  },
+
+  /**
+   * Fetch several Pokémon simultaneously
+   * @param {Array<string|number>} namesOrIds - Pokémon names or IDs
+   * @returns {Promise<Array<Object>>} Pokémon in the same order
    */
-  async fetchBothPokemon(pokemon1Name = 'bulbasaur', pokemon2Name = 'pikachu') {
+  async fetchManyPokemon(namesOrIds) {
     try {
-      const [pokemon1, pokemon2] = await Promise.all([
-        this.fetchPokemon(pokemon1Name),
-        this.fetchPokemon(pokemon2Name)
-      ]);
-      return { pokemon1, pokemon2 };
+      return await Promise.all(namesOrIds.map(nameOrId => this.fetchPokemon(nameOrId)));
     } catch (error) {
       throw new Error(`Failed to fetch Pokémon: ${error.message}`);
     }
   },
 
   /**
-   * Get two random Pokémon IDs from the original 150
-   * @returns {Array<number>} Array of two different random IDs
+   * Get random Pokémon IDs that match the saved matchup filters
+   * (generations, types, legendary status, evolution stage, pairing)
+   * @param {number} count - How many IDs to pick (default 2)
+   * @returns {Promise<Array<number>>} Array of different random IDs
+   * @throws {Error} When the filters don't leave enough Pokémon
    */
-  getRandomPokemonIds() {
-    const id1 = Math.floor(Math.random() * API_CONFIG.MAX_POKEMON_ID) + 1;
-    let id2 = Math.floor(Math.random() * API_CONFIG.MAX_POKEMON_ID) + 1;
-    
-    // Ensure we get two different Pokémon
-    while (id2 === id1) {
-      id2 = Math.floor(Math.random() * API_CONFIG.MAX_POKEMON_ID) + 1;
-    }
-    
-    return [id1, id2];
+  async getRandomPokemonIds(count = 2) {
+    return pickMatchupIds(await this.getAvailableSpecies(), matchupSettings.load(), count);
+  },
+
+  /**
+   * Species that can battle right now: every species in the index, or only
+   * the ones in the bundled Pokédex in offline mode
+   * @returns {Promise<Array<Object>>} Species index entries
+   */
+  async getAvailableSpecies() {
+    const species = await matchupSettings.getSpecies();
+    return this.isOfflineMode() ? offlinePokedex.keepBundled(species) : species;
   },
 
   /**
@@ -0,0 +1,105 @@
+import { pokemonAPI } from './pokemonAPI';
+
+// PokeAPI's pokemon, pokemon-species and evolution-chain resources for Pikachu
+const RESOURCES = {
+  'pokemon/pikachu': {
+    id: 25,
+    name: 'pikachu',
+    sprites: { front_default: 'pikachu.png', other: { 'official-artwork': { front_default: 'pikachu-art.png' } } },
+    weight: 60,
+    height: 4,
+    base_experience: 112,
+    types: [{ slot: 1, type: { name: 'electric' } }],
+    stats: [
+      { base_stat: 35, stat: { name: 'hp' } },
+      { base_stat: 55, stat: { name: 'attack' } },
+      { base_stat: 40, stat: { name: 'defense' } },
+      { base_stat: 50, stat: { name: 'special-attack' } },
+      { base_stat: 50, stat: { name: 'special-defense' } },
+      { base_stat: 90, stat: { name: 'speed' } }
+    ],
+    abilities: [
+      { slot: 3, is_hidden: true, ability: { name: 'lightning-rod' } },
+      { slot: 1, is_hidden: false, ability: { name: 'static' } }
+    ],
+    moves: [],
+    species: { url: 'https://pokeapi.co/api/v2/pokemon-species/25/' }
+  },
+  'pokemon-species/25': {
+    name: 'pikachu',
+    genera: [{ genus: 'Mouse Pokémon', language: { name: 'en' } }],
+    flavor_text_entries: [{ flavor_text: 'It keeps its tail\nraised.', language: { name: 'en' } }],
+    generation: { name: 'generation-i' },
+    is_legendary: false,
+    is_mythical: false,
+    evolution_chain: { url: 'https://pokeapi.co/api/v2/evolution-chain/10/' }
+  },
+  'evolution-chain/10': {
+    chain: {
+      species: { name: 'pichu', url: 'https://pokeapi.co/api/v2/pokemon-species/172/' },
+      evolves_to: [{
+        species: { name: 'pikachu', url: 'https://pokeapi.co/api/v2/pokemon-species/25/' },
+        evolves_to: [{ species: { name: 'raichu', url: 'https://pokeapi.co/api/v2/pokemon-species/26/' }, evolves_to: [] }]
+      }]
+    }
+  }
+};
+
+const respondWith = (response) => {
+  global.fetch = jest.fn(() => response);
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  pokemonAPI.clearCache();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('pokemonAPI.fetchPokemon', () => {
+  it('falls back to the offline Pokédex when PokeAPI cannot be reached', async () => {
+    respondWith(Promise.reject(new TypeError('Failed to fetch')));
+    await expect(pokemonAPI.fetchPokemon(25)).resolves.toMatchObject({ id: 25, name: 'pikachu' });
+  });
+
+  it('falls back to the offline Pokédex on a server error', async () => {
+    respondWith(Promise.resolve({ ok: false, status: 503 }));
+    await expect(pokemonAPI.fetchPokemon('pikachu')).resolves.toMatchObject({ id: 25, name: 'pikachu' });
+  });
+
+  it('rejects a Pokémon PokeAPI does not know, even if it is bundled', async () => {
+    respondWith(Promise.resolve({ ok: false, status: 404 }));
+    await expect(pokemonAPI.fetchPokemon('pikachu')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('pokemonAPI.fetchPokemonFromNetwork', () => {
+  it('normalizes the Pokémon, its species and its evolution chain into one record', async () => {
+    global.fetch = jest.fn((url) => {
+      const resource = url.replace('https://pokeapi.co/api/v2/', '').replace(/\/$/, '');
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(RESOURCES[resource]) });
+    });
+
+    await expect(pokemonAPI.fetchPokemonFromNetwork('Pikachu')).resolves.toMatchObject({
+      id: 25,
+      name: 'pikachu',
+      sprite: 'pikachu-art.png',
+      types: ['electric'],
+      stats: { hp: 35, attack: 55, defense: 40, specialAttack: 50, specialDefense: 50, speed: 90 },
+      abilities: [{ name: 'static', hidden: false }, { name: 'lightning-rod', hidden: true }],
+      genus: 'Mouse Pokémon',
+      flavorText: 'It keeps its tail raised.',
+      generation: 1,
+      legendary: false,
+      evolutionChain: [
+        { id: 172, name: 'pichu', stage: 1 },
+        { id: 25, name: 'pikachu', stage: 2 },
+        { id: 26, name: 'raichu', stage: 3 }
+      ]
+    });
+  });
+});
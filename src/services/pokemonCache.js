@@ -0,0 +1,174 @@
+import { CACHE_CONFIG } from '../utils/constants';
+
+/**
+ * Pokémon cache
+ * Entries are stored once per Pokémon id; names are aliases that point to
+ * the id, so "pikachu", "Pikachu" and 25 all resolve to the same entry.
+ * Everything lives in memory and is mirrored to localStorage.
+ */
+
+let entries = new Map(); // id -> { data, fetchedAt }
+let aliases = new Map(); // normalized name or id -> id
+let loaded = false;
+
+const stats = {
+  hits: 0,
+  staleHits: 0,
+  misses: 0,
+  sharedRequests: 0,
+  revalidations: 0,
+  networkRequests: 0
+};
+
+/**
+ * Normalize a lookup key ("Pikachu", 25, "25" -> "pikachu", "25")
+ */
+export function normalizeKey(nameOrId) {
+  return nameOrId.toString().trim().toLowerCase();
+}
+
+function loadFromStorage() {
+  if (loaded) return;
+  loaded = true;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(CACHE_CONFIG.STORAGE_KEY) || 'null');
+    // Entries saved with an older record shape are dropped and fetched again
+    if (saved && saved.version === CACHE_CONFIG.VERSION) {
+      entries = new Map(saved.entries);
+      aliases = new Map(saved.aliases);
+    }
+  } catch (error) {
+    console.error('Error loading Pokémon cache:', error);
+  }
+}
+
+function saveToStorage() {
+  try {
+    localStorage.setItem(CACHE_CONFIG.STORAGE_KEY, JSON.stringify({
+      version: CACHE_CONFIG.VERSION,
+      entries: [...entries],
+      aliases: [...aliases]
+    }));
+  } catch (error) {
+    // Quota errors only cost us persistence; the memory cache still works
+    console.error('Error saving Pokémon cache:', error);
+  }
+}
+
+/**
+ * Drop the oldest entries (and their aliases) above the size limit
+ */
+function evictOldest() {
+  if (entries.size <= CACHE_CONFIG.MAX_ENTRIES) return;
+
+  const oldest = [...entries]
+    .sort(([, a], [, b]) => a.fetchedAt - b.fetchedAt)
+    .slice(0, entries.size - CACHE_CONFIG.MAX_ENTRIES)
+    .map(([id]) => id);
+
+  oldest.forEach(id => entries.delete(id));
+  aliases.forEach((id, key) => {
+    if (!entries.has(id)) aliases.delete(key);
+  });
+}
+
+export const pokemonCache = {
+  /**
+   * Look up a Pokémon
+   * @param {string|number} nameOrId - Pokémon name or ID
+   * @returns {Object} { status: 'fresh' | 'stale' | 'miss', data }
+   *   stale entries may be shown while they are refreshed in the background
+   */
+  lookup(nameOrId) {
+    loadFromStorage();
+
+    const key = normalizeKey(nameOrId);
+    const id = aliases.get(key);
+    const entry = id !== undefined ? entries.get(id) : null;
+
+    if (!entry) {
+      stats.misses += 1;
+      return { status: 'miss', data: null };
+    }
+
+    const age = Date.now() - entry.fetchedAt;
+    if (age < CACHE_CONFIG.TTL) {
+      stats.hits += 1;
+      return { status: 'fresh', data: entry.data };
+    }
+    if (age < CACHE_CONFIG.TTL + CACHE_CONFIG.STALE_WHILE_REVALIDATE) {
+      stats.staleHits += 1;
+      return { status: 'stale', data: entry.data };
+    }
+
+    stats.misses += 1;
+    return { status: 'miss', data: null };
+  },
+
+  /**
+   * Canonical request key for a lookup: the id when the name is already known
+   * so concurrent requests for "pikachu" and 25 can share one fetch
+   */
+  resolveKey(nameOrId) {
+    loadFromStorage();
+    const key = normalizeKey(nameOrId);
+    const id = aliases.get(key);
+    return id !== undefined ? String(id) : key;
+  },
+
+  /**
+   * Store a freshly fetched Pokémon
+   * @param {string|number} requestedAs - The name or ID it was requested with
+   * @param {Object} data - Normalized Pokémon data
+   */
+  store(requestedAs, data) {
+    loadFromStorage();
+
+    entries.set(data.id, { data, fetchedAt: Date.now() });
+    aliases.set(normalizeKey(data.id), data.id);
+    aliases.set(normalizeKey(data.name), data.id);
+    aliases.set(normalizeKey(requestedAs), data.id);
+
+    evictOldest();
+    saveToStorage();
+  },
+
+  /**
+   * Count a request that was answered by an in-flight fetch
+   */
+  recordShared() {
+    stats.sharedRequests += 1;
+  },
+
+  recordNetworkRequest({ revalidation = false } = {}) {
+    stats.networkRequests += 1;
+    if (revalidation) stats.revalidations += 1;
+  },
+
+  /**
+   * Cache statistics
+   * @returns {Object} Counters plus the number of cached Pokémon
+   */
+  getStats() {
+    loadFromStorage();
+    const lookups = stats.hits + stats.staleHits + stats.misses;
+    return {
+      ...stats,
+      entries: entries.size,
+      hitRate: lookups > 0 ? (stats.hits + stats.staleHits) / lookups : 0
+    };
+  },
+
+  // Forget every cached Pokémon and reset the counters
+  clear() {
+    entries = new Map();
+    aliases = new Map();
+    Object.keys(stats).forEach(key => { stats[key] = 0; });
+    try {
+      localStorage.removeItem(CACHE_CONFIG.STORAGE_KEY);
+    } catch (error) {
+      console.error('Error clearing Pokémon cache:', error);
+    }
+  }
+};
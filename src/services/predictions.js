@@ -0,0 +1,84 @@
+import { PREDICTION_CONFIG } from '../utils/constants';
+import { addToScoreboard, createScoreboard, scorePrediction } from '../utils/predictions';
+
+/**
+ * Read the stored scoreboard
+ * Shape: { board: Scoreboard, recorded: { [roundId]: timestamp } }
+ */
+function loadPredictions() {
+  try {
+    const saved = localStorage.getItem(PREDICTION_CONFIG.STORAGE_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch (error) {
+    console.error('Error loading predictions:', error);
+  }
+  return { board: createScoreboard(), recorded: {} };
+}
+
+function savePredictions(data) {
+  try {
+    localStorage.setItem(PREDICTION_CONFIG.STORAGE_KEY, JSON.stringify(data));
+  } catch (error) {
+    console.error('Error saving predictions:', error);
+  }
+}
+
+// Prediction mode setting and the personal scoreboard, persisted in localStorage
+export const predictionService = {
+  /**
+   * Whether the user predicts the winner before voting
+   * @returns {boolean} True if prediction mode is on
+   */
+  isEnabled() {
+    return localStorage.getItem(PREDICTION_CONFIG.MODE_STORAGE_KEY) === 'true';
+  },
+
+  /**
+   * @param {boolean} enabled - Turn prediction mode on or off
+   */
+  setEnabled(enabled) {
+    localStorage.setItem(PREDICTION_CONFIG.MODE_STORAGE_KEY, String(enabled));
+  },
+
+  /**
+   * @returns {Object} The scoreboard (see createScoreboard)
+   */
+  getScoreboard() {
+    return loadPredictions().board;
+  },
+
+  /**
+   * Score a prediction once its round locks
+   * @param {Object} prediction - { pick, favorites }
+   * @param {string|null} winner - Winning side id, 'tie', or null without votes
+   * @param {Object} entry - How the scoreboard lists it: { battleId, pick, winner } (names)
+   * @param {string} roundId - The round that locked (see getRoundId)
+   * @returns {Object|null} The score (see scorePrediction), or null if the round was already scored
+   */
+  record(prediction, winner, entry, roundId) {
+    const data = loadPredictions();
+    const now = Date.now();
+
+    // Several tabs can lock the same round at once; score it only once
+    if (data.recorded[roundId]) {
+      console.log('⏭️ Prediction already scored:', roundId);
+      return null;
+    }
+
+    const score = scorePrediction(prediction, winner, data.board.streak);
+    data.board = addToScoreboard(data.board, score, { ...entry, at: now });
+    data.recorded = Object.fromEntries(
+      Object.entries(data.recorded).filter(([, time]) => now - time < PREDICTION_CONFIG.ROUND_MEMORY)
+    );
+    data.recorded[roundId] = now;
+    savePredictions(data);
+
+    console.log(`🔮 Prediction ${score.outcome}: +${score.points} points`);
+    return score;
+  },
+
+  // Forget every prediction (the mode setting stays)
+  resetScoreboard() {
+    localStorage.removeItem(PREDICTION_CONFIG.STORAGE_KEY);
+  }
+};
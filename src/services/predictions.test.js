@@ -0,0 +1,35 @@
+import { PREDICTION_CONFIG } from '../utils/constants';
+import { predictionService } from './predictions';
+
+const PREDICTION = { pick: 'pokemon1', favorites: ['pokemon1'] };
+const ENTRY = { battleId: 'pikachu_vs_eevee', pick: 'pikachu', winner: 'pikachu' };
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('predictionService.record', () => {
+  it('scores a round locked in several tabs once, and a rematch straight away', () => {
+    expect(predictionService.record(PREDICTION, 'pokemon1', ENTRY, 'pikachu_vs_eevee@1000')).toMatchObject({
+      outcome: 'correct'
+    });
+    expect(predictionService.record(PREDICTION, 'pokemon1', ENTRY, 'pikachu_vs_eevee@1000')).toBeNull();
+    expect(predictionService.record(PREDICTION, 'pokemon1', ENTRY, 'pikachu_vs_eevee@3000')).not.toBeNull();
+    expect(predictionService.getScoreboard().recent).toHaveLength(2);
+  });
+
+  it('forgets scored rounds after a while', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    predictionService.record(PREDICTION, 'pokemon1', ENTRY, 'pikachu_vs_eevee@1');
+    now.mockReturnValue(1000000 + PREDICTION_CONFIG.ROUND_MEMORY);
+    predictionService.record(PREDICTION, 'pokemon1', ENTRY, 'pikachu_vs_eevee@2');
+
+    expect(Object.keys(JSON.parse(localStorage.getItem(PREDICTION_CONFIG.STORAGE_KEY)).recorded))
+      .toEqual(['pikachu_vs_eevee@2']);
+  });
+});
@@ -0,0 +1,204 @@
+import { RATING_CONFIG } from '../utils/constants';
+import { getPositions } from '../utils/voting';
+
+/**
+ * Read the stored ratings
+ * Shape: { players: { [name]: Player }, headToHead: { [pairKey]: Record }, recorded: { [roundId]: timestamp } }
+ */
+function loadRatings() {
+  try {
+    const saved = localStorage.getItem(RATING_CONFIG.STORAGE_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch (error) {
+    console.error('Error loading ratings:', error);
+  }
+  return { players: {}, headToHead: {}, recorded: {} };
+}
+
+function saveRatings(data) {
+  try {
+    localStorage.setItem(RATING_CONFIG.STORAGE_KEY, JSON.stringify(data));
+  } catch (error) {
+    console.error('Error saving ratings:', error);
+  }
+}
+
+/**
+ * Key for a head-to-head record: names in alphabetical order
+ */
+function getPairKey(nameA, nameB) {
+  return [nameA, nameB].sort().join('|');
+}
+
+function createPlayer(pokemon) {
+  return {
+    id: pokemon.id,
+    name: pokemon.name,
+    sprite: pokemon.sprite,
+    rating: RATING_CONFIG.INITIAL_RATING,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    history: [RATING_CONFIG.INITIAL_RATING]
+  };
+}
+
+/**
+ * Expected score of A against B in the Elo model
+ */
+export function getExpectedScore(ratingA, ratingB) {
+  return 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+}
+
+// Elo ratings and head-to-head records, persisted in localStorage
+export const ratingsService = {
+  /**
+   * Feed a finished battle into the ratings
+   * A royale counts as a set of one-on-one results between each winner and
+   * every other contestant (winners draw with each other; losers don't play
+   * each other), with the K-factor split across each contestant's opponents
+   * so a big battle doesn't move ratings more than a two-way one.
+   * Team battles count every slot as its own two-way battle.
+   * @param {Object} result - Battle result from BattleArena
+   * @param {string} result.battleId - Battle identifier
+   * @param {string} result.roundId - The round that locked (see getRoundId); a battle is
+   *   rated once per round, however many tabs lock it
+   * @param {Array<Object>} result.contestants - The battle's Pokémon, in position order
+   * @param {Array<string>} result.winners - Winning positions (several for a tie)
+   * @param {Array<Object>} result.slots - Team battles only: [{ positions, winners }] per slot
+   * @returns {boolean} False if the battle was skipped
+   */
+  recordBattle({ battleId, roundId = battleId, contestants, winners, slots }) {
+    if (slots) {
+      const positions = getPositions(contestants.length);
+      const recorded = slots.map((slot, index) => ratingsService.recordBattle({
+        battleId: `${battleId}#${index + 1}`,
+        roundId: `${roundId}#${index + 1}`,
+        contestants: slot.positions.map(position => contestants[positions.indexOf(position)]),
+        winners: slot.winners.map(position => `pokemon${slot.positions.indexOf(position) + 1}`)
+      }));
+      return recorded.some(Boolean);
+    }
+    if (!contestants || contestants.length < 2 || !winners || winners.length === 0) return false;
+
+    const data = loadRatings();
+    const now = Date.now();
+
+    // Several tabs can lock the same round at once; count it only once
+    if (data.recorded[roundId]) {
+      console.log('⏭️ Round already rated:', roundId);
+      return false;
+    }
+
+    const won = contestants.map((_, index) => winners.includes(`pokemon${index + 1}`));
+    const players = contestants.map(pokemon => data.players[pokemon.name] || createPlayer(pokemon));
+    const changes = contestants.map(() => 0);
+    const kFactor = RATING_CONFIG.K_FACTOR / (contestants.length - 1);
+
+    contestants.forEach((pokemonA, a) => {
+      contestants.forEach((pokemonB, b) => {
+        if (b <= a || (!won[a] && !won[b])) return;
+
+        const scoreA = won[a] && won[b] ? 0.5 : won[a] ? 1 : 0;
+        const change = Math.round(kFactor * (scoreA - getExpectedScore(players[a].rating, players[b].rating)));
+        changes[a] += change;
+        changes[b] -= change;
+
+        // Head-to-head record, stored as wins per name
+        const pairKey = getPairKey(pokemonA.name, pokemonB.name);
+        const record = data.headToHead[pairKey] || { [pokemonA.name]: 0, [pokemonB.name]: 0, ties: 0 };
+        if (scoreA === 0.5) {
+          record.ties += 1;
+        } else {
+          const winnerName = scoreA === 1 ? pokemonA.name : pokemonB.name;
+          record[winnerName] = (record[winnerName] || 0) + 1;
+        }
+        data.headToHead[pairKey] = record;
+      });
+    });
+
+    // A sole winner wins, winners sharing the top spot tie, everyone else loses
+    const outcome = won.map(isWinner => (!isWinner ? 0 : winners.length === 1 ? 1 : 0.5));
+    contestants.forEach((pokemon, index) => {
+      const player = players[index];
+      const rating = player.rating + changes[index];
+      data.players[pokemon.name] = {
+        ...player,
+        sprite: pokemon.sprite || player.sprite,
+        rating,
+        wins: player.wins + (outcome[index] === 1 ? 1 : 0),
+        losses: player.losses + (outcome[index] === 0 ? 1 : 0),
+        ties: player.ties + (outcome[index] === 0.5 ? 1 : 0),
+        history: [...player.history, rating].slice(-RATING_CONFIG.HISTORY_LENGTH)
+      };
+    });
+
+    // Only recent rounds can lock again
+    data.recorded = Object.fromEntries(
+      Object.entries(data.recorded).filter(([, time]) => now - time < RATING_CONFIG.ROUND_MEMORY)
+    );
+    data.recorded[roundId] = now;
+    saveRatings(data);
+
+    const summary = contestants
+      .map((pokemon, index) => `${pokemon.name} ${changes[index] >= 0 ? '+' : ''}${changes[index]}`)
+      .join(', ');
+    console.log(`📈 Ratings updated: ${summary}`);
+    return true;
+  },
+
+  /**
+   * All rated Pokémon, best first
+   * @returns {Array<Object>} Players with battles and trend added
+   */
+  getLeaderboard() {
+    const { players } = loadRatings();
+
+    return Object.values(players)
+      .map(player => {
+        const recent = player.history.slice(-(RATING_CONFIG.TREND_BATTLES + 1));
+        return {
+          ...player,
+          battles: player.wins + player.losses + player.ties,
+          trend: player.rating - recent[0]
+        };
+      })
+      .sort((a, b) => b.rating - a.rating || b.wins - a.wins);
+  },
+
+  /**
+   * Head-to-head records of one Pokémon against everyone it has met
+   * @param {string} name - Pokémon name
+   * @returns {Array<Object>} { opponent, wins, losses, ties }
+   */
+  getHeadToHead(name) {
+    const { headToHead } = loadRatings();
+
+    return Object.entries(headToHead)
+      .filter(([pairKey]) => pairKey.split('|').includes(name))
+      .map(([pairKey, record]) => {
+        const opponent = pairKey.split('|').find(other => other !== name) || name;
+        return {
+          opponent,
+          wins: record[name] || 0,
+          losses: record[opponent] || 0,
+          ties: record.ties
+        };
+      })
+      .sort((a, b) => (b.wins + b.losses + b.ties) - (a.wins + a.losses + a.ties));
+  },
+
+  /**
+   * A Pokémon's current rating
+   * @param {string} name - Pokémon name
+   * @returns {number} Rating (the starting rating before its first battle)
+   */
+  getRating(name) {
+    return loadRatings().players[name]?.rating ?? RATING_CONFIG.INITIAL_RATING;
+  },
+
+  // Forget every rating
+  resetRatings() {
+    localStorage.removeItem(RATING_CONFIG.STORAGE_KEY);
+  }
+};
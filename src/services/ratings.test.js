@@ -0,0 +1,129 @@
+import { RATING_CONFIG } from '../utils/constants';
+import { getExpectedScore, ratingsService } from './ratings';
+
+const pokemon = (name, id) => ({ id, name, sprite: `${name}.png` });
+const PIKACHU = pokemon('pikachu', 25);
+const EEVEE = pokemon('eevee', 133);
+const MEW = pokemon('mew', 151);
+const SNORLAX = pokemon('snorlax', 143);
+
+const playerOf = (name) => ratingsService.getLeaderboard().find(player => player.name === name);
+const ratingOf = (name) => playerOf(name).rating;
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getExpectedScore', () => {
+  it('gives evenly rated Pokémon even odds', () => {
+    expect(getExpectedScore(1500, 1500)).toBe(0.5);
+  });
+
+  it('gives a 400-point favourite ten-to-one odds', () => {
+    expect(getExpectedScore(1900, 1500)).toBeCloseTo(10 / 11);
+    expect(getExpectedScore(1900, 1500) + getExpectedScore(1500, 1900)).toBeCloseTo(1);
+  });
+});
+
+describe('ratingsService.recordBattle', () => {
+  it('moves the winner up and the loser down by the same amount', () => {
+    expect(ratingsService.recordBattle({ battleId: 'b1', contestants: [PIKACHU, EEVEE], winners: ['pokemon1'] })).toBe(true);
+
+    const change = RATING_CONFIG.K_FACTOR / 2;
+    expect(ratingOf('pikachu')).toBe(RATING_CONFIG.INITIAL_RATING + change);
+    expect(ratingOf('eevee')).toBe(RATING_CONFIG.INITIAL_RATING - change);
+    expect(playerOf('pikachu')).toMatchObject({ wins: 1, losses: 0, battles: 1, trend: change });
+    expect(ratingsService.getHeadToHead('eevee')).toEqual([{ opponent: 'pikachu', wins: 0, losses: 1, ties: 0 }]);
+  });
+
+  it('gains an underdog more for an upset than a favourite for a win', () => {
+    ratingsService.recordBattle({ battleId: 'b1', contestants: [PIKACHU, EEVEE], winners: ['pokemon1'] });
+    ratingsService.recordBattle({ battleId: 'b2', contestants: [PIKACHU, MEW], winners: ['pokemon1'] });
+    const favouriteRating = ratingOf('pikachu');
+    ratingsService.recordBattle({ battleId: 'b3', contestants: [PIKACHU, SNORLAX], winners: ['pokemon2'] });
+
+    expect(ratingOf('snorlax') - RATING_CONFIG.INITIAL_RATING).toBeGreaterThan(RATING_CONFIG.K_FACTOR / 2);
+    expect(favouriteRating - ratingOf('pikachu')).toBe(ratingOf('snorlax') - RATING_CONFIG.INITIAL_RATING);
+  });
+
+  it('leaves evenly rated Pokémon where they were after a tie', () => {
+    ratingsService.recordBattle({ battleId: 'b1', contestants: [PIKACHU, EEVEE], winners: ['pokemon1', 'pokemon2'] });
+
+    expect(ratingOf('pikachu')).toBe(RATING_CONFIG.INITIAL_RATING);
+    expect(playerOf('eevee')).toMatchObject({ ties: 1, battles: 1 });
+    expect(ratingsService.getHeadToHead('pikachu')).toEqual([{ opponent: 'eevee', wins: 0, losses: 0, ties: 1 }]);
+  });
+
+  it('splits the K-factor across a royale, and losers do not play each other', () => {
+    ratingsService.recordBattle({ battleId: 'b1', contestants: [PIKACHU, EEVEE, MEW, SNORLAX], winners: ['pokemon3'] });
+
+    const change = Math.round(RATING_CONFIG.K_FACTOR / 3 / 2);
+    expect(ratingOf('mew')).toBe(RATING_CONFIG.INITIAL_RATING + 3 * change);
+    ['pikachu', 'eevee', 'snorlax'].forEach(name => {
+      expect(ratingOf(name)).toBe(RATING_CONFIG.INITIAL_RATING - change);
+    });
+    expect(ratingsService.getHeadToHead('pikachu').map(record => record.opponent)).toEqual(['mew']);
+  });
+
+  it('rates every slot of a team battle as its own battle', () => {
+    ratingsService.recordBattle({
+      battleId: 'team',
+      contestants: [PIKACHU, EEVEE, MEW, SNORLAX],
+      winners: ['team1'],
+      slots: [
+        { positions: ['pokemon1', 'pokemon3'], winners: ['pokemon1'] },
+        { positions: ['pokemon2', 'pokemon4'], winners: ['pokemon4'] }
+      ]
+    });
+
+    expect(ratingsService.getHeadToHead('pikachu')).toEqual([{ opponent: 'mew', wins: 1, losses: 0, ties: 0 }]);
+    expect(ratingsService.getHeadToHead('snorlax')).toEqual([{ opponent: 'eevee', wins: 1, losses: 0, ties: 0 }]);
+  });
+
+  it('counts a round locked in several tabs once, and rates a rematch straight away', () => {
+    const round = { battleId: 'b1', roundId: 'b1@1000', contestants: [PIKACHU, EEVEE], winners: ['pokemon1'] };
+
+    expect(ratingsService.recordBattle(round)).toBe(true);
+    expect(ratingsService.recordBattle(round)).toBe(false);
+    expect(playerOf('pikachu').wins).toBe(1);
+
+    expect(ratingsService.recordBattle({ ...round, roundId: 'b1@3000' })).toBe(true);
+    expect(playerOf('pikachu').wins).toBe(2);
+  });
+
+  it('counts each slot of a team round once', () => {
+    const round = {
+      battleId: 't1',
+      roundId: 't1@1000',
+      contestants: [PIKACHU, EEVEE, MEW, SNORLAX],
+      winners: ['pokemon1'],
+      slots: [
+        { positions: ['pokemon1', 'pokemon3'], winners: ['pokemon1'] },
+        { positions: ['pokemon2', 'pokemon4'], winners: ['pokemon4'] }
+      ]
+    };
+
+    expect(ratingsService.recordBattle(round)).toBe(true);
+    expect(ratingsService.recordBattle(round)).toBe(false);
+    expect(playerOf('snorlax').wins).toBe(1);
+  });
+
+  it('forgets rated rounds after a while', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    ratingsService.recordBattle({ battleId: 'b1', roundId: 'b1@1', contestants: [PIKACHU, EEVEE], winners: ['pokemon1'] });
+    now.mockReturnValue(1000000 + RATING_CONFIG.ROUND_MEMORY);
+    ratingsService.recordBattle({ battleId: 'b2', roundId: 'b2@2', contestants: [MEW, SNORLAX], winners: ['pokemon1'] });
+
+    expect(Object.keys(JSON.parse(localStorage.getItem(RATING_CONFIG.STORAGE_KEY)).recorded)).toEqual(['b2@2']);
+  });
+
+  it('skips battles without a winner', () => {
+    expect(ratingsService.recordBattle({ battleId: 'b1', contestants: [PIKACHU, EEVEE], winners: [] })).toBe(false);
+    expect(ratingsService.getLeaderboard()).toEqual([]);
+  });
+});
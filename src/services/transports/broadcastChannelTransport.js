@@ -0,0 +1,278 @@
+import { HOST_COMMANDS, HOST_CONFIG, VOTE_ERROR_CODES, VOTE_MESSAGES } from '../../utils/constants';
+import { createRound, getRoundId, reachesCloseTrigger, resolveRoundRules } from '../../utils/roundRules';
+import { getBattleFormat } from '../../utils/battleRoutes';
+import { addBallot, countVotes, createEmptyVotes, getBallot, getTotalVotes } from '../../utils/voting';
+import { applyHostCommand, checkHostKey, createHostState, validateHostCommand } from '../../utils/hostControl';
+import { createVoteError } from './protocol';
+
+/**
+ * BroadcastChannel vote transport
+ * Lets every tab of the app on one machine vote together without a server.
+ * Each tab keeps its own copy of the battle tally and applies the same
+ * protocol messages, so all tabs converge on the same numbers (and, once
+ * voting locks, count the same ballots to the same result).
+ *
+ * - join: tabs already watching the battle answer with their tally, ballots
+ *   and when their round opened, so every tab closes the round at the same time
+ * - vote: every tab adds the vote and ballot (once per voter id) and checks the round rules
+ * - reset: tabs start a finished battle over, from when the resetting tab did
+ * - host: a host console command, with the host state it led to; tabs
+ *   watching the command's battle apply it to their round (only commands
+ *   carrying the host key count, see HOST_CONFIG.KEY); a round it starts
+ *   runs from when the host sent it
+ * - host_state: a new tab asks for the host state (or a tab answers with it)
+ *
+ * @param {Object} events - Transport event handlers
+ * @param {Object} options - Transport options
+ * @param {string} options.channelName - BroadcastChannel name
+ * @returns {Object} Vote transport
+ */
+export function createBroadcastChannelTransport(events, { channelName }) {
+  if (typeof BroadcastChannel === 'undefined') {
+    console.error('BroadcastChannel is not supported in this browser');
+    events.onStatusChange('disconnected');
+    return {
+      joinBattle: () => {},
+      resetBattle: () => {},
+      sendHostCommand: () => {
+        throw new Error('BroadcastChannel is not supported in this browser');
+      },
+      sendVote: () => {
+        throw new Error('BroadcastChannel is not supported in this browser');
+      },
+      close: () => {}
+    };
+  }
+
+  const channel = new BroadcastChannel(channelName);
+  let currentBattleId = null;
+  let format = getBattleFormat(null);
+  let votes = createEmptyVotes(format.positions.length);
+  let ballots = [];
+  let voters = new Set();
+  let locked = false;
+  let lockTimer = null;
+  let rules = resolveRoundRules();
+  let openedAt = null;
+  // Time a host added to the round
+  let extension = 0;
+  let host = createHostState();
+
+  const post = (message) => channel.postMessage({ ...message, battleId: currentBattleId });
+
+  const clearLockTimer = () => {
+    if (lockTimer) {
+      clearTimeout(lockTimer);
+      lockTimer = null;
+    }
+  };
+
+  const lock = () => {
+    clearLockTimer();
+    locked = true;
+    events.onLocked(votes, countVotes(format.method, votes, ballots), getRoundId(currentBattleId, openedAt));
+  };
+
+  const getClosesIn = () => (rules.duration ? Math.max(0, openedAt + rules.duration + extension - Date.now()) : null);
+
+  // Run the round clock from `since` (another tab may have opened the round earlier)
+  const scheduleRound = (since) => {
+    clearLockTimer();
+    openedAt = since;
+    const closesIn = getClosesIn();
+    events.onRound(createRound(rules, closesIn));
+    if (closesIn !== null) {
+      lockTimer = setTimeout(lock, closesIn);
+    }
+  };
+
+  // Every tab starts a new round from the same moment, so they all name it alike (see getRoundId)
+  const startBattle = (since = Date.now()) => {
+    format = getBattleFormat(currentBattleId);
+    votes = createEmptyVotes(format.positions.length);
+    ballots = [];
+    voters = new Set();
+    locked = false;
+    rules = resolveRoundRules();
+    extension = 0;
+    scheduleRound(since);
+  };
+
+  // Adopt a newer host state
+  const updateHost = (next) => {
+    if (!next || next.version <= host.version) return;
+    host = next;
+    events.onHost(host);
+  };
+
+  // Carry out a host command on this tab's round (only if it is the command's battle)
+  const applyRoundCommand = (command) => {
+    if (command.battleId !== currentBattleId) return;
+
+    switch (command.command) {
+      case HOST_COMMANDS.OPEN:
+        if (locked) {
+          startBattle(command.openedAt);
+          events.onReset();
+        }
+        break;
+      case HOST_COMMANDS.CLOSE:
+        if (!locked) lock();
+        break;
+      case HOST_COMMANDS.EXTEND:
+        if (!locked && rules.duration) {
+          extension += command.milliseconds;
+          scheduleRound(openedAt);
+        }
+        break;
+      case HOST_COMMANDS.VOID:
+        if (!locked) {
+          startBattle(command.openedAt);
+          events.onVoid();
+          events.onTally(votes);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const applyVote = (vote) => {
+    const ballot = getBallot(format.method, vote, format.positions);
+    if (locked || !ballot || voters.has(vote.userId)) return;
+
+    voters.add(vote.userId);
+    ballots = [...ballots, ballot];
+    votes = addBallot(votes, format.method, ballot);
+    events.onTally(votes);
+
+    if (reachesCloseTrigger(rules, votes)) {
+      lock();
+    }
+  };
+
+  channel.onmessage = (event) => {
+    const message = event.data;
+
+    // Host messages are for every tab, whatever battle it shows
+    if (message?.type === VOTE_MESSAGES.HOST) {
+      if (checkHostKey(message, HOST_CONFIG.KEY)) return;
+      updateHost(message.host);
+      applyRoundCommand(message);
+      return;
+    }
+    if (message?.type === VOTE_MESSAGES.HOST_STATE) {
+      if (message.host) {
+        updateHost(message.host);
+      } else if (host.version > 0) {
+        channel.postMessage({ type: VOTE_MESSAGES.HOST_STATE, host });
+      }
+      return;
+    }
+
+    if (!message || message.battleId !== currentBattleId) return;
+
+    switch (message.type) {
+      case VOTE_MESSAGES.JOIN:
+        // Bring the new tab up to date
+        post({ type: VOTE_MESSAGES.VOTE_TALLY, votes, ballots, locked, voters: [...voters], openedAt, extension });
+        break;
+      case VOTE_MESSAGES.VOTE_TALLY: {
+        (message.voters || []).forEach(voter => voters.add(voter));
+        // Run the round clock from whichever tab opened it first, with any time the host added
+        if (!locked && message.openedAt &&
+            (message.openedAt < openedAt || (message.extension || 0) > extension)) {
+          extension = Math.max(extension, message.extension || 0);
+          scheduleRound(Math.min(openedAt, message.openedAt));
+        }
+        // Keep the most advanced tally any tab reports
+        if (getTotalVotes(message.votes) > getTotalVotes(votes)) {
+          votes = message.votes;
+          ballots = message.ballots || [];
+          events.onTally(votes);
+        }
+        if (message.locked && !locked) {
+          lock();
+        }
+        break;
+      }
+      case VOTE_MESSAGES.VOTE:
+        applyVote(message);
+        break;
+      case VOTE_MESSAGES.RESET:
+        if (locked) {
+          startBattle(message.openedAt);
+          events.onReset();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  events.onStatusChange('connected');
+
+  // Ask the other tabs what the host has set up
+  channel.postMessage({ type: VOTE_MESSAGES.HOST_STATE });
+
+  return {
+    joinBattle: (battleId) => {
+      if (battleId !== currentBattleId) {
+        currentBattleId = battleId;
+        startBattle();
+      } else {
+        events.onRound(createRound(rules, getClosesIn()));
+      }
+      events.onTally(votes);
+      // Rejoining a finished round shows its result (it only starts over on a reset)
+      if (locked) events.onLocked(votes, countVotes(format.method, votes, ballots), getRoundId(currentBattleId, openedAt));
+      post({ type: VOTE_MESSAGES.JOIN });
+    },
+
+    resetBattle: (battleId) => {
+      if (battleId !== currentBattleId || !locked) return;
+      startBattle();
+      events.onReset();
+      post({ type: VOTE_MESSAGES.RESET, openedAt });
+    },
+
+    sendHostCommand: (command) => {
+      const notAllowed = checkHostKey(command, HOST_CONFIG.KEY);
+      if (notAllowed) throw createVoteError(VOTE_ERROR_CODES.HOST_NOT_ALLOWED, notAllowed);
+      const invalid = validateHostCommand(command);
+      if (invalid) throw createVoteError(VOTE_ERROR_CODES.INVALID_HOST_COMMAND, invalid);
+
+      // Only this tab's own round can be checked; other tabs ignore commands their round can't take
+      const roundCommand = [HOST_COMMANDS.CLOSE, HOST_COMMANDS.EXTEND, HOST_COMMANDS.VOID].includes(command.command);
+      if (roundCommand && command.battleId === currentBattleId && locked) {
+        throw createVoteError(VOTE_ERROR_CODES.INVALID_HOST_COMMAND, 'That battle has no running round');
+      }
+
+      // BroadcastChannel doesn't echo to the sender, so apply the command locally too
+      const sent = { ...command, openedAt: Date.now() };
+      updateHost(applyHostCommand(host, command));
+      applyRoundCommand(sent);
+      channel.postMessage({ type: VOTE_MESSAGES.HOST, ...sent, host });
+    },
+
+    sendVote: (vote) => {
+      if (!getBallot(format.method, vote, format.positions)) {
+        throw createVoteError(VOTE_ERROR_CODES.INVALID_VOTE, 'This vote does not fit the battle');
+      }
+      if (locked) {
+        throw createVoteError(VOTE_ERROR_CODES.BATTLE_LOCKED, 'Voting is locked for this battle');
+      }
+      if (voters.has(vote.userId)) {
+        throw createVoteError(VOTE_ERROR_CODES.DUPLICATE_VOTE, 'You have already voted in this battle');
+      }
+      // BroadcastChannel doesn't echo to the sender, so apply the vote locally too
+      applyVote(vote);
+      post({ type: VOTE_MESSAGES.VOTE, ...vote });
+    },
+
+    close: () => {
+      clearLockTimer();
+      channel.close();
+    }
+  };
+}
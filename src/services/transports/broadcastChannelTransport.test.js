@@ -0,0 +1,129 @@
+import { VOTE_ERROR_CODES } from '../../utils/constants';
+import { createBroadcastChannelTransport } from './broadcastChannelTransport';
+
+const { BroadcastChannel: NodeBroadcastChannel } = require('worker_threads');
+
+const CHANNEL_NAME = 'pokemon-battle-votes-test';
+const BATTLE_ID = 'pikachu_vs_eevee';
+
+// Node's BroadcastChannel talks between the tabs of this test, as the browser's does between tabs
+const channels = [];
+class TestBroadcastChannel extends NodeBroadcastChannel {
+  constructor(name) {
+    super(name);
+    channels.push(this);
+  }
+}
+
+const createEvents = () => ({
+  onTally: jest.fn(),
+  onRound: jest.fn(),
+  onLocked: jest.fn(),
+  onReset: jest.fn(),
+  onVoid: jest.fn(),
+  onHost: jest.fn(),
+  onError: jest.fn(),
+  onStatusChange: jest.fn(),
+  onQueueChange: jest.fn()
+});
+
+const openTab = () => {
+  const events = createEvents();
+  const transport = createBroadcastChannelTransport(events, { channelName: CHANNEL_NAME });
+  return { events, transport };
+};
+
+// Resolves with the next tally a tab reports
+const nextTally = (tab) => new Promise(resolve => {
+  tab.events.onTally.mockImplementationOnce(resolve);
+});
+
+// Resolves once a tab hears about a new round (or a rematch) from the other tabs
+const nextRound = (tab) => new Promise(resolve => {
+  tab.events.onRound.mockImplementationOnce(resolve);
+});
+const nextReset = (tab) => new Promise(resolve => {
+  tab.events.onReset.mockImplementationOnce(resolve);
+});
+const lastRoundId = (tab) => tab.events.onLocked.mock.calls[tab.events.onLocked.mock.calls.length - 1][2];
+
+beforeEach(() => {
+  global.BroadcastChannel = TestBroadcastChannel;
+});
+
+afterEach(() => {
+  channels.splice(0).forEach(channel => channel.close());
+  delete global.BroadcastChannel;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('createBroadcastChannelTransport', () => {
+  it('shares votes between the tabs watching a battle', async () => {
+    const firstTab = openTab();
+    const secondTab = openTab();
+    firstTab.transport.joinBattle(BATTLE_ID);
+    secondTab.transport.joinBattle(BATTLE_ID);
+    expect(firstTab.events.onStatusChange).toHaveBeenCalledWith('connected');
+
+    const tally = nextTally(secondTab);
+    firstTab.transport.sendVote({ battleId: BATTLE_ID, pokemon: 'pokemon1', userId: 'voter-1', timestamp: Date.now() });
+
+    expect(firstTab.events.onTally).toHaveBeenLastCalledWith({ pokemon1: 1, pokemon2: 0 });
+    expect(await tally).toEqual({ pokemon1: 1, pokemon2: 0 });
+    firstTab.transport.close();
+    secondTab.transport.close();
+  });
+
+  it('turns down a second vote from a voter another tab already counted', async () => {
+    const firstTab = openTab();
+    const secondTab = openTab();
+    firstTab.transport.joinBattle(BATTLE_ID);
+    secondTab.transport.joinBattle(BATTLE_ID);
+
+    const tally = nextTally(secondTab);
+    firstTab.transport.sendVote({ battleId: BATTLE_ID, pokemon: 'pokemon1', userId: 'voter-1', timestamp: Date.now() });
+    await tally;
+
+    expect(() => secondTab.transport.sendVote({ battleId: BATTLE_ID, pokemon: 'pokemon2', userId: 'voter-1', timestamp: Date.now() }))
+      .toThrow(expect.objectContaining({ code: VOTE_ERROR_CODES.DUPLICATE_VOTE }));
+    firstTab.transport.close();
+    secondTab.transport.close();
+  });
+
+  it('names a round alike in every tab, and its rematch anew', async () => {
+    jest.useFakeTimers('legacy');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const firstTab = openTab();
+    firstTab.transport.joinBattle(BATTLE_ID);
+
+    // A tab that joins later runs the round from when the first tab opened it
+    now.mockReturnValue(1001000);
+    const secondTab = openTab();
+    secondTab.transport.joinBattle(BATTLE_ID);
+    await nextRound(secondTab);
+    jest.runOnlyPendingTimers();
+    expect(lastRoundId(firstTab)).toBe(`${BATTLE_ID}@1000000`);
+    expect(lastRoundId(secondTab)).toBe(`${BATTLE_ID}@1000000`);
+
+    now.mockReturnValue(1005000);
+    const reset = nextReset(secondTab);
+    firstTab.transport.resetBattle(BATTLE_ID);
+    now.mockReturnValue(1006000);
+    await reset;
+    jest.runOnlyPendingTimers();
+    expect(lastRoundId(firstTab)).toBe(`${BATTLE_ID}@1005000`);
+    expect(lastRoundId(secondTab)).toBe(`${BATTLE_ID}@1005000`);
+    firstTab.transport.close();
+    secondTab.transport.close();
+  });
+
+  it('reports itself disconnected without BroadcastChannel', () => {
+    delete global.BroadcastChannel;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { events, transport } = openTab();
+
+    expect(events.onStatusChange).toHaveBeenCalledWith('disconnected');
+    expect(() => transport.sendVote({ battleId: BATTLE_ID, pokemon: 'pokemon1' })).toThrow('not supported');
+  });
+});
@@ -0,0 +1,76 @@
+import { TRANSPORT_TYPES } from '../../utils/constants';
+import { createSimulatorTransport } from './simulatorTransport';
+import { createWebSocketTransport } from './webSocketTransport';
+import { createSseTransport } from './sseTransport';
+import { createBroadcastChannelTransport } from './broadcastChannelTransport';
+
+/**
+ * Vote Transport Interface
+ * Every transport is created with a set of event handlers and returns the
+ * same methods, so BattleArena never knows which backend it talks to.
+ *
+ * Events (called by the transport):
+ * - onRound(round)          A round opened: { rules, closesAt } (see utils/roundRules.js)
+ * - onTally(votes)          Current tally for the joined battle (votes per position,
+ *                           first choices in ranked-choice battles, picks in team battles)
+ * - onLocked(votes, result, roundId)
+ *                           Voting closed, votes is the final tally and result the
+ *                           count ({ method, winners, rounds }, see utils/voting.js;
+ *                           null if the backend didn't send one, which ranked-choice
+ *                           battles can't do without); roundId names the round, the
+ *                           same in every tab (see getRoundId; null if not sent)
+ * - onReset()               The battle was started over
+ * - onVoid()                The host threw out the running round's votes; a new round
+ *                           of the same battle follows (onRound, onTally)
+ * - onHost(host)            The host state changed ({ queue, live, featured,
+ *                           announcement, version }, see utils/hostControl.js)
+ * - onStatusChange(status, details)
+ *                           'connecting' | 'connected' | 'reconnecting' | 'disconnected';
+ *                           details.attempt is set while reconnecting
+ * - onQueueChange(count)    Number of votes waiting for the connection to come back
+ * - onError(message, details)
+ *                           A message was rejected; details.code is one of
+ *                           VOTE_ERROR_CODES when the backend sent one
+ *
+ * Methods (called by the app):
+ * - joinBattle(battleId)    Start receiving the tally for a battle (a finished round
+ *                           is reported with onLocked, it doesn't start over)
+ * - sendVote(vote)          Cast { battleId, pokemon, ranking?, picks?, userId, timestamp } (userId is
+ *                           the anonymous voter id; one vote per voter per battle counts;
+ *                           ranked-choice battles also send the voter's ranking and team
+ *                           battles the voter's slot picks, starting with pokemon);
+ *                           queued while offline, may throw or return a rejected promise
+ *                           (rejected votes carry error.code, see createVoteError)
+ * - resetBattle(battleId)   Start a finished battle over for everyone watching it
+ *                           (a rematch; ignored while the round is running)
+ * - sendHostCommand(command)
+ *                           Host console: { command, battleId?, queue?, milliseconds?, text?, key? }
+ *                           (see HOST_COMMANDS); may throw or return a rejected promise,
+ *                           other rejections arrive through onError
+ * - close()                 Disconnect and stop all timers
+ */
+
+const transportFactories = {
+  [TRANSPORT_TYPES.SIMULATOR]: createSimulatorTransport,
+  [TRANSPORT_TYPES.WEBSOCKET]: createWebSocketTransport,
+  [TRANSPORT_TYPES.SSE]: createSseTransport,
+  [TRANSPORT_TYPES.BROADCAST_CHANNEL]: createBroadcastChannelTransport
+};
+
+/**
+ * Create the vote transport selected by config
+ * @param {Object} config - Transport config (see VOTE_TRANSPORT_CONFIG)
+ * @param {Object} events - Transport event handlers
+ * @returns {Object} Vote transport
+ */
+export function createVoteTransport(config, events) {
+  const factory = transportFactories[config.TYPE];
+
+  if (!factory) {
+    console.warn(`Unknown vote transport "${config.TYPE}", using the simulator`);
+    return createSimulatorTransport(events);
+  }
+
+  console.log('🔌 Using vote transport:', config.TYPE);
+  return factory(events, { url: config.URL, channelName: config.CHANNEL_NAME });
+}
@@ -0,0 +1,44 @@
+import { TRANSPORT_TYPES } from '../../utils/constants';
+import { createVoteTransport } from './index';
+
+const createEvents = () => ({
+  onTally: jest.fn(),
+  onRound: jest.fn(),
+  onLocked: jest.fn(),
+  onReset: jest.fn(),
+  onVoid: jest.fn(),
+  onHost: jest.fn(),
+  onError: jest.fn(),
+  onStatusChange: jest.fn()
+});
+
+const METHODS = ['joinBattle', 'sendVote', 'resetBattle', 'sendHostCommand', 'close'];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createVoteTransport', () => {
+  it('creates the configured transport', () => {
+    const events = createEvents();
+    const transport = createVoteTransport({ TYPE: TRANSPORT_TYPES.SIMULATOR }, events);
+
+    expect(Object.keys(transport)).toEqual(expect.arrayContaining(METHODS));
+    expect(events.onStatusChange).toHaveBeenCalledWith('connected');
+    transport.close();
+  });
+
+  it('falls back to the simulator for an unknown transport', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const events = createEvents();
+    const transport = createVoteTransport({ TYPE: 'carrier-pigeon' }, events);
+
+    expect(console.warn).toHaveBeenCalledWith('Unknown vote transport "carrier-pigeon", using the simulator');
+    expect(Object.keys(transport)).toEqual(expect.arrayContaining(METHODS));
+    transport.close();
+  });
+});
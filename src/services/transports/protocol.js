@@ -0,0 +1,70 @@
+import { VOTE_MESSAGES } from '../../utils/constants';
+import { createRound } from '../../utils/roundRules';
+
+/**
+ * Error for a vote the backend rejected
+ * @param {string} code - One of VOTE_ERROR_CODES
+ * @param {string} message - Human readable reason
+ * @returns {Error} Error with a `code`
+ */
+export function createVoteError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Route a vote server message to the transport event handlers
+ * Shared by every transport that speaks the vote server protocol
+ * (see server/README.md).
+ *
+ * @param {Object} message - Parsed protocol message
+ * @param {Object} events - Transport event handlers
+ * @param {string|null} currentBattleId - Battle the client is watching
+ */
+export function handleProtocolMessage(message, events, currentBattleId) {
+  // Ignore updates for battles this client is no longer watching
+  // (host state has no battleId: it is for everyone)
+  if (message.battleId && message.battleId !== currentBattleId) return;
+
+  switch (message.type) {
+    case VOTE_MESSAGES.ROUND_OPENED:
+      events.onRound(createRound(message.round.rules, message.round.closesIn));
+      break;
+    case VOTE_MESSAGES.VOTE_TALLY:
+      events.onTally(message.votes);
+      break;
+    case VOTE_MESSAGES.VOTING_LOCKED:
+      // Servers that predate N-way battles don't send the count (or the round id)
+      events.onLocked(message.votes, message.result || null, message.roundId || null);
+      break;
+    case VOTE_MESSAGES.BATTLE_RESET:
+      events.onReset();
+      break;
+    case VOTE_MESSAGES.ROUND_VOIDED:
+      events.onVoid();
+      break;
+    case VOTE_MESSAGES.HOST_STATE:
+      events.onHost(message.host);
+      break;
+    case VOTE_MESSAGES.ERROR:
+      events.onError(message.message, { code: message.code, battleId: message.battleId });
+      break;
+    default:
+      console.warn('Unknown vote message:', message.type);
+  }
+}
+
+/**
+ * Parse a raw protocol message
+ * @param {string} raw - Raw message text
+ * @returns {Object|null} Parsed message or null if invalid
+ */
+export function parseProtocolMessage(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('Invalid vote message:', error);
+    return null;
+  }
+}
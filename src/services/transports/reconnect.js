@@ -0,0 +1,114 @@
+import { RECONNECT_CONFIG } from '../../utils/constants';
+
+/**
+ * Delay before a reconnection attempt: exponential backoff with jitter
+ * The jitter spreads clients out so they don't all hit a restarted server at once.
+ *
+ * @param {number} attempt - Attempt number (1 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt) {
+  const exponential = RECONNECT_CONFIG.BASE_DELAY * 2 ** (attempt - 1);
+  const capped = Math.min(RECONNECT_CONFIG.MAX_DELAY, exponential);
+  // Keep at least half the delay, randomize the rest
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+}
+
+/**
+ * Reconnection scheduler shared by the server-backed transports
+ * - dropped(): schedule the next attempt and report 'reconnecting'
+ * - connected(): reset the attempt counter
+ * - stop(): cancel everything (intentional close)
+ * Coming back online skips the remaining wait.
+ *
+ * @param {Object} events - Transport event handlers
+ * @param {Function} connect - Opens a new connection
+ * @returns {Object} Reconnector
+ */
+export function createReconnector(events, connect) {
+  let attempt = 0;
+  let timer = null;
+  let stopped = false;
+
+  const retryNow = () => {
+    if (!timer) return;
+    clearTimeout(timer);
+    timer = null;
+    connect();
+  };
+
+  window.addEventListener('online', retryNow);
+
+  return {
+    connected: () => {
+      attempt = 0;
+    },
+
+    dropped: () => {
+      if (stopped || timer) return;
+
+      attempt += 1;
+      const delay = getBackoffDelay(attempt);
+      console.log(`🔁 Reconnecting in ${delay}ms (attempt ${attempt})`);
+      events.onStatusChange('reconnecting', { attempt });
+
+      timer = setTimeout(() => {
+        timer = null;
+        connect();
+      }, delay);
+    },
+
+    stop: () => {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      window.removeEventListener('online', retryNow);
+    }
+  };
+}
+
+/**
+ * Queue for votes cast while the transport is offline
+ * Votes are replayed in order once the connection is back.
+ *
+ * @param {Object} events - Transport event handlers
+ * @returns {Object} Vote queue
+ */
+export function createVoteQueue(events) {
+  let votes = [];
+
+  return {
+    enqueue: (vote) => {
+      // One pending vote per battle is enough
+      votes = [...votes.filter(queued => queued.battleId !== vote.battleId), vote];
+      console.log('📥 Vote queued until the connection is back:', vote);
+      events.onQueueChange(votes.length);
+    },
+
+    /**
+     * Replay queued votes
+     * @param {Function} send - Sends one vote; may return a promise
+     */
+    flush: async (send) => {
+      const pending = votes;
+      votes = [];
+      events.onQueueChange(0);
+
+      for (const vote of pending) {
+        try {
+          await send(vote);
+          console.log('📤 Replayed queued vote:', vote);
+        } catch (error) {
+          console.error('Failed to replay queued vote:', error);
+          events.onError(error.message, { code: error.code, battleId: vote.battleId });
+        }
+      }
+    },
+
+    get size() {
+      return votes.length;
+    }
+  };
+}
@@ -0,0 +1,135 @@
+import { RECONNECT_CONFIG } from '../../utils/constants';
+import { createReconnector, createVoteQueue, getBackoffDelay } from './reconnect';
+
+const createEvents = () => ({
+  onStatusChange: jest.fn(),
+  onQueueChange: jest.fn(),
+  onError: jest.fn()
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('getBackoffDelay', () => {
+  it('doubles the delay with each attempt, keeping at least half of it', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect([1, 2, 3].map(getBackoffDelay)).toEqual([500, 1000, 2000]);
+
+    Math.random.mockReturnValue(1);
+    expect([1, 2, 3].map(getBackoffDelay)).toEqual([1000, 2000, 4000]);
+  });
+
+  it('never waits longer than the maximum delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(getBackoffDelay(20)).toBe(RECONNECT_CONFIG.MAX_DELAY);
+  });
+});
+
+describe('createReconnector', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+  });
+
+  it('retries with growing delays until the connection is back', () => {
+    const events = createEvents();
+    const connect = jest.fn();
+    const reconnector = createReconnector(events, connect);
+
+    reconnector.dropped();
+    expect(events.onStatusChange).toHaveBeenLastCalledWith('reconnecting', { attempt: 1 });
+    jest.advanceTimersByTime(999);
+    expect(connect).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(connect).toHaveBeenCalledTimes(1);
+
+    reconnector.dropped();
+    expect(events.onStatusChange).toHaveBeenLastCalledWith('reconnecting', { attempt: 2 });
+    jest.advanceTimersByTime(2000);
+    expect(connect).toHaveBeenCalledTimes(2);
+
+    // A working connection starts the backoff over
+    reconnector.connected();
+    reconnector.dropped();
+    expect(events.onStatusChange).toHaveBeenLastCalledWith('reconnecting', { attempt: 1 });
+    reconnector.stop();
+  });
+
+  it('retries right away when the browser comes back online', () => {
+    const connect = jest.fn();
+    const reconnector = createReconnector(createEvents(), connect);
+
+    reconnector.dropped();
+    window.dispatchEvent(new Event('online'));
+    expect(connect).toHaveBeenCalledTimes(1);
+
+    // No second attempt from the cancelled timer
+    jest.advanceTimersByTime(RECONNECT_CONFIG.MAX_DELAY);
+    expect(connect).toHaveBeenCalledTimes(1);
+    reconnector.stop();
+  });
+
+  it('stays down after an intentional close', () => {
+    const events = createEvents();
+    const connect = jest.fn();
+    const reconnector = createReconnector(events, connect);
+
+    reconnector.dropped();
+    reconnector.stop();
+    reconnector.dropped();
+    window.dispatchEvent(new Event('online'));
+    jest.advanceTimersByTime(RECONNECT_CONFIG.MAX_DELAY);
+
+    expect(connect).not.toHaveBeenCalled();
+    expect(events.onStatusChange).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createVoteQueue', () => {
+  it('keeps the latest vote per battle and replays them in order', async () => {
+    const events = createEvents();
+    const queue = createVoteQueue(events);
+    const send = jest.fn();
+
+    queue.enqueue({ battleId: 'pikachu_vs_eevee', pokemon: 'pokemon1' });
+    queue.enqueue({ battleId: 'mew_vs_mewtwo', pokemon: 'pokemon1' });
+    queue.enqueue({ battleId: 'pikachu_vs_eevee', pokemon: 'pokemon2' });
+    expect(queue.size).toBe(2);
+    expect(events.onQueueChange).toHaveBeenLastCalledWith(2);
+
+    await queue.flush(send);
+
+    expect(send.mock.calls.map(([vote]) => vote)).toEqual([
+      { battleId: 'mew_vs_mewtwo', pokemon: 'pokemon1' },
+      { battleId: 'pikachu_vs_eevee', pokemon: 'pokemon2' }
+    ]);
+    expect(queue.size).toBe(0);
+    expect(events.onQueueChange).toHaveBeenLastCalledWith(0);
+  });
+
+  it('reports votes the transport turns down and replays the rest', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const events = createEvents();
+    const queue = createVoteQueue(events);
+    const rejection = Object.assign(new Error('Voting is locked for this battle'), { code: 'BATTLE_LOCKED' });
+    const send = jest.fn()
+      .mockRejectedValueOnce(rejection)
+      .mockResolvedValueOnce();
+
+    queue.enqueue({ battleId: 'pikachu_vs_eevee', pokemon: 'pokemon1' });
+    queue.enqueue({ battleId: 'mew_vs_mewtwo', pokemon: 'pokemon2' });
+    await queue.flush(send);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(events.onError).toHaveBeenCalledWith('Voting is locked for this battle', {
+      code: 'BATTLE_LOCKED',
+      battleId: 'pikachu_vs_eevee'
+    });
+  });
+});
@@ -0,0 +1,276 @@
+import { CROWD_CONFIG, HOST_COMMANDS, HOST_CONFIG, VOTE_ERROR_CODES } from '../../utils/constants';
+import { createRound, getRoundId, reachesCloseTrigger, resolveRoundRules } from '../../utils/roundRules';
+import { createCrowd } from '../../utils/crowd';
+import { createSeed } from '../../utils/seededRandom';
+import { findSpecies } from '../../utils/pokemonSearch';
+import { getBattleFormat, parseBattleId } from '../../utils/battleRoutes';
+import { addBallot, countVotes, createEmptyVotes, getBallot } from '../../utils/voting';
+import { applyHostCommand, checkHostKey, createHostState, validateHostCommand } from '../../utils/hostControl';
+import { matchupSettings } from '../matchupSettings';
+import { createVoteError } from './protocol';
+
+/**
+ * 🔧 Vote simulator transport (formerly the mock WebSocket)
+ * - Simulates other users voting from battle start: a seeded crowd of
+ *   personas (see utils/crowd.js), so the same seed replays the same votes
+ * - Locks voting when the round rules say so (see utils/roundRules.js)
+ *   and counts the ballots like the vote server (see utils/voting.js)
+ * - Counts one vote per voter id per battle, like the vote server
+ * - Obeys host console commands for its battle, when they carry the host key
+ *   (the console has to be in the same tab, so this is only good for trying
+ *   the console out)
+ * - Never leaves the browser, handy for demos
+ *
+ * @param {Object} events - Transport event handlers
+ * @returns {Object} Vote transport
+ */
+export function createSimulatorTransport(events) {
+  let autoVoteInterval = null;
+  let isLocked = false;
+  let rules = resolveRoundRules();
+  // Positions and voting method of the running battle
+  let format = getBattleFormat(null);
+  let currentVotes = createEmptyVotes(format.positions.length);
+  let ballots = [];
+  let voters = new Set();
+  // Bumped on every start/stop/void so a late species lookup or vote can't revive an old round
+  let session = 0;
+  let currentBattleId = null;
+  let openedAt = null;
+  // The round clock in crowd ticks (roundTicks is null without a time limit)
+  let roundTicks = null;
+  let ticks = 0;
+  let host = createHostState();
+
+  const seed = CROWD_CONFIG.SEED || createSeed();
+  console.log(`🌱 Crowd seed: ${seed} (replay with ?seed=${seed})`);
+
+  // Stop the simulated voters (the round clock is their tick count)
+  const stopTimers = () => {
+    if (autoVoteInterval) {
+      clearInterval(autoVoteInterval);
+      autoVoteInterval = null;
+    }
+  };
+
+  // Close the round and announce the final tally
+  const lock = () => {
+    console.log('🔒 LOCKING VOTES');
+    isLocked = true;
+    stopTimers();
+    const result = countVotes(format.method, currentVotes, ballots);
+    events.onLocked(currentVotes, result, getRoundId(currentBattleId, openedAt));
+    console.log('✅ Voting locked - battle over');
+  };
+
+  // Report a new tally and close the round if it hits the quorum or the minimum lead
+  const updateTally = (votes) => {
+    currentVotes = votes;
+    events.onTally(currentVotes);
+    if (reachesCloseTrigger(rules, currentVotes)) {
+      lock();
+    }
+  };
+
+  // Species records for the battle's Pokémon (null for ones the index doesn't know)
+  const getContestants = async (battleId) => {
+    const matchup = parseBattleId(battleId);
+    const unknown = format.positions.map(() => null);
+    if (!matchup) return unknown;
+    try {
+      const species = await matchupSettings.getSpecies();
+      return matchup.contestants.map(name => findSpecies(species, name));
+    } catch (error) {
+      console.error('Error loading species for the crowd:', error);
+      return unknown;
+    }
+  };
+
+  // Start auto-voting simulation (called when battle starts)
+  const startAutoVoting = async (battleId) => {
+    console.log('🚀 Starting auto-vote simulation');
+
+    stopTimers();
+    session += 1;
+    const startedSession = session;
+    isLocked = false;
+    voters = new Set();
+    ballots = [];
+    currentBattleId = battleId;
+    openedAt = Date.now();
+    format = getBattleFormat(battleId);
+
+    // 🔧 FIXED: Start from 0 and gradually increase
+    currentVotes = createEmptyVotes(format.positions.length);
+    console.log('📊 Starting battle from 0 votes:', currentVotes);
+    events.onTally(currentVotes);
+
+    const contestants = await getContestants(battleId);
+    if (startedSession !== session) return;
+
+    // A new round opens with the battle; it is timed in crowd ticks so a seed
+    // always ends with the same crowd tally
+    const crowd = createCrowd({ seed, battleId, contestants, method: format.method });
+    rules = resolveRoundRules();
+    roundTicks = rules.duration ? Math.ceil(rules.duration / CROWD_CONFIG.TICK) : null;
+    ticks = 0;
+    events.onRound(createRound(rules, rules.duration || null));
+
+    autoVoteInterval = setInterval(() => {
+      if (isLocked) {
+        console.log('🚫 Auto-vote stopped - voting locked');
+        stopTimers();
+        return;
+      }
+
+      // Votes from the simulated crowd this tick
+      let votes = currentVotes;
+      crowd.step().forEach(({ ballot }) => {
+        votes = addBallot(votes, format.method, ballot);
+        ballots.push(ballot);
+      });
+      console.log('📈 Crowd votes (simulating other users):', votes);
+      updateTally(votes);
+
+      ticks += 1;
+      if (roundTicks && ticks >= roundTicks && !isLocked) {
+        lock();
+      }
+    }, CROWD_CONFIG.TICK);
+  };
+
+  // Host: throw the running round's votes out and start it over (the crowd keeps coming)
+  const voidRound = () => {
+    session += 1;
+    currentVotes = createEmptyVotes(format.positions.length);
+    ballots = [];
+    voters = new Set();
+    ticks = 0;
+    roundTicks = rules.duration ? Math.ceil(rules.duration / CROWD_CONFIG.TICK) : null;
+    events.onVoid();
+    events.onRound(createRound(rules, rules.duration || null));
+    events.onTally(currentVotes);
+  };
+
+  // Host: give a timed round more time
+  const extendRound = (milliseconds) => {
+    roundTicks += Math.ceil(milliseconds / CROWD_CONFIG.TICK);
+    events.onRound(createRound(rules, (roundTicks - ticks) * CROWD_CONFIG.TICK));
+  };
+
+  // Stop all timers and forget the current tally
+  const stopSimulation = () => {
+    stopTimers();
+    session += 1;
+    isLocked = false;
+    currentVotes = createEmptyVotes(format.positions.length);
+    ballots = [];
+    voters = new Set();
+  };
+
+  // The simulator is always "connected"
+  events.onStatusChange('connected');
+
+  return {
+    // The simulator runs one battle at a time
+    joinBattle: (battleId) => startAutoVoting(battleId),
+
+    // Start a finished round over with a new crowd
+    resetBattle: (battleId) => {
+      if (battleId !== currentBattleId || !isLocked) return;
+      events.onReset();
+      startAutoVoting(battleId);
+    },
+
+    // Handle user vote
+    sendVote: (vote) => {
+      console.log('🚀 User voted - simulator received vote');
+
+      // Same checks as the vote server
+      const ballot = getBallot(format.method, vote, format.positions);
+      if (!ballot) {
+        throw createVoteError(VOTE_ERROR_CODES.INVALID_VOTE, 'This vote does not fit the battle');
+      }
+      if (voters.has(vote.userId)) {
+        throw createVoteError(VOTE_ERROR_CODES.DUPLICATE_VOTE, 'You have already voted in this battle');
+      }
+      voters.add(vote.userId);
+
+      const votedSession = session;
+      setTimeout(() => {
+        // The round was voided (or the battle changed) in the meantime
+        if (votedSession !== session) return;
+        if (isLocked) {
+          console.log('🚫 Vote rejected - already locked');
+          events.onError('Voting is locked for this battle', {
+            code: VOTE_ERROR_CODES.BATTLE_LOCKED,
+            battleId: vote.battleId
+          });
+          return;
+        }
+
+        console.log('✅ Processing user vote');
+
+        // Add user's vote to current votes
+        ballots.push(ballot);
+        const votes = addBallot(currentVotes, format.method, ballot);
+
+        console.log('📊 Added user vote:', votes);
+        updateTally(votes);
+      }, 500);
+    },
+
+    // Host console commands, for the battle this tab is running
+    sendHostCommand: (command) => {
+      const notAllowed = checkHostKey(command, HOST_CONFIG.KEY);
+      if (notAllowed) throw createVoteError(VOTE_ERROR_CODES.HOST_NOT_ALLOWED, notAllowed);
+      const invalid = validateHostCommand(command);
+      if (invalid) throw createVoteError(VOTE_ERROR_CODES.INVALID_HOST_COMMAND, invalid);
+
+      const current = command.battleId === currentBattleId;
+      const running = current && !isLocked && autoVoteInterval !== null;
+      const requireRunning = () => {
+        if (!running) throw createVoteError(VOTE_ERROR_CODES.INVALID_HOST_COMMAND, 'That battle has no running round');
+      };
+
+      switch (command.command) {
+        case HOST_COMMANDS.OPEN:
+          // Another battle opens when the arena follows the live battle to it
+          if (current && isLocked) {
+            events.onReset();
+            startAutoVoting(currentBattleId);
+          }
+          break;
+        case HOST_COMMANDS.CLOSE:
+          requireRunning();
+          lock();
+          break;
+        case HOST_COMMANDS.EXTEND:
+          requireRunning();
+          if (!roundTicks) {
+            throw createVoteError(VOTE_ERROR_CODES.INVALID_HOST_COMMAND, 'This round has no time limit to extend');
+          }
+          extendRound(command.milliseconds);
+          break;
+        case HOST_COMMANDS.VOID:
+          requireRunning();
+          voidRound();
+          break;
+        default:
+          break;
+      }
+
+      const next = applyHostCommand(host, command);
+      if (next !== host) {
+        host = next;
+        events.onHost(host);
+      }
+    },
+
+    close: () => {
+      console.log('🔌 Vote simulator closed');
+      stopSimulation();
+      console.log('🧹 Vote simulator cleaned up');
+    }
+  };
+}
@@ -0,0 +1,35 @@
+import { HOST_COMMANDS, VOTE_ERROR_CODES } from '../../utils/constants';
+import { createSimulatorTransport } from './simulatorTransport';
+
+const createEvents = () => ({
+  onTally: jest.fn(),
+  onRound: jest.fn(),
+  onLocked: jest.fn(),
+  onReset: jest.fn(),
+  onVoid: jest.fn(),
+  onHost: jest.fn(),
+  onError: jest.fn(),
+  onStatusChange: jest.fn(),
+  onQueueChange: jest.fn()
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// No REACT_APP_HOST_KEY is set up in the tests
+describe('simulator host commands without a host key', () => {
+  it.each([undefined, '', 'guess'])('refuses commands carrying key %p', (key) => {
+    const events = createEvents();
+    const transport = createSimulatorTransport(events);
+
+    expect(() => transport.sendHostCommand({ command: HOST_COMMANDS.OPEN, battleId: 'mew_vs_mewtwo', key }))
+      .toThrow(expect.objectContaining({ code: VOTE_ERROR_CODES.HOST_NOT_ALLOWED }));
+    expect(events.onHost).not.toHaveBeenCalled();
+    transport.close();
+  });
+});
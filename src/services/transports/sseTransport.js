@@ -0,0 +1,126 @@
+import { VOTE_MESSAGES } from '../../utils/constants';
+import { createVoteError, handleProtocolMessage, parseProtocolMessage } from './protocol';
+import { createReconnector, createVoteQueue } from './reconnect';
+
+/**
+ * Server-Sent Events vote transport
+ * Receives protocol messages from the vote server's /events stream and
+ * sends votes with plain HTTP POST requests. Useful behind proxies that
+ * don't allow WebSockets.
+ *
+ * The browser's built-in EventSource retry has a fixed delay, so dropped
+ * streams are closed and reopened with the shared backoff instead.
+ *
+ * @param {Object} events - Transport event handlers
+ * @param {Object} options - Transport options
+ * @param {string} options.url - Vote server HTTP URL (e.g. http://localhost:8080)
+ * @returns {Object} Vote transport
+ */
+export function createSseTransport(events, { url }) {
+  const baseUrl = url.replace(/\/$/, '');
+  let currentBattleId = null;
+  let eventSource = null;
+  let isConnected = false;
+
+  const voteQueue = createVoteQueue(events);
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw createVoteError(result.code, result.message || `Vote server responded with ${response.status}`);
+    }
+    return response.json();
+  };
+
+  const postVote = (vote) => post('/vote', { type: VOTE_MESSAGES.VOTE, ...vote });
+
+  const closeStream = () => {
+    if (eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+    isConnected = false;
+  };
+
+  // One event stream per battle; switching battles reopens it
+  const openStream = () => {
+    closeStream();
+    if (!currentBattleId) return;
+
+    eventSource = new EventSource(`${baseUrl}/events?battleId=${encodeURIComponent(currentBattleId)}`);
+
+    eventSource.onopen = () => {
+      console.log('✅ Vote event stream open');
+      isConnected = true;
+      reconnector.connected();
+      events.onStatusChange('connected');
+      // Opening the stream re-joins the battle (and resends the tally), so replay offline votes now
+      voteQueue.flush(postVote);
+    };
+
+    eventSource.onerror = () => {
+      console.log('🔌 Vote event stream dropped');
+      closeStream();
+      reconnector.dropped();
+    };
+
+    eventSource.onmessage = (event) => {
+      const message = parseProtocolMessage(event.data);
+      if (message) {
+        handleProtocolMessage(message, events, currentBattleId);
+      }
+    };
+  };
+
+  const reconnector = createReconnector(events, openStream);
+
+  return {
+    joinBattle: (battleId) => {
+      if (battleId === currentBattleId && eventSource) return;
+      currentBattleId = battleId;
+      if (!isConnected) {
+        events.onStatusChange('connecting');
+      }
+      openStream();
+    },
+
+    resetBattle: (battleId) => {
+      post('/reset', { type: VOTE_MESSAGES.RESET, battleId })
+        .catch(error => console.error('Failed to reset battle:', error));
+    },
+
+    // The answer carries the host state, so a console without an event stream still sees it
+    sendHostCommand: (command) => post('/host', { type: VOTE_MESSAGES.HOST, ...command })
+      .then(result => events.onHost(result.host)),
+
+    // Returns a promise so callers can react to rejected votes
+    sendVote: (vote) => {
+      if (!isConnected) {
+        voteQueue.enqueue(vote);
+        return Promise.resolve();
+      }
+
+      return postVote(vote).catch(error => {
+        // fetch rejects with a TypeError when the request never reached the server
+        if (error instanceof TypeError) {
+          voteQueue.enqueue(vote);
+          return;
+        }
+        events.onError(error.message, { code: error.code, battleId: vote.battleId });
+        throw error;
+      });
+    },
+
+    close: () => {
+      console.log('🔌 Closing vote event stream');
+      reconnector.stop();
+      closeStream();
+    }
+  };
+}
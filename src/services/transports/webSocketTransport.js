@@ -0,0 +1,105 @@
+import { VOTE_MESSAGES } from '../../utils/constants';
+import { handleProtocolMessage, parseProtocolMessage } from './protocol';
+import { createReconnector, createVoteQueue } from './reconnect';
+
+/**
+ * WebSocket vote transport
+ * Talks to the vote server (server/index.js) over a native WebSocket.
+ * Dropped connections are retried with backoff; votes cast while offline
+ * are queued and replayed after the battle is re-joined.
+ *
+ * @param {Object} events - Transport event handlers
+ * @param {Object} options - Transport options
+ * @param {string} options.url - Vote server URL (e.g. ws://localhost:8080)
+ * @returns {Object} Vote transport
+ */
+export function createWebSocketTransport(events, { url }) {
+  let currentBattleId = null;
+  let socket = null;
+
+  const voteQueue = createVoteQueue(events);
+
+  const isOpen = () => socket && socket.readyState === WebSocket.OPEN;
+
+  const sendMessage = (message) => {
+    if (!isOpen()) {
+      throw new Error('Vote server is not connected');
+    }
+    socket.send(JSON.stringify(message));
+  };
+
+  const connect = () => {
+    console.log('🔌 Connecting to vote server:', url);
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      console.log('✅ Connected to vote server');
+      reconnector.connected();
+      events.onStatusChange('connected');
+
+      // Re-join so the server resends the current tally, then replay offline votes
+      if (currentBattleId) {
+        sendMessage({ type: VOTE_MESSAGES.JOIN, battleId: currentBattleId });
+      }
+      voteQueue.flush(vote => sendMessage({ type: VOTE_MESSAGES.VOTE, ...vote }));
+    };
+
+    socket.onclose = () => {
+      console.log('🔌 Vote server connection dropped');
+      reconnector.dropped();
+    };
+
+    socket.onerror = (error) => {
+      console.error('Vote server error:', error);
+    };
+
+    socket.onmessage = (event) => {
+      const message = parseProtocolMessage(event.data);
+      if (message) {
+        handleProtocolMessage(message, events, currentBattleId);
+      }
+    };
+  };
+
+  const reconnector = createReconnector(events, connect);
+
+  events.onStatusChange('connecting');
+  connect();
+
+  return {
+    joinBattle: (battleId) => {
+      currentBattleId = battleId;
+      if (isOpen()) {
+        sendMessage({ type: VOTE_MESSAGES.JOIN, battleId });
+      }
+    },
+
+    resetBattle: (battleId) => {
+      if (isOpen()) {
+        sendMessage({ type: VOTE_MESSAGES.RESET, battleId });
+      }
+    },
+
+    sendHostCommand: (command) => {
+      sendMessage({ type: VOTE_MESSAGES.HOST, ...command });
+    },
+
+    sendVote: (vote) => {
+      if (!isOpen()) {
+        voteQueue.enqueue(vote);
+        return;
+      }
+      sendMessage({ type: VOTE_MESSAGES.VOTE, ...vote });
+    },
+
+    close: () => {
+      console.log('🔌 Closing vote server connection');
+      reconnector.stop();
+      if (socket) {
+        // Detach first so an intentional close isn't reported as a dropped connection
+        socket.onclose = null;
+        socket.close();
+      }
+    }
+  };
+}
@@ -0,0 +1,148 @@
+import { VOTE_ERROR_CODES } from '../../utils/constants';
+import { createWebSocketTransport } from './webSocketTransport';
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '../../../server/index.js');
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const URL = `ws://localhost:${PORT}`;
+const BATTLE_ID = 'pikachu_vs_eevee';
+
+let server = null;
+const transports = [];
+
+// Run the vote server (server/index.js) until it listens
+const startServer = (env = {}) => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [SERVER], { env: { ...process.env, ...env, VOTE_SERVER_PORT: String(PORT) } });
+  server.on('error', reject);
+  server.stdout.on('data', (data) => {
+    if (data.toString().includes('listening')) resolve();
+  });
+});
+
+const stopServer = () => new Promise(resolve => {
+  if (!server || server.exitCode !== null) return resolve();
+  server.once('exit', resolve);
+  server.kill();
+});
+
+const createEvents = () => ({
+  onTally: jest.fn(),
+  onRound: jest.fn(),
+  onLocked: jest.fn(),
+  onReset: jest.fn(),
+  onVoid: jest.fn(),
+  onHost: jest.fn(),
+  onError: jest.fn(),
+  onStatusChange: jest.fn(),
+  onQueueChange: jest.fn()
+});
+
+const connect = async (events = createEvents()) => {
+  const transport = createWebSocketTransport(events, { url: URL });
+  transports.push(transport);
+  await waitFor(() => events.onStatusChange.mock.calls.some(([status]) => status === 'connected'));
+  return { transport, events };
+};
+
+// Wait for the server's answer to come in
+const waitFor = async (check, timeout = 4000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for the vote server');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+const lastTally = (events) => events.onTally.mock.calls[events.onTally.mock.calls.length - 1]?.[0];
+const vote = (pokemon, userId) => ({ battleId: BATTLE_ID, pokemon, userId, timestamp: Date.now() });
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await startServer();
+});
+
+afterEach(async () => {
+  transports.splice(0).forEach(transport => transport.close());
+  await stopServer();
+  jest.restoreAllMocks();
+});
+
+describe('WebSocket transport with the vote server', () => {
+  it('sends votes to the server and gets everyone the new tally', async () => {
+    const voter = await connect();
+    const watcher = await connect();
+    voter.transport.joinBattle(BATTLE_ID);
+    watcher.transport.joinBattle(BATTLE_ID);
+    await waitFor(() => lastTally(watcher.events) && lastTally(voter.events));
+
+    voter.transport.sendVote(vote('pokemon2', 'voter_a'));
+    await waitFor(() => lastTally(watcher.events)?.pokemon2 === 1);
+    expect(lastTally(watcher.events)).toEqual({ pokemon1: 0, pokemon2: 1 });
+  });
+
+  it('rejects a second vote from the same voter in the same battle', async () => {
+    const { transport, events } = await connect();
+    transport.joinBattle(BATTLE_ID);
+    await waitFor(() => lastTally(events));
+
+    transport.sendVote(vote('pokemon1', 'voter_a'));
+    await waitFor(() => lastTally(events)?.pokemon1 === 1);
+    transport.sendVote(vote('pokemon2', 'voter_a'));
+    await waitFor(() => events.onError.mock.calls.length > 0);
+
+    expect(events.onError).toHaveBeenCalledWith(
+      'You have already voted in this battle',
+      { code: VOTE_ERROR_CODES.DUPLICATE_VOTE, battleId: BATTLE_ID }
+    );
+    expect(lastTally(events)).toEqual({ pokemon1: 1, pokemon2: 0 });
+  });
+
+  it('does not let a client without the host key close a round', async () => {
+    const { transport, events } = await connect();
+    transport.joinBattle(BATTLE_ID);
+    await waitFor(() => lastTally(events));
+
+    transport.sendHostCommand({ command: 'close', battleId: BATTLE_ID });
+    await waitFor(() => events.onError.mock.calls.length > 0);
+
+    expect(events.onError.mock.calls[0][1].code).toBe(VOTE_ERROR_CODES.HOST_NOT_ALLOWED);
+    expect(events.onLocked).not.toHaveBeenCalled();
+  });
+
+  it('starts a rematch only once the result has been up for a while', async () => {
+    await stopServer();
+    await startServer({ VOTE_CLOSE_AFTER_VOTES: '1', VOTE_REMATCH_DELAY: '300' });
+    const { transport, events } = await connect();
+    transport.joinBattle(BATTLE_ID);
+    await waitFor(() => lastTally(events));
+    transport.sendVote(vote('pokemon1', 'voter_a'));
+    await waitFor(() => events.onLocked.mock.calls.length > 0);
+
+    transport.resetBattle(BATTLE_ID);
+    await waitFor(() => events.onError.mock.calls.length > 0);
+    expect(events.onError.mock.calls[0][1].code).toBe(VOTE_ERROR_CODES.REMATCH_TOO_SOON);
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    transport.resetBattle(BATTLE_ID);
+    await waitFor(() => events.onReset.mock.calls.length > 0);
+  });
+
+  it('reconnects once the server is back and sends the votes cast meanwhile', async () => {
+    const { transport, events } = await connect();
+    transport.joinBattle(BATTLE_ID);
+    await waitFor(() => lastTally(events));
+
+    await stopServer();
+    await waitFor(() => events.onStatusChange.mock.calls.some(([status]) => status === 'reconnecting'));
+    transport.sendVote(vote('pokemon1', 'voter_a'));
+    expect(events.onQueueChange).toHaveBeenLastCalledWith(1);
+
+    events.onStatusChange.mockClear();
+    await startServer();
+    await waitFor(() => events.onStatusChange.mock.calls.some(([status]) => status === 'connected'), 8000);
+    await waitFor(() => lastTally(events)?.pokemon1 === 1);
+    expect(events.onQueueChange).toHaveBeenLastCalledWith(0);
+  }, 15000);
+});
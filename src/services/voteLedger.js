@@ -0,0 +1,152 @@
+import { VOTE_LEDGER_CONFIG } from '../utils/constants';
+import { voterIdentity } from './voterIdentity';
+
+/**
+ * Vote ledger
+ * Remembers which battles this browser has voted in, keyed by voter and
+ * battle ID, so every tab can tell when the user already voted in another
+ * one. The ledger lives in localStorage (so a tab that opens later sees
+ * earlier votes) and changes are announced live over BroadcastChannel, or
+ * through `storage` events where BroadcastChannel isn't available.
+ * Only the voter's own entries count: a tab voting as a test voter (see
+ * voterIdentity) isn't stopped by another voter's vote.
+ */
+
+// Identifies this tab's own votes
+const TAB_ID = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+const listeners = new Set();
+let channel = null;
+let connected = false;
+
+function readLedger() {
+  try {
+    return JSON.parse(localStorage.getItem(VOTE_LEDGER_CONFIG.STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.error('Error reading vote ledger:', error);
+    return {};
+  }
+}
+
+function writeLedger(ledger) {
+  try {
+    localStorage.setItem(VOTE_LEDGER_CONFIG.STORAGE_KEY, JSON.stringify(ledger));
+  } catch (error) {
+    console.error('Error saving vote ledger:', error);
+  }
+}
+
+/**
+ * Drop expired entries
+ * @returns {Object} The live entries
+ */
+function pruneLedger(ledger) {
+  const now = Date.now();
+  const live = Object.fromEntries(
+    Object.entries(ledger).filter(([, entry]) => entry.expiresAt > now)
+  );
+  if (Object.keys(live).length !== Object.keys(ledger).length) {
+    writeLedger(live);
+  }
+  return live;
+}
+
+/**
+ * Ledger key of the current voter's entry for a battle
+ */
+function getKey(battleId) {
+  return `${voterIdentity.getId()}:${battleId}`;
+}
+
+function notify(battleId) {
+  listeners.forEach(listener => listener(battleId));
+}
+
+/**
+ * Tell other tabs which battle changed
+ * (with the storage fallback, writing the ledger already did that)
+ */
+function announce(battleId) {
+  connect();
+  if (channel) channel.postMessage({ battleId });
+}
+
+/**
+ * Start listening to other tabs (once per tab)
+ */
+function connect() {
+  if (connected) return;
+  connected = true;
+
+  // Votes from before the ledger existed
+  localStorage.removeItem('pokemon_battle_vote');
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(VOTE_LEDGER_CONFIG.CHANNEL_NAME);
+    channel.onmessage = (event) => notify(event.data.battleId);
+    return;
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (event.key !== VOTE_LEDGER_CONFIG.STORAGE_KEY) return;
+
+    // Report every battle whose entry was added, changed or removed
+    const before = JSON.parse(event.oldValue || '{}');
+    const after = JSON.parse(event.newValue || '{}');
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        notify((after[key] || before[key]).battleId);
+      }
+    });
+  });
+}
+
+export const voteLedger = {
+  /**
+   * The user's vote in a battle, from any tab
+   * @param {string} battleId - Battle ID
+   * @returns {Object|null} { battleId, choice, votedAt, expiresAt, tabId, fromThisTab }
+   */
+  get(battleId) {
+    const entry = pruneLedger(readLedger())[getKey(battleId)];
+    return entry ? { ...entry, fromThisTab: entry.tabId === TAB_ID } : null;
+  },
+
+  /**
+   * Record this tab's vote
+   * @param {string} battleId - Battle ID
+   * @param {string} choice - Position voted for ('pokemon1', 'pokemon2', ...; the first choice in ranked-choice battles)
+   */
+  record(battleId, choice) {
+    const now = Date.now();
+    const ledger = pruneLedger(readLedger());
+    ledger[getKey(battleId)] = { battleId, choice, votedAt: now, expiresAt: now + VOTE_LEDGER_CONFIG.TTL, tabId: TAB_ID };
+    writeLedger(ledger);
+    announce(battleId);
+    console.log('💾 Vote recorded in ledger:', battleId);
+  },
+
+  /**
+   * Forget the vote in a battle: the vote failed, or the round is over so
+   * the next round of the same matchup can be voted in again
+   * @param {string} battleId - Battle ID
+   */
+  release(battleId) {
+    const ledger = pruneLedger(readLedger());
+    if (!ledger[getKey(battleId)]) return;
+    delete ledger[getKey(battleId)];
+    writeLedger(ledger);
+    announce(battleId);
+  },
+
+  /**
+   * Listen for votes recorded or released in other tabs
+   * @param {Function} listener - Called with the battle ID that changed
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    connect();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
@@ -0,0 +1,102 @@
+import { VOTE_LEDGER_CONFIG } from '../utils/constants';
+
+const { BroadcastChannel: NodeBroadcastChannel } = require('worker_threads');
+
+// Every tab loads its own copy of the ledger (its own tab id and channel); they share localStorage
+const openTab = () => {
+  let ledger;
+  jest.isolateModules(() => {
+    ({ voteLedger: ledger } = require('./voteLedger'));
+  });
+  return ledger;
+};
+
+// Node's BroadcastChannel talks between the tabs of this test, as the browser's does between tabs
+const channels = [];
+class TestBroadcastChannel extends NodeBroadcastChannel {
+  constructor(name) {
+    super(name);
+    channels.push(this);
+  }
+}
+
+// The next battle a tab hears about from the others
+const nextChange = (ledger) => new Promise(resolve => {
+  const unsubscribe = ledger.subscribe(battleId => {
+    unsubscribe();
+    resolve(battleId);
+  });
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  global.BroadcastChannel = TestBroadcastChannel;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  channels.splice(0).forEach(channel => channel.close());
+  delete global.BroadcastChannel;
+  jest.restoreAllMocks();
+});
+
+describe('voteLedger', () => {
+  it('gives every tab the same answer, whichever tab loaded first', () => {
+    const earlierTab = openTab();
+    const votingTab = openTab();
+    votingTab.record('mew_vs_mewtwo', 'pokemon2');
+    const laterTab = openTab();
+
+    expect(votingTab.get('mew_vs_mewtwo')).toMatchObject({ choice: 'pokemon2', fromThisTab: true });
+    [earlierTab, laterTab].forEach(tab => {
+      expect(tab.get('mew_vs_mewtwo')).toMatchObject({ choice: 'pokemon2', fromThisTab: false });
+    });
+    expect(laterTab.get('pikachu_vs_eevee')).toBeNull();
+  });
+
+  it('tells the other tabs when a vote is recorded or released', async () => {
+    const votingTab = openTab();
+    const otherTab = openTab();
+
+    let change = nextChange(otherTab);
+    votingTab.record('mew_vs_mewtwo', 'pokemon1');
+    await expect(change).resolves.toBe('mew_vs_mewtwo');
+
+    change = nextChange(otherTab);
+    votingTab.release('mew_vs_mewtwo');
+    await expect(change).resolves.toBe('mew_vs_mewtwo');
+    expect(otherTab.get('mew_vs_mewtwo')).toBeNull();
+  });
+
+  it('falls back to storage events where BroadcastChannel is missing', () => {
+    delete global.BroadcastChannel;
+    const votingTab = openTab();
+    const otherTab = openTab();
+    const listener = jest.fn();
+    otherTab.subscribe(listener);
+
+    // The browser fires `storage` in the other tabs when one writes the ledger
+    const oldValue = localStorage.getItem(VOTE_LEDGER_CONFIG.STORAGE_KEY);
+    votingTab.record('mew_vs_mewtwo', 'pokemon1');
+    const newValue = localStorage.getItem(VOTE_LEDGER_CONFIG.STORAGE_KEY);
+    window.dispatchEvent(new StorageEvent('storage', { key: VOTE_LEDGER_CONFIG.STORAGE_KEY, oldValue, newValue }));
+
+    expect(listener).toHaveBeenCalledWith('mew_vs_mewtwo');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('forgets votes once they expire', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const tab = openTab();
+    tab.record('mew_vs_mewtwo', 'pokemon1');
+    tab.record('pikachu_vs_eevee', 'pokemon2');
+
+    now.mockReturnValue(1000000 + VOTE_LEDGER_CONFIG.TTL - 1);
+    expect(tab.get('mew_vs_mewtwo')).not.toBeNull();
+
+    now.mockReturnValue(1000000 + VOTE_LEDGER_CONFIG.TTL);
+    expect(tab.get('mew_vs_mewtwo')).toBeNull();
+    // Expired entries are cleaned out of storage too
+    expect(JSON.parse(localStorage.getItem(VOTE_LEDGER_CONFIG.STORAGE_KEY))).toEqual({});
+  });
+});
@@ -0,0 +1,65 @@
+import { VOTER_CONFIG } from '../utils/constants';
+
+/**
+ * Voter identity
+ * A random anonymous id created the first time the app runs and kept in
+ * localStorage, so every vote from this browser (whichever tab it comes
+ * from) carries the same id and the vote backend can count it once per
+ * battle. It is not an account: clearing site data or opening a private
+ * window starts a new identity.
+ * Development builds can give a tab a test voter instead (see
+ * VOTER_CONFIG.DEV_OVERRIDE_PARAM), to try several voters in one browser.
+ */
+
+let cachedId = null;
+
+function createVoterId() {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID().replace(/-/g, '')
+    : `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+  return `voter_${random.slice(0, 20)}`;
+}
+
+/**
+ * The test voter this tab votes as (development builds only)
+ * @returns {string|null} Voter ID, or null to use the browser's own
+ */
+function getDevVoterId() {
+  if (!VOTER_CONFIG.DEV_OVERRIDE_ENABLED) return null;
+
+  const name = new URLSearchParams(window.location.search).get(VOTER_CONFIG.DEV_OVERRIDE_PARAM);
+  if (name) sessionStorage.setItem(VOTER_CONFIG.DEV_OVERRIDE_STORAGE_KEY, name.replace(/\W/g, '').slice(0, 20));
+
+  const saved = sessionStorage.getItem(VOTER_CONFIG.DEV_OVERRIDE_STORAGE_KEY);
+  return saved ? `voter_dev_${saved}` : null;
+}
+
+export const voterIdentity = {
+  /**
+   * This browser's voter id, created on first use
+   * @returns {string} Voter ID
+   */
+  getId() {
+    if (cachedId) return cachedId;
+
+    try {
+      cachedId = getDevVoterId();
+      if (cachedId) {
+        console.log(`🧪 Voting as test voter ${cachedId}`);
+        return cachedId;
+      }
+
+      cachedId = localStorage.getItem(VOTER_CONFIG.STORAGE_KEY);
+      if (!cachedId) {
+        cachedId = createVoterId();
+        localStorage.setItem(VOTER_CONFIG.STORAGE_KEY, cachedId);
+        console.log('🪪 Created anonymous voter id');
+      }
+    } catch (error) {
+      // Storage blocked: the id still holds for this page load
+      console.error('Error saving voter id:', error);
+      cachedId = cachedId || createVoterId();
+    }
+    return cachedId;
+  }
+};
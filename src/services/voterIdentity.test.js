@@ -0,0 +1,79 @@
+import { VOTER_CONFIG } from '../utils/constants';
+
+// A fresh page load: the module forgets the id it had cached
+const loadIdentity = () => {
+  let identity;
+  jest.isolateModules(() => {
+    ({ voterIdentity: identity } = require('./voterIdentity'));
+  });
+  return identity;
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('voterIdentity', () => {
+  it('creates an anonymous voter id and keeps it across page loads', () => {
+    const id = loadIdentity().getId();
+
+    expect(id).toMatch(/^voter_\w+$/);
+    expect(localStorage.getItem(VOTER_CONFIG.STORAGE_KEY)).toBe(id);
+    expect(loadIdentity().getId()).toBe(id);
+  });
+
+  it('gives every tab of the browser the same id', () => {
+    const id = loadIdentity().getId();
+    sessionStorage.clear();
+    expect(loadIdentity().getId()).toBe(id);
+  });
+
+  it('gives another browser another id', () => {
+    const id = loadIdentity().getId();
+    localStorage.clear();
+    expect(loadIdentity().getId()).not.toBe(id);
+  });
+
+  it('keeps one id for the page load when storage is blocked', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    const identity = loadIdentity();
+
+    expect(identity.getId()).toMatch(/^voter_/);
+    expect(identity.getId()).toBe(identity.getId());
+  });
+
+  describe('test voters (?voter=)', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+      window.history.pushState({}, '', '/');
+    });
+
+    it('lets a development tab vote as the test voter it names, until the tab closes', () => {
+      process.env.NODE_ENV = 'development';
+      const id = loadIdentity().getId();
+      window.history.pushState({}, '', '/?voter=ash');
+
+      expect(loadIdentity().getId()).toBe('voter_dev_ash');
+      window.history.pushState({}, '', '/battle/25/133');
+      expect(loadIdentity().getId()).toBe('voter_dev_ash');
+      sessionStorage.clear();
+      expect(loadIdentity().getId()).toBe(id);
+    });
+
+    it('is ignored outside development builds', () => {
+      window.history.pushState({}, '', '/?voter=ash');
+      expect(loadIdentity().getId()).not.toBe('voter_dev_ash');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { BATTLE_CONFIG, TEAM_CONFIG, VOTING_METHODS } from './constants';
+import { getPositions } from './voting';
+
+// Battle URLs: /battle/:pokemon1/:pokemon2 and /battle/:battleId
+// A battle ID lists its 2-8 Pokémon ("charizard_vs_blastoise_vs_venusaur");
+// ranked-choice battles end in "~ranked" ("charizard_vs_blastoise_vs_venusaur~ranked")
+// and team battles, which list both lineups of three, in "~team"
+
+const BATTLE_ID_SEPARATOR = '_vs_';
+const METHOD_SEPARATOR = '~';
+
+/**
+ * Battle ID for a matchup (["Charizard", "blastoise"] -> "charizard_vs_blastoise")
+ * @param {Array<string|number>} pokemon - Pokémon names or IDs, in position order
+ * @param {string} method - One of VOTING_METHODS (default plurality)
+ * @returns {string} Battle ID
+ */
+export function getBattleId(pokemon, method = VOTING_METHODS.PLURALITY) {
+  const id = pokemon
+    .map(name => name.toString().trim().toLowerCase())
+    .join(BATTLE_ID_SEPARATOR);
+  return method === VOTING_METHODS.PLURALITY ? id : `${id}${METHOD_SEPARATOR}${method}`;
+}
+
+/**
+ * Split a battle ID back into its Pokémon
+ * @param {string} battleId - Battle ID
+ * @returns {Object|null} { contestants, method }, or null if it isn't a battle ID
+ */
+export function parseBattleId(battleId) {
+  const [id, method = VOTING_METHODS.PLURALITY, ...rest] = battleId.split(METHOD_SEPARATOR);
+  if (rest.length > 0 || !Object.values(VOTING_METHODS).includes(method)) return null;
+
+  const contestants = id.split(BATTLE_ID_SEPARATOR);
+  if (contestants.length < BATTLE_CONFIG.MIN_CONTESTANTS ||
+      contestants.length > BATTLE_CONFIG.MAX_CONTESTANTS ||
+      contestants.some(name => !name) ||
+      (method === VOTING_METHODS.TEAM && contestants.length !== TEAM_CONFIG.SIZE * 2)) {
+    return null;
+  }
+  return { contestants, method };
+}
+
+/**
+ * Positions and voting method of a battle; IDs that don't list their
+ * Pokémon (e.g. from older clients) are two-way plurality battles
+ * @param {string} battleId - Battle ID
+ * @returns {Object} { positions, method }
+ */
+export function getBattleFormat(battleId) {
+  const parsed = battleId ? parseBattleId(battleId) : null;
+  if (!parsed) return { positions: getPositions(2), method: VOTING_METHODS.PLURALITY };
+  return { positions: getPositions(parsed.contestants.length), method: parsed.method };
+}
+
+/**
+ * Route path for a matchup: two-way plurality battles keep the
+ * /battle/:pokemon1/:pokemon2 form, everything else uses the battle ID
+ */
+export function getBattlePath(pokemon, method = VOTING_METHODS.PLURALITY) {
+  if (pokemon.length === 2 && method === VOTING_METHODS.PLURALITY) {
+    return `/battle/${encodeURIComponent(pokemon[0])}/${encodeURIComponent(pokemon[1])}`;
+  }
+  return `/battle/${encodeURIComponent(getBattleId(pokemon, method))}`;
+}
+
+/**
+ * Absolute link to a matchup, for sharing
+ */
+export function getBattleUrl(pokemon, method) {
+  return `${window.location.origin}${process.env.PUBLIC_URL}${getBattlePath(pokemon, method)}`;
+}
@@ -0,0 +1,50 @@
+import { VOTING_METHODS } from './constants';
+import { getBattleFormat, getBattleId, getBattlePath, getBattleUrl, parseBattleId } from './battleRoutes';
+
+const { PLURALITY, RANKED, TEAM } = VOTING_METHODS;
+
+describe('battle IDs', () => {
+  it('names the battle after its Pokémon, whatever case they were typed in', () => {
+    expect(getBattleId(['Charizard', ' blastoise '])).toBe('charizard_vs_blastoise');
+    expect(getBattleId(['mew', 'mewtwo', 'eevee'], RANKED)).toBe('mew_vs_mewtwo_vs_eevee~ranked');
+  });
+
+  it('splits a battle ID back into its Pokémon and voting method', () => {
+    expect(parseBattleId('charizard_vs_blastoise')).toEqual({ contestants: ['charizard', 'blastoise'], method: PLURALITY });
+    expect(parseBattleId('mew_vs_mewtwo_vs_eevee~ranked')).toEqual({ contestants: ['mew', 'mewtwo', 'eevee'], method: RANKED });
+  });
+
+  it.each([
+    'charizard',
+    'charizard_vs_',
+    'a_vs_b_vs_c_vs_d_vs_e_vs_f_vs_g_vs_h_vs_i',
+    'mew_vs_mewtwo~unknown',
+    'mew_vs_mewtwo~ranked~ranked',
+    // Teams are two lineups of three
+    'a_vs_b_vs_c_vs_d~team'
+  ])('does not take %s', (battleId) => {
+    expect(parseBattleId(battleId)).toBeNull();
+  });
+
+  it('reads team battles as two lineups of three', () => {
+    expect(parseBattleId('a_vs_b_vs_c_vs_d_vs_e_vs_f~team')).toEqual({ contestants: ['a', 'b', 'c', 'd', 'e', 'f'], method: TEAM });
+    expect(getBattleFormat('a_vs_b_vs_c_vs_d_vs_e_vs_f~team').positions).toHaveLength(6);
+  });
+
+  it('treats IDs from older clients as two-way plurality battles', () => {
+    expect(getBattleFormat('legacy-battle-id')).toEqual({ positions: ['pokemon1', 'pokemon2'], method: PLURALITY });
+    expect(getBattleFormat(null)).toEqual(getBattleFormat('legacy-battle-id'));
+  });
+});
+
+describe('battle links', () => {
+  it('links two-way battles by their Pokémon', () => {
+    expect(getBattlePath(['mr-mime', 'a b'])).toBe('/battle/mr-mime/a%20b');
+    expect(getBattleUrl(['pikachu', 'eevee'])).toBe(`${window.location.origin}/battle/pikachu/eevee`);
+  });
+
+  it('links every other battle by its ID', () => {
+    expect(getBattlePath(['mew', 'mewtwo', 'eevee'])).toBe('/battle/mew_vs_mewtwo_vs_eevee');
+    expect(getBattlePath(['mew', 'mewtwo'], RANKED)).toBe('/battle/mew_vs_mewtwo~ranked');
+  });
+});
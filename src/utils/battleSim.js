@@ -0,0 +1,199 @@
+import { FIGHT_CONFIG } from './constants';
+import { getTypeEffectiveness } from './typeChart';
+import { createSeededRandom } from './seededRandom';
+import { formatName } from './pokedexEntry';
+
+// Fight! mode: a turn-based battle between two Pokémon, simulated from their
+// base stats, types and movesets with the main-series damage formula (type
+// effectiveness, STAB, accuracy, critical hits and the random damage roll).
+// Every roll comes from one seeded generator, so the same seed, Pokémon and
+// movesets always replay the same fight. Abilities, items, status moves and
+// move priority are left out.
+
+const POSITIONS = ['pokemon1', 'pokemon2'];
+
+/**
+ * Stats at a level (perfect IVs, no EVs, neutral nature)
+ * @param {Object} baseStats - { hp, attack, defense, specialAttack, specialDefense, speed }
+ * @param {number} level - Level (default FIGHT_CONFIG.LEVEL)
+ * @returns {Object} Stats with the same keys
+ */
+export function getBattleStats(baseStats, level = FIGHT_CONFIG.LEVEL) {
+  const scale = base => Math.floor((2 * base + 31) * level / 100);
+  const stats = {};
+  Object.entries(baseStats).forEach(([stat, base]) => {
+    stats[stat] = stat === 'hp' ? scale(base) + level + 10 : scale(base) + 5;
+  });
+  return stats;
+}
+
+/**
+ * Moves to use when a Pokémon's real moves aren't available
+ * @param {Array<string>} types - The Pokémon's types
+ * @returns {Array<Object>} One move per type, plus Tackle
+ */
+export function getFallbackMoves(types) {
+  const moves = types.map(type => FIGHT_CONFIG.FALLBACK_MOVES[type]).filter(Boolean);
+  return [...moves, FIGHT_CONFIG.TACKLE];
+}
+
+/**
+ * Pick a small moveset: the strongest damaging moves, preferring ones of different types
+ * @param {Array<Object>} moves - Candidate moves ({ name, type, power, accuracy, damageClass })
+ * @param {Array<string>} types - The Pokémon's types (for STAB)
+ * @param {number} size - Moveset size (default FIGHT_CONFIG.MOVESET_SIZE)
+ * @returns {Array<Object>} Moveset (the fallback moves when no candidate deals damage)
+ */
+export function chooseMoveset(moves, types, size = FIGHT_CONFIG.MOVESET_SIZE) {
+  const score = move => move.power * (move.accuracy ?? 100) / 100 * (types.includes(move.type) ? FIGHT_CONFIG.STAB : 1);
+  const damaging = moves
+    .filter((move, index) => move.power > 0 && move.damageClass !== 'status' &&
+      moves.findIndex(other => other.name === move.name) === index)
+    .sort((a, b) => score(b) - score(a) || a.name.localeCompare(b.name));
+
+  if (damaging.length === 0) return getFallbackMoves(types).slice(0, size);
+
+  const moveset = [];
+  damaging.forEach(move => {
+    if (moveset.length < size && !moveset.some(chosen => chosen.type === move.type)) moveset.push(move);
+  });
+  damaging.forEach(move => {
+    if (moveset.length < size && !moveset.includes(move)) moveset.push(move);
+  });
+  return moveset;
+}
+
+/**
+ * Work out one attack
+ * @param {Object} attacker - Fighter ({ types, stats })
+ * @param {Object} defender - Fighter ({ types, stats })
+ * @param {Object} move - Move ({ type, power, accuracy, damageClass })
+ * @param {Object} random - Seeded random generator
+ * @returns {Object} { hit, critical, effectiveness, stab, damage }
+ */
+export function calculateDamage(attacker, defender, move, random) {
+  // Moves without an accuracy (e.g. Swift) never miss
+  const hit = move.accuracy === null || move.accuracy === undefined || random.next() * 100 < move.accuracy;
+  const effectiveness = getTypeEffectiveness(move.type, defender.types);
+  const stab = attacker.types.includes(move.type);
+  if (!hit || effectiveness === 0) {
+    return { hit, critical: false, effectiveness, stab, damage: 0 };
+  }
+
+  const critical = random.chance(FIGHT_CONFIG.CRITICAL_CHANCE);
+  const [attack, defense] = move.damageClass === 'special'
+    ? [attacker.stats.specialAttack, defender.stats.specialDefense]
+    : [attacker.stats.attack, defender.stats.defense];
+
+  const levelFactor = Math.floor(2 * FIGHT_CONFIG.LEVEL / 5 + 2);
+  const base = Math.floor(Math.floor(levelFactor * move.power * attack / defense) / 50) + 2;
+  const modifier = (critical ? FIGHT_CONFIG.CRITICAL_MULTIPLIER : 1) *
+    (random.int(85, 100) / 100) *
+    (stab ? FIGHT_CONFIG.STAB : 1) *
+    effectiveness;
+
+  return { hit, critical, effectiveness, stab, damage: Math.max(1, Math.floor(base * modifier)) };
+}
+
+/**
+ * Average damage a move is expected to deal, for picking moves
+ */
+function expectedDamage(attacker, defender, move) {
+  const [attack, defense] = move.damageClass === 'special'
+    ? [attacker.stats.specialAttack, defender.stats.specialDefense]
+    : [attacker.stats.attack, defender.stats.defense];
+  return move.power * (move.accuracy ?? 100) / 100 * attack / defense *
+    (attacker.types.includes(move.type) ? FIGHT_CONFIG.STAB : 1) *
+    getTypeEffectiveness(move.type, defender.types);
+}
+
+/**
+ * Pick a move: usually the one expected to hurt most, sometimes any of them
+ */
+function chooseMove(attacker, defender, random) {
+  if (!random.chance(FIGHT_CONFIG.BEST_MOVE_CHANCE)) return random.pick(attacker.moves);
+  return attacker.moves.reduce((best, move) =>
+    (expectedDamage(attacker, defender, move) > expectedDamage(attacker, defender, best) ? move : best));
+}
+
+/**
+ * Simulate a fight
+ * @param {Object} options - Fight options
+ * @param {string} options.seed - Fight seed
+ * @param {string} options.battleId - Battle ID (part of the seed, so each matchup fights differently)
+ * @param {Object} options.fighters - { pokemon1, pokemon2 }, each { name, types, baseStats, moves }
+ * @returns {Object} { seed, winner ('pokemon1', 'pokemon2' or 'tie'), turns, maxHp, log }; each log entry is
+ *   { turn, attacker, defender, move, hit, critical, effectiveness, stab, damage, fainted, hp }
+ *   where hp is both Pokémon's HP after the attack
+ */
+export function simulateFight({ seed, battleId, fighters }) {
+  const random = createSeededRandom(`${seed}:${battleId}`);
+  const sides = {};
+  POSITIONS.forEach(position => {
+    const fighter = fighters[position];
+    sides[position] = { ...fighter, stats: getBattleStats(fighter.baseStats) };
+  });
+
+  const maxHp = { pokemon1: sides.pokemon1.stats.hp, pokemon2: sides.pokemon2.stats.hp };
+  const hp = { ...maxHp };
+  const log = [];
+  let turn = 0;
+
+  while (turn < FIGHT_CONFIG.MAX_TURNS && hp.pokemon1 > 0 && hp.pokemon2 > 0) {
+    turn += 1;
+
+    // Faster Pokémon attacks first; speed ties are a coin flip
+    const speed1 = sides.pokemon1.stats.speed;
+    const speed2 = sides.pokemon2.stats.speed;
+    const pokemon1First = speed1 === speed2 ? random.chance(0.5) : speed1 > speed2;
+    const order = pokemon1First ? POSITIONS : [...POSITIONS].reverse();
+
+    for (const attacker of order) {
+      const defender = attacker === 'pokemon1' ? 'pokemon2' : 'pokemon1';
+      const move = chooseMove(sides[attacker], sides[defender], random);
+      const outcome = calculateDamage(sides[attacker], sides[defender], move, random);
+
+      hp[defender] = Math.max(0, hp[defender] - outcome.damage);
+      log.push({
+        turn,
+        attacker,
+        defender,
+        move: { name: move.name, type: move.type },
+        ...outcome,
+        fainted: hp[defender] === 0,
+        hp: { ...hp }
+      });
+
+      if (hp[defender] === 0) break;
+    }
+  }
+
+  // Out of turns: whoever has more of their HP left wins
+  const share1 = hp.pokemon1 / maxHp.pokemon1;
+  const share2 = hp.pokemon2 / maxHp.pokemon2;
+  const winner = share1 === share2 ? 'tie' : share1 > share2 ? 'pokemon1' : 'pokemon2';
+
+  return { seed, winner, turns: turn, maxHp, log };
+}
+
+/**
+ * One line of the fight log
+ * @param {Object} entry - Log entry from simulateFight
+ * @param {Object} names - Display names ({ pokemon1, pokemon2 })
+ * @returns {string} e.g. "Pikachu used Thunderbolt! It's super effective! (-62 HP)"
+ */
+export function describeAttack(entry, names) {
+  const parts = [`${names[entry.attacker]} used ${formatName(entry.move.name)}!`];
+  if (!entry.hit) {
+    parts.push('It missed!');
+  } else if (entry.effectiveness === 0) {
+    parts.push(`It doesn't affect ${names[entry.defender]}...`);
+  } else {
+    if (entry.critical) parts.push('A critical hit!');
+    if (entry.effectiveness > 1) parts.push("It's super effective!");
+    if (entry.effectiveness < 1) parts.push("It's not very effective...");
+    parts.push(`(-${entry.damage} HP)`);
+  }
+  if (entry.fainted) parts.push(`${names[entry.defender]} fainted!`);
+  return parts.join(' ');
+}
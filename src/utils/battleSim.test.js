@@ -0,0 +1,106 @@
+import { FIGHT_CONFIG } from './constants';
+import { calculateDamage, chooseMoveset, describeAttack, getBattleStats, simulateFight } from './battleSim';
+import { createSeededRandom } from './seededRandom';
+
+const move = (name, type, power, damageClass = 'physical', accuracy = 100) => ({ name, type, power, accuracy, damageClass });
+
+const PIKACHU = {
+  name: 'pikachu',
+  types: ['electric'],
+  baseStats: { hp: 35, attack: 55, defense: 40, specialAttack: 50, specialDefense: 50, speed: 90 },
+  moves: [move('thunderbolt', 'electric', 90, 'special'), move('quick-attack', 'normal', 40)]
+};
+const SQUIRTLE = {
+  name: 'squirtle',
+  types: ['water'],
+  baseStats: { hp: 44, attack: 48, defense: 65, specialAttack: 50, specialDefense: 64, speed: 43 },
+  moves: [move('water-gun', 'water', 40, 'special'), move('tackle', 'normal', 40)]
+};
+const fighters = { pokemon1: PIKACHU, pokemon2: SQUIRTLE };
+
+describe('simulateFight', () => {
+  it('replays the same fight for the same seed and battle', () => {
+    const fight = simulateFight({ seed: 'replay', battleId: 'pikachu_vs_squirtle', fighters });
+    expect(simulateFight({ seed: 'replay', battleId: 'pikachu_vs_squirtle', fighters })).toEqual(fight);
+  });
+
+  it('fights differently with another seed', () => {
+    const logs = ['a', 'b', 'c', 'd'].map(seed => simulateFight({ seed, battleId: 'pikachu_vs_squirtle', fighters }).log);
+    expect(new Set(logs.map(log => JSON.stringify(log))).size).toBeGreaterThan(1);
+  });
+
+  it('fights until one Pokémon faints', () => {
+    const fight = simulateFight({ seed: 'to the end', battleId: 'pikachu_vs_squirtle', fighters });
+    const last = fight.log[fight.log.length - 1];
+
+    expect(last.fainted).toBe(true);
+    expect(fight.winner).toBe(last.attacker);
+    expect(last.hp[last.defender]).toBe(0);
+    expect(fight.log.filter(entry => entry.fainted)).toHaveLength(1);
+  });
+
+  it('lets the faster Pokémon attack first', () => {
+    const fight = simulateFight({ seed: 'speed', battleId: 'pikachu_vs_squirtle', fighters });
+    expect(fight.log.filter(entry => entry.turn === 1)[0].attacker).toBe('pokemon1');
+  });
+
+  it('gives the win to the bigger share of HP left when the turns run out', () => {
+    // Normal-type moves can't touch a Ghost type, and a Ghost-type move can't touch a Normal type
+    const ghost = { ...SQUIRTLE, name: 'gastly', types: ['ghost'], moves: [move('lick', 'ghost', 30)] };
+    const normal = { ...PIKACHU, name: 'eevee', types: ['normal'], moves: [move('tackle', 'normal', 40)] };
+    const fight = simulateFight({ seed: 'stalemate', battleId: 'eevee_vs_gastly', fighters: { pokemon1: normal, pokemon2: ghost } });
+
+    expect(fight.turns).toBe(FIGHT_CONFIG.MAX_TURNS);
+    expect(fight.winner).toBe('tie');
+  });
+});
+
+describe('damage', () => {
+  it('works out stats at level 50', () => {
+    expect(getBattleStats(PIKACHU.baseStats)).toMatchObject({ hp: 110, attack: 75, speed: 110 });
+  });
+
+  it('hits harder with a super-effective, same-type move', () => {
+    const attacker = { types: ['electric'], stats: getBattleStats(PIKACHU.baseStats) };
+    const defender = { types: ['water'], stats: getBattleStats(SQUIRTLE.baseStats) };
+    const thunderbolt = calculateDamage(attacker, defender, move('thunderbolt', 'electric', 90, 'special', null), createSeededRandom('hit'));
+    const swift = calculateDamage(attacker, defender, move('swift', 'normal', 90, 'special', null), createSeededRandom('hit'));
+
+    expect(thunderbolt).toMatchObject({ hit: true, effectiveness: 2, stab: true });
+    expect(thunderbolt.damage).toBeGreaterThan(swift.damage * 2);
+  });
+
+  it('does nothing to a Pokémon immune to the move', () => {
+    const attacker = { types: ['electric'], stats: getBattleStats(PIKACHU.baseStats) };
+    const defender = { types: ['ground'], stats: getBattleStats(SQUIRTLE.baseStats) };
+    expect(calculateDamage(attacker, defender, PIKACHU.moves[0], createSeededRandom('immune')))
+      .toMatchObject({ effectiveness: 0, damage: 0 });
+  });
+});
+
+describe('chooseMoveset', () => {
+  it('picks the strongest damaging moves, one per type first', () => {
+    const moves = [
+      move('growl', 'normal', 0, 'status'),
+      move('hyper-beam', 'normal', 150),
+      move('body-slam', 'normal', 85),
+      move('ember', 'fire', 40, 'special'),
+      move('hyper-beam', 'normal', 150)
+    ];
+    expect(chooseMoveset(moves, ['fire'], 2).map(chosen => chosen.name)).toEqual(['hyper-beam', 'ember']);
+    expect(chooseMoveset(moves, ['fire'], 3).map(chosen => chosen.name)).toEqual(['hyper-beam', 'ember', 'body-slam']);
+  });
+
+  it('falls back to moves of the Pokémon\'s types', () => {
+    expect(chooseMoveset([move('growl', 'normal', 0, 'status')], ['fire'])).toEqual([FIGHT_CONFIG.FALLBACK_MOVES.fire, FIGHT_CONFIG.TACKLE]);
+  });
+});
+
+it('describes an attack for the fight log', () => {
+  const entry = {
+    attacker: 'pokemon1', defender: 'pokemon2', move: { name: 'thunderbolt', type: 'electric' },
+    hit: true, critical: true, effectiveness: 2, damage: 62, fainted: true
+  };
+  expect(describeAttack(entry, { pokemon1: 'Pikachu', pokemon2: 'Squirtle' }))
+    .toBe("Pikachu used Thunderbolt! A critical hit! It's super effective! (-62 HP) Squirtle fainted!");
+});
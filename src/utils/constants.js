@@ -1,38 +1,444 @@
 // Action types for useReducer
 export const ACTIONS = {
+  START_BATTLE: 'START_BATTLE',
   SET_POKEMON: 'SET_POKEMON',
-  SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR',
   SET_VOTES: 'SET_VOTES',
   SET_USER_VOTED: 'SET_USER_VOTED',
   SET_CONNECTION_STATUS: 'SET_CONNECTION_STATUS',
-  RESET_BATTLE: 'RESET_BATTLE',
-  // NEW: Added for enhanced voting features
+  SET_QUEUED_VOTES: 'SET_QUEUED_VOTES',
+  SET_VOTE_ERROR: 'SET_VOTE_ERROR',
+  SET_ROUND: 'SET_ROUND',
+  // Battle phase changes (see src/context/battlePhases.js)
+  TICK: 'TICK',
   LOCK_VOTING: 'LOCK_VOTING',
-  UNLOCK_VOTING: 'UNLOCK_VOTING',
-  SET_BANNER_DISMISSED: 'SET_BANNER_DISMISSED',
-  SET_BATTLE_ID: 'SET_BATTLE_ID'
+  SHOW_RESULTS: 'SHOW_RESULTS',
+  DISMISS_RESULTS: 'DISMISS_RESULTS',
+  REOPEN_VOTING: 'REOPEN_VOTING',
+  // Host console (see src/utils/hostControl.js)
+  SET_HOST: 'SET_HOST',
+  SET_HOST_ERROR: 'SET_HOST_ERROR',
+  VOID_ROUND: 'VOID_ROUND',
+  // Prediction mode (see src/utils/predictions.js)
+  SET_PREDICTION_MODE: 'SET_PREDICTION_MODE',
+  SET_PREDICTION: 'SET_PREDICTION'
+};
+
+// Battle phases, in order: a battle loads, waits for the user's prediction
+// (prediction mode only), opens for votes, counts down, locks its tally,
+// shows the winner, then waits for the next battle
+export const BATTLE_PHASES = {
+  LOADING: 'loading',
+  PREDICT: 'predict',
+  OPEN: 'open',
+  CLOSING: 'closing',
+  CLOSED: 'closed',
+  RESULTS: 'results',
+  NEXT: 'next'
 };
 
 // Initial state for the battle reducer
 export const initialState = {
-  pokemon1: null,
-  pokemon2: null,
-  loading: true,
+  phase: BATTLE_PHASES.LOADING,
+  battleId: null,
+  // When the battle (or its rematch) opened (ISO string, for the history log)
+  startedAt: null,
+  // The locked round, the same in every tab (see getRoundId in src/utils/roundRules.js),
+  // so it is rated and logged once
+  roundId: null,
+  // The battle's Pokémon, in position order (pokemon1, pokemon2, ...)
+  contestants: [],
+  // How the winner is decided (one of VOTING_METHODS)
+  votingMethod: 'plurality',
   error: null,
-  votes: { pokemon1: 0, pokemon2: 0 },
+  // Votes per position; in ranked-choice battles these are first choices
+  votes: {},
+  // Final count once voting locks: { method, winners, rounds } (see src/utils/voting.js)
+  result: null,
+  // The round locked without its count (a ranked-choice round the backend didn't count):
+  // the result banner says so instead of naming a winner
+  resultUnavailable: false,
+  // Team battles: the two sides, [{ id, name, positions }] (see src/utils/teams.js); null otherwise
+  lineups: null,
+  // Every tally of the running round, oldest first: [{ time, votes }] (time is a local timestamp)
+  snapshots: [],
   userVoted: null,
   connectionStatus: 'disconnected',
+  reconnectAttempt: 0,
+  queuedVotes: 0,
   totalVotes: 0,
-  // NEW: Added for enhanced voting features
-  votingLocked: false,
-  bannerDismissed: false,
-  battleId: null
+  // Last rejected vote: { battleId, code, message }
+  voteError: null,
+  // Running round: { rules, closesAt } (closesAt is a local timestamp, or null without a time limit)
+  round: null,
+  // Whole seconds until round.closesAt (null without a time limit)
+  secondsLeft: null,
+  // What the host has set up for everyone: { queue, live, featured, announcement, version }
+  // (see src/utils/hostControl.js)
+  host: { queue: [], live: null, featured: null, announcement: null, version: 0 },
+  // Last rejected host command: { code, message }
+  hostError: null,
+  // When the host last voided this battle's round (local timestamp)
+  voidedAt: null,
+  // Prediction mode: rounds start in the predict phase, before the user sees any votes
+  predictionMode: false,
+  // The user's call for the running round, { pick, favorites }
+  // (pick is a side id, or null when they skipped it; see src/utils/predictions.js)
+  prediction: null
+};
+
+// Battle sizes: two Pokémon, or a royale of up to eight
+export const BATTLE_CONFIG = {
+  MIN_CONTESTANTS: 2,
+  MAX_CONTESTANTS: 8
+};
+
+// How a battle's winner is decided (see src/utils/voting.js)
+export const VOTING_METHODS = {
+  PLURALITY: 'plurality', // Most votes wins
+  RANKED: 'ranked', // Voters rank the Pokémon; instant-runoff count
+  TEAM: 'team' // Two teams face off slot by slot; the team winning more slots wins
+};
+
+// Team battles: two lineups of three, pokemon1-3 against pokemon4-6 (slot 1 is
+// pokemon1 vs pokemon4, and so on). Themes are ready-made matchups for the create dialog.
+export const TEAM_CONFIG = {
+  SIZE: 3,
+  THEMES: [
+    {
+      name: 'Kanto starters vs legendary birds',
+      teams: [
+        { name: 'Kanto Starters', pokemon: ['bulbasaur', 'charmander', 'squirtle'] },
+        { name: 'Legendary Birds', pokemon: ['articuno', 'zapdos', 'moltres'] }
+      ]
+    },
+    {
+      name: 'Johto starters vs legendary beasts',
+      teams: [
+        { name: 'Johto Starters', pokemon: ['chikorita', 'cyndaquil', 'totodile'] },
+        { name: 'Legendary Beasts', pokemon: ['raikou', 'entei', 'suicune'] }
+      ]
+    },
+    {
+      name: 'Hoenn starters vs the weather trio',
+      teams: [
+        { name: 'Hoenn Starters', pokemon: ['treecko', 'torchic', 'mudkip'] },
+        { name: 'Weather Trio', pokemon: ['kyogre', 'groudon', 'rayquaza'] }
+      ]
+    },
+    {
+      name: 'Sinnoh starters vs the lake guardians',
+      teams: [
+        { name: 'Sinnoh Starters', pokemon: ['turtwig', 'chimchar', 'piplup'] },
+        { name: 'Lake Guardians', pokemon: ['uxie', 'mesprit', 'azelf'] }
+      ]
+    },
+    {
+      name: 'Classic Eeveelutions vs newer Eeveelutions',
+      teams: [
+        { name: 'Classic Eeveelutions', pokemon: ['vaporeon', 'jolteon', 'flareon'] },
+        { name: 'Newer Eeveelutions', pokemon: ['espeon', 'umbreon', 'sylveon'] }
+      ]
+    }
+  ]
 };
 
 // API endpoints and configuration
 export const API_CONFIG = {
   POKEMON_BASE_URL: 'https://pokeapi.co/api/v2/pokemon/',
-  MAX_POKEMON_ID: 150, // Original 150 Pokémon
+  MOVE_BASE_URL: 'https://pokeapi.co/api/v2/move/',
+  SPRITE_BASE_URL: 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/',
   REQUEST_TIMEOUT: 10000 // 10 seconds
-};
\ No newline at end of file
+};
+
+// Available vote transports (see src/services/transports)
+export const TRANSPORT_TYPES = {
+  SIMULATOR: 'simulator',
+  WEBSOCKET: 'websocket',
+  SSE: 'sse',
+  BROADCAST_CHANNEL: 'broadcast-channel'
+};
+
+// Vote transport configuration
+// Without a transport type or server URL the app falls back to the in-browser vote simulator
+export const VOTE_TRANSPORT_CONFIG = {
+  TYPE: process.env.REACT_APP_VOTE_TRANSPORT ||
+    (process.env.REACT_APP_VOTE_SERVER_URL ? TRANSPORT_TYPES.WEBSOCKET : TRANSPORT_TYPES.SIMULATOR),
+  URL: process.env.REACT_APP_VOTE_SERVER_URL || null,
+  CHANNEL_NAME: 'pokemon-battle-votes'
+};
+
+// Simulated crowd for the in-browser vote simulator (see src/utils/crowd.js)
+export const CROWD_CONFIG = {
+  // Same seed, same vote stream: set ?seed=... in the URL or REACT_APP_SIMULATOR_SEED
+  SEED: new URLSearchParams(window.location.search).get('seed') || process.env.REACT_APP_SIMULATOR_SEED || null,
+  TICK: 500, // Milliseconds between crowd updates
+  TEAM_VOTE_SHARE: 0.4, // In team battles, voters who back a whole team instead of picking slot by slot
+  // Voters per second for each persona
+  ARRIVAL_RATES: {
+    starterFans: 2,
+    typeLoyalists: 6,
+    underdogBackers: 1.5,
+    popularityVoters: 7
+  },
+  // Popularity boost for fan favourites, by family (National Dex number of the unevolved Pokémon)
+  FAN_FAVORITES: {
+    4: 1.8, // Charmander line
+    172: 1.8, // Pichu line (Pikachu)
+    133: 1.6, // Eevee
+    92: 1.5, // Gastly line (Gengar)
+    447: 1.5, // Riolu line (Lucario)
+    656: 1.4, // Froakie line (Greninja)
+    150: 1.4, // Mewtwo
+    143: 1.3, // Snorlax
+    7: 1.3, // Squirtle line
+    1: 1.3 // Bulbasaur line
+  },
+  // Starter families by generation, plus the Let's Go partners
+  STARTER_FAMILIES: [
+    1, 4, 7, 152, 155, 158, 252, 255, 258, 387, 390, 393, 495, 498, 501,
+    650, 653, 656, 722, 725, 728, 810, 813, 816, 906, 909, 912, 172, 133
+  ]
+};
+
+// Fight! mode: a simulated battle between the two Pokémon (see src/utils/battleSim.js)
+export const FIGHT_CONFIG = {
+  // Same seed, same fight: set ?fightSeed=... in the URL to replay one
+  SEED: new URLSearchParams(window.location.search).get('fightSeed') || null,
+  LEVEL: 50, // Both Pokémon fight at level 50 (perfect IVs, no EVs, neutral nature)
+  MOVESET_SIZE: 4,
+  MOVE_CANDIDATES: 10, // Latest level-up moves looked up on PokeAPI to build the moveset
+  MAX_TURNS: 50, // Then the Pokémon with more HP left (as a share of its max HP) wins
+  STAB: 1.5, // Same-type attack bonus
+  CRITICAL_CHANCE: 1 / 24,
+  CRITICAL_MULTIPLIER: 1.5,
+  BEST_MOVE_CHANCE: 0.75, // Otherwise the Pokémon picks a random move from its moveset
+  TURN_DELAY: 900, // Milliseconds between log entries during playback
+  // Used when PokeAPI can't be reached (or offline): one move per type plus Tackle
+  FALLBACK_MOVES: {
+    normal: { name: 'body-slam', type: 'normal', power: 85, accuracy: 100, damageClass: 'physical' },
+    fire: { name: 'flamethrower', type: 'fire', power: 90, accuracy: 100, damageClass: 'special' },
+    water: { name: 'surf', type: 'water', power: 90, accuracy: 100, damageClass: 'special' },
+    electric: { name: 'thunderbolt', type: 'electric', power: 90, accuracy: 100, damageClass: 'special' },
+    grass: { name: 'energy-ball', type: 'grass', power: 90, accuracy: 100, damageClass: 'special' },
+    ice: { name: 'ice-beam', type: 'ice', power: 90, accuracy: 100, damageClass: 'special' },
+    fighting: { name: 'brick-break', type: 'fighting', power: 75, accuracy: 100, damageClass: 'physical' },
+    poison: { name: 'sludge-bomb', type: 'poison', power: 90, accuracy: 100, damageClass: 'special' },
+    ground: { name: 'earthquake', type: 'ground', power: 100, accuracy: 100, damageClass: 'physical' },
+    flying: { name: 'air-slash', type: 'flying', power: 75, accuracy: 95, damageClass: 'special' },
+    psychic: { name: 'psychic', type: 'psychic', power: 90, accuracy: 100, damageClass: 'special' },
+    bug: { name: 'x-scissor', type: 'bug', power: 80, accuracy: 100, damageClass: 'physical' },
+    rock: { name: 'rock-slide', type: 'rock', power: 75, accuracy: 90, damageClass: 'physical' },
+    ghost: { name: 'shadow-ball', type: 'ghost', power: 80, accuracy: 100, damageClass: 'special' },
+    dragon: { name: 'dragon-claw', type: 'dragon', power: 80, accuracy: 100, damageClass: 'physical' },
+    dark: { name: 'crunch', type: 'dark', power: 80, accuracy: 100, damageClass: 'physical' },
+    steel: { name: 'iron-head', type: 'steel', power: 80, accuracy: 100, damageClass: 'physical' },
+    fairy: { name: 'moonblast', type: 'fairy', power: 95, accuracy: 100, damageClass: 'special' }
+  },
+  TACKLE: { name: 'tackle', type: 'normal', power: 40, accuracy: 100, damageClass: 'physical' }
+};
+
+const envNumber = (value) => (value ? Number(value) : null);
+
+// When a voting round closes (see src/utils/roundRules.js). The in-browser
+// transports use these rules; the vote server has its own VOTE_* settings.
+export const ROUND_CONFIG = {
+  DEFAULT_RULES: {
+    duration: envNumber(process.env.REACT_APP_ROUND_DURATION) ?? 20000, // Milliseconds from battle open, 0 = no limit
+    closeAfterVotes: envNumber(process.env.REACT_APP_ROUND_CLOSE_AFTER_VOTES), // Quorum
+    minimumLead: envNumber(process.env.REACT_APP_ROUND_MIN_LEAD), // Votes ahead to win early
+    manualClose: process.env.REACT_APP_ROUND_MANUAL_CLOSE === 'true' // Show hosts a CLOSE VOTING button
+  },
+  FALLBACK_DURATION: 20000, // Used when every trigger is turned off
+  COUNTDOWN_FROM: 5, // Show the "votes close in" banner for the last 5 seconds
+  RESULT_DELAY: 300 // Winner banner appears 0.3 seconds after voting locks
+};
+
+// Per-battle record of this browser's votes, shared between tabs
+export const VOTE_LEDGER_CONFIG = {
+  STORAGE_KEY: 'pokemon_vote_ledger',
+  CHANNEL_NAME: 'pokemon-vote-ledger',
+  TTL: 15 * 60 * 1000 // Forget votes after 15 minutes even if the round never finished
+};
+
+// Anonymous voter id, sent with every vote so each browser counts once per battle
+export const VOTER_CONFIG = {
+  STORAGE_KEY: 'pokemon_voter_id',
+  // Development builds only: open a tab with ?voter=<name> to vote as a test voter of
+  // that name (kept for the tab in sessionStorage), to try several voters in one browser
+  DEV_OVERRIDE_ENABLED: process.env.NODE_ENV === 'development',
+  DEV_OVERRIDE_PARAM: 'voter',
+  DEV_OVERRIDE_STORAGE_KEY: 'pokemon_dev_voter'
+};
+
+// Pokémon data cache
+export const CACHE_CONFIG = {
+  STORAGE_KEY: 'pokemon_cache',
+  VERSION: 2, // Bump when pokemonAPI's record shape changes
+  TTL: 24 * 60 * 60 * 1000, // Fresh for a day
+  STALE_WHILE_REVALIDATE: 7 * 24 * 60 * 60 * 1000, // Then served stale (and refreshed) for a week
+  MAX_ENTRIES: 300
+};
+
+// Bundled offline Pokédex (src/data/pokedex.json, regenerate with `npm run generate:pokedex`)
+// It answers lookups when PokeAPI can't be reached, or always in offline mode
+export const OFFLINE_CONFIG = {
+  ALWAYS: process.env.REACT_APP_OFFLINE_MODE === 'true', // Force offline mode for the whole build
+  STORAGE_KEY: 'pokemon_offline_mode'
+};
+
+// Pokédex detail drawer
+export const POKEDEX_CONFIG = {
+  // Base stats in the games' order, with their short labels
+  STATS: [
+    { key: 'hp', label: 'HP' },
+    { key: 'attack', label: 'ATK' },
+    { key: 'defense', label: 'DEF' },
+    { key: 'specialAttack', label: 'SP.ATK' },
+    { key: 'specialDefense', label: 'SP.DEF' },
+    { key: 'speed', label: 'SPD' }
+  ],
+  MAX_BASE_STAT: 255 // Highest single base stat (Blissey's HP), for scaling the bars
+};
+
+// Pokémon generations and their home regions
+export const GENERATIONS = [
+  { id: 1, region: 'Kanto' },
+  { id: 2, region: 'Johto' },
+  { id: 3, region: 'Hoenn' },
+  { id: 4, region: 'Sinnoh' },
+  { id: 5, region: 'Unova' },
+  { id: 6, region: 'Kalos' },
+  { id: 7, region: 'Alola' },
+  { id: 8, region: 'Galar' },
+  { id: 9, region: 'Paldea' }
+];
+
+// Random matchup filters (see src/utils/matchups.js)
+export const MATCHUP_CONFIG = {
+  STORAGE_KEY: 'pokemon_matchup_settings',
+  STAGES: [1, 2, 3],
+  DEFAULT_SETTINGS: {
+    generations: [1], // Empty means every generation
+    types: [], // Empty means every type
+    legendary: 'any', // 'any' | 'exclude' | 'only' (legendary or mythical) | 'legendary' | 'mythical'
+    stages: [], // Evolution stages; empty means every stage
+    pairing: 'any' // 'any' | 'same-type' | 'rivalry'
+  }
+};
+
+// Tournament mode settings
+export const TOURNAMENT_CONFIG = {
+  SIZES: [8, 16, 32],
+  STORAGE_KEY: 'pokemon_tournament',
+  NEXT_MATCH_DELAY: 4000 // Keep the finished match on screen for 4 seconds
+};
+
+// Elo rating settings for the leaderboard
+export const RATING_CONFIG = {
+  STORAGE_KEY: 'pokemon_ratings',
+  INITIAL_RATING: 1500,
+  K_FACTOR: 32,
+  HISTORY_LENGTH: 20, // Ratings kept per Pokémon for the trend
+  TREND_BATTLES: 5, // Trend = rating change over the last 5 battles
+  // Rated rounds are remembered this long, so the same round locking in another tab
+  // (or shown again when someone rejoins it) isn't rated twice
+  ROUND_MEMORY: 24 * 60 * 60 * 1000
+};
+
+// Prediction mode scoring (see src/utils/predictions.js)
+export const PREDICTION_CONFIG = {
+  POINTS: {
+    CORRECT: 10,
+    UPSET: 10, // Extra for calling a winner that wasn't the favourite
+    STREAK: 5, // Extra for each correct call in a row after the first...
+    MAX_STREAK_BONUS: 25 // ...up to this much
+  },
+  RECENT: 20, // Predictions listed on the scoreboard
+  ROUND_MEMORY: 24 * 60 * 60 * 1000, // Scored rounds are remembered a day, so one locking in several tabs scores once
+  STORAGE_KEY: 'pokemon_predictions',
+  MODE_STORAGE_KEY: 'pokemon_prediction_mode'
+};
+
+// Vote momentum timeline (see src/utils/momentum.js)
+export const MOMENTUM_CONFIG = {
+  MAX_SNAPSHOTS: 300 // Longer rounds keep every other snapshot, so stored timelines stay small
+};
+
+// Battle history (IndexedDB)
+export const HISTORY_CONFIG = {
+  DB_NAME: 'pokemon-battle-royale',
+  DB_VERSION: 1,
+  STORE_NAME: 'battleHistory',
+  PAGE_SIZE: 25
+};
+
+// Reconnection backoff for server-backed transports
+export const RECONNECT_CONFIG = {
+  BASE_DELAY: 1000, // First retry after ~1 second
+  MAX_DELAY: 30000 // Never wait more than 30 seconds between attempts
+};
+
+// Vote server message types (see server/README.md for the full protocol)
+export const VOTE_MESSAGES = {
+  // Client → server
+  JOIN: 'join',
+  VOTE: 'vote',
+  RESET: 'reset',
+  // Server → client
+  ROUND_OPENED: 'round_opened',
+  VOTE_TALLY: 'vote_tally',
+  VOTING_LOCKED: 'voting_locked',
+  BATTLE_RESET: 'battle_reset',
+  ROUND_VOIDED: 'round_voided',
+  HOST_STATE: 'host_state',
+  ERROR: 'error',
+  // Host console → server (see HOST_COMMANDS)
+  HOST: 'host'
+};
+
+// What a host message asks for (its `command`, see src/utils/hostControl.js)
+export const HOST_COMMANDS = {
+  QUEUE: 'queue', // Replace the queue of upcoming matchups
+  OPEN: 'open', // Make a battle the live one and open its voting
+  CLOSE: 'close', // Close a battle's round now
+  EXTEND: 'extend', // Give a timed round more time
+  VOID: 'void', // Throw out a running round's votes and start it over
+  FEATURE: 'feature', // Pin a featured battle (or unpin it)
+  ANNOUNCE: 'announce' // Show a banner to everyone (or take it down)
+};
+
+// Host console limits (server/host.js keeps its own copy of the MAX_ ones)
+export const HOST_CONFIG = {
+  MAX_QUEUE: 20,
+  MAX_ANNOUNCEMENT_LENGTH: 200,
+  EXTEND_OPTIONS: [15000, 30000, 60000], // Milliseconds the console offers to add to a round
+  MAX_EXTENSION: 5 * 60 * 1000,
+  // Key the in-browser transports (simulator, broadcast-channel) check host commands
+  // against; without it they take none. It ships with the app, so it only keeps
+  // visitors who don't know it off the console (the vote server keeps its own, VOTE_HOST_KEY)
+  KEY: process.env.REACT_APP_HOST_KEY || null,
+  // The host key typed into the console
+  KEY_STORAGE_KEY: 'pokemon_host_key'
+};
+
+// Why a vote was rejected (the `code` of error messages)
+export const VOTE_ERROR_CODES = {
+  INVALID_MESSAGE: 'invalid_message',
+  INVALID_VOTE: 'invalid_vote',
+  BATTLE_LOCKED: 'battle_locked',
+  DUPLICATE_VOTE: 'duplicate_vote',
+  REMATCH_TOO_SOON: 'rematch_too_soon',
+  INVALID_HOST_COMMAND: 'invalid_host_command',
+  HOST_NOT_ALLOWED: 'host_not_allowed',
+  SERVER_FULL: 'server_full'
+};
+
+// Battle of the Day and timed battles (see src/utils/schedule.js)
+export const SCHEDULE_CONFIG = {
+  // Schedule file listing the timed battles: served with the app unless REACT_APP_SCHEDULE_URL points elsewhere
+  URL: process.env.REACT_APP_SCHEDULE_URL || `${process.env.PUBLIC_URL}/schedule.json`,
+  REFRESH_INTERVAL: 5 * 60 * 1000, // Milliseconds between schedule file reloads
+  MAX_ARCHIVE: 100, // Past featured battles kept with their results
+  ARCHIVE_STORAGE_KEY: 'pokemon_featured_archive'
+};
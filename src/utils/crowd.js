@@ -0,0 +1,166 @@
+import { CROWD_CONFIG, VOTING_METHODS } from './constants';
+import { TYPES } from './typeChart';
+import { createSeededRandom } from './seededRandom';
+import { getPositions } from './voting';
+
+// Simulated crowd: voters arrive at each persona's own rate and pick a side
+// by the persona's taste. Everything is drawn from one seeded generator, so
+// the same seed and battle replay exactly the same vote stream.
+//
+// Contestants are species index records (or null for Pokémon the index
+// doesn't know, e.g. alternate forms); personas return the index of the
+// contestant they vote for, or -1 to sit this battle out. In ranked-choice
+// battles each voter then ranks the rest by popularity, and in team battles
+// picks a winner in every other slot (or backs their pick's whole team).
+
+/**
+ * How much the average voter likes a Pokémon: stronger, fully evolved,
+ * legendary and fan-favourite Pokémon draw more votes
+ */
+function getPopularity(contestant) {
+  if (!contestant) return 1;
+  const statScore = (contestant.baseStatTotal || 400) / 400;
+  const favorite = CROWD_CONFIG.FAN_FAVORITES[contestant.familyId] || 1;
+  const rarity = contestant.legendary || contestant.mythical ? 1.3 : 1;
+  return statScore * statScore * favorite * rarity;
+}
+
+/**
+ * Pick among the contestants that match, or -1 when none does
+ */
+function pickMatching(contestants, matches, random) {
+  const indexes = contestants
+    .map((contestant, index) => (contestant && matches(contestant) ? index : -1))
+    .filter(index => index !== -1);
+  return indexes.length > 0 ? random.pick(indexes) : -1;
+}
+
+export const CROWD_PERSONAS = {
+  // Back the starter (or partner) Pokémon; mostly stay home when there is none
+  starterFans: (contestants, tally, random) => {
+    const index = pickMatching(contestants, c => CROWD_CONFIG.STARTER_FAMILIES.includes(c.familyId), random);
+    if (index === -1) return -1;
+    // Some fans are swayed by the other side anyway
+    return random.chance(0.85) ? index : random.int(0, contestants.length - 1);
+  },
+
+  // Each voter has a favourite type and only votes for Pokémon of that type
+  typeLoyalists: (contestants, tally, random) => {
+    const favoriteType = random.pick(TYPES);
+    return pickMatching(contestants, c => c.types.includes(favoriteType), random);
+  },
+
+  // Vote for whoever the crowd has left behind
+  underdogBackers: (contestants, tally, random) => {
+    const lowest = Math.min(...tally);
+    const trailing = tally
+      .map((votes, index) => (votes === lowest ? index : -1))
+      .filter(index => index !== -1);
+    return random.pick(trailing);
+  },
+
+  // Vote in proportion to popularity
+  popularityVoters: (contestants, tally, random) => pickByPopularity(contestants, random)
+};
+
+/**
+ * Pick a contestant in proportion to popularity
+ * @param {Array<Object|null>} contestants - Species records
+ * @param {Object} random - Seeded random generator
+ * @param {Array<number>} indexes - Contestants to choose from (default all)
+ * @returns {number} Index of the picked contestant
+ */
+function pickByPopularity(contestants, random, indexes = contestants.map((_, index) => index)) {
+  const weights = indexes.map(index => getPopularity(contestants[index]));
+  let roll = random.next() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let i = 0; i < weights.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return indexes[i];
+  }
+  return indexes[indexes.length - 1];
+}
+
+/**
+ * A ranked ballot: the voter's pick first, then the others drawn by popularity
+ * @returns {Array<number>} Contestant indexes, favourite first
+ */
+function rankFrom(first, contestants, random) {
+  const ranking = [first];
+  let rest = contestants.map((_, index) => index).filter(index => index !== first);
+  while (rest.length > 0) {
+    const next = pickByPopularity(contestants, random, rest);
+    ranking.push(next);
+    rest = rest.filter(index => index !== next);
+  }
+  return ranking;
+}
+
+/**
+ * Team-battle picks: the voter's pick first, then one Pokémon in every other
+ * slot, drawn by popularity; some voters back their pick's whole team instead
+ * @returns {Array<number>} Contestant indexes, one per slot
+ */
+function pickSlots(first, contestants, random) {
+  const size = contestants.length / 2;
+  const otherSlots = Array.from({ length: size }, (_, slot) => slot).filter(slot => slot !== first % size);
+  if (random.chance(CROWD_CONFIG.TEAM_VOTE_SHARE)) {
+    const teamStart = first - (first % size);
+    return [first, ...otherSlots.map(slot => teamStart + slot)];
+  }
+  return [first, ...otherSlots.map(slot => pickByPopularity(contestants, random, [slot, slot + size]))];
+}
+
+/**
+ * A voter's ballot, built around the contestant they voted for
+ * @returns {Array<number>} Contestant indexes, favourite first
+ */
+function buildBallot(method, first, contestants, random) {
+  if (method === VOTING_METHODS.RANKED) return rankFrom(first, contestants, random);
+  if (method === VOTING_METHODS.TEAM) return pickSlots(first, contestants, random);
+  return [first];
+}
+
+/**
+ * Create a seeded crowd for one battle
+ * @param {Object} options - Crowd options
+ * @param {string} options.seed - Simulation seed
+ * @param {string} options.battleId - Battle ID (part of the seed, so each battle gets its own stream)
+ * @param {Array<Object|null>} options.contestants - Species records, in position order
+ * @param {string} options.method - Voting method (one of VOTING_METHODS): ranked-choice voters
+ *   rank every contestant, team voters pick in every slot
+ * @param {Object} options.rates - Voters per second for each persona (default CROWD_CONFIG.ARRIVAL_RATES)
+ * @param {number} options.tick - Milliseconds per step (default CROWD_CONFIG.TICK)
+ * @returns {Object} { step() → votes cast during one tick, e.g. [{ persona, pokemon, ballot }] },
+ *   where ballot is the voter's ranking or picks (just [pokemon] in plurality battles)
+ */
+export function createCrowd({
+  seed,
+  battleId,
+  contestants,
+  method = VOTING_METHODS.PLURALITY,
+  rates = CROWD_CONFIG.ARRIVAL_RATES,
+  tick = CROWD_CONFIG.TICK
+}) {
+  const random = createSeededRandom(`${seed}:${battleId}`);
+  const positions = getPositions(contestants.length);
+  // The crowd's own tally, so the stream doesn't depend on when the user votes
+  const tally = contestants.map(() => 0);
+
+  return {
+    step() {
+      const votes = [];
+      // Fixed persona order keeps the random sequence stable
+      Object.entries(rates).forEach(([persona, rate]) => {
+        const arrivals = random.poisson(rate * tick / 1000);
+        for (let i = 0; i < arrivals; i++) {
+          const index = CROWD_PERSONAS[persona](contestants, tally, random);
+          if (index === -1) continue;
+          tally[index] += 1;
+          const ballot = buildBallot(method, index, contestants, random);
+          votes.push({ persona, pokemon: positions[index], ballot: ballot.map(choice => positions[choice]) });
+        }
+      });
+      return votes;
+    }
+  };
+}
@@ -0,0 +1,87 @@
+import { VOTING_METHODS } from './constants';
+import { CROWD_PERSONAS, createCrowd } from './crowd';
+import { createSeededRandom } from './seededRandom';
+import { getBallot, getPositions } from './voting';
+
+// Species index records, as the simulator looks them up
+const CHARIZARD = { id: 6, name: 'charizard', types: ['fire', 'flying'], baseStatTotal: 534, familyId: 4 };
+const BLASTOISE = { id: 9, name: 'blastoise', types: ['water'], baseStatTotal: 530, familyId: 7 };
+const PIKACHU = { id: 25, name: 'pikachu', types: ['electric'], baseStatTotal: 320, familyId: 172 };
+const SNORLAX = { id: 143, name: 'snorlax', types: ['normal'], baseStatTotal: 540, familyId: 143 };
+const MEWTWO = { id: 150, name: 'mewtwo', types: ['psychic'], baseStatTotal: 680, familyId: 150, legendary: true };
+const GENGAR = { id: 94, name: 'gengar', types: ['ghost', 'poison'], baseStatTotal: 500, familyId: 92 };
+
+// Votes cast over a number of crowd ticks
+const run = (crowd, ticks) => Array.from({ length: ticks }, () => crowd.step());
+
+describe('createCrowd', () => {
+  const options = { seed: 'replay', battleId: 'charizard_vs_blastoise', contestants: [CHARIZARD, BLASTOISE] };
+
+  it('replays the same vote stream for the same seed and battle', () => {
+    const stream = run(createCrowd(options), 40);
+    expect(run(createCrowd(options), 40)).toEqual(stream);
+    expect(stream.flat().length).toBeGreaterThan(0);
+  });
+
+  it('casts a different stream for another seed or battle', () => {
+    const stream = run(createCrowd(options), 40);
+    expect(run(createCrowd({ ...options, seed: 'other' }), 40)).not.toEqual(stream);
+    expect(run(createCrowd({ ...options, battleId: 'blastoise_vs_charizard' }), 40)).not.toEqual(stream);
+  });
+
+  it('casts ballots that rank every contestant in ranked-choice battles', () => {
+    const contestants = [CHARIZARD, BLASTOISE, PIKACHU, MEWTWO];
+    const positions = getPositions(contestants.length);
+    const votes = run(createCrowd({ ...options, contestants, method: VOTING_METHODS.RANKED }), 20).flat();
+
+    expect(votes.length).toBeGreaterThan(0);
+    votes.forEach(vote => {
+      expect(vote.ballot).toHaveLength(contestants.length);
+      expect(getBallot(VOTING_METHODS.RANKED, { pokemon: vote.pokemon, ranking: vote.ballot }, positions)).toEqual(vote.ballot);
+    });
+  });
+
+  it('casts a pick in every slot in team battles', () => {
+    const contestants = [CHARIZARD, BLASTOISE, PIKACHU, SNORLAX, MEWTWO, GENGAR];
+    const positions = getPositions(contestants.length);
+    const votes = run(createCrowd({ ...options, contestants, method: VOTING_METHODS.TEAM }), 20).flat();
+
+    expect(votes.length).toBeGreaterThan(0);
+    votes.forEach(vote => {
+      expect(vote.ballot).toHaveLength(3);
+      expect(getBallot(VOTING_METHODS.TEAM, { pokemon: vote.pokemon, picks: vote.ballot }, positions)).toEqual(vote.ballot);
+    });
+  });
+});
+
+describe('crowd personas', () => {
+  const random = createSeededRandom('personas');
+
+  it('type loyalists sit out battles without their type', () => {
+    const picks = Array.from({ length: 50 }, () => CROWD_PERSONAS.typeLoyalists([PIKACHU, SNORLAX], [0, 0], random));
+    expect(picks).toContain(-1);
+    expect(picks.every(pick => pick >= -1 && pick <= 1)).toBe(true);
+  });
+
+  it('underdog backers vote for whoever is behind', () => {
+    const picks = Array.from({ length: 20 }, () => CROWD_PERSONAS.underdogBackers([CHARIZARD, BLASTOISE, PIKACHU], [5, 2, 2], random));
+    expect(picks.every(pick => pick === 1 || pick === 2)).toBe(true);
+  });
+
+  it('starter fans stay home when no starter is fighting', () => {
+    expect(CROWD_PERSONAS.starterFans([SNORLAX, MEWTWO], [0, 0], random)).toBe(-1);
+  });
+});
+
+describe('createSeededRandom', () => {
+  it('repeats its sequence for the same seed', () => {
+    const first = createSeededRandom('seed');
+    const second = createSeededRandom('seed');
+    const other = createSeededRandom('other seed');
+    const sequence = Array.from({ length: 10 }, () => first.next());
+
+    expect(Array.from({ length: 10 }, () => second.next())).toEqual(sequence);
+    expect(Array.from({ length: 10 }, () => other.next())).not.toEqual(sequence);
+    expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
@@ -0,0 +1,127 @@
+import { HOST_COMMANDS, HOST_CONFIG, VOTING_METHODS } from './constants';
+import { parseBattleId } from './battleRoutes';
+import { getLineups } from './teams';
+import { formatName } from './pokedexEntry';
+
+// Host control: what a moderator running the host console has set up for
+// everyone connected. The vote backend keeps one host state and sends every
+// change to all its clients:
+// - queue: upcoming matchups (battle IDs), in order
+// - live: the battle the host opened last; arenas that pick their own battles follow it
+// - featured: a pinned battle everyone gets a link to
+// - announcement: { id, text } banner shown to everyone
+// - version: bumped on every change, so the newest state wins
+// Commands for a battle's round (close, extend, void) leave it alone; the
+// backend applies them to the round itself. The vote server applies the same
+// commands (server/host.js; hostControl.test.js checks both).
+
+const BATTLE_COMMANDS = [HOST_COMMANDS.OPEN, HOST_COMMANDS.CLOSE, HOST_COMMANDS.EXTEND, HOST_COMMANDS.VOID];
+
+/**
+ * Host state before any command
+ * @returns {Object} { queue, live, featured, announcement, version }
+ */
+export function createHostState() {
+  return { queue: [], live: null, featured: null, announcement: null, version: 0 };
+}
+
+/**
+ * Check a host command before applying it
+ * @param {Object} command - { command, battleId?, queue?, milliseconds?, text? }
+ * @returns {string|null} Why the command is invalid, or null if it is fine
+ */
+export function validateHostCommand(command) {
+  const isBattleId = (battleId) => typeof battleId === 'string' && !!parseBattleId(battleId);
+
+  if (!Object.values(HOST_COMMANDS).includes(command.command)) {
+    return `Unknown host command: ${command.command}`;
+  }
+  if (BATTLE_COMMANDS.includes(command.command) && !isBattleId(command.battleId)) {
+    return `${command.command} needs a valid battleId`;
+  }
+
+  switch (command.command) {
+    case HOST_COMMANDS.QUEUE:
+      if (!Array.isArray(command.queue) || !command.queue.every(isBattleId)) {
+        return 'queue needs a list of battle IDs';
+      }
+      if (command.queue.length > HOST_CONFIG.MAX_QUEUE) {
+        return `The queue holds at most ${HOST_CONFIG.MAX_QUEUE} matchups`;
+      }
+      return null;
+    case HOST_COMMANDS.EXTEND:
+      if (typeof command.milliseconds !== 'number' || command.milliseconds <= 0 ||
+          command.milliseconds > HOST_CONFIG.MAX_EXTENSION) {
+        return `extend needs milliseconds between 1 and ${HOST_CONFIG.MAX_EXTENSION}`;
+      }
+      return null;
+    case HOST_COMMANDS.FEATURE:
+      return command.battleId === null || isBattleId(command.battleId)
+        ? null
+        : 'feature needs a valid battleId (or null to unpin)';
+    case HOST_COMMANDS.ANNOUNCE:
+      if (command.text === null) return null;
+      if (typeof command.text !== 'string' || !command.text.trim()) {
+        return 'announce needs some text (or null to take the banner down)';
+      }
+      return command.text.length > HOST_CONFIG.MAX_ANNOUNCEMENT_LENGTH
+        ? `Announcements are at most ${HOST_CONFIG.MAX_ANNOUNCEMENT_LENGTH} characters`
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a host command's key
+ * Without a configured key nobody may send host commands.
+ * @param {Object} command - Host command ({ key?, ... })
+ * @param {string|null} hostKey - The key host commands must carry
+ * @returns {string|null} Why the command is not allowed, or null if it is
+ */
+export function checkHostKey(command, hostKey) {
+  if (!hostKey) return 'Host commands are turned off: no host key is set up';
+  return command.key === hostKey ? null : 'Host commands need the host key';
+}
+
+/**
+ * Apply a (valid) host command to the host state
+ * @param {Object} host - Current host state
+ * @param {Object} command - Host command
+ * @returns {Object} New host state, or the same one for commands that only affect a round
+ */
+export function applyHostCommand(host, command) {
+  const version = host.version + 1;
+
+  switch (command.command) {
+    case HOST_COMMANDS.QUEUE:
+      return { ...host, queue: [...command.queue], version };
+    case HOST_COMMANDS.OPEN:
+      return { ...host, live: command.battleId, queue: host.queue.filter(id => id !== command.battleId), version };
+    case HOST_COMMANDS.FEATURE:
+      return { ...host, featured: command.battleId, version };
+    case HOST_COMMANDS.ANNOUNCE:
+      return { ...host, announcement: command.text ? { id: version, text: command.text.trim() } : null, version };
+    default:
+      return host;
+  }
+}
+
+/**
+ * Readable name of a battle, e.g. "Pikachu vs Charizard" or
+ * "Kanto Starters vs Legendary Birds" for a themed team battle
+ * @param {string} battleId - Battle ID
+ * @returns {string} Battle name (the ID itself if it can't be read)
+ */
+export function describeBattle(battleId) {
+  const parsed = battleId ? parseBattleId(battleId) : null;
+  if (!parsed) return battleId || '';
+
+  if (parsed.method === VOTING_METHODS.TEAM) {
+    return getLineups(parsed.contestants.map(name => ({ name })))
+      .map(lineup => lineup.name)
+      .join(' vs ');
+  }
+  const name = parsed.contestants.map(formatName).join(' vs ');
+  return parsed.method === VOTING_METHODS.RANKED ? `${name} (ranked)` : name;
+}
@@ -0,0 +1,94 @@
+import { HOST_COMMANDS, HOST_CONFIG } from './constants';
+import { applyHostCommand, checkHostKey, createHostState, describeBattle, validateHostCommand } from './hostControl';
+
+// The vote server's copies (CommonJS, see server/host.js and server/protocol.js)
+const server = require('../../server/host');
+const protocol = require('../../server/protocol');
+
+const { QUEUE, OPEN, CLOSE, EXTEND, VOID, FEATURE, ANNOUNCE } = HOST_COMMANDS;
+
+describe('checkHostKey', () => {
+  it('takes no host commands without a host key', () => {
+    expect(checkHostKey({ command: OPEN }, null)).not.toBeNull();
+    expect(checkHostKey({ command: OPEN, key: '' }, '')).not.toBeNull();
+  });
+
+  it('takes host commands that carry the host key', () => {
+    expect(checkHostKey({ command: OPEN, key: 'secret' }, 'secret')).toBeNull();
+    expect(checkHostKey({ command: OPEN, key: 'guess' }, 'secret')).not.toBeNull();
+    expect(checkHostKey({ command: OPEN }, 'secret')).not.toBeNull();
+  });
+});
+
+describe('host state', () => {
+  it('opens queued battles and takes them off the queue', () => {
+    let host = createHostState();
+    host = applyHostCommand(host, { command: QUEUE, queue: ['mew_vs_mewtwo', 'pikachu_vs_eevee'] });
+    host = applyHostCommand(host, { command: OPEN, battleId: 'mew_vs_mewtwo' });
+
+    expect(host).toMatchObject({ live: 'mew_vs_mewtwo', queue: ['pikachu_vs_eevee'], version: 2 });
+  });
+
+  it('leaves round commands to the round', () => {
+    const host = createHostState();
+    expect(applyHostCommand(host, { command: VOID, battleId: 'mew_vs_mewtwo' })).toBe(host);
+  });
+
+  it('names battles for the console', () => {
+    expect(describeBattle('pikachu_vs_charizard')).toBe('Pikachu vs Charizard');
+    expect(describeBattle('mew_vs_mewtwo_vs_eevee~ranked')).toBe('Mew vs Mewtwo vs Eevee (ranked)');
+  });
+});
+
+// The in-browser transports and the vote server must take the same commands (server/host.js is a copy)
+describe('the vote server takes the same host commands', () => {
+  it('knows the same commands', () => {
+    expect(protocol.HOST_COMMANDS).toEqual(HOST_COMMANDS);
+  });
+
+  const commands = [
+    { command: 'reboot' },
+    { command: QUEUE, queue: ['mew_vs_mewtwo', 'a_vs_b_vs_c~ranked'] },
+    { command: QUEUE, queue: ['mew_vs_mewtwo', 'not a battle'] },
+    { command: QUEUE, queue: Array.from({ length: HOST_CONFIG.MAX_QUEUE + 1 }, (_, index) => `a${index}_vs_b`) },
+    { command: QUEUE, queue: 'mew_vs_mewtwo' },
+    { command: OPEN, battleId: 'mew_vs_mewtwo' },
+    { command: OPEN },
+    { command: CLOSE, battleId: 'a_vs_b_vs_c~team' },
+    { command: EXTEND, battleId: 'mew_vs_mewtwo', milliseconds: 30000 },
+    { command: EXTEND, battleId: 'mew_vs_mewtwo', milliseconds: HOST_CONFIG.MAX_EXTENSION },
+    { command: EXTEND, battleId: 'mew_vs_mewtwo', milliseconds: HOST_CONFIG.MAX_EXTENSION + 1 },
+    { command: EXTEND, battleId: 'mew_vs_mewtwo', milliseconds: 0 },
+    { command: VOID, battleId: 'mew_vs_mewtwo' },
+    { command: FEATURE, battleId: null },
+    { command: FEATURE, battleId: 'mew' },
+    { command: ANNOUNCE, text: 'Finals at eight!' },
+    { command: ANNOUNCE, text: '   ' },
+    { command: ANNOUNCE, text: 'x'.repeat(HOST_CONFIG.MAX_ANNOUNCEMENT_LENGTH + 1) },
+    { command: ANNOUNCE, text: null }
+  ];
+
+  it.each(commands.map(command => [command.command, command]))('validates a %s command (#%#)', (_, command) => {
+    expect(server.validateHostCommand(command)).toBe(validateHostCommand(command));
+  });
+
+  it('applies commands alike', () => {
+    const valid = commands.filter(command => validateHostCommand(command) === null);
+    let host = createHostState();
+    let serverHost = server.createHostState();
+    valid.forEach(command => {
+      host = applyHostCommand(host, command);
+      serverHost = server.applyHostCommand(serverHost, command);
+      expect(serverHost).toEqual(host);
+    });
+  });
+
+  it.each([
+    [{ command: OPEN, key: 'secret' }, 'secret'],
+    [{ command: OPEN, key: 'guess' }, 'secret'],
+    [{ command: OPEN }, 'secret'],
+    [{ command: OPEN, key: 'secret' }, null]
+  ])('checks the key of %j against %s', (command, hostKey) => {
+    expect(server.checkHostKey(command, hostKey)).toBe(checkHostKey(command, hostKey));
+  });
+});
@@ -0,0 +1,95 @@
+import { shuffle } from './tournament';
+import { TYPES, sharesType, isTypeRivalry } from './typeChart';
+
+/**
+ * Does a species pass the legendary/mythical filter?
+ * @param {Object} species - Species index record
+ * @param {string} legendary - 'any' | 'exclude' | 'only' | 'legendary' | 'mythical'
+ */
+function matchesLegendary(species, legendary) {
+  switch (legendary) {
+    case 'exclude':
+      return !species.legendary && !species.mythical;
+    case 'only':
+      return species.legendary || species.mythical;
+    case 'legendary':
+      return species.legendary;
+    case 'mythical':
+      return species.mythical;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Species allowed by the matchup settings
+ * @param {Array<Object>} species - Species index records
+ * @param {Object} settings - Matchup settings (see MATCHUP_CONFIG.DEFAULT_SETTINGS)
+ * @returns {Array<Object>} Matching species
+ */
+export function filterSpecies(species, { generations, types, legendary, stages }) {
+  return species.filter(entry =>
+    (generations.length === 0 || generations.includes(entry.generation)) &&
+    (types.length === 0 || sharesType(entry.types, types)) &&
+    (stages.length === 0 || stages.includes(entry.stage)) &&
+    matchesLegendary(entry, legendary)
+  );
+}
+
+/**
+ * Pick a pair where each Pokémon has a type that the other is weak to (or vice versa)
+ */
+function pickRivals(candidates) {
+  const shuffled = shuffle(candidates);
+  for (const first of shuffled) {
+    const rivals = shuffled.filter(other => other.id !== first.id && isTypeRivalry(first.types, other.types));
+    if (rivals.length > 0) {
+      return [first, rivals[Math.floor(Math.random() * rivals.length)]];
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick several Pokémon that all share one type
+ */
+function pickSameType(candidates, count) {
+  const groups = shuffle(TYPES)
+    .map(type => candidates.filter(entry => entry.types.includes(type)))
+    .filter(group => group.length >= count);
+
+  return groups.length > 0 ? shuffle(groups[0]).slice(0, count) : null;
+}
+
+/**
+ * Pick random, different Pokémon for a battle or a bracket
+ * @param {Array<Object>} species - Species index records
+ * @param {Object} settings - Matchup settings
+ * @param {number} count - How many Pokémon to pick
+ * @returns {Array<number>} Pokémon IDs
+ * @throws {Error} When the settings don't leave enough Pokémon
+ */
+export function pickMatchupIds(species, settings, count = 2) {
+  const candidates = filterSpecies(species, settings);
+
+  if (candidates.length < count) {
+    throw new Error(
+      `Only ${candidates.length} Pokémon match your matchup filters, ${count} are needed. Loosen the filters and try again.`
+    );
+  }
+
+  let picks;
+  if (settings.pairing === 'same-type') {
+    picks = pickSameType(candidates, count);
+  } else if (settings.pairing === 'rivalry' && count === 2) {
+    // Rivalries only make sense for a single pair
+    picks = pickRivals(candidates);
+  } else {
+    picks = shuffle(candidates).slice(0, count);
+  }
+
+  if (!picks) {
+    throw new Error(`No ${settings.pairing === 'rivalry' ? 'type rivalry' : 'same-type'} matchup fits your filters.`);
+  }
+  return picks.map(entry => entry.id);
+}
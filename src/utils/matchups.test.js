@@ -0,0 +1,86 @@
+import { MATCHUP_CONFIG } from './constants';
+import { filterSpecies, pickMatchupIds } from './matchups';
+import { getTypeEffectiveness, isTypeRivalry } from './typeChart';
+
+const species = (id, name, generation, types, extra = {}) => ({
+  id, name, generation, types, legendary: false, mythical: false, stage: 1, ...extra
+});
+
+const SPECIES = [
+  species(1, 'bulbasaur', 1, ['grass', 'poison']),
+  species(4, 'charmander', 1, ['fire']),
+  species(6, 'charizard', 1, ['fire', 'flying'], { stage: 3 }),
+  species(7, 'squirtle', 1, ['water']),
+  species(150, 'mewtwo', 1, ['psychic'], { legendary: true }),
+  species(151, 'mew', 1, ['psychic'], { mythical: true }),
+  species(152, 'chikorita', 2, ['grass']),
+  species(155, 'cyndaquil', 2, ['fire'])
+];
+
+const settings = (overrides) => ({ ...MATCHUP_CONFIG.DEFAULT_SETTINGS, generations: [], ...overrides });
+const names = (entries) => entries.map(entry => entry.name);
+
+describe('filterSpecies', () => {
+  it('keeps everything when no filter is set', () => {
+    expect(filterSpecies(SPECIES, settings())).toEqual(SPECIES);
+  });
+
+  it('filters by generation, type and evolution stage together', () => {
+    expect(names(filterSpecies(SPECIES, settings({ generations: [1], types: ['fire'] })))).toEqual(['charmander', 'charizard']);
+    expect(names(filterSpecies(SPECIES, settings({ types: ['fire'], stages: [1] })))).toEqual(['charmander', 'cyndaquil']);
+  });
+
+  it('tells legendary and mythical Pokémon apart', () => {
+    expect(names(filterSpecies(SPECIES, settings({ legendary: 'only' })))).toEqual(['mewtwo', 'mew']);
+    expect(names(filterSpecies(SPECIES, settings({ legendary: 'legendary' })))).toEqual(['mewtwo']);
+    expect(names(filterSpecies(SPECIES, settings({ legendary: 'mythical' })))).toEqual(['mew']);
+    expect(filterSpecies(SPECIES, settings({ legendary: 'exclude' }))).toHaveLength(SPECIES.length - 2);
+  });
+});
+
+describe('pickMatchupIds', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('picks different Pokémon that match the filters', () => {
+    for (let i = 0; i < 20; i++) {
+      const ids = pickMatchupIds(SPECIES, settings({ generations: [2] }));
+      expect([...ids].sort()).toEqual([152, 155]);
+    }
+  });
+
+  it('says so when the filters leave too few Pokémon', () => {
+    expect(() => pickMatchupIds(SPECIES, settings({ legendary: 'mythical' }))).toThrow('Only 1 Pokémon match');
+  });
+
+  it('pits a type rivalry against each other', () => {
+    for (let i = 0; i < 20; i++) {
+      const [first, second] = pickMatchupIds(SPECIES, settings({ pairing: 'rivalry' }))
+        .map(id => SPECIES.find(entry => entry.id === id));
+      expect(isTypeRivalry(first.types, second.types)).toBe(true);
+    }
+  });
+
+  it('picks Pokémon sharing a type', () => {
+    for (let i = 0; i < 20; i++) {
+      const picks = pickMatchupIds(SPECIES, settings({ pairing: 'same-type' }), 3)
+        .map(id => SPECIES.find(entry => entry.id === id));
+      expect(picks[0].types.some(type => picks.every(pick => pick.types.includes(type)))).toBe(true);
+    }
+  });
+
+  it('says so when no rivalry fits the filters', () => {
+    expect(() => pickMatchupIds(SPECIES, settings({ types: ['psychic'], pairing: 'rivalry' })))
+      .toThrow('No type rivalry matchup fits your filters.');
+  });
+});
+
+describe('getTypeEffectiveness', () => {
+  it('multiplies across both of the defender\'s types', () => {
+    expect(getTypeEffectiveness('water', ['fire'])).toBe(2);
+    expect(getTypeEffectiveness('ice', ['grass', 'flying'])).toBe(4);
+    expect(getTypeEffectiveness('fire', ['water', 'rock'])).toBe(0.25);
+    expect(getTypeEffectiveness('electric', ['water', 'ground'])).toBe(0);
+  });
+});
@@ -0,0 +1,114 @@
+import { MOMENTUM_CONFIG } from './constants';
+import { getPositions } from './voting';
+import { formatName } from './pokedexEntry';
+
+// Vote momentum: how a round's tally developed. The battle reducer keeps a
+// snapshot of every tally update; a timeline is those snapshots timed from
+// the round's start ([{ at: milliseconds, votes }]), which is what the chart
+// draws and what the history stores with the result.
+//
+// The chart follows sides: each Pokémon, or each team in team battles.
+
+const sameVotes = (a, b) => Object.keys(b).every(position => a[position] === b[position]);
+
+/**
+ * Add a tally to the round's snapshots (unchanged tallies are skipped)
+ * @param {Array<Object>} snapshots - Snapshots so far ([{ time, votes }])
+ * @param {Object} votes - New tally
+ * @param {number} time - Local timestamp
+ * @returns {Array<Object>} Snapshots, thinned to every other one past MOMENTUM_CONFIG.MAX_SNAPSHOTS
+ */
+export function addSnapshot(snapshots, votes, time) {
+  const last = snapshots[snapshots.length - 1];
+  if (last && sameVotes(last.votes, votes)) return snapshots;
+
+  const next = [...snapshots, { time, votes }];
+  if (next.length <= MOMENTUM_CONFIG.MAX_SNAPSHOTS) return next;
+  return next.filter((_, index) => index % 2 === 0 || index === next.length - 1);
+}
+
+/**
+ * Time the snapshots from the first one
+ * @param {Array<Object>} snapshots - [{ time, votes }]
+ * @returns {Array<Object>} Timeline: [{ at, votes }]
+ */
+export function toTimeline(snapshots) {
+  const start = snapshots.length > 0 ? snapshots[0].time : 0;
+  return snapshots.map(({ time, votes }) => ({ at: time - start, votes }));
+}
+
+/**
+ * The lines of the chart
+ * @param {Array<Object>} contestants - The battle's Pokémon, in position order
+ * @param {Array<Object>|null} lineups - Team battles' lineups
+ * @returns {Array<Object>} [{ id, name, positions }]; id is a position or team id, like the result's winners
+ */
+export function getSides(contestants, lineups = null) {
+  if (lineups) return lineups.map(({ id, name, positions }) => ({ id, name, positions }));
+  return getPositions(contestants.length).map((position, index) => ({
+    id: position,
+    name: formatName(contestants[index].name),
+    positions: [position]
+  }));
+}
+
+/**
+ * Read the story of a round from its timeline
+ * @param {Array<Object>} timeline - [{ at, votes }]
+ * @param {Array<Object>} sides - From getSides
+ * @param {string|null} winner - Winning side id ('tie' or null when there is none)
+ * @returns {Object} {
+ *   series: [{ at, values }] (votes per side, in side order),
+ *   leadChanges: [{ at, from, to }] (a side took the lead outright from another),
+ *   biggestSwing: { at, side, amount } | null (the update that moved one side furthest ahead of another),
+ *   decidedAt: number | null (when the winner took the lead for good)
+ * }
+ */
+export function analyzeMomentum(timeline, sides, winner = null) {
+  const series = timeline.map(({ at, votes }) => ({
+    at,
+    values: sides.map(side => side.positions.reduce((sum, position) => sum + (votes[position] || 0), 0))
+  }));
+
+  // The side leading outright, or null while nobody has votes or the top spot is shared
+  const leaders = series.map(({ values }) => {
+    const most = Math.max(...values);
+    if (most === 0 || values.filter(value => value === most).length > 1) return null;
+    return sides[values.indexOf(most)].id;
+  });
+
+  const leadChanges = [];
+  let lastLeader = null;
+  leaders.forEach((leader, index) => {
+    if (!leader || leader === lastLeader) return;
+    if (lastLeader) leadChanges.push({ at: series[index].at, from: lastLeader, to: leader });
+    lastLeader = leader;
+  });
+
+  let biggestSwing = null;
+  for (let index = 1; index < series.length; index++) {
+    const gains = series[index].values.map((value, side) => value - series[index - 1].values[side]);
+    const amount = Math.max(...gains) - Math.min(...gains);
+    if (sides.length > 1 && amount > 0 && (!biggestSwing || amount > biggestSwing.amount)) {
+      biggestSwing = { at: series[index].at, side: sides[gains.indexOf(Math.max(...gains))].id, amount };
+    }
+  }
+
+  // Walk back from the end while the winner leads
+  let decidedAt = null;
+  for (let index = leaders.length - 1; winner && index >= 0 && leaders[index] === winner; index--) {
+    decidedAt = series[index].at;
+  }
+
+  return { series, leadChanges, biggestSwing, decidedAt };
+}
+
+/**
+ * Elapsed time as m:ss
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "0:07"
+ */
+export function formatElapsed(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,86 @@
+import { MOMENTUM_CONFIG } from './constants';
+import { addSnapshot, analyzeMomentum, formatElapsed, getSides, toTimeline } from './momentum';
+
+const CONTESTANTS = [{ name: 'pikachu' }, { name: 'eevee' }];
+const SIDES = getSides(CONTESTANTS);
+
+// A timeline from [seconds, pikachu votes, eevee votes] rows
+const timeline = (rows) => rows.map(([seconds, pokemon1, pokemon2]) => ({ at: seconds * 1000, votes: { pokemon1, pokemon2 } }));
+
+describe('snapshots', () => {
+  it('skips tallies that did not change and times the rest from the first', () => {
+    let snapshots = addSnapshot([], { pokemon1: 0, pokemon2: 0 }, 1000);
+    snapshots = addSnapshot(snapshots, { pokemon1: 0, pokemon2: 0 }, 2000);
+    snapshots = addSnapshot(snapshots, { pokemon1: 1, pokemon2: 0 }, 4500);
+
+    expect(toTimeline(snapshots)).toEqual([
+      { at: 0, votes: { pokemon1: 0, pokemon2: 0 } },
+      { at: 3500, votes: { pokemon1: 1, pokemon2: 0 } }
+    ]);
+  });
+
+  it('thins out long rounds but keeps the latest tally', () => {
+    let snapshots = [];
+    for (let vote = 0; vote <= MOMENTUM_CONFIG.MAX_SNAPSHOTS; vote++) {
+      snapshots = addSnapshot(snapshots, { pokemon1: vote, pokemon2: 0 }, vote);
+    }
+    expect(snapshots.length).toBeLessThanOrEqual(MOMENTUM_CONFIG.MAX_SNAPSHOTS);
+    expect(snapshots[snapshots.length - 1].votes.pokemon1).toBe(MOMENTUM_CONFIG.MAX_SNAPSHOTS);
+  });
+});
+
+describe('analyzeMomentum', () => {
+  const round = timeline([
+    [0, 0, 0],
+    [1, 1, 0],
+    [2, 1, 1],
+    [3, 1, 4],
+    [4, 5, 4],
+    [5, 6, 4]
+  ]);
+
+  it('counts each time a side takes the lead outright', () => {
+    expect(analyzeMomentum(round, SIDES).leadChanges).toEqual([
+      { at: 3000, from: 'pokemon1', to: 'pokemon2' },
+      { at: 4000, from: 'pokemon2', to: 'pokemon1' }
+    ]);
+  });
+
+  it('finds the update that moved one side furthest ahead', () => {
+    expect(analyzeMomentum(round, SIDES).biggestSwing).toEqual({ at: 4000, side: 'pokemon1', amount: 4 });
+  });
+
+  it('finds when the winner took the lead for good', () => {
+    expect(analyzeMomentum(round, SIDES, 'pokemon1').decidedAt).toBe(4000);
+    expect(analyzeMomentum(round, SIDES, 'tie').decidedAt).toBeNull();
+  });
+
+  it('adds up each team\'s votes in team battles', () => {
+    const sides = getSides([], [
+      { id: 'team1', name: 'Kanto Starters', positions: ['pokemon1', 'pokemon2'] },
+      { id: 'team2', name: 'Legendary Birds', positions: ['pokemon3', 'pokemon4'] }
+    ]);
+    const { series } = analyzeMomentum([{ at: 0, votes: { pokemon1: 2, pokemon2: 1, pokemon3: 0, pokemon4: 4 } }], sides);
+    expect(series).toEqual([{ at: 0, values: [3, 4] }]);
+  });
+
+  it('has no story without votes', () => {
+    expect(analyzeMomentum(timeline([[0, 0, 0]]), SIDES, null)).toMatchObject({
+      leadChanges: [],
+      biggestSwing: null,
+      decidedAt: null
+    });
+  });
+});
+
+it('names the sides after their Pokémon', () => {
+  expect(SIDES).toEqual([
+    { id: 'pokemon1', name: 'Pikachu', positions: ['pokemon1'] },
+    { id: 'pokemon2', name: 'Eevee', positions: ['pokemon2'] }
+  ]);
+});
+
+it('shows elapsed time as m:ss', () => {
+  expect(formatElapsed(7000)).toBe('0:07');
+  expect(formatElapsed(83400)).toBe('1:23');
+});
@@ -0,0 +1,96 @@
+// Pokédex details: helpers that turn PokeAPI's species and evolution chain
+// resources (or the bundled species index) into the normalized Pokémon model
+
+const ROMAN_NUMERALS = { i: 1, v: 5, x: 10 };
+
+/**
+ * "solar-power" → "Solar Power"
+ */
+export function formatName(identifier) {
+  return identifier.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * PokeAPI's generation name as a number ("generation-iv" → 4)
+ * @returns {number|null} Generation, or null if the name isn't recognized
+ */
+export function parseGeneration(name) {
+  const match = /^generation-([ivx]+)$/.exec(name || '');
+  if (!match) return null;
+
+  const numeral = match[1];
+  let total = 0;
+  [...numeral].forEach((letter, index) => {
+    const value = ROMAN_NUMERALS[letter];
+    const next = ROMAN_NUMERALS[numeral[index + 1]] || 0;
+    total += value < next ? -value : value;
+  });
+  return total;
+}
+
+/**
+ * National Dex number at the end of a PokeAPI resource URL (".../pokemon-species/25/" → 25)
+ */
+export function getIdFromUrl(url) {
+  return Number(url.split('/').filter(Boolean).pop());
+}
+
+/**
+ * The latest English text from a list of localized entries
+ * @param {Array<Object>} entries - e.g. flavor_text_entries or genera
+ * @param {string} field - Text field ('flavor_text', 'genus', ...)
+ * @returns {string|null} Text with the game's line and page breaks turned into spaces
+ */
+export function getEnglishText(entries = [], field) {
+  const english = entries.filter(entry => entry.language.name === 'en');
+  if (english.length === 0) return null;
+  return english[english.length - 1][field].replace(/[\f\n\r\u00ad\s]+/g, ' ').trim();
+}
+
+/**
+ * Flatten an evolution chain, stage by stage
+ * @param {Object} chain - PokeAPI evolution chain link ({ species, evolves_to })
+ * @returns {Array<Object>} [{ id, name, stage }] — stage 1 is the unevolved Pokémon;
+ *   branching evolutions (e.g. Eevee's) share a stage
+ */
+export function flattenEvolutionChain(chain) {
+  const members = [];
+  const visit = (link, stage) => {
+    members.push({ id: getIdFromUrl(link.species.url), name: link.species.name, stage });
+    link.evolves_to.forEach(next => visit(next, stage + 1));
+  };
+  visit(chain, 1);
+  return members.sort((a, b) => a.stage - b.stage || a.id - b.id);
+}
+
+/**
+ * Pokédex details the species index knows, for offline records
+ * @param {Array<Object>} species - Species index records
+ * @param {Object} entry - This Pokémon's species index record
+ * @returns {Object} { stats, generation, legendary, mythical, evolutionChain }
+ */
+export function getIndexDetails(species, entry) {
+  return {
+    stats: entry.baseStats,
+    generation: entry.generation,
+    legendary: entry.legendary,
+    mythical: entry.mythical,
+    evolutionChain: species
+      .filter(member => member.familyId === entry.familyId)
+      .map(({ id, name, stage }) => ({ id, name, stage }))
+      .sort((a, b) => a.stage - b.stage || a.id - b.id)
+  };
+}
+
+/**
+ * Evolution chain grouped by stage, for display
+ * @param {Array<Object>} evolutionChain - [{ id, name, stage }]
+ * @returns {Array<Array<Object>>} One array of Pokémon per stage
+ */
+export function groupByStage(evolutionChain) {
+  const stages = [];
+  evolutionChain.forEach(member => {
+    stages[member.stage - 1] = [...(stages[member.stage - 1] || []), member];
+  });
+  return stages.filter(Boolean);
+}
@@ -0,0 +1,70 @@
+import {
+  flattenEvolutionChain, formatName, getEnglishText, getIdFromUrl, getIndexDetails, groupByStage, parseGeneration
+} from './pokedexEntry';
+
+const link = (name, id, evolvesTo = []) => ({
+  species: { name, url: `https://pokeapi.co/api/v2/pokemon-species/${id}/` },
+  evolves_to: evolvesTo
+});
+
+describe('PokeAPI resources', () => {
+  it('reads generation names', () => {
+    expect(parseGeneration('generation-i')).toBe(1);
+    expect(parseGeneration('generation-iv')).toBe(4);
+    expect(parseGeneration('generation-ix')).toBe(9);
+    expect(parseGeneration('gen-4')).toBeNull();
+  });
+
+  it('reads National Dex numbers from resource URLs', () => {
+    expect(getIdFromUrl('https://pokeapi.co/api/v2/pokemon-species/25/')).toBe(25);
+  });
+
+  it('takes the latest English text and joins the game\'s line breaks', () => {
+    const entries = [
+      { flavor_text: 'Old\ntext.', language: { name: 'en' } },
+      { flavor_text: 'Texte.', language: { name: 'fr' } },
+      { flavor_text: 'When several of\nthese POKéMON\fgather, their\u00adelectricity', language: { name: 'en' } }
+    ];
+    expect(getEnglishText(entries, 'flavor_text')).toBe('When several of these POKéMON gather, their electricity');
+    expect(getEnglishText([], 'genus')).toBeNull();
+  });
+
+  it('names abilities and moves for display', () => {
+    expect(formatName('solar-power')).toBe('Solar Power');
+  });
+});
+
+describe('evolution chains', () => {
+  // Eevee's evolutions branch: they all share stage 2
+  const eevee = link('eevee', 133, [link('vaporeon', 134), link('jolteon', 135), link('sylveon', 700), link('flareon', 136)]);
+  const bulbasaur = link('bulbasaur', 1, [link('ivysaur', 2, [link('venusaur', 3)])]);
+
+  it('flattens a chain stage by stage', () => {
+    expect(flattenEvolutionChain(bulbasaur)).toEqual([
+      { id: 1, name: 'bulbasaur', stage: 1 },
+      { id: 2, name: 'ivysaur', stage: 2 },
+      { id: 3, name: 'venusaur', stage: 3 }
+    ]);
+  });
+
+  it('puts branching evolutions side by side', () => {
+    const stages = groupByStage(flattenEvolutionChain(eevee));
+    expect(stages.map(stage => stage.map(member => member.name)))
+      .toEqual([['eevee'], ['vaporeon', 'jolteon', 'flareon', 'sylveon']]);
+  });
+
+  it('builds the chain from the species index when offline', () => {
+    const index = [
+      { id: 2, name: 'ivysaur', stage: 2, familyId: 1 },
+      { id: 1, name: 'bulbasaur', stage: 1, familyId: 1, generation: 1, legendary: false, mythical: false, baseStats: { hp: 45 } },
+      { id: 4, name: 'charmander', stage: 1, familyId: 4 }
+    ];
+    expect(getIndexDetails(index, index[1])).toEqual({
+      stats: { hp: 45 },
+      generation: 1,
+      legendary: false,
+      mythical: false,
+      evolutionChain: [{ id: 1, name: 'bulbasaur', stage: 1 }, { id: 2, name: 'ivysaur', stage: 2 }]
+    });
+  });
+});
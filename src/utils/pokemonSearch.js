@@ -0,0 +1,103 @@
+/**
+ * Normalize a search string ("Mr. Mime" -> "mr-mime", " #025 " -> "#025")
+ */
+export function normalizeQuery(query) {
+  return query.trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9#-]/g, '');
+}
+
+/**
+ * Levenshtein distance, giving up once it is clearly too large
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Are the query's letters found in order in the name ("pkchu" in "pikachu")?
+ */
+function isSubsequence(query, name) {
+  let position = 0;
+  for (const char of name) {
+    if (char === query[position]) position += 1;
+    if (position === query.length) return true;
+  }
+  return false;
+}
+
+/**
+ * How well a name matches a query; lower is better, null means no match
+ */
+function scoreName(query, name) {
+  if (name === query) return 0;
+  if (name.startsWith(query)) return 1;
+
+  const index = name.indexOf(query);
+  if (index > 0) return 2 + index / 100;
+
+  if (query.length >= 3 && isSubsequence(query, name)) return 3;
+
+  // Allow a typo or two in longer names ("pikachoo", "charzard")
+  const allowed = Math.max(1, Math.floor(query.length / 4));
+  const distance = editDistance(query, name.slice(0, query.length + allowed), allowed);
+  return distance <= allowed ? 4 + distance : null;
+}
+
+/**
+ * Fuzzy search over the species index by name or National Dex number
+ * @param {Array<Object>} species - Species index records
+ * @param {string} query - Name ("pika", "charzard") or number ("25", "#025")
+ * @param {Object} options - Search options
+ * @param {string} options.type - Only Pokémon of this type ('' for any)
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Array<Object>} Matching species, best first
+ */
+export function searchSpecies(species, query, { type = '', limit = 8 } = {}) {
+  const pool = type ? species.filter(entry => entry.types.includes(type)) : species;
+  const normalized = normalizeQuery(query);
+
+  if (!normalized) return pool.slice(0, limit);
+
+  // Numbers: exact National Dex number first, then numbers starting with the digits
+  if (/^#?\d+$/.test(normalized)) {
+    const digits = normalized.replace('#', '').replace(/^0+(?=\d)/, '');
+    return pool
+      .filter(entry => String(entry.id).startsWith(digits))
+      .sort((a, b) => (String(b.id) === digits) - (String(a.id) === digits) || a.id - b.id)
+      .slice(0, limit);
+  }
+
+  return pool
+    .map(entry => ({ entry, score: scoreName(normalized, entry.name) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => a.score - b.score || a.entry.id - b.entry.id)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Find the species a user typed exactly (name or number)
+ * @returns {Object|null} Species index record
+ */
+export function findSpecies(species, query) {
+  const normalized = normalizeQuery(query).replace(/^#/, '');
+  if (!normalized) return null;
+  if (/^\d+$/.test(normalized)) {
+    return species.find(entry => entry.id === Number(normalized)) || null;
+  }
+  return species.find(entry => entry.name === normalized) || null;
+}
@@ -0,0 +1,60 @@
+import { findSpecies, normalizeQuery, searchSpecies } from './pokemonSearch';
+
+const species = (id, name, types) => ({ id, name, types });
+
+const SPECIES = [
+  species(6, 'charizard', ['fire', 'flying']),
+  species(25, 'pikachu', ['electric']),
+  species(26, 'raichu', ['electric']),
+  species(122, 'mr-mime', ['psychic', 'fairy']),
+  species(172, 'pichu', ['electric']),
+  species(250, 'ho-oh', ['fire', 'flying']),
+  species(251, 'celebi', ['psychic', 'grass']),
+  species(255, 'torchic', ['fire'])
+];
+
+const search = (query, options) => searchSpecies(SPECIES, query, options).map(entry => entry.name);
+
+describe('searchSpecies', () => {
+  it('puts exact names first, then names starting with the query, then names containing it', () => {
+    expect(search('pichu')).toEqual(['pichu', 'pikachu']);
+    // The earlier the match, the better
+    expect(search('chu')).toEqual(['pichu', 'raichu', 'pikachu']);
+    expect(search('pi')[0]).toBe('pikachu');
+  });
+
+  it('finds names with skipped letters or a typo', () => {
+    expect(search('pkchu')).toContain('pikachu');
+    expect(search('charzard')).toEqual(['charizard']);
+    expect(search('pikachoo')).toEqual(['pikachu']);
+  });
+
+  it('searches National Dex numbers, exact number first', () => {
+    expect(search('25')).toEqual(['pikachu', 'ho-oh', 'celebi', 'torchic']);
+    expect(search('#025')).toEqual(['pikachu', 'ho-oh', 'celebi', 'torchic']);
+  });
+
+  it('filters by type and caps the results', () => {
+    expect(search('', { type: 'electric' })).toEqual(['pikachu', 'raichu', 'pichu']);
+    expect(search('', { limit: 2 })).toEqual(['charizard', 'pikachu']);
+    expect(search('25', { type: 'fire' })).toEqual(['ho-oh', 'torchic']);
+  });
+
+  it('finds nothing for a name that matches nothing', () => {
+    expect(search('zzzzzz')).toEqual([]);
+  });
+});
+
+describe('findSpecies', () => {
+  it('finds exactly the Pokémon typed, by name or number', () => {
+    expect(findSpecies(SPECIES, 'Mr. Mime')).toBe(SPECIES[3]);
+    expect(findSpecies(SPECIES, '#250')).toBe(SPECIES[5]);
+    expect(findSpecies(SPECIES, 'pika')).toBeNull();
+    expect(findSpecies(SPECIES, '  ')).toBeNull();
+  });
+});
+
+it('normalizes what the user typed', () => {
+  expect(normalizeQuery(' Mr. Mime ')).toBe('mr-mime');
+  expect(normalizeQuery(' #025 ')).toBe('#025');
+});
@@ -0,0 +1,111 @@
+import { PREDICTION_CONFIG } from './constants';
+import { getPositions } from './voting';
+
+// Prediction mode: before voting for a favourite, the user predicts which
+// side (a Pokémon, or a team in team battles) wins the round. The prediction
+// is scored once voting locks:
+// - a correct call scores POINTS.CORRECT
+// - calling an upset adds POINTS.UPSET: the winner wasn't a favourite (a side
+//   with the best average Elo rating when the prediction was made)
+// - each correct call in a row after the first adds POINTS.STREAK more, up to POINTS.MAX_STREAK_BONUS
+// - a wrong call scores nothing and ends the streak
+// - a tie, or a round without votes, is a push: no points, the streak carries
+//   on, and it doesn't count towards accuracy
+
+/**
+ * Favourites of a battle: the sides with the best average rating
+ * @param {Array<Object>} sides - [{ id, positions }] (see getSides in utils/momentum.js)
+ * @param {Array<number>} ratings - Each contestant's rating, in position order
+ * @returns {Array<string>} Ids of the favourite sides (none when every side is rated the same)
+ */
+export function getFavorites(sides, ratings) {
+  const positions = getPositions(ratings.length);
+  const strength = sides.map(side =>
+    side.positions.reduce((sum, position) => sum + ratings[positions.indexOf(position)], 0) / side.positions.length
+  );
+  const best = Math.max(...strength);
+  const favorites = sides.filter((_, index) => strength[index] === best).map(side => side.id);
+  return favorites.length === sides.length ? [] : favorites;
+}
+
+/**
+ * Score a prediction against the round's winner
+ * @param {Object} prediction - { pick, favorites }
+ * @param {string|null} winner - Winning side id, 'tie', or null without votes (see getWinner)
+ * @param {number} streak - Correct calls in a row before this one
+ * @returns {Object} { outcome: 'correct' | 'wrong' | 'push', points, upsetBonus, streakBonus, streak }
+ */
+export function scorePrediction(prediction, winner, streak) {
+  const { POINTS } = PREDICTION_CONFIG;
+
+  if (!winner || winner === 'tie') {
+    return { outcome: 'push', points: 0, upsetBonus: 0, streakBonus: 0, streak };
+  }
+  if (prediction.pick !== winner) {
+    return { outcome: 'wrong', points: 0, upsetBonus: 0, streakBonus: 0, streak: 0 };
+  }
+
+  const upsetBonus = prediction.favorites.length > 0 && !prediction.favorites.includes(winner) ? POINTS.UPSET : 0;
+  const streakBonus = Math.min(streak * POINTS.STREAK, POINTS.MAX_STREAK_BONUS);
+  return {
+    outcome: 'correct',
+    points: POINTS.CORRECT + upsetBonus + streakBonus,
+    upsetBonus,
+    streakBonus,
+    streak: streak + 1
+  };
+}
+
+/**
+ * Scoreboard before any prediction
+ * @returns {Object} { points, scored, correct, pushes, upsets, streak, longestStreak, recent }
+ */
+export function createScoreboard() {
+  return { points: 0, scored: 0, correct: 0, pushes: 0, upsets: 0, streak: 0, longestStreak: 0, recent: [] };
+}
+
+/**
+ * Add a scored prediction to the scoreboard
+ * @param {Object} board - Scoreboard
+ * @param {Object} score - From scorePrediction
+ * @param {Object} entry - What to list it as: { battleId, pick, winner, at } (pick and winner are names)
+ * @returns {Object} New scoreboard
+ */
+export function addToScoreboard(board, score, entry) {
+  const push = score.outcome === 'push';
+  return {
+    points: board.points + score.points,
+    scored: board.scored + (push ? 0 : 1),
+    correct: board.correct + (score.outcome === 'correct' ? 1 : 0),
+    pushes: board.pushes + (push ? 1 : 0),
+    upsets: board.upsets + (score.upsetBonus > 0 ? 1 : 0),
+    streak: score.streak,
+    longestStreak: Math.max(board.longestStreak, score.streak),
+    recent: [{ ...entry, ...score }, ...board.recent].slice(0, PREDICTION_CONFIG.RECENT)
+  };
+}
+
+/**
+ * Share of predictions called right, pushes aside
+ * @param {Object} board - Scoreboard
+ * @returns {number|null} Accuracy from 0 to 1, null before any scored prediction
+ */
+export function getAccuracy(board) {
+  return board.scored > 0 ? board.correct / board.scored : null;
+}
+
+/**
+ * How a prediction scored, in a sentence
+ * @param {Object} score - From scorePrediction
+ * @returns {string} e.g. "Called it! +25 points (upset +10, streak +5)"
+ */
+export function describeScore(score) {
+  if (score.outcome === 'push') return 'No winner to call: no points, and your streak carries on.';
+  if (score.outcome === 'wrong') return 'Missed it: no points, and your streak is over.';
+
+  const bonuses = [
+    score.upsetBonus > 0 && `upset +${score.upsetBonus}`,
+    score.streakBonus > 0 && `streak +${score.streakBonus}`
+  ].filter(Boolean);
+  return `Called it! +${score.points} points${bonuses.length > 0 ? ` (${bonuses.join(', ')})` : ''}`;
+}
@@ -0,0 +1,116 @@
+import { PREDICTION_CONFIG } from './constants';
+import {
+  addToScoreboard, createScoreboard, describeScore, getAccuracy, getFavorites, scorePrediction
+} from './predictions';
+
+const { POINTS } = PREDICTION_CONFIG;
+
+const SIDES = [
+  { id: 'pokemon1', positions: ['pokemon1'] },
+  { id: 'pokemon2', positions: ['pokemon2'] },
+  { id: 'pokemon3', positions: ['pokemon3'] }
+];
+
+describe('getFavorites', () => {
+  it('picks the best-rated sides', () => {
+    expect(getFavorites(SIDES, [1500, 1620, 1480])).toEqual(['pokemon2']);
+    expect(getFavorites(SIDES, [1620, 1620, 1480])).toEqual(['pokemon1', 'pokemon2']);
+  });
+
+  it('has no favourite when every side is rated the same', () => {
+    expect(getFavorites(SIDES, [1500, 1500, 1500])).toEqual([]);
+  });
+
+  it('rates teams by their average', () => {
+    const teams = [
+      { id: 'team1', positions: ['pokemon1', 'pokemon2', 'pokemon3'] },
+      { id: 'team2', positions: ['pokemon4', 'pokemon5', 'pokemon6'] }
+    ];
+    expect(getFavorites(teams, [1400, 1700, 1500, 1500, 1500, 1550])).toEqual(['team1']);
+  });
+});
+
+describe('scorePrediction', () => {
+  const favoriteCall = { pick: 'pokemon2', favorites: ['pokemon2'] };
+  const upsetCall = { pick: 'pokemon3', favorites: ['pokemon2'] };
+
+  it('scores a correct call', () => {
+    expect(scorePrediction(favoriteCall, 'pokemon2', 0)).toEqual({
+      outcome: 'correct', points: POINTS.CORRECT, upsetBonus: 0, streakBonus: 0, streak: 1
+    });
+  });
+
+  it('adds the upset bonus when the winner was not a favourite', () => {
+    const score = scorePrediction(upsetCall, 'pokemon3', 0);
+    expect(score.upsetBonus).toBe(POINTS.UPSET);
+    expect(score.points).toBe(POINTS.CORRECT + POINTS.UPSET);
+  });
+
+  it('has no upsets without a favourite', () => {
+    expect(scorePrediction({ pick: 'pokemon3', favorites: [] }, 'pokemon3', 0).upsetBonus).toBe(0);
+  });
+
+  it('adds a growing streak bonus, up to the cap', () => {
+    expect(scorePrediction(favoriteCall, 'pokemon2', 1).streakBonus).toBe(POINTS.STREAK);
+    expect(scorePrediction(favoriteCall, 'pokemon2', 2).streakBonus).toBe(2 * POINTS.STREAK);
+    expect(scorePrediction(favoriteCall, 'pokemon2', 100).streakBonus).toBe(POINTS.MAX_STREAK_BONUS);
+  });
+
+  it('ends the streak on a wrong call', () => {
+    expect(scorePrediction(favoriteCall, 'pokemon1', 4)).toEqual({
+      outcome: 'wrong', points: 0, upsetBonus: 0, streakBonus: 0, streak: 0
+    });
+  });
+
+  it.each(['tie', null])('pushes on %p and keeps the streak', (winner) => {
+    expect(scorePrediction(favoriteCall, winner, 3)).toEqual({
+      outcome: 'push', points: 0, upsetBonus: 0, streakBonus: 0, streak: 3
+    });
+  });
+});
+
+describe('scoreboard', () => {
+  it('adds up points, streaks and upsets, leaving pushes out of the accuracy', () => {
+    const calls = [
+      [{ pick: 'pokemon1', favorites: ['pokemon1'] }, 'pokemon1'],
+      [{ pick: 'pokemon3', favorites: ['pokemon1'] }, 'pokemon3'],
+      [{ pick: 'pokemon1', favorites: ['pokemon1'] }, 'tie'],
+      [{ pick: 'pokemon2', favorites: ['pokemon1'] }, 'pokemon1']
+    ];
+    const board = calls.reduce((current, [prediction, winner], index) => {
+      const score = scorePrediction(prediction, winner, current.streak);
+      return addToScoreboard(current, score, { battleId: `battle${index}`, pick: prediction.pick, winner, at: index });
+    }, createScoreboard());
+
+    expect(board).toMatchObject({
+      points: POINTS.CORRECT + (POINTS.CORRECT + POINTS.UPSET + POINTS.STREAK),
+      scored: 3,
+      correct: 2,
+      pushes: 1,
+      upsets: 1,
+      streak: 0,
+      longestStreak: 2
+    });
+    expect(getAccuracy(board)).toBeCloseTo(2 / 3);
+    expect(board.recent.map(entry => entry.battleId)).toEqual(['battle3', 'battle2', 'battle1', 'battle0']);
+  });
+
+  it('has no accuracy before a scored call', () => {
+    expect(getAccuracy(createScoreboard())).toBeNull();
+  });
+
+  it('keeps the latest calls only', () => {
+    let board = createScoreboard();
+    for (let i = 0; i < PREDICTION_CONFIG.RECENT + 5; i++) {
+      board = addToScoreboard(board, scorePrediction({ pick: 'pokemon1', favorites: [] }, 'pokemon1', board.streak), { at: i });
+    }
+    expect(board.recent).toHaveLength(PREDICTION_CONFIG.RECENT);
+  });
+});
+
+it('describes how a call scored', () => {
+  const score = scorePrediction({ pick: 'pokemon3', favorites: ['pokemon2'] }, 'pokemon3', 1);
+  expect(describeScore(score)).toBe(
+    `Called it! +${score.points} points (upset +${POINTS.UPSET}, streak +${POINTS.STREAK})`
+  );
+});
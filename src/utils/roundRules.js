@@ -0,0 +1,76 @@
+import { ROUND_CONFIG } from './constants';
+import { getLead, getTotalVotes } from './voting';
+
+// When a voting round closes. A round closes on whichever trigger fires first;
+// unset (null/0) triggers are ignored:
+// - duration: milliseconds after the battle opens
+// - closeAfterVotes: total votes (quorum)
+// - minimumLead: votes the leader is ahead of the runner-up by
+// - manualClose: a host may close it at any time
+// The vote server applies the same rules (server/rounds.js; roundRules.test.js checks both).
+
+/**
+ * Round rules with defaults filled in
+ * @param {Object} overrides - Rules to change from ROUND_CONFIG.DEFAULT_RULES
+ * @returns {Object} { duration, closeAfterVotes, minimumLead, manualClose }
+ */
+export function resolveRoundRules(overrides = {}) {
+  const rules = { ...ROUND_CONFIG.DEFAULT_RULES, ...overrides };
+
+  // A round nobody can close would never end
+  if (!rules.duration && !rules.closeAfterVotes && !rules.minimumLead && !rules.manualClose) {
+    return { ...rules, duration: ROUND_CONFIG.FALLBACK_DURATION };
+  }
+  return rules;
+}
+
+/**
+ * Whether a tally closes the round
+ * @param {Object} rules - Round rules
+ * @param {Object} votes - Votes per position (first choices in ranked-choice battles)
+ * @returns {boolean} True once the quorum or the minimum lead is reached
+ */
+export function reachesCloseTrigger(rules, votes) {
+  if (rules.closeAfterVotes && getTotalVotes(votes) >= rules.closeAfterVotes) return true;
+  if (rules.minimumLead && getLead(votes) >= rules.minimumLead) return true;
+  return false;
+}
+
+/**
+ * Round info as reported to the app
+ * @param {Object} rules - Round rules
+ * @param {number|null} closesIn - Milliseconds left, or null without a time limit
+ * @returns {Object} { rules, closesAt }
+ */
+export function createRound(rules, closesIn) {
+  return {
+    rules,
+    closesAt: closesIn === null || closesIn === undefined ? null : Date.now() + closesIn
+  };
+}
+
+/**
+ * Identifier of one round of a battle, reported when it locks
+ * Every tab (and every client of the vote server) gets the same one for the
+ * same round, and a rematch gets a new one, so a round is recorded once.
+ * @param {string} battleId - Battle identifier
+ * @param {number} openedAt - When the round opened (milliseconds since the epoch)
+ * @returns {string} e.g. "pikachu_vs_eevee@1755374400000"
+ */
+export function getRoundId(battleId, openedAt) {
+  return `${battleId}@${openedAt}`;
+}
+
+/**
+ * Short description of how a round ends, for the stats bar
+ * @param {Object} rules - Round rules
+ * @returns {string} e.g. "20s limit · 100-vote quorum · 10-vote lead"
+ */
+export function describeRoundRules(rules) {
+  const parts = [];
+  if (rules.duration) parts.push(`${Math.round(rules.duration / 1000)}s limit`);
+  if (rules.closeAfterVotes) parts.push(`${rules.closeAfterVotes}-vote quorum`);
+  if (rules.minimumLead) parts.push(`${rules.minimumLead}-vote lead`);
+  if (rules.manualClose) parts.push('host close');
+  return parts.join(' · ');
+}
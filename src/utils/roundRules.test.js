@@ -0,0 +1,83 @@
+import { ROUND_CONFIG } from './constants';
+import { createRound, describeRoundRules, getRoundId, reachesCloseTrigger, resolveRoundRules } from './roundRules';
+
+// The vote server's copy (CommonJS, see server/rounds.js)
+const server = require('../../server/rounds');
+
+describe('resolveRoundRules', () => {
+  it('fills in the default rules', () => {
+    expect(resolveRoundRules({ minimumLead: 5 })).toEqual({ ...ROUND_CONFIG.DEFAULT_RULES, minimumLead: 5 });
+  });
+
+  it('keeps a round that nobody could close from running forever', () => {
+    const rules = resolveRoundRules({ duration: 0, closeAfterVotes: null, minimumLead: null, manualClose: false });
+    expect(rules.duration).toBe(ROUND_CONFIG.FALLBACK_DURATION);
+  });
+
+  it('lets a round without a time limit run when something else can close it', () => {
+    expect(resolveRoundRules({ duration: 0, manualClose: true }).duration).toBe(0);
+  });
+});
+
+describe('reachesCloseTrigger', () => {
+  it('closes on the quorum', () => {
+    const rules = { duration: 0, closeAfterVotes: 10, minimumLead: null, manualClose: false };
+    expect(reachesCloseTrigger(rules, { pokemon1: 5, pokemon2: 4 })).toBe(false);
+    expect(reachesCloseTrigger(rules, { pokemon1: 5, pokemon2: 5 })).toBe(true);
+  });
+
+  it('closes on the lead over the runner-up', () => {
+    const rules = { duration: 0, closeAfterVotes: null, minimumLead: 3, manualClose: false };
+    expect(reachesCloseTrigger(rules, { pokemon1: 5, pokemon2: 3, pokemon3: 4 })).toBe(false);
+    expect(reachesCloseTrigger(rules, { pokemon1: 7, pokemon2: 3, pokemon3: 4 })).toBe(true);
+  });
+
+  it('ignores unset triggers', () => {
+    expect(reachesCloseTrigger(resolveRoundRules({}), { pokemon1: 1000, pokemon2: 0 })).toBe(false);
+  });
+});
+
+it('describes a round in the stats bar', () => {
+  expect(describeRoundRules({ duration: 20000, closeAfterVotes: 100, minimumLead: 10, manualClose: true }))
+    .toBe('20s limit · 100-vote quorum · 10-vote lead · host close');
+});
+
+it('reports a round without a time limit as never closing', () => {
+  expect(createRound(resolveRoundRules({ duration: 0, manualClose: true }), null).closesAt).toBeNull();
+});
+
+// The in-browser transports and the vote server must close rounds alike (server/rounds.js is a copy)
+describe('the vote server closes rounds the same way', () => {
+  it.each([
+    [{}, {}],
+    [{ VOTE_ROUND_DURATION: '5000' }, { duration: 5000 }],
+    [{ VOTE_CLOSE_AFTER_VOTES: '50', VOTE_MIN_LEAD: '7' }, { closeAfterVotes: 50, minimumLead: 7 }],
+    [{ VOTE_ROUND_DURATION: '0', VOTE_MANUAL_CLOSE: 'true' }, { duration: 0, manualClose: true }],
+    [{ VOTE_ROUND_DURATION: '0' }, { duration: 0 }]
+  ])('rules from %j', (env, overrides) => {
+    expect(server.loadRoundRules(env)).toEqual(resolveRoundRules(overrides));
+  });
+
+  const rules = [
+    { duration: 20000, closeAfterVotes: null, minimumLead: null, manualClose: false },
+    { duration: 0, closeAfterVotes: 6, minimumLead: null, manualClose: false },
+    { duration: 0, closeAfterVotes: null, minimumLead: 2, manualClose: true },
+    { duration: 0, closeAfterVotes: 20, minimumLead: 4, manualClose: false }
+  ];
+  const tallies = [
+    { pokemon1: 0, pokemon2: 0 },
+    { pokemon1: 3, pokemon2: 3 },
+    { pokemon1: 4, pokemon2: 2, pokemon3: 1 },
+    { pokemon1: 9, pokemon2: 5, pokemon3: 5, pokemon4: 1 }
+  ];
+
+  it.each(rules)('close triggers of %j', (roundRules) => {
+    tallies.forEach(votes => {
+      expect(server.reachesCloseTrigger(roundRules, votes)).toBe(reachesCloseTrigger(roundRules, votes));
+    });
+  });
+
+  it('names rounds alike', () => {
+    expect(server.getRoundId('mew_vs_mewtwo', 1000)).toBe(getRoundId('mew_vs_mewtwo', 1000));
+  });
+});
@@ -0,0 +1,151 @@
+import { VOTING_METHODS } from './constants';
+import { getBattleId, parseBattleId } from './battleRoutes';
+import { createSeededRandom } from './seededRandom';
+
+// Battle schedule: matchups everyone lands on at the same time.
+// - Battle of the Day: a two-way battle drawn from the date (UTC), so every
+//   client works out the same pair on its own, without a server
+// - timed battles: a list of battles with a start and end time, read from the
+//   schedule file (see SCHEDULE_CONFIG). A battle is on from its start until its end.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Day a time falls on, in UTC (so it is the same day everywhere)
+ * @param {number} time - Timestamp
+ * @returns {string} e.g. "2026-10-18"
+ */
+export function getDayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * When the day after a time's starts (the next Battle of the Day)
+ * @param {number} time - Timestamp
+ * @returns {number} Timestamp of the next UTC midnight
+ */
+export function getNextDayStart(time) {
+  return (Math.floor(time / DAY) + 1) * DAY;
+}
+
+/**
+ * Battle of the Day: two different Pokémon drawn with the day as the seed.
+ * Matchup settings don't apply, or users with different filters would get different pairs.
+ * @param {Array<Object>} species - Species to draw from ({ id, name }): the ones in the offline
+ *   Pokédex, so the battle is the same whether or not a visitor is offline
+ * @param {number} time - Any time on the day
+ * @returns {Object} { day, contestants, method, battleId }
+ */
+export function getBattleOfTheDay(species, time) {
+  const day = getDayKey(time);
+  const random = createSeededRandom(`battle-of-the-day:${day}`);
+  const pool = [...species].sort((a, b) => a.id - b.id);
+
+  const first = random.int(0, pool.length - 1);
+  const second = (first + random.int(1, pool.length - 1)) % pool.length;
+  const contestants = [pool[first].name, pool[second].name];
+
+  return { day, contestants, method: VOTING_METHODS.PLURALITY, battleId: getBattleId(contestants) };
+}
+
+/**
+ * Read the timed battles out of a schedule file, dropping entries that can't be battled
+ * @param {Object} data - { battles: [{ pokemon, method?, start, end, title? }] } (times as ISO strings)
+ * @returns {Array<Object>} [{ id, battleId, contestants, method, start, end, title }], by start time
+ */
+export function normalizeSchedule(data) {
+  const entries = Array.isArray(data?.battles) ? data.battles : [];
+
+  return entries
+    .map(entry => {
+      const start = Date.parse(entry?.start);
+      const end = Date.parse(entry?.end);
+      const parsed = Array.isArray(entry?.pokemon)
+        ? parseBattleId(getBattleId(entry.pokemon, entry.method || VOTING_METHODS.PLURALITY))
+        : null;
+
+      if (!parsed || Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+        console.warn('⚠️ Skipping invalid scheduled battle:', entry);
+        return null;
+      }
+
+      const battleId = getBattleId(parsed.contestants, parsed.method);
+      return {
+        id: `${battleId}@${start}`,
+        battleId,
+        contestants: parsed.contestants,
+        method: parsed.method,
+        start,
+        end,
+        title: typeof entry.title === 'string' ? entry.title : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Where the timed battles stand at a given time
+ * @param {Array<Object>} battles - Timed battles (see normalizeSchedule)
+ * @param {number} now - Timestamp
+ * @returns {Object} { live, next, upcoming, past } — live is the battle on now
+ *   (the one that started last, if they overlap), next the first one still to start
+ */
+export function getScheduleStatus(battles, now) {
+  const upcoming = battles.filter(battle => battle.start > now);
+  const past = battles.filter(battle => battle.end <= now);
+  const live = battles.filter(battle => battle.start <= now && now < battle.end).pop() || null;
+
+  return { live, next: upcoming[0] || null, upcoming, past };
+}
+
+/**
+ * Which featured battle a round counts for, if any: a timed battle of the
+ * same matchup that was on while the round ran, or else today's Battle of the Day
+ * @param {string} battleId - The round's battle
+ * @param {number} startedAt - When the round started
+ * @param {number} closedAt - When it closed
+ * @param {Object|null} daily - Today's Battle of the Day
+ * @param {Array<Object>} battles - Timed battles
+ * @returns {Object|null} { key, kind: 'daily' | 'timed', title, battleId, contestants, method, at }
+ */
+export function findFeature(battleId, startedAt, closedAt, daily, battles) {
+  const timed = battles.find(battle =>
+    battle.battleId === battleId && battle.start <= closedAt && startedAt < battle.end
+  );
+  if (timed) {
+    return {
+      key: `timed:${timed.id}`,
+      kind: 'timed',
+      title: timed.title,
+      battleId,
+      contestants: timed.contestants,
+      method: timed.method,
+      at: timed.start
+    };
+  }
+
+  if (daily && daily.battleId === battleId) {
+    return {
+      key: `daily:${daily.day}`,
+      kind: 'daily',
+      title: null,
+      battleId,
+      contestants: daily.contestants,
+      method: daily.method,
+      at: Date.parse(daily.day)
+    };
+  }
+  return null;
+}
+
+/**
+ * Time left as hh:mm:ss (hours keep counting past a day)
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "01:05:09"
+ */
+export function formatCountdown(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
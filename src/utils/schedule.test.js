@@ -0,0 +1,94 @@
+import { VOTING_METHODS } from './constants';
+import {
+  findFeature, formatCountdown, getBattleOfTheDay, getDayKey, getNextDayStart, getScheduleStatus, normalizeSchedule
+} from './schedule';
+
+const SPECIES = [
+  { id: 25, name: 'pikachu' },
+  { id: 1, name: 'bulbasaur' },
+  { id: 4, name: 'charmander' },
+  { id: 7, name: 'squirtle' },
+  { id: 133, name: 'eevee' }
+];
+
+const NOON = Date.parse('2026-10-18T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getBattleOfTheDay', () => {
+  it('draws the same battle all day, whatever order the species come in', () => {
+    const morning = getBattleOfTheDay(SPECIES, Date.parse('2026-10-18T00:00:00Z'));
+    const night = getBattleOfTheDay([...SPECIES].reverse(), Date.parse('2026-10-18T23:59:59Z'));
+
+    expect(night).toEqual(morning);
+    expect(morning).toMatchObject({ day: '2026-10-18', method: VOTING_METHODS.PLURALITY });
+    expect(morning.battleId).toBe(morning.contestants.join('_vs_'));
+  });
+
+  it('pits two different Pokémon against each other', () => {
+    for (let day = 0; day < 60; day++) {
+      const { contestants } = getBattleOfTheDay(SPECIES, NOON + day * 24 * HOUR);
+      expect(new Set(contestants).size).toBe(2);
+      contestants.forEach(name => expect(SPECIES.map(entry => entry.name)).toContain(name));
+    }
+  });
+
+  it('draws a new battle on other days', () => {
+    const battles = new Set(Array.from({ length: 10 }, (_, day) => getBattleOfTheDay(SPECIES, NOON + day * 24 * HOUR).battleId));
+    expect(battles.size).toBeGreaterThan(1);
+  });
+});
+
+describe('days', () => {
+  it('turns over at midnight UTC', () => {
+    expect(getDayKey(NOON)).toBe('2026-10-18');
+    expect(getNextDayStart(NOON)).toBe(Date.parse('2026-10-19T00:00:00Z'));
+    expect(formatCountdown(getNextDayStart(NOON) - NOON)).toBe('12:00:00');
+  });
+});
+
+describe('timed battles', () => {
+  const load = () => normalizeSchedule({
+    battles: [
+      { pokemon: ['Mew', 'Mewtwo'], start: '2026-10-18T13:00:00Z', end: '2026-10-18T14:00:00Z', title: 'Rematch' },
+      { pokemon: ['eevee', 'pikachu'], start: '2026-10-18T11:00:00Z', end: '2026-10-18T12:30:00Z' },
+      { pokemon: ['eevee'], start: '2026-10-18T11:00:00Z', end: '2026-10-18T12:30:00Z' },
+      { pokemon: ['mew', 'eevee'], start: '2026-10-18T11:00:00Z', end: '2026-10-18T10:00:00Z' },
+      { pokemon: ['mew', 'eevee'], start: 'tomorrow', end: '2026-10-18T10:00:00Z' }
+    ]
+  });
+
+  it('keeps the valid battles, by start time', () => {
+    const battles = load();
+    expect(battles.map(battle => battle.battleId)).toEqual(['eevee_vs_pikachu', 'mew_vs_mewtwo']);
+    expect(battles[1]).toMatchObject({ title: 'Rematch', contestants: ['mew', 'mewtwo'] });
+    expect(console.warn).toHaveBeenCalledTimes(3);
+  });
+
+  it('knows which battle is on and which is next', () => {
+    const battles = load();
+    const status = getScheduleStatus(battles, NOON);
+    expect(status.live.battleId).toBe('eevee_vs_pikachu');
+    expect(status.next.battleId).toBe('mew_vs_mewtwo');
+    expect(getScheduleStatus(battles, NOON + 3 * HOUR).past).toHaveLength(2);
+  });
+
+  it('archives a round under the timed battle it ran in, or else the Battle of the Day', () => {
+    const battles = load();
+    const daily = getBattleOfTheDay(SPECIES, NOON);
+
+    expect(findFeature('mew_vs_mewtwo', NOON + 1.5 * HOUR, NOON + 1.6 * HOUR, daily, battles))
+      .toMatchObject({ kind: 'timed', title: 'Rematch' });
+    // The same matchup outside its time slot isn't featured
+    expect(findFeature('mew_vs_mewtwo', NOON + 3 * HOUR, NOON + 3.1 * HOUR, daily, battles)).toBeNull();
+    expect(findFeature(daily.battleId, NOON, NOON + 60000, daily, battles))
+      .toMatchObject({ kind: 'daily', key: 'daily:2026-10-18' });
+  });
+});
@@ -0,0 +1,66 @@
+// Small seeded random number generator, so simulations can be replayed exactly
+
+/**
+ * Hash a seed string into a 32-bit number (FNV-1a)
+ */
+function hashSeed(seed) {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a random number generator for a seed (mulberry32)
+ * The same seed always produces the same sequence.
+ *
+ * @param {string|number} seed - Any string or number
+ * @returns {Object} { next, int, chance, pick, poisson }
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    // Float in [0, 1)
+    next,
+
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+
+    // True with the given probability
+    chance: (probability) => next() < probability,
+
+    // Random element of a non-empty array
+    pick: (items) => items[Math.floor(next() * items.length)],
+
+    // Number of arrivals in an interval with the given mean (Knuth's method)
+    poisson: (mean) => {
+      const limit = Math.exp(-mean);
+      let count = 0;
+      let product = next();
+      while (product > limit) {
+        count += 1;
+        product *= next();
+      }
+      return count;
+    }
+  };
+}
+
+/**
+ * A short random seed to use when none was given
+ * @returns {string} Seed
+ */
+export function createSeed() {
+  return Math.random().toString(36).slice(2, 8);
+}
@@ -0,0 +1,68 @@
+import { POKEDEX_CONFIG } from './constants';
+
+// Base stat comparison between two Pokémon, and the geometry of the radar
+// chart that overlays them (one axis per stat, clockwise from the top)
+
+/**
+ * Compare two Pokémon's base stats
+ * @param {Object} stats1 - First Pokémon's base stats
+ * @param {Object} stats2 - Second Pokémon's base stats
+ * @returns {Object} { rows, totals, difference, leader } — rows are
+ *   [{ key, label, values: [a, b], leader }] in the games' order; leader is
+ *   'pokemon1', 'pokemon2' or 'tie'; difference is always positive
+ */
+export function compareStats(stats1, stats2) {
+  const leaderOf = (a, b) => (a === b ? 'tie' : a > b ? 'pokemon1' : 'pokemon2');
+
+  const rows = POKEDEX_CONFIG.STATS.map(({ key, label }) => ({
+    key,
+    label,
+    values: [stats1[key], stats2[key]],
+    leader: leaderOf(stats1[key], stats2[key])
+  }));
+
+  const totals = [0, 1].map(side => rows.reduce((sum, row) => sum + row.values[side], 0));
+  return {
+    rows,
+    totals,
+    difference: Math.abs(totals[0] - totals[1]),
+    leader: leaderOf(totals[0], totals[1])
+  };
+}
+
+/**
+ * Outer value of the radar chart: the highest stat rounded up to 50, at least 150
+ * so average Pokémon don't fill the whole chart
+ */
+export function getRadarScale(rows) {
+  const highest = Math.max(...rows.flatMap(row => row.values));
+  return Math.max(150, Math.ceil(highest / 50) * 50);
+}
+
+/**
+ * Point on an axis of the radar chart
+ * @param {number} axis - Axis index (0 is straight up)
+ * @param {number} axes - Number of axes
+ * @param {number} distance - Distance from the center
+ * @param {number} center - Center coordinate (the chart is square)
+ * @returns {Array<number>} [x, y]
+ */
+export function getRadarPoint(axis, axes, distance, center) {
+  const angle = (Math.PI * 2 * axis) / axes - Math.PI / 2;
+  return [center + distance * Math.cos(angle), center + distance * Math.sin(angle)];
+}
+
+/**
+ * SVG polygon points for a set of values
+ * @param {Array<number>} values - One value per axis
+ * @param {number} scale - Value at the outer ring
+ * @param {number} radius - Outer ring radius
+ * @param {number} center - Center coordinate
+ * @returns {string} e.g. "100,20 169.3,60 ..."
+ */
+export function getRadarPolygon(values, scale, radius, center) {
+  return values
+    .map((value, axis) => getRadarPoint(axis, values.length, (Math.min(value, scale) / scale) * radius, center))
+    .map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`)
+    .join(' ');
+}
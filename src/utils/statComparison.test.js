@@ -0,0 +1,44 @@
+import { compareStats, getRadarPoint, getRadarPolygon, getRadarScale } from './statComparison';
+
+const PIKACHU = { hp: 35, attack: 55, defense: 40, specialAttack: 50, specialDefense: 50, speed: 90 };
+const EEVEE = { hp: 55, attack: 55, defense: 50, specialAttack: 45, specialDefense: 65, speed: 55 };
+
+describe('compareStats', () => {
+  it('compares every stat and the totals', () => {
+    const comparison = compareStats(PIKACHU, EEVEE);
+
+    expect(comparison.rows.map(row => [row.label, row.leader])).toEqual([
+      ['HP', 'pokemon2'],
+      ['ATK', 'tie'],
+      ['DEF', 'pokemon2'],
+      ['SP.ATK', 'pokemon1'],
+      ['SP.DEF', 'pokemon2'],
+      ['SPD', 'pokemon1']
+    ]);
+    expect(comparison).toMatchObject({ totals: [320, 325], difference: 5, leader: 'pokemon2' });
+  });
+
+  it('calls equal totals a tie', () => {
+    expect(compareStats(PIKACHU, PIKACHU)).toMatchObject({ difference: 0, leader: 'tie' });
+  });
+});
+
+describe('radar chart', () => {
+  it('scales to the highest stat, rounded up to 50, and never below 150', () => {
+    expect(getRadarScale(compareStats(PIKACHU, EEVEE).rows)).toBe(150);
+    expect(getRadarScale(compareStats({ ...PIKACHU, hp: 255 }, EEVEE).rows)).toBe(300);
+  });
+
+  it('draws the first axis straight up and goes clockwise', () => {
+    const [upX, upY] = getRadarPoint(0, 4, 10, 50);
+    const [rightX, rightY] = getRadarPoint(1, 4, 10, 50);
+    expect(upX).toBeCloseTo(50);
+    expect(upY).toBeCloseTo(40);
+    expect(rightX).toBeCloseTo(60);
+    expect(rightY).toBeCloseTo(50);
+  });
+
+  it('caps values at the outer ring', () => {
+    expect(getRadarPolygon([100, 500, 0, 100], 100, 10, 50)).toBe('50.0,40.0 60.0,50.0 50.0,50.0 40.0,50.0');
+  });
+});
@@ -0,0 +1,57 @@
+import { TEAM_CONFIG } from './constants';
+import { getPositions, getTeams } from './voting';
+import { formatName } from './pokedexEntry';
+
+// Team battles: two lineups of TEAM_CONFIG.SIZE, named after the theme they
+// come from (TEAM_CONFIG.THEMES) or, for drafted teams, their lead Pokémon.
+
+/**
+ * Name of the themed team with exactly these Pokémon, in any order
+ * @param {Array<string>} names - Lineup's Pokémon names
+ * @returns {string|null} Team name, or null if no theme fields this lineup
+ */
+function findThemeTeam(names) {
+  const lineup = [...names].sort().join('|');
+  for (const theme of TEAM_CONFIG.THEMES) {
+    const team = theme.teams.find(candidate => [...candidate.pokemon].sort().join('|') === lineup);
+    if (team) return team.name;
+  }
+  return null;
+}
+
+/**
+ * The two lineups of a team battle
+ * @param {Array<Object>} contestants - The battle's Pokémon, in position order
+ * @returns {Array<Object>} [{ id: 'team1', name, positions }, { id: 'team2', name, positions }]
+ */
+export function getLineups(contestants) {
+  const positions = getPositions(contestants.length);
+  return getTeams(contestants.length).map(team => {
+    const members = team.positions.map(position => contestants[positions.indexOf(position)]);
+    return {
+      ...team,
+      name: findThemeTeam(members.map(pokemon => pokemon.name)) || `Team ${formatName(members[0].name)}`
+    };
+  });
+}
+
+/**
+ * A themed matchup, both lineups in position order
+ * @param {Object} theme - One of TEAM_CONFIG.THEMES
+ * @returns {Array<string>} Six Pokémon names
+ */
+export function getThemeMatchup(theme) {
+  return theme.teams.flatMap(team => team.pokemon);
+}
+
+/**
+ * The team a ballot sides with: the one holding more of its picks
+ * @param {Array<string>} picks - Positions the voter picked
+ * @param {Array<Object>} lineups - The battle's lineups
+ * @returns {string|null} Team id, or null when the picks are split evenly
+ */
+export function getBackedTeam(picks, lineups) {
+  const [first, second] = lineups.map(lineup => picks.filter(pick => lineup.positions.includes(pick)).length);
+  if (first === second) return null;
+  return first > second ? lineups[0].id : lineups[1].id;
+}
@@ -0,0 +1,38 @@
+import { TEAM_CONFIG } from './constants';
+import { getBackedTeam, getLineups, getThemeMatchup } from './teams';
+
+const named = (names) => names.map(name => ({ name }));
+const [KANTO] = TEAM_CONFIG.THEMES;
+
+describe('getLineups', () => {
+  it('splits the battle into two lineups of three', () => {
+    const lineups = getLineups(named(getThemeMatchup(KANTO)));
+    expect(lineups).toEqual([
+      { id: 'team1', name: 'Kanto Starters', positions: ['pokemon1', 'pokemon2', 'pokemon3'] },
+      { id: 'team2', name: 'Legendary Birds', positions: ['pokemon4', 'pokemon5', 'pokemon6'] }
+    ]);
+  });
+
+  it('knows a themed team in any order', () => {
+    const [team] = getLineups(named(['squirtle', 'bulbasaur', 'charmander', 'mew', 'eevee', 'ditto']));
+    expect(team.name).toBe('Kanto Starters');
+  });
+
+  it('names a drafted team after its lead', () => {
+    const [, team] = getLineups(named(['bulbasaur', 'charmander', 'squirtle', 'mew', 'eevee', 'ditto']));
+    expect(team.name).toBe('Team Mew');
+  });
+});
+
+describe('getBackedTeam', () => {
+  const lineups = getLineups(named(getThemeMatchup(KANTO)));
+
+  it('sides with the team holding more of the picks', () => {
+    expect(getBackedTeam(['pokemon1', 'pokemon5', 'pokemon3'], lineups)).toBe('team1');
+    expect(getBackedTeam(['pokemon4', 'pokemon5'], lineups)).toBe('team2');
+  });
+
+  it('sides with nobody when the picks are split evenly', () => {
+    expect(getBackedTeam(['pokemon1', 'pokemon5'], lineups)).toBeNull();
+  });
+});
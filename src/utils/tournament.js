@@ -0,0 +1,166 @@
+import { TOURNAMENT_CONFIG } from './constants';
+
+/**
+ * Tournament bracket helpers
+ * A tournament is a plain object so it can be stored in localStorage:
+ * {
+ *   id, size, createdAt, completedAt,
+ *   entrants: [{ seed, id, name, sprite }],
+ *   rounds: [[{ id, round, index, seed1, seed2, winner, votes }]]
+ * }
+ * Seeds are 1-based; seed1/seed2 are null until the previous round is decided.
+ */
+
+/**
+ * Standard bracket order: seed 1 meets the last seed, and the top two seeds
+ * can only meet in the final.
+ * @param {number} size - Bracket size (power of two)
+ * @returns {Array<number>} Seeds in first-round slot order
+ */
+export function getBracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const roundSize = order.length * 2;
+    order = order.flatMap(seed => [seed, roundSize + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Shuffle an array (Fisher-Yates) without mutating it
+ */
+export function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Create a new tournament
+ * @param {Array<Object>} pokemon - Entrants in seed order ({ id, name, sprite })
+ * @returns {Object} Tournament
+ */
+export function createTournament(pokemon) {
+  const size = pokemon.length;
+  if (!TOURNAMENT_CONFIG.SIZES.includes(size)) {
+    throw new Error(`A tournament needs ${TOURNAMENT_CONFIG.SIZES.join(', ')} Pokémon (got ${size})`);
+  }
+
+  const entrants = pokemon.map((p, index) => ({
+    seed: index + 1,
+    id: p.id,
+    name: p.name,
+    sprite: p.sprite
+  }));
+
+  const order = getBracketOrder(size);
+  const rounds = [];
+  let matchCount = size / 2;
+
+  for (let round = 0; matchCount >= 1; round++, matchCount /= 2) {
+    rounds.push(Array.from({ length: matchCount }, (_, index) => ({
+      id: `r${round}m${index}`,
+      round,
+      index,
+      seed1: round === 0 ? order[index * 2] : null,
+      seed2: round === 0 ? order[index * 2 + 1] : null,
+      winner: null,
+      votes: null
+    })));
+  }
+
+  return {
+    id: `tournament_${Date.now()}`,
+    size,
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    entrants,
+    rounds
+  };
+}
+
+/**
+ * Look up an entrant by seed
+ */
+export function getEntrant(tournament, seed) {
+  return tournament.entrants.find(entrant => entrant.seed === seed) || null;
+}
+
+/**
+ * Find a match by id
+ */
+export function findMatch(tournament, matchId) {
+  return tournament.rounds.flat().find(match => match.id === matchId) || null;
+}
+
+/**
+ * The next match to be played: the first undecided match whose entrants are known
+ * @returns {Object|null} Match or null when the tournament is over
+ */
+export function getCurrentMatch(tournament) {
+  return tournament.rounds.flat().find(match =>
+    !match.winner && match.seed1 !== null && match.seed2 !== null
+  ) || null;
+}
+
+/**
+ * The champion's entrant record, once the final is decided
+ */
+export function getChampion(tournament) {
+  const final = tournament.rounds[tournament.rounds.length - 1][0];
+  return final.winner ? getEntrant(tournament, final.winner) : null;
+}
+
+/**
+ * Human readable round name
+ */
+export function getRoundName(tournament, round) {
+  const remaining = tournament.rounds.length - round;
+  if (remaining === 1) return 'Final';
+  if (remaining === 2) return 'Semifinals';
+  if (remaining === 3) return 'Quarterfinals';
+  return `Round of ${tournament.size / 2 ** round}`;
+}
+
+/**
+ * Record the result of a match and advance the winner
+ * Ties go to the better (lower) seed so the bracket can always move on.
+ *
+ * @param {Object} tournament - Tournament
+ * @param {string} matchId - Finished match
+ * @param {Object} votes - Final votes ({ pokemon1, pokemon2 } for seed1/seed2)
+ * @returns {Object} Updated tournament
+ */
+export function recordMatchResult(tournament, matchId, votes) {
+  const match = findMatch(tournament, matchId);
+  if (!match || match.winner) return tournament;
+
+  let winner;
+  if (votes.pokemon1 === votes.pokemon2) {
+    winner = Math.min(match.seed1, match.seed2);
+  } else {
+    winner = votes.pokemon1 > votes.pokemon2 ? match.seed1 : match.seed2;
+  }
+
+  const rounds = tournament.rounds.map(round => round.map(m => (
+    m.id === matchId ? { ...m, winner, votes } : m
+  )));
+
+  // Fill the winner's slot in the next round
+  const nextRound = rounds[match.round + 1];
+  if (nextRound) {
+    const nextIndex = Math.floor(match.index / 2);
+    const slot = match.index % 2 === 0 ? 'seed1' : 'seed2';
+    nextRound[nextIndex] = { ...nextRound[nextIndex], [slot]: winner };
+  }
+
+  const isFinal = !nextRound;
+  return {
+    ...tournament,
+    rounds,
+    completedAt: isFinal ? new Date().toISOString() : tournament.completedAt
+  };
+}
@@ -0,0 +1,88 @@
+import {
+  createTournament, getBracketOrder, getChampion, getCurrentMatch, getEntrant, getRoundName, recordMatchResult
+} from './tournament';
+
+const entrants = (size) => Array.from({ length: size }, (_, index) => ({ id: index + 1, name: `pokemon-${index + 1}` }));
+
+// Play every match in order, the better seed winning unless told otherwise
+const playOut = (tournament, upsets = []) => {
+  let current = tournament;
+  for (let match = getCurrentMatch(current); match; match = getCurrentMatch(current)) {
+    const upset = upsets.includes(match.id);
+    const betterFirst = match.seed1 < match.seed2;
+    const votes = betterFirst !== upset ? { pokemon1: 3, pokemon2: 1 } : { pokemon1: 1, pokemon2: 3 };
+    current = recordMatchResult(current, match.id, votes);
+  }
+  return current;
+};
+
+describe('getBracketOrder', () => {
+  it('pairs the top seed with the last seed', () => {
+    expect(getBracketOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+
+  it('keeps the top two seeds apart until the final', () => {
+    [8, 16, 32].forEach(size => {
+      const order = getBracketOrder(size);
+      expect([...order].sort((a, b) => a - b)).toEqual(Array.from({ length: size }, (_, index) => index + 1));
+      expect(order.indexOf(1) < size / 2).not.toBe(order.indexOf(2) < size / 2);
+    });
+  });
+});
+
+describe('createTournament', () => {
+  it('seeds the entrants in the order given', () => {
+    const tournament = createTournament(entrants(8));
+
+    expect(getEntrant(tournament, 1).name).toBe('pokemon-1');
+    expect(tournament.rounds.map(round => round.length)).toEqual([4, 2, 1]);
+    expect(tournament.rounds[0][0]).toMatchObject({ seed1: 1, seed2: 8, winner: null });
+    expect(tournament.rounds[1][0]).toMatchObject({ seed1: null, seed2: null });
+  });
+
+  it('only takes bracket sizes', () => {
+    expect(() => createTournament(entrants(6))).toThrow('got 6');
+  });
+
+  it('names the rounds', () => {
+    const tournament = createTournament(entrants(32));
+    expect([0, 1, 2, 3, 4].map(round => getRoundName(tournament, round)))
+      .toEqual(['Round of 32', 'Round of 16', 'Quarterfinals', 'Semifinals', 'Final']);
+  });
+});
+
+describe('recordMatchResult', () => {
+  it('moves the winner into its slot in the next round', () => {
+    let tournament = createTournament(entrants(8));
+    tournament = recordMatchResult(tournament, 'r0m0', { pokemon1: 2, pokemon2: 5 });
+    tournament = recordMatchResult(tournament, 'r0m1', { pokemon1: 4, pokemon2: 1 });
+
+    expect(tournament.rounds[0][0]).toMatchObject({ winner: 8, votes: { pokemon1: 2, pokemon2: 5 } });
+    expect(tournament.rounds[1][0]).toMatchObject({ seed1: 8, seed2: 4 });
+    expect(getCurrentMatch(tournament).id).toBe('r0m2');
+  });
+
+  it('gives a tie to the better seed', () => {
+    const tournament = recordMatchResult(createTournament(entrants(8)), 'r0m1', { pokemon1: 3, pokemon2: 3 });
+    expect(tournament.rounds[0][1].winner).toBe(4);
+  });
+
+  it('does not replay a decided match', () => {
+    const tournament = recordMatchResult(createTournament(entrants(8)), 'r0m0', { pokemon1: 3, pokemon2: 1 });
+    expect(recordMatchResult(tournament, 'r0m0', { pokemon1: 0, pokemon2: 9 })).toBe(tournament);
+  });
+
+  it('crowns a champion once the final is decided', () => {
+    const tournament = createTournament(entrants(16));
+    expect(getChampion(tournament)).toBeNull();
+
+    const favourites = playOut(tournament);
+    expect(getChampion(favourites).seed).toBe(1);
+    expect(favourites.completedAt).not.toBeNull();
+    expect(getCurrentMatch(favourites)).toBeNull();
+
+    // The 16th seed knocks out the top seed and goes on to win it all
+    const cinderella = playOut(tournament, ['r0m0', 'r1m0', 'r2m0', 'r3m0']);
+    expect(getChampion(cinderella).seed).toBe(16);
+  });
+});
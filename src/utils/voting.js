@@ -0,0 +1,254 @@
+import { VOTING_METHODS } from './constants';
+
+// Who wins a battle. Votes are counted per position ('pokemon1' … 'pokemon8'),
+// and every voter casts a ballot: the positions they picked, favourite first.
+// - plurality: only first choices count; the most votes wins
+// - ranked: instant runoff. While no Pokémon has a majority of the ballots
+//   still in play, the last-placed Pokémon is knocked out and its ballots
+//   move on to their next choice. Pokémon sharing last place go out together.
+// Either way, Pokémon sharing the top spot at the end tie.
+// - team: two lineups face off slot by slot (see getSlots). A ballot picks at
+//   most one Pokémon per slot, and every pick is a vote. A team scores a point
+//   for each slot it wins outright; the team with more points wins, level teams tie.
+// The vote server counts the same way (server/voting.js; voting.test.js checks both).
+
+/**
+ * Positions of a battle's contestants
+ * @param {number} count - Number of contestants
+ * @returns {Array<string>} ['pokemon1', 'pokemon2', ...]
+ */
+export function getPositions(count) {
+  return Array.from({ length: count }, (_, index) => `pokemon${index + 1}`);
+}
+
+/**
+ * A tally with no votes yet
+ * @param {number} count - Number of contestants
+ * @returns {Object} { pokemon1: 0, pokemon2: 0, ... }
+ */
+export function createEmptyVotes(count) {
+  return Object.fromEntries(getPositions(count).map(position => [position, 0]));
+}
+
+/**
+ * Total votes in a tally
+ */
+export function getTotalVotes(votes) {
+  return Object.values(votes).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * How many votes the leader is ahead of the runner-up
+ * @param {Object} votes - Votes per position
+ * @returns {number} Lead (0 when the top spot is shared)
+ */
+export function getLead(votes) {
+  const [first = 0, second = 0] = Object.values(votes).sort((a, b) => b - a);
+  return first - second;
+}
+
+/**
+ * Positions sharing the most votes
+ * @param {Object} votes - Votes per position
+ * @returns {Array<string>} Leaders in position order (none without votes)
+ */
+export function getLeaders(votes) {
+  const most = Math.max(0, ...Object.values(votes));
+  if (most === 0) return [];
+  return Object.keys(votes).filter(position => votes[position] === most);
+}
+
+/**
+ * Whether a ballot ranks the battle's positions properly: at least one,
+ * each at most once, and only positions in the battle
+ * @param {*} ranking - Ballot from a voter
+ * @param {Array<string>} positions - The battle's positions
+ * @returns {boolean} True if the ballot can be counted
+ */
+export function isValidRanking(ranking, positions) {
+  return Array.isArray(ranking) &&
+    ranking.length > 0 &&
+    ranking.length <= positions.length &&
+    ranking.every(position => positions.includes(position)) &&
+    new Set(ranking).size === ranking.length;
+}
+
+/**
+ * The two sides of a team battle: the first half of the positions against the second
+ * @param {number} count - Number of contestants
+ * @returns {Array<Object>} [{ id: 'team1', positions }, { id: 'team2', positions }]
+ */
+export function getTeams(count) {
+  const positions = getPositions(count);
+  return [
+    { id: 'team1', positions: positions.slice(0, count / 2) },
+    { id: 'team2', positions: positions.slice(count / 2) }
+  ];
+}
+
+/**
+ * Slots of a team battle: each team's nth Pokémon against the other's
+ * @param {number} count - Number of contestants
+ * @returns {Array<Array<string>>} [['pokemon1', 'pokemon4'], ['pokemon2', 'pokemon5'], ...]
+ */
+export function getSlots(count) {
+  const [team1, team2] = getTeams(count);
+  return team1.positions.map((position, index) => [position, team2.positions[index]]);
+}
+
+/**
+ * Whether a team ballot picks properly: at least one Pokémon, only positions
+ * in the battle, and at most one per slot
+ * @param {*} picks - Ballot from a voter
+ * @param {Array<string>} positions - The battle's positions
+ * @returns {boolean} True if the ballot can be counted
+ */
+export function isValidPicks(picks, positions) {
+  return isValidRanking(picks, positions) &&
+    getSlots(positions.length).every(slot => slot.filter(position => picks.includes(position)).length <= 1);
+}
+
+/**
+ * The ballot a vote casts; the vote's pokemon must be its first choice
+ * @param {string} method - One of VOTING_METHODS
+ * @param {Object} vote - { pokemon, ranking (ranked choice), picks (team battles) }
+ * @param {Array<string>} positions - The battle's positions
+ * @returns {Array<string>|null} Ballot, or null if the vote doesn't fit the battle
+ */
+export function getBallot(method, { pokemon, ranking, picks }, positions) {
+  if (method === VOTING_METHODS.RANKED) {
+    return isValidRanking(ranking, positions) && ranking[0] === pokemon ? ranking : null;
+  }
+  if (method === VOTING_METHODS.TEAM) {
+    return isValidPicks(picks, positions) && picks[0] === pokemon ? picks : null;
+  }
+  return positions.includes(pokemon) ? [pokemon] : null;
+}
+
+/**
+ * Add a ballot to a tally: team ballots count every pick, the others their first choice
+ * @param {Object} votes - Votes per position
+ * @param {string} method - One of VOTING_METHODS
+ * @param {Array<string>} ballot - Ballot from getBallot
+ * @returns {Object} New tally
+ */
+export function addBallot(votes, method, ballot) {
+  const counted = method === VOTING_METHODS.TEAM ? ballot : ballot.slice(0, 1);
+  const next = { ...votes };
+  counted.forEach(position => { next[position] += 1; });
+  return next;
+}
+
+/**
+ * Plurality count: most first choices wins
+ * @param {Object} votes - First choices per position
+ * @returns {Object} { method, winners, rounds: [{ votes, eliminated }] }
+ */
+export function countPlurality(votes) {
+  return {
+    method: VOTING_METHODS.PLURALITY,
+    winners: getLeaders(votes),
+    rounds: [{ votes: { ...votes }, eliminated: [] }]
+  };
+}
+
+/**
+ * One round of an instant runoff: each ballot counts for its highest choice
+ * still in the running
+ */
+function countRound(ballots, running) {
+  const votes = Object.fromEntries(running.map(position => [position, 0]));
+  ballots.forEach(ballot => {
+    const choice = ballot.find(position => running.includes(position));
+    if (choice) votes[choice] += 1;
+  });
+  return votes;
+}
+
+/**
+ * Instant-runoff count over ranked ballots
+ * @param {Array<Array<string>>} ballots - Each voter's ranking, favourite first
+ * @param {Array<string>} positions - The battle's positions
+ * @returns {Object} { method, winners, rounds } — each round is { votes, eliminated }:
+ *   the votes of the Pokémon still in the running and who was knocked out after it
+ */
+export function runInstantRunoff(ballots, positions) {
+  const rounds = [];
+  let running = [...positions];
+
+  while (running.length > 0) {
+    const votes = countRound(ballots, running);
+
+    const counts = Object.values(votes);
+    const inPlay = counts.reduce((sum, count) => sum + count, 0);
+    const most = Math.max(...counts);
+    const fewest = Math.min(...counts);
+
+    // A majority wins; if everyone left is level, they tie (nobody wins without votes)
+    if (most * 2 > inPlay || most === fewest) {
+      rounds.push({ votes, eliminated: [] });
+      return {
+        method: VOTING_METHODS.RANKED,
+        winners: inPlay === 0 ? [] : running.filter(position => votes[position] === most),
+        rounds
+      };
+    }
+
+    const eliminated = running.filter(position => votes[position] === fewest);
+    rounds.push({ votes, eliminated });
+    running = running.filter(position => !eliminated.includes(position));
+  }
+
+  return { method: VOTING_METHODS.RANKED, winners: [], rounds };
+}
+
+/**
+ * Team count: each slot goes to the Pokémon with more votes (a level slot
+ * scores for nobody) and the team winning more slots wins
+ * @param {Object} votes - Votes per position
+ * @returns {Object} { method, winners (team ids), rounds, slots: [{ positions, winners }], scores: { team1, team2 } }
+ */
+export function countTeams(votes) {
+  const count = Object.keys(votes).length;
+  const teams = getTeams(count);
+  const slots = getSlots(count).map(positions => ({
+    positions,
+    winners: getLeaders(Object.fromEntries(positions.map(position => [position, votes[position]])))
+  }));
+  const scores = Object.fromEntries(teams.map(team => [
+    team.id,
+    slots.filter(slot => slot.winners.length === 1 && team.positions.includes(slot.winners[0])).length
+  ]));
+  const best = Math.max(...Object.values(scores));
+
+  return {
+    method: VOTING_METHODS.TEAM,
+    winners: getTotalVotes(votes) === 0 ? [] : teams.filter(team => scores[team.id] === best).map(team => team.id),
+    rounds: [{ votes: { ...votes }, eliminated: [] }],
+    slots,
+    scores
+  };
+}
+
+/**
+ * Final count of a battle
+ * @param {string} method - One of VOTING_METHODS
+ * @param {Object} votes - First choices per position
+ * @param {Array<Array<string>>} ballots - Every ballot (only used by ranked battles)
+ * @returns {Object} { method, winners, rounds }
+ */
+export function countVotes(method, votes, ballots = []) {
+  if (method === VOTING_METHODS.RANKED) return runInstantRunoff(ballots, Object.keys(votes));
+  if (method === VOTING_METHODS.TEAM) return countTeams(votes);
+  return countPlurality(votes);
+}
+
+/**
+ * Winner of a counted battle, in the 'pokemon1' / 'tie' form the history and ratings use
+ * @param {Object|null} result - Result from countVotes
+ * @returns {string|null} Winning position (team id in team battles), 'tie', or null when nobody voted
+ */
+export function getWinner(result) {
+  if (!result || result.winners.length === 0) return null;
+  return result.winners.length === 1 ? result.winners[0] : 'tie';
+}
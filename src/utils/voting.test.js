@@ -0,0 +1,183 @@
+import { VOTING_METHODS } from './constants';
+import { addBallot, countVotes, createEmptyVotes, getBallot, getLead, getPositions, getWinner } from './voting';
+import { getBattleFormat, parseBattleId } from './battleRoutes';
+
+// The vote server's copy (CommonJS, see server/voting.js)
+const server = require('../../server/voting');
+
+const { PLURALITY, RANKED, TEAM } = VOTING_METHODS;
+
+// First choices of a set of ranked ballots
+const firstChoices = (ballots, count) => ballots.reduce(
+  (votes, ballot) => addBallot(votes, RANKED, ballot),
+  createEmptyVotes(count)
+);
+
+// Every ballot n times over
+const times = (n, ballot) => Array.from({ length: n }, () => ballot);
+
+describe('plurality count', () => {
+  it('gives the win to the most votes', () => {
+    const result = countVotes(PLURALITY, { pokemon1: 2, pokemon2: 5, pokemon3: 1 });
+    expect(result.winners).toEqual(['pokemon2']);
+    expect(getWinner(result)).toBe('pokemon2');
+  });
+
+  it('ties every Pokémon sharing the top spot', () => {
+    const result = countVotes(PLURALITY, { pokemon1: 3, pokemon2: 3, pokemon3: 1, pokemon4: 3 });
+    expect(result.winners).toEqual(['pokemon1', 'pokemon2', 'pokemon4']);
+    expect(getWinner(result)).toBe('tie');
+  });
+
+  it('has no winner without votes', () => {
+    const result = countVotes(PLURALITY, createEmptyVotes(5));
+    expect(result.winners).toEqual([]);
+    expect(getWinner(result)).toBeNull();
+  });
+});
+
+describe('ranked-choice count', () => {
+  const count = (ballots, contestants) => countVotes(RANKED, firstChoices(ballots, contestants), ballots);
+
+  it('wins outright with a majority of first choices', () => {
+    const result = count([...times(3, ['pokemon1']), ...times(2, ['pokemon2'])], 2);
+    expect(result.winners).toEqual(['pokemon1']);
+    expect(result.rounds).toHaveLength(1);
+  });
+
+  it('knocks out the last-placed Pokémon and moves its ballots on', () => {
+    const ballots = [
+      ...times(4, ['pokemon1']),
+      ...times(3, ['pokemon2']),
+      ...times(2, ['pokemon3', 'pokemon2'])
+    ];
+    const result = count(ballots, 3);
+
+    // The plurality leader loses once the third choice's ballots move on
+    expect(result.winners).toEqual(['pokemon2']);
+    expect(result.rounds).toEqual([
+      { votes: { pokemon1: 4, pokemon2: 3, pokemon3: 2 }, eliminated: ['pokemon3'] },
+      { votes: { pokemon1: 4, pokemon2: 5 }, eliminated: [] }
+    ]);
+  });
+
+  it('knocks out Pokémon sharing last place together', () => {
+    const ballots = [
+      ...times(4, ['pokemon1']),
+      ...times(3, ['pokemon2']),
+      ['pokemon3', 'pokemon2'],
+      ['pokemon4', 'pokemon2']
+    ];
+    const result = count(ballots, 4);
+
+    expect(result.rounds[0].eliminated).toEqual(['pokemon3', 'pokemon4']);
+    expect(result.winners).toEqual(['pokemon2']);
+  });
+
+  it('drops ballots with no choices left', () => {
+    const ballots = [...times(3, ['pokemon1']), ...times(2, ['pokemon2']), ['pokemon3']];
+    const result = count(ballots, 3);
+
+    expect(result.rounds[1].votes).toEqual({ pokemon1: 3, pokemon2: 2 });
+    expect(result.winners).toEqual(['pokemon1']);
+  });
+
+  it('ties every Pokémon still level when nobody can be knocked out', () => {
+    const ballots = [...times(2, ['pokemon1']), ...times(2, ['pokemon2']), ...times(2, ['pokemon3'])];
+    const result = count(ballots, 3);
+
+    expect(result.winners).toEqual(['pokemon1', 'pokemon2', 'pokemon3']);
+    expect(getWinner(result)).toBe('tie');
+  });
+
+  it('has no winner without ballots', () => {
+    expect(getWinner(count([], 4))).toBeNull();
+  });
+});
+
+describe('team count', () => {
+  it('scores each slot won outright and ties level teams', () => {
+    // Slot 1 to team 1, slot 2 to team 2, slot 3 level
+    const result = countVotes(TEAM, { pokemon1: 2, pokemon2: 0, pokemon3: 1, pokemon4: 1, pokemon5: 3, pokemon6: 1 });
+    expect(result.scores).toEqual({ team1: 1, team2: 1 });
+    expect(result.slots[2].winners).toEqual(['pokemon3', 'pokemon6']);
+    expect(getWinner(result)).toBe('tie');
+  });
+
+  it('gives the win to the team with more slots', () => {
+    const result = countVotes(TEAM, { pokemon1: 2, pokemon2: 0, pokemon3: 1, pokemon4: 1, pokemon5: 3, pokemon6: 0 });
+    expect(result.winners).toEqual(['team1']);
+  });
+});
+
+describe('ballots', () => {
+  const positions = getPositions(6);
+
+  it('only counts votes that fit the battle', () => {
+    expect(getBallot(PLURALITY, { pokemon: 'pokemon2' }, positions)).toEqual(['pokemon2']);
+    expect(getBallot(PLURALITY, { pokemon: 'pokemon7' }, positions)).toBeNull();
+    expect(getBallot(RANKED, { pokemon: 'pokemon1', ranking: ['pokemon1', 'pokemon1'] }, positions)).toBeNull();
+    expect(getBallot(RANKED, { pokemon: 'pokemon2', ranking: ['pokemon1', 'pokemon2'] }, positions)).toBeNull();
+    // Two picks in slot 1
+    expect(getBallot(TEAM, { pokemon: 'pokemon1', picks: ['pokemon1', 'pokemon4'] }, positions)).toBeNull();
+  });
+
+  it('counts every team pick but only the first ranked choice', () => {
+    const votes = createEmptyVotes(6);
+    expect(addBallot(votes, TEAM, ['pokemon1', 'pokemon5'])).toMatchObject({ pokemon1: 1, pokemon5: 1 });
+    expect(addBallot(votes, RANKED, ['pokemon1', 'pokemon5'])).toMatchObject({ pokemon1: 1, pokemon5: 0 });
+  });
+});
+
+// The app and the vote server must agree on every count (server/voting.js is a copy)
+describe('the vote server counts the same way', () => {
+  const rankedBallots = [
+    ...times(4, ['pokemon1']),
+    ...times(3, ['pokemon2', 'pokemon3']),
+    ['pokemon3', 'pokemon2'],
+    ['pokemon4', 'pokemon2'],
+    ['pokemon4']
+  ];
+  const cases = [
+    [PLURALITY, { pokemon1: 4, pokemon2: 1 }, []],
+    [PLURALITY, { pokemon1: 3, pokemon2: 3, pokemon3: 3, pokemon4: 0 }, []],
+    [PLURALITY, createEmptyVotes(8), []],
+    [RANKED, firstChoices(rankedBallots, 4), rankedBallots],
+    [RANKED, createEmptyVotes(3), []],
+    [TEAM, { pokemon1: 2, pokemon2: 0, pokemon3: 1, pokemon4: 1, pokemon5: 3, pokemon6: 1 }, []],
+    [TEAM, { pokemon1: 5, pokemon2: 2, pokemon3: 1, pokemon4: 1, pokemon5: 3, pokemon6: 0 }, []]
+  ];
+
+  it.each(cases)('%s count of %j', (method, votes, ballots) => {
+    expect(server.countVotes(method, votes, ballots)).toEqual(countVotes(method, votes, ballots));
+    expect(server.getLead(votes)).toBe(getLead(votes));
+  });
+
+  it.each([
+    [PLURALITY, { pokemon: 'pokemon3' }],
+    [PLURALITY, { pokemon: 'pokemon9' }],
+    [RANKED, { pokemon: 'pokemon2', ranking: ['pokemon2', 'pokemon1'] }],
+    [RANKED, { pokemon: 'pokemon2', ranking: ['pokemon2', 'pokemon2'] }],
+    [RANKED, { pokemon: 'pokemon1', ranking: 'pokemon1' }],
+    [TEAM, { pokemon: 'pokemon1', picks: ['pokemon1', 'pokemon5', 'pokemon3'] }],
+    [TEAM, { pokemon: 'pokemon1', picks: ['pokemon1', 'pokemon4'] }]
+  ])('%s ballot %j', (method, vote) => {
+    const positions = getPositions(6);
+    expect(server.getBallot(method, vote, positions)).toEqual(getBallot(method, vote, positions));
+  });
+
+  it.each([
+    'pikachu_vs_charizard',
+    'a_vs_b_vs_c_vs_d_vs_e_vs_f_vs_g_vs_h',
+    'a_vs_b_vs_c_vs_d_vs_e_vs_f_vs_g_vs_h_vs_i',
+    'mew_vs_mewtwo_vs_eevee~ranked',
+    'a_vs_b_vs_c_vs_d_vs_e_vs_f~team',
+    'a_vs_b_vs_c~team',
+    'a_vs_b~unknown',
+    'a_vs_',
+    'legacy-battle-id'
+  ])('format of %s', (battleId) => {
+    expect(server.getBattleFormat(battleId)).toEqual(getBattleFormat(battleId));
+    expect(server.isBattleId(battleId)).toBe(parseBattleId(battleId) !== null);
+  });
+});